@@ -1,11 +1,12 @@
 // src/asset/asset-manager.js
-// @version 1.6.0 - Added listLoadedAssets(), improved error handling context, refined unload.
-// @previous 1.5.0 - Made base asset path configurable via constructor options.
+// @version 1.6.1 - JSON assets are parsed with parseJSONC (comments and trailing commas allowed).
+// @previous 1.6.0 - Added listLoadedAssets(), improved error handling context, refined unload.
 
 import * as logger from '../utils/logger.js';
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { engineConfig } from '../engine-config.js'; // Import engine config for default path
+import { parseJSONC } from '../utils/jsonc.js';
 
 // We might need DRACOLoader if models are Draco compressed
 // import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
@@ -49,7 +50,7 @@ export class AssetManager {
         this.textureLoader = new THREE.TextureLoader();
         /** @private */
         this.fileLoader = new THREE.FileLoader();
-        this.fileLoader.setResponseType('json');
+        this.fileLoader.setResponseType('text'); // JSON is parsed with parseJSONC
         /** @private */
         this.gltfLoader = new GLTFLoader();
         /** @private */
@@ -123,10 +124,14 @@ export class AssetManager {
                 break;
 
             case 'json':
-                this.fileLoader.setResponseType('json'); // Ensure correct type
+                // Loaded as text so commented JSON (e.g. level files) parses too
+                this.fileLoader.setResponseType('text');
                 loadPromise = new Promise((resolve, reject) => {
                     this.fileLoader.load(fullPath,
-                        (jsonData) => { resolve(jsonData); },
+                        (jsonText) => {
+                            try { resolve(parseJSONC(jsonText)); }
+                            catch (parseError) { reject(formatError('Failed to parse JSON', parseError, cleanedRelativePath)); }
+                        },
                         (xhr) => { this.eventEmitter.emit('assetLoadProgress', { path: cleanedRelativePath, loaded: xhr.loaded, total: xhr.total, progress: xhr.total > 0 ? xhr.loaded / xhr.total : 0 }); },
                         (error) => { reject(formatError('Failed to load JSON', error, cleanedRelativePath)); }
                     );
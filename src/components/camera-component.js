@@ -1,6 +1,6 @@
 // src/components/camera-component.js
-// @version 1.1.1 - Updated to use engineConfig for core defaults.
-// @previous 1.1.0 - Exclude rendererCamera and runtime properties from serialization
+// @version 1.2.0 - Added schema (validation and inspector fields); serialize() stays type-dependent.
+// @previous 1.1.1 - Updated to use engineConfig for core defaults.
 
 import { Component } from '../ecs/component.js';
 // --- MODIFIED IMPORT ---
@@ -8,8 +8,19 @@ import { engineConfig } from '../engine-config.js';
 // --- END MODIFICATION ---
 
 export class CameraComponent extends Component {
+    static schema = {
+        type: { type: 'enum', options: ['perspective', 'orthographic'], default: () => engineConfig.camera.type },
+        fov: { type: 'number', min: 1, max: 179, step: 1, default: () => engineConfig.camera.fov },
+        orthoSize: { type: 'number', min: 0.01, step: 0.1, default: () => engineConfig.camera.orthoSize },
+        near: { type: 'number', min: 0, step: 0.01, default: () => engineConfig.camera.near },
+        far: { type: 'number', min: 0, step: 0.01, default: () => engineConfig.camera.far },
+        isActive: { type: 'boolean', default: () => engineConfig.camera.initialActive },
+        aspect: { type: 'number', transient: true },
+        rendererCamera: { type: 'object', transient: true, default: null }
+    };
+
     constructor(data = {}) {
-        super();
+        super(data);
         // --- MODIFIED DEFAULTS ---
         // Use defaults from engineConfig if not provided
         this.type = data.type || engineConfig.camera.type; // 'perspective' or 'orthographic'
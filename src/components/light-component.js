@@ -1,6 +1,6 @@
 // src/components/light-component.js
-// @version 1.1.1 - Updated to use engineConfig for core defaults.
-// @previous 1.1.0 - Exclude rendererLight from serialization
+// @version 1.2.0 - Added schema (validation, inspector fields, serialization).
+// @previous 1.1.1 - Updated to use engineConfig for core defaults.
 
 import * as logger from '../utils/logger.js';
 import { Component } from '../ecs/component.js';
@@ -9,8 +9,19 @@ import { engineConfig } from '../engine-config.js';
 // --- END MODIFICATION ---
 
 export class LightComponent extends Component {
+    // Intensity has no schema default: the constructor picks one based on the light type.
+    static schema = {
+        type: { type: 'enum', options: ['directional', 'point', 'ambient'], default: () => engineConfig.light.type },
+        color: { type: 'color', default: () => engineConfig.light.color },
+        intensity: { type: 'number', min: 0, step: 0.01 },
+        distance: { type: 'number', min: 0, step: 0.1, default: () => engineConfig.light.distance },
+        decay: { type: 'number', min: 0, step: 0.01, default: () => engineConfig.light.decay },
+        castShadow: { type: 'boolean', default: () => engineConfig.light.castShadow },
+        rendererLight: { type: 'object', transient: true, default: null }
+    };
+
     constructor(data = {}) {
-        super();
+        super(data);
         // --- MODIFIED DEFAULTS ---
         // Use defaults from engineConfig if not provided
         this.type = data.type || engineConfig.light.type;
@@ -46,22 +57,4 @@ export class LightComponent extends Component {
         this.rendererLight = null;
         // logger.log("LightComponent removed, rendererLight reference cleared.");
     }
-
-    /**
-     * Serializes the component's persistent state.
-     * Explicitly excludes the runtime 'rendererLight'.
-     * @returns {object} Serializable state data.
-     */
-    serialize() {
-        // Return only the properties needed to reconstruct the component
-        return {
-            type: this.type,
-            color: this.color,
-            intensity: this.intensity,
-            distance: this.distance,
-            decay: this.decay,
-            castShadow: this.castShadow,
-            // DO NOT include this.rendererLight
-        };
-    }
 }
\ No newline at end of file
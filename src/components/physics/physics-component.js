@@ -1,42 +1,28 @@
 // src/components/physics/physics-component.js
-// @version 1.0.1 - Updated to use engineConfig for core defaults.
-// @previous 1.0.0 - Moved from core.js
+// @version 1.1.1 - bodyType accepts every name the physics system maps (fixed, kinematic, kinematicVelocityBased, ...).
+// @previous 1.1.0 - Declared as a schema component (construction/serialization/validation from schema).
+// @previous 1.0.1 - Updated to use engineConfig for core defaults.
 
 import { Component } from '../../ecs/component.js';
-// --- MODIFIED IMPORT ---
 import { engineConfig } from '../../engine-config.js';
-// --- END MODIFICATION ---
 
 export class PhysicsComponent extends Component {
-    constructor(data = {}) {
-        super();
-        // --- MODIFIED DEFAULTS ---
-        this.bodyType = data.bodyType ?? engineConfig.physics.bodyType;
-        this.density = data.density ?? engineConfig.physics.density;
-        this.restitution = data.restitution ?? engineConfig.physics.restitution;
-        this.friction = data.friction ?? engineConfig.physics.friction;
-        this.colliderType = data.colliderType ?? engineConfig.physics.colliderType;
-        // Ensure colliderSize is always an array, default based on engineConfig or fallback
-        this.colliderSize = Array.isArray(data.colliderSize) ? [...data.colliderSize] : (engineConfig.physics.colliderSize ? [...engineConfig.physics.colliderSize] : [0.5, 0.5, 0.5]);
-        this.linearDamping = data.linearDamping ?? engineConfig.physics.linearDamping;
-        this.angularDamping = data.angularDamping ?? engineConfig.physics.angularDamping;
-        this.ccdEnabled = data.ccdEnabled ?? engineConfig.physics.ccdEnabled;
-        this.isSensor = data.isSensor ?? engineConfig.physics.isSensor;
-        // --- END MODIFICATION ---
-    }
-
-    serialize() {
-        return {
-            bodyType: this.bodyType,
-            density: this.density,
-            restitution: this.restitution,
-            friction: this.friction,
-            colliderType: this.colliderType,
-            colliderSize: [...this.colliderSize], // Ensure array copy
-            linearDamping: this.linearDamping,
-            angularDamping: this.angularDamping,
-            ccdEnabled: this.ccdEnabled,
-            isSensor: this.isSensor,
-        };
-    }
-}
\ No newline at end of file
+    static schema = {
+        // Aliases are kept for existing scenes: 'fixed' = 'static', 'kinematic'/'kinematicPosition' = 'kinematicPositionBased'
+        bodyType: {
+            type: 'enum',
+            options: ['static', 'fixed', 'dynamic', 'kinematic', 'kinematicPosition', 'kinematicPositionBased', 'kinematicVelocity', 'kinematicVelocityBased'],
+            default: () => engineConfig.physics.bodyType
+        },
+        density: { type: 'number', min: 0, step: 0.01, default: () => engineConfig.physics.density },
+        restitution: { type: 'number', min: 0, step: 0.01, default: () => engineConfig.physics.restitution },
+        friction: { type: 'number', min: 0, step: 0.01, default: () => engineConfig.physics.friction },
+        colliderType: { type: 'enum', options: ['cuboid', 'ball', 'capsule'], default: () => engineConfig.physics.colliderType },
+        // 1-3 values depending on colliderType (ball: [radius], capsule: [halfHeight, radius], cuboid: [x, y, z])
+        colliderSize: { type: 'array', items: 'number', minLength: 1, maxLength: 3, default: () => engineConfig.physics.colliderSize || [0.5, 0.5, 0.5] },
+        linearDamping: { type: 'number', min: 0, step: 0.01, default: () => engineConfig.physics.linearDamping },
+        angularDamping: { type: 'number', min: 0, step: 0.01, default: () => engineConfig.physics.angularDamping },
+        ccdEnabled: { type: 'boolean', default: () => engineConfig.physics.ccdEnabled },
+        isSensor: { type: 'boolean', default: () => engineConfig.physics.isSensor }
+    };
+}
@@ -0,0 +1,30 @@
+// src/components/prefab-instance-component.js
+// @version 1.2.0 - Added removed/entries (entities deleted from an instance) and outerRoot/outerLocalId (nested instances).
+// @previous 1.1.0 - Added root/localId/overrides: every entity of an instance stays linked to its prefab entry.
+// @previous 1.0.0 - Initial implementation (links an instantiated prefab root to its prefab).
+
+import { Component } from '../ecs/component.js';
+
+/**
+ * Links an entity of a prefab instance to its entry in the prefab. Added by the PrefabManager
+ * to every entity it instantiates (and to the hierarchy a prefab is saved from). `overrides`
+ * lists, per component type, the fields edited on this entity; they keep their local values
+ * when the prefab changes. The instance root is the entity whose `root` is itself (or unset).
+ *
+ * Only used on instance roots: `entries` lists the prefab entries the instance had when it was
+ * last created or updated, and `removed` the ones deleted from it, which are not re-created.
+ * The root of a nested instance names the instance it is nested in (`outerRoot`) and its
+ * entry there (`outerLocalId`).
+ */
+export class PrefabInstanceComponent extends Component {
+    static schema = {
+        prefab: { type: 'string', default: '' },
+        root: { type: 'entity', default: null, inspector: false },
+        localId: { type: 'integer', nullable: true, default: null, inspector: false },
+        overrides: { type: 'object', default: () => ({}), inspector: false },
+        removed: { type: 'array', items: 'integer', default: () => [], inspector: false },
+        entries: { type: 'array', items: 'integer', default: () => [], inspector: false },
+        outerRoot: { type: 'entity', default: null, inspector: false },
+        outerLocalId: { type: 'integer', nullable: true, default: null, inspector: false }
+    };
+}
@@ -5,15 +5,16 @@ import { Component } from '../ecs/component.js';
 logger.log("[TagComponent Module] Loading..."); // Add log
 
 export class TagComponent extends Component {
+    static schema = {
+        tags: { type: 'array', items: 'string', default: ['test_tag'] }
+    };
+
     constructor(data = {}) {
-        super();
+        super(data);
         this.tags = data.tags || ['test_tag']; // Minimal valid data
         logger.log("[TagComponent] Constructed instance with tags:", this.tags);
     }
     // No other methods needed for this test
-    serialize() {
-        return { tags: [...this.tags] };
-    }
 }
 
 logger.log("[TagComponent Module] Loaded OK."); // Add log
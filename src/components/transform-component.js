@@ -1,11 +1,21 @@
 // src/components/transform-component.js
-// @version 1.1.0 - Added parent/children for hierarchy
+// @version 1.2.1 - Documented that position/rotation/scale are parent-relative (see TransformSystem).
+// @previous 1.2.0 - Added schema (validation, inspector fields, serialization).
 
 import { Component } from '../ecs/component.js';
 
 export class TransformComponent extends Component {
+    // Hierarchy fields are edited through EntityManager.setParent, not the inspector.
+    static schema = {
+        position: { type: 'vec3', step: 0.1, default: [0, 0, 0] },
+        rotation: { type: 'vec3', step: 1, default: [0, 0, 0] },
+        scale: { type: 'vec3', step: 0.1, default: [1, 1, 1] },
+        parent: { type: 'entity', default: null, inspector: false },
+        children: { type: 'object', transient: true }
+    };
+
     constructor(data = {}) {
-        super();
+        super(data);
         this.position = data.position ? [...data.position] : [0, 0, 0];
         this.rotation = data.rotation ? [...data.rotation] : [0, 0, 0]; // Assuming Euler angles (XYZ order)
         this.scale = data.scale ? [...data.scale] : [1, 1, 1];
@@ -16,9 +26,8 @@ export class TransformComponent extends Component {
         /** @type {Set<number>} A set of entity IDs of the direct children. Managed by EntityManager. */
         this.children = new Set(data.children || []); // Store as a Set for efficient add/delete
 
-        // Note: World matrix calculation will need to consider the parent transform.
-        // This is typically handled by a dedicated TransformSystem or within the RenderSystem.
-        // For now, we just store the relationship.
+        // Values are local (relative to `parent`). World transforms are computed by
+        // TransformSystem (engine.getSystem('transform')).
     }
 
     // --- Position ---
@@ -47,15 +56,5 @@ export class TransformComponent extends Component {
     // Internal method, prefer using EntityManager helpers
     _removeChild(childId) { this.children.delete(childId); }
 
-    // --- Serialization ---
-    serialize() {
-        return {
-            position: [...this.position],
-            rotation: [...this.rotation],
-            scale: [...this.scale],
-            parent: this.parent // Serialize parent relationship
-        };
-    }
-
     onRemove() { this.parent = null; this.children.clear(); }
 }
\ No newline at end of file
@@ -2,20 +2,10 @@
 import { Component } from '../ecs/component.js';
 
 export class VelocityDataComponent extends Component {
-    constructor(data = {}) {
-         super();
-        this.x = data.x ?? 0;
-        this.y = data.y ?? 0;
-        this.z = data.z ?? 0;
-        this.processed = data.processed || false; // Runtime state flag
-    }
-
-    // Override serialize to exclude runtime 'processed' flag
-    serialize() {
-        return {
-            x: this.x,
-            y: this.y,
-            z: this.z
-        };
-    }
-}
\ No newline at end of file
+    static schema = {
+        x: { type: 'number', default: 0 },
+        y: { type: 'number', default: 0 },
+        z: { type: 'number', default: 0 },
+        processed: { type: 'boolean', transient: true, default: false } // Runtime state flag
+    };
+}
@@ -1,16 +1,22 @@
 // src/core.js
-// @version 1.6.0 - Implemented fixed timestep for physics update.
-// @previous 1.5.8 - Call _updateSystemActivation after mode/state change in enterGameMode/enterEditorMode.
+// @version 1.20.1 - Kept play-mode entities are restored by hierarchy depth, so deep kept hierarchies stay intact.
+// @previous 1.20.0 - The PrefabManager gets the AssetManager (prefab libraries).
+// @previous 1.19.0 - destroy() stops the PrefabManager from recording instance overrides.
 
 import * as logger from './utils/logger.js';
 import { EventEmitter } from './utils/event-emitter.js';
 import { EntityManager } from './ecs/entity-manager.js';
-import { SystemManager } from './ecs/system-manager.js';
+import { SystemManager, SystemErrorPolicy } from './ecs/system-manager.js';
 import { ComponentRegistry } from './ecs/component-registry.js';
 import { AssetManager } from './asset/asset-manager.js';
 import { CommandManager } from './editor/command-manager.js';
 import { PrefabManager } from './ecs/prefab-manager.js';
+import { SceneManager } from './ecs/scene-manager.js';
+import { PluginManager } from './ecs/plugin-manager.js';
+import { CommandBuffer } from './ecs/command-buffer.js';
 import { engineConfig } from './engine-config.js';
+import { FrameProfiler } from './utils/frame-profiler.js';
+import { SeededRandom } from './utils/random.js';
 import { Component } from './ecs/component.js'; // Base component needed?
 
 // Core Components
@@ -21,6 +27,7 @@ import { CameraComponent } from './components/camera-component.js';
 import { LightComponent } from './components/light-component.js';
 import { TagComponent } from './components/tag-component.js';
 import { PhysicsComponent } from './components/physics/physics-component.js';
+import { PrefabInstanceComponent } from './components/prefab-instance-component.js';
 
 // Behavior Components
 import { SpinComponent } from './components/behaviors/spin-component.js';
@@ -32,15 +39,29 @@ import { GameState } from './systems/game-state-manager.js';
 const EDITOR_STATE_KEY = engineConfig.persistence.localStorageKey;
 
 // --- FIXED TIMESTEP CONSTANTS ---
-const FIXED_DELTA_TIME = 1 / 60; // Target 60 physics updates per second
+const FIXED_DELTA_TIME = 1 / 60; // Target 60 fixed updates (physics, gameplay) per second
 const MAX_ACCUMULATED_TIME = FIXED_DELTA_TIME * 5; // Prevent spiral of death if frame takes too long
+const MAX_FRAME_DELTA = 0.1; // Max real-time delta per frame (100ms)
 // --- END CONSTANTS ---
 
+/** @private Current time in milliseconds (performance.now() when available, e.g. not in every server runtime). */
+const now = () => (typeof performance !== 'undefined' && typeof performance.now === 'function' ? performance.now() : Date.now());
+
 export class Engine {
-    constructor(container) {
-        logger.log(`[Engine Constructor] START v1.6.0`); // Version increment
-        if (!container) throw new Error("Engine requires a container element.");
-        this.container = container;
+    /**
+     * @param {HTMLElement|null} container - The editor/game container element. May be omitted when `headless`.
+     * @param {object} [options={}]
+     * @param {boolean} [options.headless=false] - Run without a DOM: no container, no requestAnimationFrame loop
+     * and no editor state persistence. Drive the engine with `step()`/`advance()` and register a
+     * `NullRenderSystem` instead of `ThreeRenderSystem`.
+     */
+    constructor(container, options = {}) {
+        logger.log(`[Engine Constructor] START v1.10.0`); // Version increment
+        const { headless = false } = options;
+        if (!container && !headless) throw new Error("Engine requires a container element (or { headless: true }).");
+        /** @type {boolean} Whether the engine runs without a DOM (manual stepping only). */
+        this.headless = headless;
+        this.container = container ?? null;
         this.eventEmitter = new EventEmitter();
         this.componentRegistry = new ComponentRegistry();
         this.entityManager = new EntityManager(this.componentRegistry, this.eventEmitter);
@@ -48,28 +69,75 @@ export class Engine {
             basePath: engineConfig.assetManager.basePath
         });
         this.systemManager = new SystemManager(this.entityManager, this.eventEmitter, this);
+        this.systemManager.defaultErrorPolicy = engineConfig.systems?.defaultErrorPolicy ?? SystemErrorPolicy.DISABLE_SYSTEM;
+        /**
+         * Per-system frame timings (see `getProfile()`).
+         * @type {FrameProfiler}
+         */
+        this.profiler = new FrameProfiler(engineConfig.profiler);
+        this.systemManager.profiler = this.profiler;
+        /**
+         * Seeded random number generator. Gameplay code should draw from it instead of
+         * `Math.random()` so recorded sessions replay identically.
+         * @type {SeededRandom}
+         */
+        this.random = new SeededRandom(engineConfig.random?.seed ?? undefined);
+        /**
+         * When set, called at the start of every frame with the measured (unscaled) frame time;
+         * its return value is simulated instead. Session replay uses it to reproduce recorded frames.
+         * @type {((rawDeltaTime: number) => number)|null}
+         */
+        this.frameTimeOverride = null;
         this.commandManager = new CommandManager();
-        this.prefabManager = new PrefabManager(this.entityManager);
+        this.prefabManager = new PrefabManager(this.entityManager, { assetManager: this.assetManager });
+        /**
+         * Additively loaded scenes and their entities.
+         * @type {SceneManager}
+         */
+        this.sceneManager = new SceneManager(this.entityManager, this.eventEmitter);
+        /**
+         * Installed plugins (see `use()`).
+         * @type {PluginManager}
+         */
+        this.pluginManager = new PluginManager(this);
+        /**
+         * Queue for structural changes made during system updates, applied at sync points.
+         * @type {CommandBuffer}
+         */
+        this.deferred = new CommandBuffer(this);
 
         // --- MODIFIED: Added accumulator for fixed timestep ---
         this.time = {
             deltaTime: 0,           // Variable time since last frame (for rendering/non-physics)
+            rawDeltaTime: 0,        // Unscaled frame time of the current frame
             elapsed: 0,             // Total time elapsed
             lastFrameTime: 0,       // Timestamp of the last frame start
-            gameTimeScale: 1.0,     // Scale applied to variable AND fixed delta time
+            gameTimeScale: 1.0,     // Scale applied to frame time (slows down or speeds up the fixed steps too)
+            fixedDeltaTime: FIXED_DELTA_TIME, // Length of one fixed step
+            fixedSteps: 0,          // Fixed steps run during the current frame
+            alpha: 0,               // Interpolation factor between the last fixed step and the next (0..1)
             _accumulator: 0.0       // Accumulates frame time for fixed updates
         };
         // --- END MODIFICATION ---
 
         this.isRunning = false; this._rafId = null; this._loopCounter = 0;
+        /** @private Whether the loop was stopped by an error (see resumeAfterError). */
+        this._haltedByError = false;
         this._boundLoop = this._loop.bind(this); this.selectedEntityId = null;
         this.mode = 'editor'; // Default mode
 
+        /** @private @type {{scene: object, selectedEntityId: number|null, activeCameraId: number|null}|null} World captured on entering game mode. */
+        this._playModeSnapshot = null;
+        /** @private @type {Set<number>} Entities whose play-mode changes survive the return to the editor. */
+        this._keptPlayModeEntities = new Set();
+
         this._saveStateTimeout = null;
         this._debouncedSaveEditorState = () => { clearTimeout(this._saveStateTimeout); this._saveStateTimeout = setTimeout(() => this.saveEditorState(), 500); };
 
         this._registerCoreComponents();
         this._setupPersistenceListeners();
+        // Re-evaluate system activation rules whenever the game state changes (pause, menus, game over...)
+        this.eventEmitter.on('gameStateChanged', () => this._updateSystemActivation());
         logger.log("[Engine Constructor] END");
     }
 
@@ -83,6 +151,7 @@ export class Engine {
         this.componentRegistry.register('velocityData', VelocityDataComponent);
         this.componentRegistry.register('tag', TagComponent);
         this.componentRegistry.register('physics', PhysicsComponent);
+        this.componentRegistry.register('prefabInstance', PrefabInstanceComponent);
         this.componentRegistry.register('spin', SpinComponent);
         this.componentRegistry.register('playerControl', PlayerControlComponent);
         logger.log("Engine: Core components registered.");
@@ -98,8 +167,33 @@ export class Engine {
     getEventEmitter() { return this.eventEmitter; }
     getComponentRegistry() { return this.componentRegistry; }
     getPrefabManager() { return this.prefabManager; }
+    getSceneManager() { return this.sceneManager; }
+    getPluginManager() { return this.pluginManager; }
     getMode() { return this.mode; }
 
+    /**
+     * Subscribes to an engine event (shorthand for `getEventEmitter().on`), e.g.
+     * `engine.on('systemError', ({ system, stage, policy, message, stack }) => ...)`.
+     * @param {string} eventName
+     * @param {Function} handler
+     * @returns {this}
+     */
+    on(eventName, handler) {
+        this.eventEmitter?.on(eventName, handler);
+        return this;
+    }
+
+    /**
+     * Unsubscribes from an engine event (shorthand for `getEventEmitter().off`).
+     * @param {string} eventName
+     * @param {Function} [handler]
+     * @returns {this}
+     */
+    off(eventName, handler) {
+        this.eventEmitter?.off(eventName, handler);
+        return this;
+    }
+
     // --- Methods ---
     initialize() {
         logger.log("Engine: Initializing...");
@@ -111,9 +205,13 @@ export class Engine {
 
     run() {
         if (this.isRunning) return;
+        if (this.headless || typeof requestAnimationFrame !== 'function') {
+            logger.warn("Engine: run() needs requestAnimationFrame. In headless mode, drive the engine with step() or advance().");
+            return;
+        }
         logger.log("Engine: Starting main loop...");
         this.isRunning = true;
-        this.time.lastFrameTime = performance.now();
+        this.time.lastFrameTime = now();
         this.time._accumulator = 0; // Reset accumulator on start
         this._rafId = requestAnimationFrame(this._boundLoop);
     }
@@ -126,21 +224,183 @@ export class Engine {
         this._rafId = null;
     }
 
+    /**
+     * Installs a plugin: its component types, systems (with their activation rules), config
+     * overrides, editor panels and scene files; see `PluginManager.install`.
+     * @example
+     * await engine.use(breakoutPlugin, { config: { ball: { baseSpeed: 12 } } });
+     * @param {import('./ecs/plugin-manager.js').EnginePlugin} plugin
+     * @param {object} [options={}] - `config` overrides, plus anything the plugin's `install()` hook reads.
+     * @returns {Promise<boolean>} Whether the plugin was installed (failures are logged).
+     */
+    async use(plugin, options = {}) {
+        if (!this.pluginManager) { logger.error("Engine: PluginManager missing during use()."); return false; }
+        return this.pluginManager.install(plugin, options);
+    }
+
+    /**
+     * Uninstalls a plugin and everything it added; see `PluginManager.uninstall`.
+     * @param {string} name - The plugin name.
+     * @returns {boolean} `false` if it is not installed or another plugin depends on it.
+     */
+    uninstallPlugin(name) {
+        if (this.selectedEntityId !== null && !this.hasEntity(this.selectedEntityId)) this.selectEntity(null);
+        return this.pluginManager?.uninstall(name) ?? false;
+    }
+
+    /**
+     * @param {string} name - The plugin name.
+     * @returns {object|null} The config of an installed plugin, with the overrides passed to `use()` applied.
+     */
+    getPluginConfig(name) {
+        return this.pluginManager?.getConfig(name) ?? null;
+    }
+
+    /**
+     * Fetches a scene file bundled with a plugin and loads it; see `PluginManager.loadScene`.
+     * @param {string} pluginName
+     * @param {string} sceneName - Key in the plugin's `scenes`.
+     * @param {{name?: string, persistent?: boolean, additive?: boolean}} [options] - See `loadScene()`.
+     * @returns {Promise<import('./ecs/scene-manager.js').SceneHandle|null>}
+     */
+    loadPluginScene(pluginName, sceneName, options) {
+        return this.pluginManager?.loadScene(pluginName, sceneName, options) ?? Promise.resolve(null);
+    }
+
+    /**
+     * Loads a scene into the current world; see `SceneManager.loadScene`.
+     * @param {string|object} sceneData - Scene JSON (comments allowed) or the parsed object.
+     * @param {{name?: string, persistent?: boolean, additive?: boolean}} [options] - `additive: false` unloads
+     *   every non-persistent scene first.
+     * @returns {import('./ecs/scene-manager.js').SceneHandle|null}
+     */
+    loadScene(sceneData, options) {
+        return this.sceneManager?.loadScene(sceneData, options) ?? null;
+    }
+
+    /**
+     * Unloads a scene loaded with `loadScene`, deselecting its entities.
+     * @param {import('./ecs/scene-manager.js').SceneHandle|number} scene - The scene or its ID.
+     * @returns {boolean} `false` if the scene is not loaded.
+     */
+    unloadScene(scene) {
+        if (!this.sceneManager) return false;
+        if (this.selectedEntityId !== null && this.sceneManager.getSceneOf(this.selectedEntityId)?.id === (scene?.id ?? scene)) this.selectEntity(null);
+        return this.sceneManager.unloadScene(scene);
+    }
+
+    /**
+     * Returns frame profiling data: per-system timings for each lifecycle method (last, average
+     * and max over the profiler window, plus history), fixed steps per frame, entity and
+     * per-type component counts, and the renderer's draw statistics.
+     * @returns {import('./utils/frame-profiler.js').FrameProfile & {entities: number, components: Object<string, number>, renderer: object|null}}
+     */
+    getProfile() {
+        const profile = this.profiler.getSnapshot();
+        profile.entities = this.entityManager?.entities.size ?? 0;
+        profile.components = this.entityManager?.getComponentCounts() ?? {};
+        profile.renderer = this.getSystem('renderer')?.getRenderStats?.() ?? null;
+        return profile;
+    }
+
+    /**
+     * Recovers from system errors: clears the recorded errors, re-applies activation rules
+     * (re-activating systems disabled by an error) and restarts the loop if an error stopped it.
+     * @returns {string[]} Names of the systems whose error was cleared.
+     */
+    resumeAfterError() {
+        const cleared = this.systemManager?.clearErrors() ?? [];
+        this._updateSystemActivation();
+        if (this._haltedByError) {
+            this._haltedByError = false;
+            if (!this.headless) this.run();
+        }
+        logger.log(`Engine: Resumed after error (cleared: ${cleared.join(', ') || 'none'}).`);
+        return cleared;
+    }
+
+    /**
+     * Runs a single frame with the given (unscaled) frame time, without
+     * requestAnimationFrame. Works whether or not the loop is running, but is
+     * meant for headless use and tests.
+     * @param {number} [deltaTime=1/60] - Frame time in seconds.
+     * @returns {boolean} `false` if a system threw a critical error (the engine is stopped).
+     */
+    step(deltaTime = FIXED_DELTA_TIME) {
+        if (typeof deltaTime !== 'number' || !isFinite(deltaTime) || deltaTime < 0) {
+            logger.error(`Engine.step: Invalid deltaTime (${deltaTime}). Must be a non-negative number of seconds.`);
+            return false;
+        }
+        return this._tick(deltaTime);
+    }
+
+    /**
+     * Advances simulated time by running as many frames of `frameTime` as fit in `seconds`
+     * (plus one shorter frame for any remainder).
+     * @param {number} seconds - Simulated time to advance.
+     * @param {number} [frameTime=1/60] - Frame length in seconds.
+     * @returns {number} The number of frames run (stops early on a critical error).
+     */
+    advance(seconds, frameTime = FIXED_DELTA_TIME) {
+        if (typeof seconds !== 'number' || !isFinite(seconds) || seconds < 0 || !(frameTime > 0)) {
+            logger.error(`Engine.advance: Invalid arguments (seconds: ${seconds}, frameTime: ${frameTime}).`);
+            return 0;
+        }
+        let frames = 0;
+        let remaining = seconds;
+        while (remaining > 1e-9) {
+            const dt = Math.min(frameTime, remaining);
+            if (!this._tick(dt)) break;
+            remaining -= dt;
+            frames++;
+        }
+        return frames;
+    }
+
     /**
      * Engine's main loop using requestAnimationFrame.
-     * Implements a fixed timestep update for physics and variable timestep for others.
      * @param {DOMHighResTimeStamp} timestamp - The timestamp provided by requestAnimationFrame.
      * @private
      */
     _loop(timestamp) {
         if (!this.isRunning) return;
-        const now = performance.now();
+        const currentTime = now();
         // Calculate raw frame time, clamp max value
-        const rawDeltaTime = Math.min((now - this.time.lastFrameTime) / 1000, 0.1); // Max delta 100ms
-        this.time.lastFrameTime = now;
+        const rawDeltaTime = Math.min((currentTime - this.time.lastFrameTime) / 1000, MAX_FRAME_DELTA);
+        this.time.lastFrameTime = currentTime;
+
+        if (!this._tick(rawDeltaTime)) return; // Stopped on a critical error
+
+        this._loopCounter++;
+        this._rafId = requestAnimationFrame(this._boundLoop);
+    }
 
+    /**
+     * Runs one profiled frame.
+     * @param {number} rawDeltaTime - Unscaled frame time in seconds.
+     * @returns {boolean} `false` if a critical error stopped the engine.
+     * @private
+     */
+    _tick(rawDeltaTime) {
+        if (this.frameTimeOverride) rawDeltaTime = this.frameTimeOverride(rawDeltaTime);
+        this.profiler.beginFrame();
+        const ok = this._runFrame(rawDeltaTime);
+        this.profiler.endFrame({ fixedSteps: this.time.fixedSteps });
+        return ok;
+    }
+
+    /**
+     * Runs one frame: as many `fixedUpdate` steps as the accumulated (scaled) time allows,
+     * then the variable-rate `update` of every system.
+     * @param {number} rawDeltaTime - Unscaled frame time in seconds.
+     * @returns {boolean} `false` if a critical error stopped the engine.
+     * @private
+     */
+    _runFrame(rawDeltaTime) {
         // --- FIXED TIMESTEP LOGIC ---
+        this.time.rawDeltaTime = rawDeltaTime;
         const scaledDeltaTime = rawDeltaTime * this.time.gameTimeScale;
+        const fixedDeltaTime = this.time.fixedDeltaTime;
         this.time._accumulator += scaledDeltaTime;
 
         // Prevent spiral of death by capping accumulated time
@@ -149,63 +409,40 @@ export class Engine {
             this.time._accumulator = MAX_ACCUMULATED_TIME;
         }
 
-        const physicsSystem = this.getSystem('physics');
-        const fixedTimeStepScaled = FIXED_DELTA_TIME * this.time.gameTimeScale;
-        let physicsSteps = 0; // Counter for debug
-
-        // Run fixed updates (Physics) as many times as needed
-        while (this.time._accumulator >= fixedTimeStepScaled) {
-            if (physicsSystem && this.systemManager.isSystemActive('physics')) { // Check if system is active
-                try {
-                    // Pass the FIXED delta time to the physics system update
-                    physicsSystem.update({ deltaTime: fixedTimeStepScaled, elapsed: this.time.elapsed });
-                    physicsSteps++;
-                } catch (physicsError) {
-                    logger.error("[Engine Loop] CRITICAL ERROR during Physics Update:", physicsError);
-                    this.stop();
-                    // Display error... (omitted for brevity)
-                    return;
-                }
+        // Run fixed updates (physics, gameplay) as many times as needed. The step itself is
+        // not scaled: time scale changes how many steps run, so a scale of 0 pauses them.
+        this.time.fixedSteps = 0;
+        while (this.time._accumulator >= fixedDeltaTime) {
+            try {
+                this.time.deltaTime = fixedDeltaTime;
+                this.systemManager.fixedUpdate(this.time);
+            } catch (fixedError) {
+                logger.error("[Engine Loop] CRITICAL ERROR during Fixed Update:", fixedError);
+                this._haltedByError = true;
+                this.stop();
+                return false;
             }
-            this.time._accumulator -= fixedTimeStepScaled;
-            this.time.elapsed += fixedTimeStepScaled; // Increment total elapsed time by fixed steps
+            this.time._accumulator -= fixedDeltaTime;
+            this.time.elapsed += fixedDeltaTime; // Increment total elapsed time by fixed steps
+            this.time.fixedSteps++;
         }
-        // if (physicsSteps > 1) logger.log(`Physics steps this frame: ${physicsSteps}`); // Optional debug log
-
+        this.time.alpha = this.time._accumulator / fixedDeltaTime;
         // --- END FIXED TIMESTEP LOGIC ---
 
-        // --- Variable Update (Other Systems) ---
+        // --- Variable Update (All Systems) ---
         // Use the scaled raw delta time for systems that depend on frame rate (rendering, animations)
-        this.time.deltaTime = scaledDeltaTime; // Set the variable deltaTime for other systems
+        this.time.deltaTime = scaledDeltaTime;
 
         try {
-            // Temporarily deactivate physics system before calling systemManager.update
-            // to prevent it from running again with variable delta time.
-            const physicsWasActive = physicsSystem && this.systemManager.isSystemActive('physics');
-            let originalPhysicsActiveState = false;
-            if (physicsSystem) {
-                originalPhysicsActiveState = physicsSystem.active; // Store original state
-                physicsSystem.active = false; // Deactivate temporarily
-            }
-
-            // Run other systems (rendering, input, behaviors etc.)
             this.systemManager.update(this.time);
-
-            // Reactivate physics system if it was active before
-            if (physicsSystem) {
-                 physicsSystem.active = originalPhysicsActiveState; // Restore original state
-            }
-
         } catch (error) {
             logger.error("[Engine Loop] CRITICAL ERROR during Variable Update:", error);
-            this.stop();
-            // Display error... (omitted for brevity)
-            return; // Stop loop execution
+            this._haltedByError = true;
+            this.stop(); // The editor's error overlay offers to resume (resumeAfterError)
+            return false; // Stop loop execution
         }
         // --- END Variable Update ---
-
-        this._loopCounter++;
-        this._rafId = requestAnimationFrame(this._boundLoop);
+        return true;
     }
 
 
@@ -215,8 +452,8 @@ export class Engine {
         this.stop();
         if (this.eventEmitter) { this.eventEmitter.off('entitySelected', this._debouncedSaveEditorState); this.eventEmitter.off('cameraTransformChanged', this._debouncedSaveEditorState); }
         clearTimeout(this._saveStateTimeout);
-        this.systemManager?.cleanupAll(); this.commandManager?.clear(); this.entityManager?.clear(); this.assetManager?.clear(); this.eventEmitter?.offAll();
-        this.container = null; this.entityManager = null; this.systemManager = null; this.componentRegistry = null; this.eventEmitter = null; this.assetManager = null; this.commandManager = null; this.prefabManager = null; this.time = null;
+        this.pluginManager?.uninstallAll(); this.deferred?.clear(); this.systemManager?.cleanupAll(); this.sceneManager?.destroy(); this.prefabManager?.destroy(); this.commandManager?.clear(); this.entityManager?.clear(); this.assetManager?.clear(); this.eventEmitter?.offAll();
+        this.container = null; this.entityManager = null; this.systemManager = null; this.componentRegistry = null; this.eventEmitter = null; this.assetManager = null; this.commandManager = null; this.prefabManager = null; this.sceneManager = null; this.pluginManager = null; this.deferred = null; this.frameTimeOverride = null; this.time = null;
         logger.log("Engine: Destroyed.");
     }
 
@@ -253,7 +490,8 @@ export class Engine {
 
     removeEntity(id) {
         // ... (unchanged) ...
-        if (!this.entityManager || !this.hasEntity(id)) return false;
+        if (!this.entityManager || !this.isAlive(id)) return false;
+        if (typeof id === 'object') id = id.id; // Resolve handle
         const wasSelected = (this.selectedEntityId === id);
         const success = this.entityManager.removeEntity(id);
         if (success && wasSelected) { this.selectEntity(null); } else if (!success) { logger.error(`Engine: Failed to remove entity ${id} via EntityManager.`); }
@@ -262,7 +500,8 @@ export class Engine {
 
     addComponent(entityId, type, data = {}) {
         // ... (unchanged) ...
-        if (!this.entityManager?.hasEntity(entityId)) { logger.warn(`Engine: AddComponent called on missing entity ${entityId}.`); return null; }
+        if (!this.entityManager?.isAlive(entityId)) { logger.warn(`Engine: AddComponent called on missing or stale entity ${entityId?.id ?? entityId}.`); return null; }
+        if (typeof entityId === 'object') entityId = entityId.id; // Resolve handle
         if (!this.componentRegistry?.has(type)) { logger.warn(`Engine: Component type '${type}' not registered.`); return null; }
         const source = data.source || 'engine'; const componentData = { ...data }; delete componentData.source;
         const componentInstance = this.entityManager.addComponent(entityId, type, componentData);
@@ -291,6 +530,43 @@ export class Engine {
         return this.entityManager?.hasEntity(entityId) ?? false;
     }
 
+    /**
+     * Activates or deactivates an entity and its descendants; see `EntityManager.setActive`.
+     * @param {number | import('./ecs/entity-manager.js').EntityHandle} entityId - The entity ID or handle.
+     * @param {boolean} active
+     * @returns {boolean} `false` if the entity does not exist.
+     */
+    setEntityActive(entityId, active) {
+        return this.entityManager?.setActive(entityId, active) ?? false;
+    }
+
+    /**
+     * Checks whether an entity and all its ancestors are active; see `EntityManager.isActive`.
+     * @param {number | import('./ecs/entity-manager.js').EntityHandle} entityId - The entity ID or handle.
+     * @returns {boolean}
+     */
+    isEntityActive(entityId) {
+        return this.entityManager?.isActive(entityId) ?? false;
+    }
+
+    /**
+     * Returns a generational handle for an entity; see `EntityManager.getHandle`.
+     * @param {number} entityId - The entity ID.
+     * @returns {import('./ecs/entity-manager.js').EntityHandle | null}
+     */
+    getEntityHandle(entityId) {
+        return this.entityManager?.getHandle(entityId) ?? null;
+    }
+
+    /**
+     * Checks whether an entity ID or handle still refers to a live entity; see `EntityManager.isAlive`.
+     * @param {number | import('./ecs/entity-manager.js').EntityHandle} entityOrHandle
+     * @returns {boolean}
+     */
+    isAlive(entityOrHandle) {
+        return this.entityManager?.isAlive(entityOrHandle) ?? false;
+    }
+
     selectEntity(id) {
         // ... (unchanged) ...
         if (this.mode !== 'editor') { return; }
@@ -307,6 +583,7 @@ export class Engine {
         // ... (unchanged) ...
         if (this.mode === 'game') return;
         logger.log("Engine: Entering Game Mode...");
+        this._capturePlayModeSnapshot();
         this.selectEntity(null); this.mode = 'game';
         const gameStateManager = this.getSystem('gameStateManager');
         if (gameStateManager) { logger.log("[Engine] Calling gameStateManager.setState(GameState.PLAYING)..."); gameStateManager.setState(GameState.PLAYING); logger.log("[Engine] gameStateManager.setState call returned."); this._updateSystemActivation(); } else { logger.warn("Engine: GameStateManager not found. Cannot set game state. Updating activation based on mode."); this._updateSystemActivation(); }
@@ -323,29 +600,114 @@ export class Engine {
         this.mode = 'editor'; this.time.gameTimeScale = 1.0;
         const gameStateManager = this.getSystem('gameStateManager');
         if (gameStateManager) { logger.log("[Engine] Calling gameStateManager.setState(GameState.EDITOR)..."); gameStateManager.setState(GameState.EDITOR); logger.log("[Engine] gameStateManager.setState call returned."); this._updateSystemActivation(); } else { logger.warn("Engine: GameStateManager not found. Cannot set game state. Updating activation based on mode."); this._updateSystemActivation(); }
+        const snapshot = this._playModeSnapshot;
+        this.deferred.clear(); // Pending game-mode changes must not leak into the restored scene
+        this._restorePlayModeSnapshot();
         this.container?.classList.remove('mode-game'); this.container?.classList.add('mode-editor');
         logger.log("[Engine] Emitting editorModeEntered event..."); this.eventEmitter.emit('editorModeEntered');
         this.loadEditorState();
+        if (snapshot) this.selectEntity(this.hasEntity(snapshot.selectedEntityId) ? snapshot.selectedEntityId : null);
         logger.log("Engine: Editor Mode Entered.");
     }
 
+    /**
+     * Marks an entity whose play-mode changes should be kept when returning to the editor.
+     * Without this, the entity is reset to its pre-play state like the rest of the world.
+     * Entities created during play can be kept as well. The list is reset on every Play.
+     * @param {number} entityId - The entity to keep (or stop keeping).
+     * @param {boolean} [keep=true] - `false` to remove the entity from the keep list.
+     * @returns {boolean} `true` if the keep list was updated.
+     */
+    keepPlayModeChanges(entityId, keep = true) {
+        if (this.mode !== 'game') { logger.warn(`Engine: keepPlayModeChanges(${entityId}) is only available in game mode.`); return false; }
+        if (keep) {
+            if (!this.hasEntity(entityId)) { logger.warn(`Engine: keepPlayModeChanges called for missing entity ${entityId}.`); return false; }
+            this._keptPlayModeEntities.add(entityId);
+        } else {
+            this._keptPlayModeEntities.delete(entityId);
+        }
+        return true;
+    }
+
+    /**
+     * Checks whether an entity's play-mode changes are marked to be kept.
+     * @param {number} entityId - The entity ID.
+     * @returns {boolean}
+     */
+    isKeepingPlayModeChanges(entityId) {
+        return this._keptPlayModeEntities.has(entityId);
+    }
+
+    /** @private Captures the world, selection and active camera before play starts. */
+    _capturePlayModeSnapshot() {
+        this._keptPlayModeEntities.clear();
+        this._playModeSnapshot = null;
+        if (!engineConfig.playMode.restoreSceneOnStop || !this.entityManager) return;
+        try {
+            this._playModeSnapshot = {
+                scene: this.entityManager.createSnapshot(),
+                scenes: this.sceneManager.createSnapshot(),
+                selectedEntityId: this.selectedEntityId,
+                activeCameraId: this.getSystem('renderer')?.activeCameraEntityId ?? null
+            };
+            logger.log(`Engine: Captured play-mode snapshot (${this._playModeSnapshot.scene.entities.length} entities).`);
+        } catch (error) {
+            logger.error("Engine: Failed to capture play-mode snapshot. Play-mode changes will be kept.", error);
+            this._playModeSnapshot = null;
+        }
+    }
+
+    /**
+     * @private Restores the world captured by `_capturePlayModeSnapshot`, then re-applies
+     * the current state of entities marked with `keepPlayModeChanges`.
+     */
+    _restorePlayModeSnapshot() {
+        const snapshot = this._playModeSnapshot;
+        this._playModeSnapshot = null;
+        if (!snapshot || !this.entityManager) { this._keptPlayModeEntities.clear(); return; }
+
+        const depthOf = (id) => { let depth = 0; for (let parent = this.entityManager.getComponent(id, 'transform')?.parent; parent != null; parent = this.entityManager.getComponent(parent, 'transform')?.parent) depth++; return depth; };
+        const depths = new Map();
+        const keptStates = [];
+        this._keptPlayModeEntities.forEach(id => { const state = this.entityManager.getEntityState(id); if (state) { keptStates.push(state); depths.set(id, depthOf(id)); } });
+        this._keptPlayModeEntities.clear();
+        // Parents before children (by hierarchy depth), so restored parent links find their target
+        keptStates.sort((a, b) => depths.get(a.id) - depths.get(b.id));
+
+        logger.log(`Engine: Restoring play-mode snapshot (${snapshot.scene.entities.length} entities, keeping ${keptStates.length}).`);
+        if (!this.entityManager.restoreSnapshot(snapshot.scene)) {
+            logger.warn("Engine: Play-mode snapshot restored with errors.");
+        }
+        this.sceneManager.restoreSnapshot(snapshot.scenes);
+        for (const state of keptStates) {
+            if (this.entityManager.restoreEntityState(state)) {
+                this.eventEmitter.emit('entityRestored', { id: state.id, state });
+            } else {
+                logger.warn(`Engine: Failed to keep play-mode changes for entity ${state.id}.`);
+            }
+        }
+
+        const rendererSystem = this.getSystem('renderer');
+        const cameraId = snapshot.activeCameraId;
+        if (rendererSystem && cameraId !== null && this.hasEntity(cameraId) && rendererSystem.activeCameraEntityId !== cameraId) {
+            const cameraObject = rendererSystem.entityObjects?.get(cameraId)?.threeObject;
+            if (cameraObject) rendererSystem._activateCamera(cameraId, cameraObject);
+        }
+        this.eventEmitter.emit('playModeSnapshotRestored', { entityCount: snapshot.scene.entities.length, keptEntityIds: keptStates.map(s => s.id) });
+    }
+
+    /**
+     * Activates/deactivates systems for the current game state and mode, using the
+     * activation rule each system declares (`runIn`) or that was set with
+     * `systemManager.setActivationRule()`.
+     * @private
+     */
     _updateSystemActivation() {
-        // ... (unchanged) ...
         if (!this.systemManager) return;
-        const allSystems = this.systemManager.getSystemNames(); const gameStateManager = this.getSystem('gameStateManager');
+        const gameStateManager = this.getSystem('gameStateManager');
         const currentState = gameStateManager?.getState() ?? (this.mode === 'game' ? GameState.PLAYING : GameState.EDITOR);
-        allSystems.forEach(name => {
-            const system = this.systemManager.get(name); if (!system) { logger.warn(`_updateSystemActivation: System '${name}' not found.`); return; }
-            let shouldBeActive = false;
-            if (name === 'gameStateManager' || name === 'inputManager' || name === 'renderer') { shouldBeActive = true; }
-            else if (name === 'editorGizmo') { shouldBeActive = (currentState === GameState.EDITOR); }
-            else if (name === 'physics' || name === 'spin' || name === 'playerControl') { shouldBeActive = (currentState !== GameState.EDITOR); }
-            else if (name === 'breakoutLogic' || name === 'gameUI' || name === 'input') { shouldBeActive = (currentState === GameState.PLAYING); }
-            else { shouldBeActive = (currentState !== GameState.EDITOR); }
-            const state = this.systemManager.systemStates.get(name);
-            if (state && state.isInitialized) { if (this.systemManager.isSystemActive(name) !== shouldBeActive) { this.systemManager.setSystemActive(name, shouldBeActive); } }
-            else if (!state) { logger.warn(`_updateSystemActivation: State not found for system '${name}'.`); }
-        });
+        const changed = this.systemManager.applyActivation(currentState, this.mode);
+        if (changed.length > 0) logger.log(`[Engine] System activation updated for state '${currentState}' (mode '${this.mode}'):`, changed);
     }
 
     _setupPersistenceListeners() {
@@ -358,18 +720,35 @@ export class Engine {
 
     saveEditorState() {
         // ... (unchanged) ...
-        if (this.mode !== 'editor') return;
+        if (this.mode !== 'editor' || this.headless) return;
         try { const rendererSystem = this.getSystem('renderer'); const activeCameraId = rendererSystem?.activeCameraEntityId; let cameraState = null; if (activeCameraId !== null && this.hasEntity(activeCameraId)) { const camTransform = this.getComponent(activeCameraId, 'transform'); if (camTransform) { cameraState = { position: camTransform.getPosition(), rotation: camTransform.getRotation() }; } } const state = { selectedEntityId: this.selectedEntityId, activeCameraId: activeCameraId, cameraTransform: cameraState }; localStorage.setItem(EDITOR_STATE_KEY, JSON.stringify(state)); } catch (error) { logger.error("Failed to save editor state:", error); }
     }
 
     loadEditorState() {
         // ... (unchanged) ...
-        if (this.mode !== 'editor') return;
+        if (this.mode !== 'editor' || this.headless) return;
         try { const savedState = localStorage.getItem(EDITOR_STATE_KEY); if (!savedState) { return; } const state = JSON.parse(savedState); const rendererSystem = this.getSystem('renderer'); const activeCameraId = state.activeCameraId; if (rendererSystem && activeCameraId !== null && this.hasEntity(activeCameraId) && state.cameraTransform) { const camComp = this.getComponent(activeCameraId, 'camera'); const camTransform = this.getComponent(activeCameraId, 'transform'); if(camComp && camTransform) { this.addComponent(activeCameraId, 'transform', { position: state.cameraTransform.position, rotation: state.cameraTransform.rotation, source: 'loadEditorState' }); const cameraObject = rendererSystem.entityObjects.get(activeCameraId)?.threeObject; const shouldBeActive = camComp.isActive === undefined || camComp.isActive; if (shouldBeActive) { if (cameraObject && rendererSystem.activeCameraEntityId !== activeCameraId) { rendererSystem._activateCamera(activeCameraId, cameraObject); } else if (rendererSystem.activeCameraEntityId === activeCameraId && rendererSystem.orbitControls) { rendererSystem.orbitControls.update(); } } } else { logger.warn(`Cannot restore camera transform: Camera component or Transform component missing for entity ${activeCameraId}.`); } } else if (activeCameraId !== null) { } let entityToSelect = null; if (state.selectedEntityId !== undefined && state.selectedEntityId !== null) { if(this.hasEntity(state.selectedEntityId)) { entityToSelect = state.selectedEntityId; } else { } } this.selectEntity(entityToSelect); } catch (error) { logger.error("Failed to load editor state:", error); }
     }
 
 } // End Engine Class
 
-export function createEngine(container) {
-    return new Engine(container);
+/**
+ * Creates an engine.
+ * @param {HTMLElement|null} container - The container element (may be `null` when headless).
+ * @param {object} [options={}] - Engine options (see `Engine` constructor).
+ * @returns {Engine}
+ */
+export function createEngine(container, options = {}) {
+    return new Engine(container, options);
+}
+
+/**
+ * Creates an engine without a DOM, for automated tests and server-side simulation.
+ * Register systems as usual (use `NullRenderSystem` as 'renderer'), then call
+ * `engine.initialize()`, `engine.enterGameMode()` and drive it with `engine.step(dt)`
+ * or `engine.advance(seconds)`.
+ * @returns {Engine}
+ */
+export function createHeadlessEngine() {
+    return new Engine(null, { headless: true });
 }
@@ -0,0 +1,179 @@
+// src/ecs/command-buffer.js - Deferred structural changes
+// @version 1.0.1 - flush() swaps the queue out instead of shift()ing it (linear in the number of commands).
+// @previous 1.0.0 - Initial implementation (queued create/remove entity, add/remove component).
+
+import * as logger from '../utils/logger.js';
+
+/**
+ * Placeholder returned by `CommandBuffer.createEntity()`. It can be passed to the
+ * other buffer methods before the entity exists; `id` is filled in when the buffer
+ * is flushed (and stays `null` if creation failed).
+ * @typedef {object} DeferredEntity
+ * @property {number|null} id - The created entity ID, once flushed.
+ * @property {true} deferred - Marks the object as a placeholder.
+ */
+
+/**
+ * Queues structural world changes (creating/removing entities, adding/removing
+ * components) made while systems iterate, and applies them later at a sync point.
+ *
+ * Available as `engine.deferred`. The SystemManager flushes it before the first
+ * system and after each system's update, and the engine flushes it after every
+ * fixed physics step, so component events are emitted at those points instead of
+ * in the middle of another system's loop. Commands are applied in the order they
+ * were queued; commands queued while flushing (e.g. by event listeners) are
+ * applied in the same flush.
+ *
+ * @example
+ * for (const id of query) {
+ *     if (isDead(id)) engine.deferred.removeEntity(id); // Safe during iteration
+ * }
+ *
+ * @class CommandBuffer
+ */
+export class CommandBuffer {
+    /**
+     * @param {import('../core.js').Engine} engine - The engine used to apply the commands.
+     */
+    constructor(engine) {
+        /** @private */
+        this.engine = engine;
+        /** @private @type {Array<{op: string, args: Array<*>}>} */
+        this._commands = [];
+        /** @private */
+        this._isFlushing = false;
+        /** @private @type {Array<{op: string, args: Array<*>}> | null} The batch being applied by `flush()`. */
+        this._batch = null;
+        /** @private */
+        this._batchIndex = 0;
+    }
+
+    /**
+     * The number of queued commands.
+     * @type {number}
+     */
+    get size() { return this._commands.length + (this._batch ? this._batch.length - this._batchIndex : 0); }
+
+    /**
+     * Queues the creation of an entity (applied through `engine.createEntity`).
+     * @param {string} [typeHint='Entity'] - Entity type hint.
+     * @param {object} [options={}] - Component data, as for `engine.createEntity`.
+     * @returns {DeferredEntity} A placeholder usable in later buffer calls.
+     * @method createEntity
+     */
+    createEntity(typeHint = 'Entity', options = {}) {
+        const placeholder = { id: null, deferred: true };
+        this._commands.push({ op: 'createEntity', args: [placeholder, typeHint, options] });
+        return placeholder;
+    }
+
+    /**
+     * Queues the removal of an entity (and its children).
+     * @param {number|import('./entity-manager.js').EntityHandle|DeferredEntity} entity - The entity.
+     * @returns {this}
+     * @method removeEntity
+     */
+    removeEntity(entity) {
+        this._commands.push({ op: 'removeEntity', args: [entity] });
+        return this;
+    }
+
+    /**
+     * Queues adding or updating a component.
+     * @param {number|import('./entity-manager.js').EntityHandle|DeferredEntity} entity - The entity.
+     * @param {string} componentType - The component type.
+     * @param {object} [data={}] - Component data.
+     * @returns {this}
+     * @method addComponent
+     */
+    addComponent(entity, componentType, data = {}) {
+        this._commands.push({ op: 'addComponent', args: [entity, componentType, data] });
+        return this;
+    }
+
+    /**
+     * Queues removing a component.
+     * @param {number|import('./entity-manager.js').EntityHandle|DeferredEntity} entity - The entity.
+     * @param {string} componentType - The component type.
+     * @returns {this}
+     * @method removeComponent
+     */
+    removeComponent(entity, componentType) {
+        this._commands.push({ op: 'removeComponent', args: [entity, componentType] });
+        return this;
+    }
+
+    /**
+     * Applies all queued commands in order. Commands targeting entities that no
+     * longer exist (e.g. removed earlier in the same flush) are skipped.
+     * Re-entrant calls (from listeners during a flush) are ignored; their commands
+     * are picked up by the running flush.
+     * @returns {number} The number of commands applied.
+     * @method flush
+     */
+    flush() {
+        if (this._isFlushing || this._commands.length === 0) return 0;
+        this._isFlushing = true;
+        let applied = 0;
+        try {
+            while (this._commands.length > 0) {
+                // Commands queued while applying this batch go to a fresh queue, handled by the next pass
+                this._batch = this._commands;
+                this._commands = [];
+                for (this._batchIndex = 0; this._batchIndex < this._batch.length; this._batchIndex++) {
+                    const command = this._batch[this._batchIndex];
+                    try {
+                        if (this._apply(command)) applied++;
+                    } catch (error) {
+                        logger.error(`[CommandBuffer] Error applying deferred '${command.op}':`, error);
+                    }
+                }
+            }
+        } finally {
+            this._isFlushing = false;
+            this._batch = null;
+            this._batchIndex = 0;
+        }
+        return applied;
+    }
+
+    /**
+     * Drops all queued commands without applying them.
+     * @returns {void}
+     * @method clear
+     */
+    clear() {
+        this._commands.length = 0;
+        if (this._batch) this._batch.length = 0; // Called during a flush: drop the rest of the batch too
+    }
+
+    /** @private */
+    _resolve(entity) {
+        if (entity && typeof entity === 'object' && entity.deferred) return entity.id;
+        return entity;
+    }
+
+    /** @private */
+    _apply({ op, args }) {
+        const engine = this.engine;
+        if (!engine?.entityManager) return false;
+        if (op === 'createEntity') {
+            const [placeholder, typeHint, options] = args;
+            placeholder.id = engine.createEntity(typeHint, options);
+            return placeholder.id !== null;
+        }
+        const entity = this._resolve(args[0]);
+        if (entity === null || entity === undefined || !engine.isAlive(entity)) {
+            logger.log(`[CommandBuffer] Skipping deferred '${op}': entity ${entity?.id ?? entity} no longer exists.`);
+            return false;
+        }
+        switch (op) {
+            case 'removeEntity': return engine.removeEntity(entity);
+            case 'addComponent': return !!engine.addComponent(entity, args[1], args[2]);
+            case 'removeComponent': return !!engine.removeComponent(entity, args[1]);
+            default:
+                logger.warn(`[CommandBuffer] Unknown deferred operation '${op}'.`);
+                return false;
+        }
+    }
+}
@@ -1,10 +1,12 @@
 // src/ecs/component-registry.js - Component type registration
-// @version 1.1.0 - Added JSDoc documentation
+// @version 1.2.0 - Expose component schemas (getSchema, validate, createDefaults).
+// @previous 1.1.0 - Added JSDoc documentation
 
 // Import base class for type hinting in JSDoc.
 // Ensures that registered components ideally inherit from Component.
 import * as logger from '../utils/logger.js';
 import { Component } from './component.js';
+import { validateComponentData, getFieldDefault } from './component-schema.js';
 
 /**
  * Manages the registration and retrieval of component constructors (classes).
@@ -15,6 +17,10 @@ import { Component } from './component.js';
  * EntityManager, to dynamically create instances of components based on scene data
  * or editor actions without needing hardcoded references to every component class.
  *
+ * Components that declare a `static schema` (see `component-schema.js`) also get
+ * data validation (`validate`), default values (`createDefaults`) and schema lookup
+ * (`getSchema`), used by the EntityManager and the editor inspector.
+ *
  * @class ComponentRegistry
  */
 export class ComponentRegistry {
@@ -129,4 +135,53 @@ export class ComponentRegistry {
     getComponentTypeNames() {
         return Array.from(this.componentTypes.keys());
     }
+
+    /**
+     * Retrieves the normalized schema of a registered component type.
+     *
+     * @param {string} name - The component type name.
+     * @returns {Object<string, import('./component-schema.js').SchemaField>|null} The schema, or `null` if the type is unknown or declares no schema.
+     * @method getSchema
+     * @memberof ComponentRegistry
+     * @instance
+     */
+    getSchema(name) {
+        return Component.getSchema(this.componentTypes.get(name));
+    }
+
+    /**
+     * Validates component data against the type's schema. Only the fields present
+     * in `data` are checked, so this works for both new components and partial updates.
+     * Types without a schema always validate.
+     *
+     * @param {string} name - The component type name.
+     * @param {object} data - The component data to check.
+     * @returns {{valid: boolean, data: object, errors: string[], warnings: string[]}} `data` holds the normalized data with invalid fields removed.
+     * @method validate
+     * @memberof ComponentRegistry
+     * @instance
+     */
+    validate(name, data = {}) {
+        const schema = this.getSchema(name);
+        if (!schema) return { valid: true, data: { ...data }, errors: [], warnings: [] };
+        const result = validateComponentData(schema, data);
+        return { valid: result.errors.length === 0, ...result };
+    }
+
+    /**
+     * Builds an object holding the default value of every schema field of a type.
+     *
+     * @param {string} name - The component type name.
+     * @returns {object|null} The defaults, or `null` if the type has no schema.
+     * @method createDefaults
+     * @memberof ComponentRegistry
+     * @instance
+     */
+    createDefaults(name) {
+        const schema = this.getSchema(name);
+        if (!schema) return null;
+        const defaults = {};
+        for (const [key, field] of Object.entries(schema)) defaults[key] = getFieldDefault(field);
+        return defaults;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,238 @@
+// src/ecs/component-schema.js - Declarative component field schemas
+// @version 1.0.0 - Initial implementation (field types, defaults, validation, serialization).
+
+import * as logger from '../utils/logger.js';
+
+/**
+ * Supported schema field types.
+ * - `number` / `integer`: finite numbers, optional `min`/`max` (values are clamped) and `step` (inspector hint).
+ * - `boolean`, `string`.
+ * - `vec2` / `vec3` / `vec4`: fixed-length arrays of finite numbers.
+ * - `color`: hex color number (0x000000-0xffffff). '#rrggbb' strings are converted.
+ * - `enum`: one of `options`.
+ * - `entity`: an entity ID reference (non-negative integer) or `null`.
+ * - `asset`: an asset path string or `null`, optional `extensions` filter.
+ * - `array`: an array, optional `items` (a primitive field type for every element), `minLength`/`maxLength`.
+ * - `object`: any non-null object (not edited by the inspector).
+ */
+export const FieldType = Object.freeze({
+    NUMBER: 'number',
+    INTEGER: 'integer',
+    BOOLEAN: 'boolean',
+    STRING: 'string',
+    VEC2: 'vec2',
+    VEC3: 'vec3',
+    VEC4: 'vec4',
+    COLOR: 'color',
+    ENUM: 'enum',
+    ENTITY: 'entity',
+    ASSET: 'asset',
+    ARRAY: 'array',
+    OBJECT: 'object'
+});
+
+const VECTOR_SIZES = { vec2: 2, vec3: 3, vec4: 4 };
+const KNOWN_TYPES = new Set(Object.values(FieldType));
+
+/**
+ * A single field definition inside a component schema.
+ * @typedef {object} SchemaField
+ * @property {string} type - One of `FieldType`.
+ * @property {*|function(): *} [default] - Default value, or a function returning it (evaluated per instance, e.g. to read `engineConfig`).
+ * @property {number} [min] - Minimum for number/integer fields.
+ * @property {number} [max] - Maximum for number/integer fields.
+ * @property {number} [step] - Inspector step hint for numeric fields.
+ * @property {string[]} [options] - Allowed values for enum fields.
+ * @property {string} [items] - Element type for array fields.
+ * @property {number} [minLength] - Minimum length for array fields.
+ * @property {number} [maxLength] - Maximum length for array fields.
+ * @property {string[]} [extensions] - Allowed file extensions for asset fields (e.g. ['.glb', '.gltf']).
+ * @property {boolean} [nullable=false] - Whether `null` is a valid value (always true for entity/asset).
+ * @property {boolean} [serialize=true] - `false` to leave the field out of saved scenes.
+ * @property {boolean} [transient=false] - Runtime-only field: not serialized, not validated, not shown in the inspector.
+ * @property {boolean} [inspector=true] - `false` to hide the field from the inspector.
+ * @property {string} [label] - Inspector label (defaults to the field name).
+ */
+
+/**
+ * Normalizes a schema declaration. Fields may be declared with a type string
+ * shorthand (`{ speed: 'vec3' }`). Fields with unknown types are reported and
+ * treated as `object`.
+ * @param {Object<string, SchemaField|string>} schema - The raw schema.
+ * @param {string} [componentName='component'] - Name used in log messages.
+ * @returns {Object<string, SchemaField>} A frozen, normalized schema.
+ */
+export function normalizeSchema(schema, componentName = 'component') {
+    const normalized = {};
+    for (const [key, rawField] of Object.entries(schema || {})) {
+        const field = typeof rawField === 'string' ? { type: rawField } : { ...rawField };
+        if (!KNOWN_TYPES.has(field.type)) {
+            logger.error(`[ComponentSchema] Field '${componentName}.${key}' has unknown type '${field.type}'. Treating as 'object'.`);
+            field.type = FieldType.OBJECT;
+        }
+        if (field.type === FieldType.ENUM && (!Array.isArray(field.options) || field.options.length === 0)) {
+            logger.error(`[ComponentSchema] Enum field '${componentName}.${key}' declares no options.`);
+            field.options = [];
+        }
+        if (field.type === FieldType.ENTITY || field.type === FieldType.ASSET) field.nullable = true;
+        normalized[key] = Object.freeze(field);
+    }
+    return Object.freeze(normalized);
+}
+
+/** @private Deep-copies arrays and plain objects so defaults and stored values are never shared. */
+function cloneValue(value) {
+    if (Array.isArray(value)) return value.map(cloneValue);
+    if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, cloneValue(v)]));
+    }
+    return value;
+}
+
+/**
+ * Returns a fresh default value for a field.
+ * @param {SchemaField} field - The field definition.
+ * @returns {*} The default value.
+ */
+export function getFieldDefault(field) {
+    if (field.default !== undefined) {
+        return cloneValue(typeof field.default === 'function' ? field.default() : field.default);
+    }
+    switch (field.type) {
+        case FieldType.NUMBER: case FieldType.INTEGER: return Math.max(0, field.min ?? 0);
+        case FieldType.BOOLEAN: return false;
+        case FieldType.STRING: return '';
+        case FieldType.VEC2: case FieldType.VEC3: case FieldType.VEC4: return new Array(VECTOR_SIZES[field.type]).fill(0);
+        case FieldType.COLOR: return 0xffffff;
+        case FieldType.ENUM: return field.options?.[0] ?? null;
+        case FieldType.ARRAY: return [];
+        default: return null; // entity, asset, object
+    }
+}
+
+/**
+ * Validates (and where safe, normalizes) one value against a field definition.
+ * Numbers outside `min`/`max` are clamped and reported as a warning.
+ * @param {SchemaField} field - The field definition.
+ * @param {*} value - The value to check.
+ * @returns {{valid: boolean, value?: *, error?: string, warning?: string}} The outcome; `value` is the normalized value when valid.
+ */
+export function validateField(field, value) {
+    if (value === null && field.nullable) return { valid: true, value: null };
+    const isFiniteNumber = (v) => typeof v === 'number' && isFinite(v);
+    switch (field.type) {
+        case FieldType.NUMBER:
+        case FieldType.INTEGER: {
+            if (!isFiniteNumber(value)) return { valid: false, error: `expected a finite number, got ${JSON.stringify(value)}` };
+            if (field.type === FieldType.INTEGER && !Number.isInteger(value)) return { valid: false, error: `expected an integer, got ${value}` };
+            let clamped = value;
+            if (typeof field.min === 'number' && clamped < field.min) clamped = field.min;
+            if (typeof field.max === 'number' && clamped > field.max) clamped = field.max;
+            return clamped === value ? { valid: true, value } : { valid: true, value: clamped, warning: `${value} clamped to ${clamped}` };
+        }
+        case FieldType.BOOLEAN:
+            return typeof value === 'boolean' ? { valid: true, value } : { valid: false, error: `expected a boolean, got ${JSON.stringify(value)}` };
+        case FieldType.STRING:
+            return typeof value === 'string' ? { valid: true, value } : { valid: false, error: `expected a string, got ${JSON.stringify(value)}` };
+        case FieldType.VEC2:
+        case FieldType.VEC3:
+        case FieldType.VEC4: {
+            const size = VECTOR_SIZES[field.type];
+            if (!Array.isArray(value) || value.length !== size || !value.every(isFiniteNumber)) {
+                return { valid: false, error: `expected an array of ${size} finite numbers, got ${JSON.stringify(value)}` };
+            }
+            return { valid: true, value: [...value] };
+        }
+        case FieldType.COLOR: {
+            let color = value;
+            if (typeof color === 'string' && /^#?[0-9a-fA-F]{6}$/.test(color)) color = parseInt(color.replace('#', ''), 16);
+            if (!Number.isInteger(color) || color < 0 || color > 0xffffff) return { valid: false, error: `expected a hex color (0x000000-0xffffff), got ${JSON.stringify(value)}` };
+            return { valid: true, value: color };
+        }
+        case FieldType.ENUM:
+            return field.options.includes(value) ? { valid: true, value } : { valid: false, error: `expected one of [${field.options.join(', ')}], got ${JSON.stringify(value)}` };
+        case FieldType.ENTITY:
+            return Number.isInteger(value) && value >= 0 ? { valid: true, value } : { valid: false, error: `expected an entity ID or null, got ${JSON.stringify(value)}` };
+        case FieldType.ASSET: {
+            if (typeof value !== 'string' || value.trim() === '') return { valid: false, error: `expected an asset path or null, got ${JSON.stringify(value)}` };
+            if (Array.isArray(field.extensions) && !field.extensions.some(ext => value.toLowerCase().endsWith(ext.toLowerCase()))) {
+                return { valid: false, error: `expected a path ending in ${field.extensions.join(' / ')}, got '${value}'` };
+            }
+            return { valid: true, value };
+        }
+        case FieldType.ARRAY: {
+            if (!Array.isArray(value)) return { valid: false, error: `expected an array, got ${JSON.stringify(value)}` };
+            if (typeof field.minLength === 'number' && value.length < field.minLength) return { valid: false, error: `expected at least ${field.minLength} elements, got ${value.length}` };
+            if (typeof field.maxLength === 'number' && value.length > field.maxLength) return { valid: false, error: `expected at most ${field.maxLength} elements, got ${value.length}` };
+            if (field.items) {
+                for (let i = 0; i < value.length; i++) {
+                    const itemResult = validateField({ type: field.items }, value[i]);
+                    if (!itemResult.valid) return { valid: false, error: `element ${i}: ${itemResult.error}` };
+                }
+            }
+            return { valid: true, value: cloneValue(value) };
+        }
+        case FieldType.OBJECT:
+            return value !== null && typeof value === 'object' ? { valid: true, value } : { valid: false, error: `expected an object, got ${JSON.stringify(value)}` };
+        default:
+            return { valid: false, error: `unknown field type '${field.type}'` };
+    }
+}
+
+/**
+ * Validates the fields present in a component data object. Fields missing from
+ * `data` are left alone (so partial updates validate), keys not in the schema are
+ * passed through unchanged, and transient fields are not checked.
+ * @param {Object<string, SchemaField>} schema - A normalized schema.
+ * @param {object} data - Component data (constructor input or update).
+ * @returns {{data: object, errors: string[], warnings: string[]}} `data` with invalid fields removed and values normalized.
+ */
+export function validateComponentData(schema, data) {
+    const result = { data: { ...data }, errors: [], warnings: [] };
+    for (const [key, field] of Object.entries(schema)) {
+        if (field.transient || !Object.prototype.hasOwnProperty.call(data, key) || data[key] === undefined) continue;
+        const outcome = validateField(field, data[key]);
+        if (!outcome.valid) {
+            result.errors.push(`'${key}': ${outcome.error}`);
+            delete result.data[key];
+            continue;
+        }
+        if (outcome.warning) result.warnings.push(`'${key}': ${outcome.warning}`);
+        result.data[key] = outcome.value;
+    }
+    return result;
+}
+
+/**
+ * Assigns every schema field on a component instance, taking values from `data`
+ * when present and valid, otherwise from the field default.
+ * @param {object} target - The component instance.
+ * @param {Object<string, SchemaField>} schema - A normalized schema.
+ * @param {object} [data={}] - Initialization data.
+ * @returns {void}
+ */
+export function applySchema(target, schema, data = {}) {
+    for (const [key, field] of Object.entries(schema)) {
+        const provided = data[key];
+        if (provided === undefined) { target[key] = getFieldDefault(field); continue; }
+        if (field.transient) { target[key] = provided; continue; }
+        const outcome = validateField(field, provided);
+        target[key] = outcome.valid ? outcome.value : getFieldDefault(field);
+    }
+}
+
+/**
+ * Builds the persistent state of a component from its schema: every field that is
+ * neither transient nor marked `serialize: false`, with arrays copied.
+ * @param {object} source - The component instance.
+ * @param {Object<string, SchemaField>} schema - A normalized schema.
+ * @returns {object} A plain serializable object.
+ */
+export function serializeWithSchema(source, schema) {
+    const out = {};
+    for (const [key, field] of Object.entries(schema)) {
+        if (field.transient || field.serialize === false) continue;
+        out[key] = cloneValue(source[key]);
+    }
+    return out;
+}
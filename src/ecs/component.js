@@ -1,7 +1,8 @@
 import * as logger from '../utils/logger.js';
+import { normalizeSchema, applySchema, serializeWithSchema } from './component-schema.js';
 // src/ecs/component.js
-// @version 1.2.2 - Improved serialize() base method error message.
-// @previous 1.2.1 - Enhanced JSDoc comments for clarity and standards.
+// @version 1.4.0 - `enabled` flag and onEnable/onDisable hooks (see EntityManager.setComponentEnabled/setActive).
+// @previous 1.3.0 - Schema-driven construction and serialization via `static schema`.
 
 /**
  * Abstract base class for all components within the Entity-Component-System (ECS) architecture.
@@ -11,13 +12,24 @@ import * as logger from '../utils/logger.js';
  *
  * Lifecycle hooks (`onAdd`, `onRemove`, `onUpdate` [optional]) can be implemented
  * to react to the component being added to, removed from, or updated on an entity
- * via the `EntityManager`.
+ * via the `EntityManager`. `onEnable`/`onDisable` are called when an attached component
+ * becomes active or inactive: it is active while it is `enabled` and its entity is
+ * active in the hierarchy (see `EntityManager.setActive`).
  *
- * Subclasses **must** define their specific data properties in their constructor.
- * Subclasses **must** override the `serialize` method to return a plain JavaScript
- * object representing only the component's persistent state, suitable for saving
- * and loading scenes. Failure to override `serialize` will result in a runtime error log
- * and potentially incorrect scene saving/loading.
+ * Subclasses either declare a `static schema` (see `component-schema.js`) or define
+ * their data properties in their constructor and override `serialize`.
+ * With a schema, the base constructor initializes every field from the constructor
+ * data (falling back to field defaults) and the base `serialize` returns all
+ * non-transient fields, so simple data components need neither method:
+ *
+ * ```js
+ * export class HealthComponent extends Component {
+ *     static schema = { current: { type: 'number', min: 0, default: 100 } };
+ * }
+ * ```
+ *
+ * Components without a schema **must** override `serialize`. Failure to do so will
+ * result in a runtime error log and potentially incorrect scene saving/loading.
  *
  * @class Component
  * @abstract
@@ -26,10 +38,32 @@ export class Component {
     /**
      * Creates an instance of the base Component class.
      * Subclasses should call `super()` within their own constructors.
+     * If the subclass declares a `static schema`, all schema fields are initialized
+     * from `data` (invalid or missing values use the field default).
+     * @param {object} [data={}] - Initialization data, used only for schema fields.
      * @constructor
      */
-    constructor() {
-        // Base class constructor. Subclasses define their properties here.
+    constructor(data = {}) {
+        const schema = Component.getSchema(new.target);
+        if (schema) applySchema(this, schema, data || {});
+    }
+
+    /**
+     * Returns the normalized schema declared by a component class via `static schema`,
+     * or `null` if it declares none. Subclasses inherit their parent's schema unless
+     * they declare their own. The normalized form is cached per class.
+     * @param {typeof Component} componentClass - The component class.
+     * @returns {Object<string, import('./component-schema.js').SchemaField>|null}
+     * @static
+     * @method getSchema
+     * @memberof Component
+     */
+    static getSchema(componentClass) {
+        if (!componentClass?.schema) return null;
+        if (!Object.prototype.hasOwnProperty.call(componentClass, '_normalizedSchema')) {
+            Object.defineProperty(componentClass, '_normalizedSchema', { value: normalizeSchema(componentClass.schema, componentClass.name) });
+        }
+        return componentClass._normalizedSchema;
     }
 
     /**
@@ -83,12 +117,53 @@ export class Component {
         // logger.log(`Component ${this.constructor.name} updated with data:`, updateData);
 		}
 
+    /**
+     * Whether the component is enabled. Disabled components stay attached but are treated
+     * as absent by queries and renderers. Change it with `EntityManager.setComponentEnabled()`.
+     * @type {boolean}
+     * @readonly
+     */
+    get enabled() {
+        return this._enabled !== false;
+    }
+
+    /**
+     * Optional lifecycle hook called by the EntityManager when the attached component
+     * becomes active: it is enabled again while its entity is active, or its entity
+     * (or an ancestor) is activated while it is enabled. Not called when the component is added.
+     *
+     * @returns {void}
+     * @virtual
+     * @method onEnable
+     * @memberof Component
+     * @instance
+     */
+    onEnable() {
+        // Default implementation does nothing. Subclasses can override this.
+    }
+
+    /**
+     * Optional lifecycle hook called by the EntityManager when the attached component
+     * becomes inactive (disabled, or its entity or an ancestor deactivated).
+     * Not called when the component is removed; see `onRemove`.
+     *
+     * @returns {void}
+     * @virtual
+     * @method onDisable
+     * @memberof Component
+     * @instance
+     */
+    onDisable() {
+        // Default implementation does nothing. Subclasses can override this.
+    }
+
     /**
      * Retrieves a plain JavaScript object representation of the component's
      * persistent state, suitable for serialization (e.g., saving to JSON).
      *
-     * **Subclasses MUST override this method.** Failure to do so will result in a
-     * console error and incorrect serialization. The override should return a plain object
+     * Components with a `static schema` get a default implementation returning every
+     * non-transient schema field. **Other subclasses MUST override this method.**
+     * Failure to do so will result in a console error and incorrect serialization. The override should return a plain object
      * containing only the data needed to reconstruct the component's state, excluding
      * runtime references (like DOM elements, renderer objects) or transient data.
      *
@@ -99,6 +174,9 @@ export class Component {
      * @instance
      */
     serialize() {
+        const schema = Component.getSchema(this.constructor);
+        if (schema) return serializeWithSchema(this, schema);
+
         // --- MODIFIED ERROR MESSAGE ---
         // This base implementation should NOT be used directly.
         // It logs an error to alert developers they forgot to override it.
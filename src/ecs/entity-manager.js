@@ -1,12 +1,25 @@
 // src/ecs/entity-manager.js
-// @version 1.5.2 - Pass 'source' property in componentAdded/entityUpdated events.
-// @previous 1.5.1 - Fixed ReferenceError in event emission within addComponent.
+// @version 1.14.0 - importEntities() accepts an `idMap` of references to entities outside the data.
+// @previous 1.13.0 - markChanged() for in-place component mutations; feeds the `changed` query filter.
 
 import * as logger from '../utils/logger.js';
 import { TransformComponent } from '../components/transform-component.js';
 import { Component } from './component.js';
 import { ComponentRegistry } from './component-registry.js';
 import { EventEmitter } from '../utils/event-emitter.js';
+import { Query } from './query.js';
+import { SceneMigrations } from './scene-migrations.js';
+import { parseJSONC } from '../utils/jsonc.js';
+
+/**
+ * A reference to a specific incarnation of an entity. The numeric `id` can be reused
+ * (scene reload, delete + undo); the `generation` changes every time it is, so a
+ * cached handle can tell it no longer points at the entity it was taken from.
+ * Scene files keep storing plain numeric IDs.
+ * @typedef {object} EntityHandle
+ * @property {number} id - The numeric entity ID.
+ * @property {number} generation - The generation of the ID when the handle was taken.
+ */
 
 /**
  * Manages entities and their associated components within the ECS architecture.
@@ -39,6 +52,24 @@ export class EntityManager {
         this.entityComponents = new Map();
         /** @private @type {Map<string, Set<number>>} */
         this.componentEntityMap = new Map();
+        /** @private @type {Set<Query>} Live queries kept up to date on structural changes. */
+        this._queries = new Set();
+        /** @private @type {Map<number, number>} Entity ID -> generation, bumped each time the ID is (re)created. Survives clear(). */
+        this.entityGenerations = new Map();
+        /** @private @type {Set<number>} Entities deactivated with `setActive(id, false)` */
+        this._inactiveSelf = new Set();
+        /** @private @type {Set<number>} Entities that are inactive themselves or below an inactive ancestor */
+        this._inactiveInHierarchy = new Set();
+        /**
+         * Scene format migration steps, run automatically by `deserialize()`.
+         * @type {SceneMigrations}
+         */
+        this.migrations = new SceneMigrations();
+        /**
+         * Report from the most recent `deserialize()` migration pass, or `null`.
+         * @type {import('./scene-migrations.js').MigrationReport | null}
+         */
+        this.lastMigrationReport = null;
     }
 
     /**
@@ -60,17 +91,20 @@ export class EntityManager {
         this.nextEntityId = id + 1;
         this.entities.add(id);
         this.entityComponents.set(id, new Map());
+        this._bumpGeneration(id);
+        this._refreshQueries(id);
         // logger.log(`[EM] Created Entity: ${id}. Next ID: ${this.nextEntityId}`);
         return id;
     }
 
     /**
      * Removes an entity and all its components, handling hierarchy and component cleanup.
-     * @param {number} entityId - The ID of the entity to remove.
+     * @param {number | EntityHandle} entityId - The ID (or handle) of the entity to remove.
      * @returns {boolean} `true` if removed successfully, `false` otherwise.
      * @method removeEntity
      */
     removeEntity(entityId) {
+        entityId = this._resolveEntity(entityId, 'RemoveEntity');
         // --- Validation ---
         if (typeof entityId !== 'number' || !isFinite(entityId)) {
             logger.warn(`[EM RemoveEntity] Invalid entity ID type provided: ${entityId}. Removal aborted.`);
@@ -132,6 +166,9 @@ export class EntityManager {
             // Final removal from core maps
             this.entityComponents.delete(entityId);
             this.entities.delete(entityId);
+            this._inactiveSelf.delete(entityId);
+            this._inactiveInHierarchy.delete(entityId);
+            this._refreshQueries(entityId);
 
             // logger.log(`[EM] Successfully removed Entity: ${entityId}`); // Keep commented unless debugging removal
             this.eventEmitter?.emit('entityRemoved', { id: entityId });
@@ -143,6 +180,9 @@ export class EntityManager {
             this.entityComponents.delete(entityId);
             this.entities.delete(entityId);
             this._cleanupEntityFromComponentMap(entityId);
+            this._inactiveSelf.delete(entityId);
+            this._inactiveInHierarchy.delete(entityId);
+            this._refreshQueries(entityId);
             return false;
         }
     }
@@ -157,15 +197,62 @@ export class EntityManager {
         return typeof entityId === 'number' && isFinite(entityId) && this.entities.has(entityId);
     }
 
+    /**
+     * Returns a generational handle for a live entity. Cache handles instead of raw IDs
+     * when the reference must survive scene reloads or undo/redo.
+     * @param {number} entityId - The entity ID.
+     * @returns {EntityHandle | null} A frozen handle, or `null` if the entity does not exist.
+     * @method getHandle
+     */
+    getHandle(entityId) {
+        if (!this.hasEntity(entityId)) return null;
+        return Object.freeze({ id: entityId, generation: this.entityGenerations.get(entityId) ?? 0 });
+    }
+
+    /**
+     * Checks whether an entity reference still points at a live entity. Plain IDs only
+     * need to exist; handles must also match the current generation of their ID.
+     * @param {number | EntityHandle} entityOrHandle - An entity ID or handle.
+     * @returns {boolean} `true` if the referenced entity is alive.
+     * @method isAlive
+     */
+    isAlive(entityOrHandle) {
+        if (typeof entityOrHandle === 'number') return this.hasEntity(entityOrHandle);
+        if (!entityOrHandle || typeof entityOrHandle !== 'object') return false;
+        const { id, generation } = entityOrHandle;
+        return this.hasEntity(id) && this.entityGenerations.get(id) === generation;
+    }
+
+    /** @private Marks a new incarnation of an entity ID, invalidating older handles. */
+    _bumpGeneration(entityId) {
+        this.entityGenerations.set(entityId, (this.entityGenerations.get(entityId) ?? 0) + 1);
+    }
+
+    /**
+     * @private Normalizes an entity ID or handle to a numeric ID. Stale handles resolve
+     * to `null` (with a warning) so they can never address a recycled ID.
+     * @param {number | EntityHandle} entityOrHandle - An entity ID or handle.
+     * @param {string} context - Caller name used in the warning.
+     * @returns {number | null | *} The numeric ID, `null` for a stale handle, or the input unchanged if it is not a handle.
+     */
+    _resolveEntity(entityOrHandle, context) {
+        if (typeof entityOrHandle !== 'object' || entityOrHandle === null) return entityOrHandle;
+        if (this.isAlive(entityOrHandle)) return entityOrHandle.id;
+        logger.warn(`[EM ${context}] Stale entity handle (id ${entityOrHandle.id}, generation ${entityOrHandle.generation}). Ignoring.`);
+        return null;
+    }
+
     /**
      * Adds or updates a component for a given entity.
-     * @param {number} entityId - The ID of the entity.
+     * @param {number | EntityHandle} entityId - The ID (or handle) of the entity.
      * @param {string} componentType - The registered name of the component type.
      * @param {object} [data={}] - Data to initialize or update the component. Can include internal `source` property.
+     * Fields that fail the component's schema (if any) are skipped with a warning.
      * @returns {Component | null} The component instance, or `null` on failure.
      * @method addComponent
      */
     addComponent(entityId, componentType, data = {}) {
+        entityId = this._resolveEntity(entityId, 'AddComponent');
         // --- Validation ---
         if (typeof entityId !== 'number' || !isFinite(entityId)) {
             logger.error(`[EM AddComponent] Invalid entity ID type: ${entityId}.`);
@@ -191,9 +278,19 @@ export class EntityManager {
 
         // Extract source and clean data
         const source = data.source || 'unknown'; // Default source if not provided
-        const componentData = { ...data };
+        let componentData = { ...data };
         delete componentData.source; // Remove internal source property before passing to constructor/update
 
+        // Schema validation: invalid fields are dropped (constructor default / current value is kept)
+        const validation = this.componentRegistry.validate(componentType, componentData);
+        if (validation.errors.length > 0) {
+            logger.warn(`[EM AddComponent ${entityId}] Invalid data for '${componentType}' ignored: ${validation.errors.join('; ')}`);
+        }
+        if (validation.warnings.length > 0) {
+            logger.warn(`[EM AddComponent ${entityId}] Adjusted data for '${componentType}': ${validation.warnings.join('; ')}`);
+        }
+        componentData = validation.data;
+
         try {
             if (isNewComponent) {
                 // Pass cleaned data without 'source'
@@ -258,6 +355,9 @@ export class EntityManager {
              }
         }
 
+        if (isNewComponent) this._refreshQueries(entityId, componentType);
+        else this._notifyChanged(entityId, componentType);
+
         // Pass the original source to events
         this.eventEmitter?.emit('componentAdded', { entityId, componentType: componentType, component: component, isNew: isNewComponent, source: source });
         // Pass cleaned data + source to entityUpdated
@@ -268,12 +368,13 @@ export class EntityManager {
 
     /**
      * Removes a component from an entity.
-     * @param {number} entityId - The ID of the entity.
+     * @param {number | EntityHandle} entityId - The ID (or handle) of the entity.
      * @param {string} componentType - The type name of the component to remove.
      * @returns {boolean} `true` if removed successfully, `false` otherwise.
      * @method removeComponent
      */
     removeComponent(entityId, componentType) {
+        entityId = this._resolveEntity(entityId, 'RemoveComponent');
         // --- Validation ---
         if (typeof entityId !== 'number' || !isFinite(entityId)) {
             logger.warn(`[EM RemoveComponent] Invalid entity ID type: ${entityId}.`);
@@ -319,6 +420,7 @@ export class EntityManager {
         // Remove component from maps
         components.delete(componentType);
         this._removeComponentFromEntityMap(entityId, componentType);
+        this._refreshQueries(entityId, componentType);
 
         // Emit events AFTER successful removal
         this.eventEmitter?.emit('componentRemoved', { entityId, componentType: componentType });
@@ -328,13 +430,238 @@ export class EntityManager {
     }
 
     // ... (getComponent, hasComponent, getComponents, getEntitiesWithComponent, getEntitiesWithComponents unchanged) ...
-    getComponent(entityId, componentType) { return this.hasEntity(entityId) ? this.entityComponents.get(entityId)?.get(componentType) || null : null; }
-    hasComponent(entityId, componentType) { return this.hasEntity(entityId) ? this.entityComponents.get(entityId)?.has(componentType) ?? false : false; }
+    getComponent(entityId, componentType) { entityId = this._resolveEntity(entityId, 'GetComponent'); return this.hasEntity(entityId) ? this.entityComponents.get(entityId)?.get(componentType) || null : null; }
+    hasComponent(entityId, componentType) { entityId = this._resolveEntity(entityId, 'HasComponent'); return this.hasEntity(entityId) ? this.entityComponents.get(entityId)?.has(componentType) ?? false : false; }
     getComponents(entityId) { if (!this.hasEntity(entityId)) return []; const map = this.entityComponents.get(entityId); return map ? Array.from(map.values()) : []; }
     getEntitiesWithComponent(componentType) { if (typeof componentType !== 'string' || componentType.trim() === '') { logger.warn(`[EM GetEntitiesWithComponent] Invalid component type: '${componentType}'.`); return []; } return Array.from(this.componentEntityMap.get(componentType) || []); }
     getEntitiesWithComponents(componentTypes) { if (!Array.isArray(componentTypes)) { logger.warn("[EM GetEntitiesWithComponents] Input must be an array of component type strings."); return []; } if (componentTypes.length === 0) return Array.from(this.entities); if (!componentTypes.every(type => typeof type === 'string' && type.trim() !== '')) { logger.warn("[EM GetEntitiesWithComponents] Input array contains invalid component type strings."); return []; } let smallestSet = null; let smallestSize = Infinity; for (const type of componentTypes) { const set = this.componentEntityMap.get(type); if (!set || set.size === 0) return []; if (set.size < smallestSize) { smallestSize = set.size; smallestSet = set; } } return smallestSet ? Array.from(smallestSet).filter(id => componentTypes.every(type => this.hasComponent(id, type))) : []; }
 
 
+    /**
+     * Creates a persistent query whose result set is kept up to date as components
+     * are added and removed and entities are destroyed. Prefer this over calling
+     * `getEntitiesWithComponents` every frame. Call `query.destroy()` when done.
+     *
+     * @example
+     * const query = entityManager.createQuery({ all: ['spin', 'transform'], none: ['physics'] });
+     * query.onEnter(id => logger.log(`Entity ${id} started spinning`));
+     * for (const id of query.entities) { ... }
+     *
+     * @param {import('./query.js').QueryDescriptor} descriptor - The component filters.
+     * @returns {Query | null} The query, or `null` if the descriptor is invalid.
+     * @method createQuery
+     */
+    createQuery(descriptor = {}) {
+        if (typeof descriptor !== 'object' || descriptor === null) { logger.error("[EM CreateQuery] Descriptor must be an object { all, any, none, changed }."); return null; }
+        for (const key of ['all', 'any', 'none', 'changed']) {
+            const types = descriptor[key];
+            if (types === undefined) continue;
+            if (!Array.isArray(types) || !types.every(type => typeof type === 'string' && type.trim() !== '')) {
+                logger.error(`[EM CreateQuery] '${key}' must be an array of component type strings.`, types);
+                return null;
+            }
+        }
+        const query = new Query(this, descriptor);
+        // Seed from the smallest 'all' set when possible, otherwise test every entity
+        let candidates = this.entities;
+        for (const type of query.all) {
+            const set = this.componentEntityMap.get(type) || new Set();
+            if (set.size < candidates.size) candidates = set;
+        }
+        for (const id of candidates) { if (query.matches(id)) query.entities.add(id); }
+        this._queries.add(query);
+        return query;
+    }
+
+    /** @private Called by `Query.destroy()`. */
+    _removeQuery(query) { this._queries.delete(query); }
+
+    /**
+     * @private Re-evaluates live queries for an entity after a structural change.
+     * @param {number} entityId - The changed entity.
+     * @param {string} [componentType] - The component type that changed; omit to refresh every query.
+     */
+    _refreshQueries(entityId, componentType) {
+        for (const query of this._queries) {
+            if (componentType === undefined || query.involves(componentType)) query._refresh(entityId);
+        }
+    }
+
+    /**
+     * Reports a component that was mutated in place (`score.lives--`), which the EntityManager
+     * cannot detect by itself; changes made through `addComponent` are reported automatically.
+     * Queries with a `changed` filter on the type pick the entity up, and `entityUpdated` is
+     * emitted as for `addComponent` updates, so the inspector and other listeners refresh.
+     * @example
+     * score.points += 10;
+     * entityManager.markChanged(id, 'score', { fields: ['points'] });
+     * @param {number | EntityHandle} entityId - The entity ID (or handle).
+     * @param {string} componentType - The component type name.
+     * @param {object} [options={}]
+     * @param {string[]} [options.fields] - Names of the changed fields; their current values become the event's `properties`.
+     * @param {string} [options.source='markChanged'] - Source identifier for the `entityUpdated` event.
+     * @returns {boolean} `false` if the entity does not have the component.
+     * @method markChanged
+     */
+    markChanged(entityId, componentType, { fields, source = 'markChanged' } = {}) {
+        entityId = this._resolveEntity(entityId, 'MarkChanged');
+        const component = this.getComponent(entityId, componentType);
+        if (!component) { logger.warn(`[EM MarkChanged ${entityId}] Component '${componentType}' not found.`); return false; }
+        this._notifyChanged(entityId, componentType);
+        const properties = Array.isArray(fields) ? Object.fromEntries(fields.map(key => [key, component[key]])) : {};
+        this.eventEmitter?.emit('entityUpdated', { id: entityId, componentType, properties, removed: false, source });
+        return true;
+    }
+
+    /**
+     * @private Adds an entity to `changedEntities` of the queries tracking the component type.
+     * @param {number} entityId - The changed entity.
+     * @param {string} componentType - The changed component type.
+     */
+    _notifyChanged(entityId, componentType) {
+        for (const query of this._queries) {
+            if (query.tracksChanges(componentType)) query._markChanged(entityId);
+        }
+    }
+
+    /**
+     * Activates or deactivates an entity. An inactive entity keeps its components but is
+     * skipped by queries (and so by the systems iterating them) and by the renderers; so are
+     * its descendants in the transform hierarchy. The enabled components of every entity whose
+     * effective state changes get `onEnable()`/`onDisable()`, and `entityActiveChanged`
+     * ({ id, active }) is emitted for it.
+     * @param {number | EntityHandle} entityId - The entity ID (or handle).
+     * @param {boolean} active - `false` to deactivate the entity and its descendants.
+     * @returns {boolean} `false` if the entity does not exist.
+     * @method setActive
+     */
+    setActive(entityId, active) {
+        entityId = this._resolveEntity(entityId, 'SetActive');
+        if (!this.hasEntity(entityId)) { logger.warn(`[EM SetActive] Entity ${entityId} not found.`); return false; }
+        if (active) this._inactiveSelf.delete(entityId);
+        else this._inactiveSelf.add(entityId);
+        this._updateActiveInHierarchy(entityId);
+        return true;
+    }
+
+    /**
+     * Checks whether an entity is active in the hierarchy: neither it nor any of its
+     * ancestors has been deactivated.
+     * @param {number | EntityHandle} entityId - The entity ID (or handle).
+     * @returns {boolean} `false` for inactive or missing entities.
+     * @method isActive
+     */
+    isActive(entityId) {
+        entityId = this._resolveEntity(entityId, 'IsActive');
+        return this.hasEntity(entityId) && !this._inactiveInHierarchy.has(entityId);
+    }
+
+    /**
+     * Checks the entity's own active flag, ignoring its ancestors.
+     * @param {number | EntityHandle} entityId - The entity ID (or handle).
+     * @returns {boolean} `false` if the entity was deactivated with `setActive` or does not exist.
+     * @method isActiveSelf
+     */
+    isActiveSelf(entityId) {
+        entityId = this._resolveEntity(entityId, 'IsActiveSelf');
+        return this.hasEntity(entityId) && !this._inactiveSelf.has(entityId);
+    }
+
+    /**
+     * Enables or disables a single component. A disabled component stays attached (and is
+     * saved with the scene) but counts as absent for queries and renderers. Calls the
+     * component's `onEnable()`/`onDisable()` while the entity is active and emits
+     * `componentEnabledChanged` ({ entityId, componentType, enabled }).
+     * @param {number | EntityHandle} entityId - The entity ID (or handle).
+     * @param {string} componentType - The component type name.
+     * @param {boolean} enabled
+     * @returns {boolean} `false` if the entity does not have the component.
+     * @method setComponentEnabled
+     */
+    setComponentEnabled(entityId, componentType, enabled) {
+        entityId = this._resolveEntity(entityId, 'SetComponentEnabled');
+        const component = this.getComponent(entityId, componentType);
+        if (!component) { logger.warn(`[EM SetComponentEnabled ${entityId}] Component '${componentType}' not found.`); return false; }
+        enabled = !!enabled;
+        if (component.enabled === enabled) return true;
+        component._enabled = enabled;
+        this._refreshQueries(entityId, componentType);
+        if (this.isActive(entityId)) this._invokeActivationHook(entityId, componentType, component, enabled);
+        this.eventEmitter?.emit('componentEnabledChanged', { entityId, componentType, enabled });
+        return true;
+    }
+
+    /**
+     * Checks whether an entity has a component that is enabled, on an entity that is active
+     * in the hierarchy. Systems that look components up directly instead of through a query
+     * use this to skip inactive ones.
+     * @param {number | EntityHandle} entityId - The entity ID (or handle).
+     * @param {string} componentType - The component type name.
+     * @returns {boolean}
+     * @method isComponentActive
+     */
+    isComponentActive(entityId, componentType) {
+        entityId = this._resolveEntity(entityId, 'IsComponentActive');
+        const component = this.getComponent(entityId, componentType);
+        return !!component && component.enabled && !this._inactiveInHierarchy.has(entityId);
+    }
+
+    /**
+     * @private Recomputes the effective active state of an entity and its descendants (after
+     * `setActive` or a parent change) and notifies queries, components and listeners of changes.
+     * @param {number} rootId - The entity whose own flag or parent changed.
+     */
+    _updateActiveInHierarchy(rootId) {
+        if (this._inactiveSelf.size === 0 && this._inactiveInHierarchy.size === 0) return;
+        const parentId = this.getComponent(rootId, 'transform')?.parent ?? null;
+        const changed = [];
+        const visit = (id, parentInactive) => {
+            const inactive = parentInactive || this._inactiveSelf.has(id);
+            if (inactive !== this._inactiveInHierarchy.has(id)) {
+                if (inactive) this._inactiveInHierarchy.add(id);
+                else this._inactiveInHierarchy.delete(id);
+                changed.push(id);
+            }
+            for (const childId of this.getComponent(id, 'transform')?.children ?? []) visit(childId, inactive);
+        };
+        visit(rootId, parentId !== null && this._inactiveInHierarchy.has(parentId));
+
+        for (const id of changed) {
+            const active = !this._inactiveInHierarchy.has(id);
+            this._refreshQueries(id);
+            for (const [type, component] of this.entityComponents.get(id) ?? []) {
+                if (component.enabled) this._invokeActivationHook(id, type, component, active);
+            }
+            this.eventEmitter?.emit('entityActiveChanged', { id, active });
+        }
+    }
+
+    /** @private Calls `onEnable()` or `onDisable()` on a component, logging errors. */
+    _invokeActivationHook(entityId, componentType, component, enabled) {
+        try {
+            if (enabled) component.onEnable?.();
+            else component.onDisable?.();
+        } catch (e) {
+            logger.error(`[EM ${enabled ? 'OnEnable' : 'OnDisable'} ${entityId}] Error in component '${componentType}':`, e);
+        }
+    }
+
+    /**
+     * @private Applies the `active`/`disabledComponents` fields of an entity state (see `getEntityState`).
+     * Entities without them end up active with all components enabled.
+     * @param {number} entityId - The entity ID.
+     * @param {object} entityData - The entity's scene/state entry.
+     */
+    _applyActiveState(entityId, entityData) {
+        const disabled = Array.isArray(entityData?.disabledComponents) ? entityData.disabledComponents : [];
+        for (const [type, component] of this.entityComponents.get(entityId) ?? []) {
+            const enabled = !disabled.includes(type);
+            if (component.enabled !== enabled) this.setComponentEnabled(entityId, type, enabled);
+        }
+        const active = entityData?.active !== false;
+        if (this.isActiveSelf(entityId) !== active) this.setActive(entityId, active);
+    }
+
     /**
      * Sets the parent of an entity, updating transform hierarchy.
      * @param {number} entityId - The child entity ID.
@@ -383,6 +710,7 @@ export class EntityManager {
 
         // Update Child
         childTransform._setParent(newParentId);
+        if (source !== 'removeEntityCleanup') this._updateActiveInHierarchy(entityId);
 
         // Emit events
         this.eventEmitter?.emit('entityHierarchyChanged', { entityId: entityId, newParentId: newParentId, oldParentId: oldParentId, source: source });
@@ -393,18 +721,48 @@ export class EntityManager {
     }
 
     // ... (getChildren, getRootEntities, _add/_remove ComponentToEntityMap, getEntityState, serialize unchanged) ...
+    /**
+     * Counts the entities that have each component type.
+     * @returns {Object<string, number>} Component type -> number of entities.
+     */
+    getComponentCounts() {
+        const counts = {};
+        for (const [type, ids] of this.componentEntityMap) {
+            if (ids.size > 0) counts[type] = ids.size;
+        }
+        return counts;
+    }
+
     getChildren(entityId) { return this.hasEntity(entityId) ? new Set(this.getComponent(entityId, 'transform')?.children || []) : new Set(); }
     getRootEntities() { const roots = []; for (const id of this.entities) { const transform = this.getComponent(id, 'transform'); if (!transform || transform.parent === null) { roots.push(id); } } return roots; }
     _addComponentToEntityMap(entityId, componentType) { let set = this.componentEntityMap.get(componentType); if (!set) { set = new Set(); this.componentEntityMap.set(componentType, set); } set.add(entityId); }
     _removeComponentFromEntityMap(entityId, componentType) { this.componentEntityMap.get(componentType)?.delete(entityId); }
     _cleanupEntityFromComponentMap(entityId) { for (const set of this.componentEntityMap.values()) { set.delete(entityId); } }
-    getEntityState(entityId) { if (!this.hasEntity(entityId)) return null; const state = { id: entityId, components: {} }; const map = this.entityComponents.get(entityId); if (!map) { logger.warn(`[EM getEntityState ${entityId}] Entity exists but has no component map!`); return state; } for (const [type, comp] of map.entries()) { if (!comp) { logger.warn(`[EM getEntityState ${entityId}] Found null/undefined component instance for type '${type}'. Skipping.`); continue; } if (typeof comp.serialize === 'function') { try { const serializedData = comp.serialize(); if (typeof serializedData !== 'object' || serializedData === null) { logger.error(`[EM getEntityState ${entityId}] Component '${type}' serialize() returned non-object or null:`, serializedData, `. Storing empty object.`); state.components[type] = {}; } else { state.components[type] = serializedData; } } catch (e) { logger.error(`[EM getEntityState ${entityId}] Error calling serialize() on component '${type}':`, e); state.components[type] = {}; } } else { logger.warn(`[EM getEntityState ${entityId}] Component type "${type}" missing .serialize(). Skipping.`); } } return state; }
-    serialize(prettyPrint = true) { try { const data = { entities: [] }; const ids = Array.from(this.entities).sort((a, b) => a - b); for (const id of ids) { const state = this.getEntityState(id); if (state) data.entities.push(state); } return JSON.stringify(data, null, prettyPrint ? 2 : undefined); } catch (error) { logger.error("[EM Serialize Error] Failed to serialize scene:", error); return null; } }
+    getEntityState(entityId) { if (!this.hasEntity(entityId)) return null; const state = { id: entityId, components: {} }; const map = this.entityComponents.get(entityId); if (!map) { logger.warn(`[EM getEntityState ${entityId}] Entity exists but has no component map!`); return state; } for (const [type, comp] of map.entries()) { if (!comp) { logger.warn(`[EM getEntityState ${entityId}] Found null/undefined component instance for type '${type}'. Skipping.`); continue; } if (typeof comp.serialize === 'function') { try { const serializedData = comp.serialize(); if (typeof serializedData !== 'object' || serializedData === null) { logger.error(`[EM getEntityState ${entityId}] Component '${type}' serialize() returned non-object or null:`, serializedData, `. Storing empty object.`); state.components[type] = {}; } else { state.components[type] = serializedData; } } catch (e) { logger.error(`[EM getEntityState ${entityId}] Error calling serialize() on component '${type}':`, e); state.components[type] = {}; } } else { logger.warn(`[EM getEntityState ${entityId}] Component type "${type}" missing .serialize(). Skipping.`); } } return this._addActiveState(entityId, state); }
+
+    /**
+     * @private Adds `active: false` and `disabledComponents` to an entity state when they differ
+     * from the defaults, so scenes without inactive entities serialize as before.
+     * @param {number} entityId - The entity ID.
+     * @param {{id: number, components: object}} state - The state being built by `getEntityState`.
+     * @returns {object} The state.
+     */
+    _addActiveState(entityId, state) {
+        if (this._inactiveSelf.has(entityId)) state.active = false;
+        const disabled = [];
+        for (const [type, component] of this.entityComponents.get(entityId) ?? []) { if (!component.enabled) disabled.push(type); }
+        if (disabled.length > 0) state.disabledComponents = disabled;
+        return state;
+    }
+    serialize(prettyPrint = true) { try { const data = { formatVersion: this.migrations.currentVersion, entities: [] }; const ids = Array.from(this.entities).sort((a, b) => a - b); for (const id of ids) { const state = this.getEntityState(id); if (state) data.entities.push(state); } return JSON.stringify(data, null, prettyPrint ? 2 : undefined); } catch (error) { logger.error("[EM Serialize Error] Failed to serialize scene:", error); return null; } }
 
 
     /**
      * Deserializes scene data, replacing the current scene.
-     * @param {string | object} jsonOrObject - The scene data.
+     * Data written in an older format version is upgraded first with the steps
+     * registered in `this.migrations`; the outcome is stored in `lastMigrationReport`
+     * and announced with a `sceneMigrated` event when an upgrade happened.
+     * @param {string | object} jsonOrObject - The scene data. Strings may contain comments and trailing commas.
      * @returns {boolean} `true` if deserialization completed without critical errors.
      * @method deserialize
      */
@@ -412,16 +770,29 @@ export class EntityManager {
         let data; let success = true;
         let parsedData = null;
         try {
-            parsedData = typeof jsonOrObject === 'string' ? JSON.parse(jsonOrObject) : jsonOrObject;
+            parsedData = typeof jsonOrObject === 'string' ? parseJSONC(jsonOrObject) : jsonOrObject;
         } catch (parseError) {
-             logger.error("[EM Deserialize Error] Failed to parse input JSON:", parseError);
+             logger.error(`[EM Deserialize Error] Failed to parse input JSON: ${parseError.message}`);
              this.clear(); return false;
         }
         if (!parsedData || typeof parsedData !== 'object' || !Array.isArray(parsedData.entities)) {
              logger.error("[EM Deserialize Error] Invalid scene format: 'entities' array not found or invalid.", parsedData);
              this.clear(); return false;
         }
-        data = parsedData;
+        // --- Format Migration ---
+        const { data: migratedData, report } = this.migrations.migrate(parsedData);
+        this.lastMigrationReport = report;
+        if (report.errors.length > 0) success = false;
+        if (report.upgraded) {
+            const summary = report.applied.map(step => `${step.description} (${step.count})`).join(', ');
+            logger.log(`[EM] Migrated scene from format v${report.fromVersion} to v${report.toVersion}: ${summary}`);
+            this.eventEmitter?.emit('sceneMigrated', report);
+        }
+        if (!Array.isArray(migratedData?.entities)) {
+             logger.error("[EM Deserialize Error] Scene migration produced invalid data.", migratedData);
+             this.clear(); return false;
+        }
+        data = migratedData;
 
         logger.log("[EM] Deserializing scene...");
         this.clear();
@@ -439,6 +810,7 @@ export class EntityManager {
                  const restoredBase = this._restoreSingleEntityBase(id, entityData);
                  if (restoredBase) {
                      const componentsRestored = this._restoreEntityComponents(id, entityData.components || {});
+                     this._applyActiveState(id, entityData);
                      if(componentsRestored) {
                         highestId = Math.max(highestId, id);
                         restoredEntityIds.add(id);
@@ -501,6 +873,169 @@ export class EntityManager {
         return success;
     }
 
+    /**
+     * Captures a deep copy of the whole world (all entity states, hierarchy links and
+     * the ID counter). The result is a plain object, independent of live component
+     * instances, and can be handed back to `restoreSnapshot`.
+     * @returns {{formatVersion: number, entities: object[], nextEntityId: number}} The snapshot.
+     * @method createSnapshot
+     */
+    createSnapshot() {
+        const entities = [];
+        const ids = Array.from(this.entities).sort((a, b) => a - b);
+        for (const id of ids) {
+            const state = this.getEntityState(id);
+            if (state) entities.push(state);
+        }
+        const snapshot = { formatVersion: this.migrations.currentVersion, entities, nextEntityId: this.nextEntityId };
+        return typeof structuredClone === 'function' ? structuredClone(snapshot) : JSON.parse(JSON.stringify(snapshot));
+    }
+
+    /**
+     * Replaces the current world with a snapshot taken by `createSnapshot`.
+     * Entity IDs are preserved, so raw IDs cached before the snapshot refer to the same
+     * entities afterwards. Every entity is re-created, though, which bumps its generation:
+     * handles taken with `getHandle` before the restore are stale and must be taken again.
+     * The snapshot itself is not consumed and can be restored again.
+     * @param {{entities: object[], nextEntityId?: number}} snapshot - The snapshot to restore.
+     * @returns {boolean} `true` if the world was restored without errors.
+     * @method restoreSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.entities)) {
+            logger.error("[EM RestoreSnapshot] Invalid snapshot: 'entities' array missing.", snapshot);
+            return false;
+        }
+        const data = typeof structuredClone === 'function' ? structuredClone(snapshot) : JSON.parse(JSON.stringify(snapshot));
+        const success = this.deserialize(data);
+        if (typeof snapshot.nextEntityId === 'number' && snapshot.nextEntityId > this.nextEntityId) {
+            this.nextEntityId = snapshot.nextEntityId;
+        }
+        return success;
+    }
+
+    /**
+     * Adds the entities of scene data to the current world without clearing it.
+     * Every entity gets a new ID; `transform.parent` and the other `entity` schema fields
+     * that point at an entity of the same data (or of `options.idMap`) are remapped, references
+     * to anything else become `null`. Data in an older format version is migrated first, as in
+     * `deserialize()`. Emits `entitiesImported` ({ ids }) when done.
+     * @param {string | object} jsonOrObject - The scene data. Strings may contain comments and trailing commas.
+     * @param {object} [options={}]
+     * @param {Map<number, number>} [options.idMap] - Scene IDs of entities that are not part of the data but
+     *   already exist in the world (e.g. nested prefab instances), mapped to their entity IDs.
+     * @returns {{success: boolean, idMap: Map<number, number>} | null} Scene ID -> new entity ID for every
+     *   imported entity plus the entries of `options.idMap` (`success` is `false` if some entities or
+     *   components failed), or `null` if the data could not be read.
+     * @method importEntities
+     */
+    importEntities(jsonOrObject, { idMap: knownIds } = {}) {
+        let parsedData;
+        try {
+            parsedData = typeof jsonOrObject === 'string' ? parseJSONC(jsonOrObject) : jsonOrObject;
+        } catch (parseError) {
+            logger.error(`[EM ImportEntities] Failed to parse input JSON: ${parseError.message}`);
+            return null;
+        }
+        if (!parsedData || typeof parsedData !== 'object' || !Array.isArray(parsedData.entities)) {
+            logger.error("[EM ImportEntities] Invalid scene format: 'entities' array not found or invalid.", parsedData);
+            return null;
+        }
+        const { data, report } = this.migrations.migrate(parsedData);
+        this.lastMigrationReport = report;
+        if (report.upgraded) this.eventEmitter?.emit('sceneMigrated', report);
+        if (!Array.isArray(data?.entities)) {
+            logger.error("[EM ImportEntities] Scene migration produced invalid data.", data);
+            return null;
+        }
+        let success = report.errors.length === 0;
+
+        // Pass 1: a new ID for every entity
+        const idMap = new Map(knownIds ?? []);
+        const entries = [];
+        for (const entityData of data.entities) {
+            if (!entityData || typeof entityData.id !== 'number' || idMap.has(entityData.id)) {
+                logger.warn("[EM ImportEntities] Skipping entity with a missing or duplicate ID:", entityData);
+                success = false; continue;
+            }
+            idMap.set(entityData.id, this.createEntity());
+            entries.push(entityData);
+        }
+        const remap = (value) => (value === null || value === undefined ? value : idMap.get(value) ?? null);
+
+        // Pass 2: components, with entity references remapped (the hierarchy is rebuilt in pass 3)
+        for (const entityData of entries) {
+            const components = {};
+            for (const [type, componentData] of Object.entries(entityData.components || {})) {
+                const schema = componentData && typeof componentData === 'object' ? this.componentRegistry.getSchema(type) : null;
+                if (!schema) { components[type] = componentData; continue; }
+                const remapped = { ...componentData };
+                for (const [key, field] of Object.entries(schema)) {
+                    if (!(key in remapped)) continue;
+                    if (field.type === 'entity') remapped[key] = remap(remapped[key]);
+                    else if (field.type === 'array' && field.items === 'entity' && Array.isArray(remapped[key])) remapped[key] = remapped[key].map(remap).filter(id => id !== null);
+                }
+                components[type] = remapped;
+            }
+            if (!this._restoreEntityComponents(idMap.get(entityData.id), components)) success = false;
+            this._applyActiveState(idMap.get(entityData.id), entityData);
+        }
+
+        // Pass 3: hierarchy
+        for (const entityData of entries) {
+            const parentId = entityData.components?.transform?.parent;
+            if (parentId === null || parentId === undefined) continue;
+            const newParentId = idMap.get(parentId);
+            if (newParentId === undefined) {
+                logger.warn(`[EM ImportEntities] Entity ${entityData.id}: parent ${parentId} is not part of the imported data. Keeping it at the root.`);
+                success = false; continue;
+            }
+            if (!this.setParent(idMap.get(entityData.id), newParentId, 'deserialize')) success = false;
+        }
+
+        const ids = entries.map(entityData => idMap.get(entityData.id));
+        logger.log(`[EM] Imported ${ids.length}/${data.entities.length} entities. Success: ${success}`);
+        this.eventEmitter?.emit('entitiesImported', { ids });
+        return { success, idMap };
+    }
+
+    /**
+     * Restores a single entity from a state object returned by `getEntityState`,
+     * re-using the entity ID stored in the state. If the entity already exists, its
+     * components are updated in place (keeping its children attached) and components
+     * missing from the state are removed. The parent link is restored when the parent exists.
+     * @param {{id: number, components: object}} state - The entity state.
+     * @returns {boolean} `true` if the entity and all its components were restored.
+     * @method restoreEntityState
+     */
+    restoreEntityState(state) {
+        if (!state || typeof state.id !== 'number') {
+            logger.error("[EM RestoreEntityState] Invalid entity state (missing numeric id):", state);
+            return false;
+        }
+        const id = state.id;
+        const componentsData = state.components || {};
+        if (this.hasEntity(id)) {
+            for (const type of Array.from(this.entityComponents.get(id)?.keys() || [])) {
+                if (!Object.prototype.hasOwnProperty.call(componentsData, type)) this.removeComponent(id, type);
+            }
+        } else if (!this._restoreSingleEntityBase(id, state)) {
+            return false;
+        }
+        const componentsRestored = this._restoreEntityComponents(id, componentsData);
+        this._applyActiveState(id, state);
+        const parentId = state.components?.transform?.parent ?? null;
+        if (this.hasComponent(id, 'transform')) {
+            if (parentId !== null && !this.hasEntity(parentId)) {
+                logger.warn(`[EM RestoreEntityState ${id}] Parent ${parentId} not found. Restored as root.`);
+                this.setParent(id, null, 'restoreEntityState');
+            } else {
+                this.setParent(id, parentId, 'restoreEntityState');
+            }
+        }
+        return componentsRestored;
+    }
+
     /**
      * @private Helper to create the base entity structure during deserialization.
      * @param {number} id - The entity ID from the scene data.
@@ -518,6 +1053,8 @@ export class EntityManager {
                 this.entities.add(id);
                 this.entityComponents.set(id, new Map());
                  if (id >= this.nextEntityId) { this.nextEntityId = id + 1; }
+                this._bumpGeneration(id);
+                this._refreshQueries(id);
             }
              return true;
         } catch (error) {
@@ -543,7 +1080,8 @@ export class EntityManager {
              if (data === null || typeof data !== 'object') { logger.warn(`[EM Restore Components ${id}] Invalid data for '${type}'. Skipping.`, data); componentErrors++; continue; }
              if (!this.componentRegistry.has(type)) { logger.warn(`[EM Restore Components ${id}] Component type '${type}' not registered. Skipping.`); componentErrors++; continue; }
              // Pass source for component addition during deserialization
-             const compData = { ...( (type === 'transform') ? { ...data, parent: undefined, children: undefined } : data ), source: 'deserialize' };
+             const compData = { ...data, source: 'deserialize' };
+             if (type === 'transform') { delete compData.parent; delete compData.children; } // Hierarchy is rebuilt separately
              const addedComponent = this.addComponent(id, type, compData);
              if (addedComponent === null) { componentErrors++; }
          }
@@ -557,6 +1095,7 @@ export class EntityManager {
          const entityIds = Array.from(this.entities); // Clone IDs
          entityIds.forEach(id => { if (!this.removeEntity(id)) { logger.warn(`[EM Clear] removeEntity(${id}) returned false.`); } });
          this.entities.clear(); this.entityComponents.clear(); this.componentEntityMap.clear();
+         this._inactiveSelf.clear(); this._inactiveInHierarchy.clear();
          this.nextEntityId = 1;
          logger.log("[EM] EntityManager cleared.");
          this.eventEmitter?.emit('sceneCleared');
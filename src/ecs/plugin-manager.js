@@ -0,0 +1,232 @@
+import * as logger from '../utils/logger.js';
+// src/ecs/plugin-manager.js
+// @version 1.0.0 - Initial implementation (components, systems, config defaults, editor panels, scenes, dependencies).
+
+/** @typedef {import('../core.js').Engine} Engine */
+/** @typedef {import('./component.js').Component} Component */
+
+/**
+ * A system a plugin registers. Activation and ordering declared here (`runIn`, `phase`,
+ * `before`, `after`, `priority`, `errorPolicy`) override the ones on the system instance.
+ * @typedef {object} PluginSystem
+ * @property {string} name - Name the system is registered under.
+ * @property {(engine: Engine) => object} create - Creates the system instance.
+ * @property {string[] | string | ((state: string, mode: string) => boolean)} [runIn]
+ * @property {string} [phase]
+ * @property {string[]} [before]
+ * @property {string[]} [after]
+ * @property {number} [priority]
+ * @property {string} [errorPolicy]
+ */
+
+/**
+ * Bundles a game or feature so it can be added to an engine with `engine.use(plugin)`.
+ * @typedef {object} EnginePlugin
+ * @property {string} name - Unique plugin name.
+ * @property {string} [version]
+ * @property {string[]} [dependencies] - Plugins that must be installed first.
+ * @property {string[]} [requiredSystems] - Systems that must be registered first (e.g. 'physics').
+ * @property {Object<string, typeof Component>} [components] - Component types to register, by type name.
+ * @property {PluginSystem[]} [systems] - Systems to register, in this order.
+ * @property {object} [config] - The plugin's config object. Overrides passed to `install()` are merged
+ *   into it and undone on uninstall, so code that reads it at runtime sees them.
+ * @property {Array<new (engine: Engine) => import('../ui/ui-component.js').UIComponent>} [panels] - Editor
+ *   panels (UIComponent classes); the UIManager creates them while the plugin is installed.
+ * @property {Object<string, string>} [scenes] - Scene files by name (URLs relative to the page), see `loadScene()`.
+ * @property {(engine: Engine, options: object) => (void | Promise<void>)} [install] - Called after everything above is set up.
+ * @property {(engine: Engine) => void} [uninstall] - Called first when the plugin is uninstalled.
+ */
+
+/** Keys of `PluginSystem` copied onto the system instance before it is registered. */
+const SYSTEM_OVERRIDES = ['runIn', 'phase', 'before', 'after', 'priority', 'errorPolicy'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/** @private Deep-merges `source` into `target` (plain objects are merged, everything else replaced). */
+function mergeInto(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        if (isPlainObject(value) && isPlainObject(target[key])) mergeInto(target[key], value);
+        else target[key] = value;
+    }
+    return target;
+}
+
+/**
+ * Installs and uninstalls engine plugins (see `EnginePlugin`). Installing registers the
+ * plugin's component types and systems, merges config overrides and makes its scenes
+ * available; uninstalling undoes all of it, removing the plugin's components from the
+ * entities that have them. Plugins can depend on other plugins and on registered systems;
+ * a plugin cannot be uninstalled while an installed plugin depends on it.
+ *
+ * Events: `pluginInstalled` ({ name, plugin }) and `pluginUninstalled` ({ name, plugin }).
+ *
+ * @class PluginManager
+ */
+export class PluginManager {
+    /**
+     * @param {Engine} engine
+     */
+    constructor(engine) {
+        if (!engine) throw new Error("PluginManager requires an Engine instance.");
+        /** @type {Engine} */
+        this.engine = engine;
+        /** @private @type {Map<string, {plugin: EnginePlugin, components: string[], systems: string[], savedConfig: object|null}>} In install order. */
+        this._installed = new Map();
+    }
+
+    /**
+     * Installs a plugin. Fails without changing anything if the plugin is invalid or already
+     * installed, a dependency is missing, or one of its component types is already registered.
+     * If a system fails to initialize, the parts installed so far are removed again.
+     * @param {EnginePlugin} plugin
+     * @param {object} [options={}] - Passed to `plugin.install()`.
+     * @param {object} [options.config] - Overrides merged into `plugin.config`.
+     * @returns {Promise<boolean>} Whether the plugin was installed.
+     */
+    async install(plugin, options = {}) {
+        if (!isPlainObject(plugin) || typeof plugin.name !== 'string' || plugin.name.trim() === '') {
+            logger.error("[PluginManager] Install: A plugin must be an object with a name.", plugin);
+            return false;
+        }
+        const { name } = plugin;
+        if (this._installed.has(name)) { logger.warn(`[PluginManager] Plugin '${name}' is already installed.`); return false; }
+
+        const missingPlugins = (plugin.dependencies ?? []).filter(dependency => !this._installed.has(dependency));
+        if (missingPlugins.length > 0) { logger.error(`[PluginManager] Plugin '${name}' requires the plugins: ${missingPlugins.join(', ')}.`); return false; }
+        const missingSystems = (plugin.requiredSystems ?? []).filter(system => !this.engine.getSystem(system));
+        if (missingSystems.length > 0) { logger.error(`[PluginManager] Plugin '${name}' requires the systems: ${missingSystems.join(', ')}.`); return false; }
+
+        const registry = this.engine.getComponentRegistry();
+        const components = Object.entries(plugin.components ?? {});
+        const taken = components.filter(([type]) => registry.has(type)).map(([type]) => type);
+        if (taken.length > 0) { logger.error(`[PluginManager] Plugin '${name}': component types already registered: ${taken.join(', ')}.`); return false; }
+        const takenSystems = (plugin.systems ?? []).filter(entry => this.engine.getSystem(entry?.name)).map(entry => entry.name);
+        if (takenSystems.length > 0) { logger.error(`[PluginManager] Plugin '${name}': systems already registered: ${takenSystems.join(', ')}.`); return false; }
+
+        const record = { plugin, components: [], systems: [], savedConfig: null };
+        this._installed.set(name, record);
+        try {
+            for (const [type, ComponentClass] of components) {
+                registry.register(type, ComponentClass);
+                record.components.push(type);
+            }
+            if (plugin.config && options.config) {
+                record.savedConfig = structuredClone(plugin.config);
+                mergeInto(plugin.config, options.config);
+            }
+            for (const entry of plugin.systems ?? []) {
+                const system = entry.create(this.engine);
+                for (const key of SYSTEM_OVERRIDES) if (entry[key] !== undefined) system[key] = entry[key];
+                await this.engine.registerSystem(entry.name, system);
+                record.systems.push(entry.name);
+            }
+            await plugin.install?.(this.engine, options);
+        } catch (error) {
+            logger.error(`[PluginManager] Failed to install plugin '${name}'. Rolling back:`, error);
+            this._teardown(record);
+            this._installed.delete(name);
+            return false;
+        }
+
+        logger.log(`[PluginManager] Installed plugin '${name}'${plugin.version ? ` v${plugin.version}` : ''}.`);
+        this.engine.getEventEmitter()?.emit('pluginInstalled', { name, plugin });
+        return true;
+    }
+
+    /**
+     * Uninstalls a plugin: calls `plugin.uninstall()`, unregisters its systems, removes its
+     * components from all entities, unregisters their types and restores its config.
+     * @param {string} name - The plugin name.
+     * @returns {boolean} `false` if the plugin is not installed or another plugin depends on it.
+     */
+    uninstall(name) {
+        const record = this._installed.get(name);
+        if (!record) { logger.warn(`[PluginManager] Uninstall: Plugin '${name}' is not installed.`); return false; }
+        const dependents = this.getDependents(name);
+        if (dependents.length > 0) { logger.error(`[PluginManager] Cannot uninstall '${name}': required by ${dependents.join(', ')}.`); return false; }
+
+        try { record.plugin.uninstall?.(this.engine); }
+        catch (error) { logger.error(`[PluginManager] Error in the uninstall hook of '${name}':`, error); }
+        this._teardown(record);
+        this._installed.delete(name);
+
+        logger.log(`[PluginManager] Uninstalled plugin '${name}'.`);
+        this.engine.getEventEmitter()?.emit('pluginUninstalled', { name, plugin: record.plugin });
+        return true;
+    }
+
+    /**
+     * Uninstalls all plugins, dependents before their dependencies.
+     * @returns {void}
+     */
+    uninstallAll() {
+        for (const name of [...this._installed.keys()].reverse()) this.uninstall(name);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean} Whether the plugin is installed.
+     */
+    has(name) { return this._installed.has(name); }
+
+    /**
+     * @param {string} name
+     * @returns {EnginePlugin | null} The installed plugin.
+     */
+    get(name) { return this._installed.get(name)?.plugin ?? null; }
+
+    /**
+     * @returns {EnginePlugin[]} The installed plugins, in install order.
+     */
+    getPlugins() { return [...this._installed.values()].map(record => record.plugin); }
+
+    /**
+     * @param {string} name
+     * @returns {string[]} Names of the installed plugins that depend on the plugin.
+     */
+    getDependents(name) {
+        return this.getPlugins().filter(plugin => plugin.dependencies?.includes(name)).map(plugin => plugin.name);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {object | null} The config of an installed plugin, with the overrides applied.
+     */
+    getConfig(name) { return this.get(name)?.config ?? null; }
+
+    /**
+     * Fetches one of a plugin's scene files and loads it with `engine.loadScene()`.
+     * @param {string} pluginName
+     * @param {string} sceneName - Key in `plugin.scenes`.
+     * @param {{name?: string, persistent?: boolean, additive?: boolean}} [options={}] - See `engine.loadScene()`;
+     *   the scene name defaults to `sceneName`.
+     * @returns {Promise<import('./scene-manager.js').SceneHandle | null>}
+     */
+    async loadScene(pluginName, sceneName, options = {}) {
+        const url = this.get(pluginName)?.scenes?.[sceneName];
+        if (!url) { logger.error(`[PluginManager] Plugin '${pluginName}' has no scene '${sceneName}'.`); return null; }
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return this.engine.loadScene(await response.text(), { name: sceneName, ...options });
+        } catch (error) {
+            logger.error(`[PluginManager] Failed to fetch scene '${sceneName}' of plugin '${pluginName}' (${url}):`, error);
+            return null;
+        }
+    }
+
+    /** @private Removes what `install()` set up for a plugin. */
+    _teardown(record) {
+        for (const systemName of [...record.systems].reverse()) this.engine.unregisterSystem(systemName);
+        const entityManager = this.engine.getEntityManager();
+        const registry = this.engine.getComponentRegistry();
+        for (const type of record.components) {
+            for (const id of entityManager.getEntitiesWithComponent(type)) entityManager.removeComponent(id, type);
+            registry.unregister(type);
+        }
+        if (record.savedConfig) {
+            for (const key of Object.keys(record.plugin.config)) delete record.plugin.config[key];
+            Object.assign(record.plugin.config, record.savedConfig);
+        }
+    }
+}
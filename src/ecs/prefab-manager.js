@@ -1,12 +1,37 @@
 import * as logger from '../utils/logger.js';
+import { LocalStoragePrefabStorage, AssetPrefabLibrary, parsePrefabLibrary, PREFAB_LIBRARY_FORMAT, PREFAB_LIBRARY_VERSION } from './prefab-storage.js';
 // src/ecs/prefab-manager.js
-// @version 1.1.0 - Added listPrefabs method
+// @version 1.8.3 - Overrides are recorded only in editor mode, not for simulation changes during play.
+// @previous 1.8.2 - deletePrefab() refuses nested prefabs; failed instantiation removes the nested instances it created.
+// @previous 1.8.1 - Nested instances keep their entry ID when a prefab is saved again from an instance.
+// @previous 1.8.0 - flushStorage(): waits for storage writes and deletions and reports the failed ones.
+// @previous 1.7.0 - propagate() adds and removes nested instances; entities deleted from an instance stay deleted.
+// @previous 1.6.0 - getStoredPrefab()/setStoredPrefab() for undoing prefab saves and deletions.
+// @previous 1.5.0 - Pluggable storage backends, read-only prefab libraries, library export/import.
 
 /** @typedef {import('./entity-manager').EntityManager} EntityManager */
+/** @typedef {import('./prefab-storage.js').PrefabStorage} PrefabStorage */
 
 /**
  * Manages the creation, saving, and instantiation of entity prefabs.
- * Currently uses localStorage for persistence (simple, but not recommended for production).
+ * A prefab stores an entity together with its descendants; instances of other prefabs
+ * inside it are stored as references to those prefabs.
+ *
+ * Instances stay linked to their prefab: every entity of an instance has a `prefabInstance`
+ * component naming the prefab and its entry in it. Editing a field of an instance records it
+ * as an override (in editor mode; changes made while the game runs are not overrides). Saving the prefab again updates all instances in the world, except for
+ * their overridden fields and the transform of their root. Overrides can be reverted to the
+ * prefab values or applied to the prefab (`revertOverrides`, `applyOverrides`). Entities
+ * deleted from an instance are recorded as well and are not re-created by later saves.
+ * Nested instances follow their own prefab; saving the outer prefab adds and removes them.
+ *
+ * A variant (`createVariant`) is a prefab defined by its base prefab plus the differences from
+ * it. Everything the variant does not change follows the base, so saving the base also updates
+ * the instances of its variants.
+ *
+ * Prefabs are kept in a `PrefabStorage` backend (localStorage by default, see `setStorage`).
+ * Prefab libraries (`loadLibrary`) add read-only prefabs, e.g. `*.prefab.json` files
+ * versioned with the project; `exportLibrary`/`importLibrary` write and read such files.
  *
  * @class PrefabManager
  */
@@ -14,26 +39,209 @@ export class PrefabManager {
     /**
      * Creates an instance of PrefabManager.
      * @param {EntityManager} entityManager - Reference to the EntityManager.
+     * @param {object} [options={}]
+     * @param {PrefabStorage} [options.storage] - Where prefabs are saved (default: localStorage). A backend
+     *   with a `load()` method must be loaded first; `setStorage()` does that.
+     * @param {import('../asset/asset-manager.js').AssetManager} [options.assetManager] - Loads prefab libraries.
      */
-    constructor(entityManager) {
+    constructor(entityManager, { storage = new LocalStoragePrefabStorage(), assetManager = null } = {}) {
         if (!entityManager) throw new Error("PrefabManager requires an EntityManager instance.");
         /** @type {EntityManager} */
         this.entityManager = entityManager;
-        /**
-         * Prefix used for storing prefabs in localStorage.
-         * @private
-         * @const {string}
-         */
-        this.localStoragePrefix = 'prefab_';
+        /** @type {PrefabStorage} Where prefabs are saved. */
+        this.storage = storage;
+        /** @type {PrefabStorage[]} Read-only prefab sources, consulted after `storage` in order. */
+        this.libraries = [];
+        /** @type {import('../asset/asset-manager.js').AssetManager | null} */
+        this.assetManager = assetManager;
+        /** @private @type {Map<string, object>} Parsed prefab data by name, as stored. */
+        this._cache = new Map();
+        /** @private @type {Map<string, object>} Variants combined with their bases, by name. */
+        this._resolved = new Map();
+        /** @private @type {Set<Promise<void>>} Storage writes and deletions in progress. */
+        this._pendingWrites = new Set();
+        /** @private @type {string[]} Prefabs whose write or deletion failed, until `flushStorage()`. */
+        this._failedWrites = [];
+
+        /** @private Whether edits are recorded as overrides: not while the game runs. */
+        this._recording = true;
+
+        this._onEntityUpdated = this._onEntityUpdated.bind(this);
+        this._onGameModeEntered = () => { this._recording = false; };
+        this._onEditorModeEntered = () => { this._recording = true; };
+        const eventEmitter = this.entityManager.eventEmitter;
+        eventEmitter?.on('entityUpdated', this._onEntityUpdated);
+        eventEmitter?.on('gameModeEntered', this._onGameModeEntered);
+        eventEmitter?.on('editorModeEntered', this._onEditorModeEntered);
+    }
+
+    /**
+     * Waits for the storage writes and deletions in progress. Saving and deleting return as soon
+     * as the prefab changed in memory; asynchronous backends finish in the background.
+     * @returns {Promise<string[]>} The prefabs whose write or deletion failed since the last call
+     *   (empty if everything was stored).
+     */
+    async flushStorage() {
+        while (this._pendingWrites.size > 0) await Promise.all(this._pendingWrites);
+        return this._failedWrites.splice(0);
+    }
+
+    /**
+     * Stops recording overrides.
+     * @returns {void}
+     */
+    destroy() {
+        const eventEmitter = this.entityManager.eventEmitter;
+        eventEmitter?.off('entityUpdated', this._onEntityUpdated);
+        eventEmitter?.off('gameModeEntered', this._onGameModeEntered);
+        eventEmitter?.off('editorModeEntered', this._onEditorModeEntered);
+        this._cache.clear();
+        this._resolved.clear();
+    }
+
+    /**
+     * Switches to another storage backend, loading it first. Prefabs of the old backend are no
+     * longer available (export and import them to move them).
+     * @param {PrefabStorage} storage
+     * @returns {Promise<boolean>} `false` if the backend failed to load; the old one stays in use.
+     */
+    async setStorage(storage) {
+        try {
+            await storage.load?.();
+        } catch (error) {
+            logger.error(`[PrefabManager] Prefab storage "${storage?.name}" failed to load:`, error);
+            return false;
+        }
+        this.storage = storage;
+        this._clearCaches();
+        logger.log(`[PrefabManager] Using prefab storage "${storage.name}" (${storage.list().length} prefabs).`);
+        return true;
+    }
+
+    /**
+     * Adds a read-only prefab library. Its prefabs can be instantiated, nested and used as
+     * variant bases like saved ones; saving a prefab of the same name stores an edited copy in
+     * `storage`, which takes precedence.
+     * @param {string | PrefabStorage} library - A `*.prefab.json` path for the AssetManager, or a loaded-on-demand backend.
+     * @returns {Promise<boolean>} Whether the library was loaded.
+     */
+    async loadLibrary(library) {
+        try {
+            const storage = typeof library === 'string' ? new AssetPrefabLibrary(this.assetManager, library) : library;
+            await storage.load?.();
+            this.libraries.push(storage);
+            this._clearCaches();
+            logger.log(`[PrefabManager] Loaded prefab library "${storage.name}" (${storage.list().length} prefabs).`);
+            return true;
+        } catch (error) {
+            logger.error(`[PrefabManager] Prefab library "${library?.name ?? library}" failed to load:`, error);
+            return false;
+        }
     }
 
     /**
-     * Saves the state of a given entity as a named prefab in localStorage.
-     * Overwrites any existing prefab with the same name.
+     * Writes prefabs into a prefab library file (see `parsePrefabLibrary`), to be saved as
+     * `*.prefab.json`. The bases of variants and nested prefabs are included, so the file is
+     * complete on its own.
+     * @param {string[]} [prefabNames] - Default: all prefabs.
+     * @returns {string} The JSON content.
+     */
+    exportLibrary(prefabNames = this.listPrefabs()) {
+        const prefabs = {};
+        const add = (name) => {
+            if (name in prefabs) return;
+            const stored = this._readStored(name);
+            if (!stored) { logger.warn(`[PrefabManager] Export: prefab "${name}" not found.`); return; }
+            prefabs[name] = structuredClone(stored);
+            if (stored.base) add(stored.base);
+            for (const entry of [...(stored.entities ?? []), ...(stored.added ?? [])]) if (entry.prefab) add(entry.prefab);
+        };
+        prefabNames.forEach(add);
+        return JSON.stringify({ format: PREFAB_LIBRARY_FORMAT, formatVersion: PREFAB_LIBRARY_VERSION, prefabs }, null, 2);
+    }
+
+    /**
+     * Saves the prefabs of a library file into `storage` and updates their instances.
+     * @param {string | object} library - The file content or parsed object (see `parsePrefabLibrary`).
+     * @param {object} [options={}]
+     * @param {boolean} [options.overwrite=true] - Replace saved prefabs of the same name; otherwise they are skipped.
+     * @returns {string[] | null} The imported prefab names, or `null` if the file is invalid or storage is read-only.
+     */
+    importLibrary(library, { overwrite = true } = {}) {
+        let imported;
+        try {
+            const prefabs = parsePrefabLibrary(library);
+            imported = Object.keys(prefabs).filter(name => overwrite || this.storage.read(name) === null);
+            for (const name of imported) this._store(name, prefabs[name]);
+        } catch (error) {
+            logger.error("[PrefabManager] Failed to import prefab library:", error);
+            return null;
+        }
+        this._clearCaches();
+        imported.forEach(name => this.propagate(name));
+        logger.log(`[PrefabManager] Imported ${imported.length} prefab(s): ${imported.join(', ')}.`);
+        return imported;
+    }
+
+    /**
+     * Reads a prefab from `storage` exactly as stored (variants as their differences), so it
+     * can be put back later with `setStoredPrefab`.
+     * @param {string} prefabName - The prefab name.
+     * @returns {object | null} A copy of the stored data, or `null` if `storage` does not have
+     *   the prefab (it may still come from a library).
+     */
+    getStoredPrefab(prefabName) {
+        try {
+            return this.storage.read(prefabName.trim());
+        } catch (error) {
+            logger.error(`[PrefabManager] Prefab "${prefabName}" could not be read:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Puts data from `getStoredPrefab` back into `storage`, or removes the prefab from it for
+     * `null`, and updates the instances. Unlike `deletePrefab`, this does not check variants.
+     * @param {string} prefabName - The prefab name.
+     * @param {object | null} stored - The stored data.
+     * @returns {boolean} `false` if the storage is read-only.
+     */
+    setStoredPrefab(prefabName, stored) {
+        const name = prefabName.trim();
+        try {
+            if (stored) {
+                this._store(name, stored);
+            } else if (this.storage.readOnly) {
+                throw new Error(`Prefab storage "${this.storage.name}" is read-only.`);
+            } else {
+                this._trackWrite(name, 'deleted from', this.storage.remove(name));
+            }
+        } catch (error) {
+            logger.error(`[PrefabManager] Error restoring prefab "${name}":`, error);
+            return false;
+        }
+        this._clearCaches();
+        this.propagate(name);
+        return true;
+    }
+
+    /**
+     * Saves an entity and all its descendants (following `transform.children`) as a named
+     * prefab in `storage`. Overwrites any existing prefab with the same name.
+     *
+     * Descendants that are instances of another prefab (they have a `prefabInstance` component)
+     * are stored as a reference to that prefab plus their own transform, so the nested prefab
+     * is instantiated from its latest version. Entity references to entities outside the
+     * subtree are not kept.
      *
-     * @param {number} entityId - The ID of the entity to save as a prefab.
+     * The saved hierarchy becomes an instance of the prefab, and other instances of it are
+     * updated (see `propagate`). Entities of an instance keep their IDs in the prefab they were
+     * instantiated from, so an edited instance can be saved over its prefab. Saving over a
+     * variant stores the differences from its base.
+     *
+     * @param {number} entityId - The ID of the root entity to save as a prefab.
      * @param {string} prefabName - The name to assign to the prefab. Must not be empty.
-     * @returns {boolean} `true` if saved successfully, `false` otherwise.
+     * @returns {boolean} `true` if saved successfully, `false` otherwise (e.g. read-only storage).
      * @throws {Error} If prefabName is empty or entityId does not exist.
      */
     savePrefab(entityId, prefabName) {
@@ -43,127 +251,771 @@ export class PrefabManager {
         if (!this.entityManager.hasEntity(entityId)) {
             throw new Error(`Entity ${entityId} not found, cannot save as prefab.`);
         }
+        const name = prefabName.trim();
+        let localIds;
+        let nestedIds;
 
-        logger.log(`[PrefabManager] Saving entity ${entityId} as prefab "${prefabName}"...`);
+        logger.log(`[PrefabManager] Saving entity ${entityId} and its descendants as prefab "${name}"...`);
         try {
-            const entityState = this.entityManager.getEntityState(entityId);
-            if (!entityState) {
-                 throw new Error(`Failed to get state for entity ${entityId}.`);
+            const captured = this._captureSubtree(entityId);
+            const cycle = captured.find(entry => entry.prefab && this._referencesPrefab(entry.prefab, name));
+            if (cycle) {
+                throw new Error(`Prefab "${cycle.prefab}" contains "${name}"; a prefab cannot contain itself.`);
             }
 
-            // Store the entity's state (excluding its original ID) under the prefab name.
-            // We only need the component data for instantiation.
-            const prefabData = {
-                 components: entityState.components // Store only the components part
-            };
+            // Local IDs are remapped when the prefab is instantiated.
+            localIds = this._assignLocalIds(entityId, captured);
+            const toLocal = id => localIds.get(id) ?? null;
+            const entities = captured.map(entry => ({
+                ...entry,
+                id: toLocal(entry.id),
+                components: Object.fromEntries(Object.entries(entry.components).map(([type, data]) => [
+                    type,
+                    Object.fromEntries(Object.entries(data ?? {}).map(([key, value]) => [key, this._mapEntityField(type, key, value, toLocal)]))
+                ]))
+            }));
+            nestedIds = new Set(captured.filter(entry => entry.prefab).map(entry => entry.id));
 
-            const key = this.localStoragePrefix + prefabName.trim();
-            localStorage.setItem(key, JSON.stringify(prefabData));
-            logger.log(`[PrefabManager] Prefab "${prefabName}" saved.`);
-            return true;
+            this._writePrefab(name, {
+                formatVersion: this.entityManager.migrations.currentVersion,
+                root: toLocal(entityId),
+                entities
+            });
+            logger.log(`[PrefabManager] Prefab "${name}" saved (${entities.length} entities).`);
         } catch (error) {
-            logger.error(`[PrefabManager] Error saving prefab "${prefabName}" for entity ${entityId}:`, error);
+            logger.error(`[PrefabManager] Error saving prefab "${name}" for entity ${entityId}:`, error);
             return false;
         }
+        for (const [id, localId] of localIds) {
+            if (nestedIds.has(id)) this._linkNested(id, entityId, localId);
+            else this._link(id, name, entityId, localId);
+        }
+        // The saved hierarchy is complete now, and no longer nested in the instance it came from
+        this.entityManager.addComponent(entityId, 'prefabInstance', { outerRoot: null, outerLocalId: null, source: 'prefab' });
+        this._setInstanceEntries(entityId, [...localIds.values()], []);
+        this.propagate(name);
+        return true;
     }
 
     /**
-     * Creates a new entity instance from a saved prefab configuration.
+     * Updates every instance of a prefab in the world to the saved prefab: fields that are not
+     * overridden get the prefab values, entities and nested instances added to the prefab are
+     * created and those removed from it are removed. Entities deleted from an instance stay
+     * deleted, and the transform of instance roots is left alone. The instances of the
+     * prefab's variants are updated too.
+     * @param {string} prefabName - The prefab name.
+     * @returns {number} The number of instances updated.
+     */
+    propagate(prefabName) {
+        const data = this._readPrefab(prefabName);
+        if (!data) return 0;
+        const roots = this.findInstances(prefabName);
+        for (const rootId of roots) {
+            try { this._syncInstance(rootId, prefabName, data); }
+            catch (error) { logger.error(`[PrefabManager] Error updating instance ${rootId} of prefab "${prefabName}":`, error); }
+        }
+        if (roots.length > 0) logger.log(`[PrefabManager] Updated ${roots.length} instance(s) of prefab "${prefabName}".`);
+        return this.getVariants(prefabName).reduce((count, variant) => count + this.propagate(variant), roots.length);
+    }
+
+    /**
+     * Creates a prefab that is a variant of another. It starts out identical to its base and
+     * stores only what differs from it; fields it does not change follow the base.
+     * @param {string} baseName - The base prefab (which can itself be a variant).
+     * @param {string} variantName - The name of the new prefab. An existing prefab is replaced.
+     * @param {number|null} [entityId=null] - An instance of the base whose changes define the variant;
+     *   it becomes an instance of the variant. Without it the variant is an unchanged copy.
+     * @returns {boolean} `true` if the variant was saved.
+     */
+    createVariant(baseName, variantName, entityId = null) {
+        if (typeof variantName !== 'string' || variantName.trim() === '') {
+            logger.error("[PrefabManager] Variant name cannot be empty.");
+            return false;
+        }
+        const name = variantName.trim();
+        const base = typeof baseName === 'string' ? baseName.trim() : baseName;
+        if (!this._readPrefab(base)) {
+            logger.error(`[PrefabManager] Cannot create variant "${name}": base prefab "${baseName}" not found.`);
+            return false;
+        }
+        if (this._referencesPrefab(base, name)) {
+            logger.error(`[PrefabManager] Cannot create variant "${name}" of "${base}": "${base}" is or contains "${name}".`);
+            return false;
+        }
+        try {
+            this._writePrefab(name, { formatVersion: this.entityManager.migrations.currentVersion, base, overrides: {}, added: [], removed: [] });
+        } catch (error) {
+            logger.error(`[PrefabManager] Error saving variant "${name}":`, error);
+            return false;
+        }
+        logger.log(`[PrefabManager] Created prefab "${name}" as a variant of "${base}".`);
+        if (entityId === null) return true;
+        try {
+            return this.savePrefab(entityId, name);
+        } catch (error) {
+            logger.error(`[PrefabManager] Variant "${name}" was created, but entity ${entityId} could not be saved into it:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} prefabName - The prefab name.
+     * @returns {string|null} The base prefab if the prefab is a variant.
+     */
+    getBase(prefabName) {
+        return this._readStored(prefabName)?.base ?? null;
+    }
+
+    /**
+     * @param {string} prefabName - The prefab name.
+     * @returns {string[]} The prefabs that are direct variants of the prefab.
+     */
+    getVariants(prefabName) {
+        return this.listPrefabs().filter(name => this._readStored(name)?.base === prefabName);
+    }
+
+    /**
+     * @param {string} prefabName - The prefab name.
+     * @returns {number[]} The root entities of all instances of the prefab in the world.
+     */
+    findInstances(prefabName) {
+        return this.entityManager.getEntitiesWithComponent('prefabInstance').filter(id => {
+            const link = this.entityManager.getComponent(id, 'prefabInstance');
+            return link.prefab === prefabName && this._rootOf(id) === id;
+        });
+    }
+
+    /**
+     * @param {number} entityId - An entity of a prefab instance.
+     * @returns {{prefab: string, root: number, overrides: Object<string, string[]>, removed: number[]} | null} The
+     *   prefab the entity is linked to, the root of its instance, its overridden fields by component type
+     *   and the prefab entries (local IDs) deleted from the instance.
+     */
+    getInstanceInfo(entityId) {
+        const link = this.entityManager.getComponent(entityId, 'prefabInstance');
+        if (!link?.prefab) return null;
+        const root = this._rootOf(entityId);
+        const removed = [...this._getRemoved(root, this._getMembers(root), this._getNestedMembers(root))].sort((a, b) => a - b);
+        return { prefab: link.prefab, root, overrides: structuredClone(link.overrides ?? {}), removed };
+    }
+
+    /**
+     * Resets overridden fields of an instance entity to the prefab values. A component that is
+     * not part of the prefab is removed. Reverting all overrides of an instance root also
+     * re-creates the entities deleted from the instance.
+     * @param {number} entityId - An entity of a prefab instance.
+     * @param {string|null} [componentType=null] - Only this component (default: all overridden components).
+     * @param {string[]|null} [fields=null] - Only these fields of `componentType`.
+     * @returns {boolean} `false` if the entity is not linked to a saved prefab.
+     */
+    revertOverrides(entityId, componentType = null, fields = null) {
+        const context = this._linkContext(entityId);
+        if (!context) return false;
+        const { link, entry, members, isRoot } = context;
+        for (const type of componentType ? [componentType] : Object.keys(link.overrides)) {
+            const keys = (fields ?? link.overrides[type] ?? []).filter(key => this._isLinkedField(type, key, isRoot));
+            if (!entry.components?.[type]) {
+                if (!fields) this.entityManager.removeComponent(entityId, type);
+            } else if (keys.length > 0) {
+                const values = Object.fromEntries(keys.map(key => [key, this._prefabValue(entry, type, key, members)]));
+                this.entityManager.addComponent(entityId, type, { ...values, source: 'prefab' });
+            }
+            this._setOverrides(entityId, type, (link.overrides[type] ?? []).filter(key => fields && !fields.includes(key)));
+        }
+        if (isRoot && !componentType) {
+            this._setInstanceEntries(entityId, [], []);
+            this._syncInstance(entityId, link.prefab, context.data);
+        }
+        return true;
+    }
+
+    /**
+     * Writes overridden fields of an instance entity into the prefab, saves it and updates the
+     * other instances. A component that is not part of the prefab is added to it.
+     * @param {number} entityId - An entity of a prefab instance.
+     * @param {string|null} [componentType=null] - Only this component (default: all overridden components).
+     * @param {string[]|null} [fields=null] - Only these fields of `componentType`.
+     * @returns {boolean} `false` if the entity is not linked to a saved prefab.
+     */
+    applyOverrides(entityId, componentType = null, fields = null) {
+        const context = this._linkContext(entityId);
+        if (!context) return false;
+        const { link, members, isRoot } = context;
+        const data = structuredClone(context.data);
+        const entry = data.entities.find(candidate => candidate.id === context.entry.id);
+        const localIds = new Map([...members].map(([localId, id]) => [id, localId]));
+        const state = this.entityManager.getEntityState(entityId);
+        for (const type of componentType ? [componentType] : Object.keys(link.overrides)) {
+            const current = state?.components[type];
+            if (!current) continue;
+            const keys = (fields ?? link.overrides[type] ?? (entry.components?.[type] ? [] : Object.keys(current)))
+                .filter(key => this._isLinkedField(type, key, isRoot));
+            entry.components ??= {};
+            entry.components[type] ??= {};
+            for (const key of keys) {
+                entry.components[type][key] = this._mapEntityField(type, key, current[key], id => localIds.get(id) ?? null);
+            }
+            this._setOverrides(entityId, type, (link.overrides[type] ?? []).filter(key => fields && !fields.includes(key)));
+        }
+        try {
+            this._writePrefab(link.prefab, data);
+        } catch (error) {
+            logger.error(`[PrefabManager] Error applying overrides of entity ${entityId} to prefab "${link.prefab}":`, error);
+            return false;
+        }
+        logger.log(`[PrefabManager] Applied overrides of entity ${entityId} to prefab "${link.prefab}".`);
+        this.propagate(link.prefab);
+        return true;
+    }
+
+    /**
+     * Creates a new instance of a saved prefab: its whole hierarchy with new entity IDs.
+     * Parent links and entity-reference fields inside the prefab point to the new copies, and
+     * nested prefabs are instantiated from their own saved versions. All new entities are
+     * linked to the prefab with a `prefabInstance` component; the root is not parented.
      *
      * @param {string} prefabName - The name of the prefab to instantiate.
-     * @returns {number | null} The ID of the newly created entity, or `null` if instantiation fails.
+     * @returns {number | null} The ID of the new root entity, or `null` if instantiation fails.
      */
     createEntityFromPrefab(prefabName) {
         if (!prefabName || typeof prefabName !== 'string' || prefabName.trim() === '') {
             logger.error("[PrefabManager] Prefab name cannot be empty for instantiation.");
             return null;
         }
+        const name = prefabName.trim();
 
-        const key = this.localStoragePrefix + prefabName.trim();
-        const storedData = localStorage.getItem(key);
+        logger.log(`[PrefabManager] Instantiating prefab "${name}"...`);
+        try {
+            const rootId = this._instantiate(name, []);
+            // Note: the entities' components already triggered events, but a specific prefab event is useful
+            this.entityManager.eventEmitter?.emit('entityCreated', { id: rootId, source: 'prefab', prefabName: name });
+            logger.log(`[PrefabManager] Instantiated prefab "${name}" as entity ${rootId}.`);
+            return rootId;
+        } catch (error) {
+            logger.error(`[PrefabManager] Error instantiating prefab "${name}":`, error);
+            return null;
+        }
+    }
 
-        if (!storedData) {
-            logger.error(`[PrefabManager] Prefab "${prefabName}" not found in localStorage.`);
+    /**
+     * Reads a saved prefab. Prefabs saved before hierarchies were supported (a single
+     * `components` object) are returned as a one-entity prefab. Variants are returned combined
+     * with their base, with `base` naming it.
+     *
+     * @param {string} prefabName - The name of the prefab.
+     * @returns {{formatVersion?: number, base?: string, root: number, entities: object[]} | null} A copy of the prefab data, or `null` if not found or invalid.
+     */
+    getPrefabData(prefabName) {
+        const data = this._readPrefab(prefabName);
+        return data ? structuredClone(data) : null;
+    }
+
+    /**
+     * @private Reads a saved prefab, with variants combined with their bases; see
+     * `getPrefabData`. The result is shared and must not be modified.
+     * @param {string} prefabName
+     * @param {string[]} [path=[]] - Variants being resolved, to detect cycles.
+     */
+    _readPrefab(prefabName, path = []) {
+        const stored = this._readStored(prefabName);
+        if (!stored?.base) return stored;
+        const name = prefabName.trim();
+        if (this._resolved.has(name)) return this._resolved.get(name);
+        try {
+            const data = this._resolveVariant(name, stored, path);
+            this._resolved.set(name, data);
+            return data;
+        } catch (error) {
+            logger.error(`[PrefabManager] Variant "${name}" could not be combined with its base:`, error);
             return null;
         }
+    }
 
-        logger.log(`[PrefabManager] Instantiating prefab "${prefabName}"...`);
+    /**
+     * @private Reads (and caches) a prefab as stored: a whole prefab or, for variants,
+     * `{ base, overrides, added, removed }`.
+     */
+    _readStored(prefabName) {
+        if (typeof prefabName !== 'string' || prefabName.trim() === '') return null;
+        const name = prefabName.trim();
+        if (this._cache.has(name)) return this._cache.get(name);
         try {
-            const prefabData = JSON.parse(storedData);
-            if (!prefabData || typeof prefabData.components !== 'object') {
-                 throw new Error("Invalid prefab data format retrieved from storage.");
+            let data = this.storage.read(name);
+            for (const library of this.libraries) data ??= library.read(name);
+            if (data === null || data === undefined) return null;
+            if (data && !Array.isArray(data.entities) && typeof data.components === 'object') {
+                data = { root: 1, entities: [{ id: 1, components: data.components }] };
+            }
+            const isVariant = typeof data?.base === 'string';
+            if (!data || (!isVariant && (!Array.isArray(data.entities) || !data.entities.some(entry => entry?.id === data.root)))) {
+                throw new Error("Invalid prefab data format retrieved from storage.");
             }
+            this._cache.set(name, data);
+            return data;
+        } catch (error) {
+            logger.error(`[PrefabManager] Prefab "${prefabName}" could not be read:`, error);
+            return null;
+        }
+    }
 
-            // Create a new entity
-            const newEntityId = this.entityManager.createEntity();
-            if (newEntityId === null) {
-                 throw new Error("EntityManager failed to create a new entity ID.");
+    /**
+     * @private Stores prefab data under a name. Whole prefab data for a variant is stored as
+     * its differences from the base.
+     */
+    _writePrefab(name, data) {
+        let stored = data;
+        const baseName = data.base ?? this._readStored(name)?.base;
+        if (baseName && Array.isArray(data.entities)) {
+            const base = this._readPrefab(baseName);
+            if (base?.root === data.root) {
+                stored = this._diffFromBase(baseName, base, data);
+            } else {
+                logger.warn(`[PrefabManager] Prefab "${name}" no longer has the root of its base "${baseName}"; it is saved as a standalone prefab.`);
+                stored = { formatVersion: data.formatVersion, root: data.root, entities: data.entities };
             }
+        }
+        this._store(name, stored);
+        this._cache.set(name, stored);
+        this._resolved.clear(); // Variants of this prefab change with it
+    }
 
-            logger.log(`[PrefabManager] Created new entity ${newEntityId} for prefab "${prefabName}". Restoring components...`);
+    /**
+     * @private Writes stored-form data to `storage`. Failures of asynchronous backends are
+     * reported by `flushStorage()`.
+     * @throws {Error} If the storage is read-only.
+     */
+    _store(name, stored) {
+        if (this.storage.readOnly) throw new Error(`Prefab storage "${this.storage.name}" is read-only.`);
+        this._trackWrite(name, 'written to', this.storage.write(name, stored));
+    }
 
-            // Add components from the prefab data to the new entity
-            let success = true;
-            for (const [componentType, componentData] of Object.entries(prefabData.components)) {
-                 // Hierarchy (parent) should NOT be restored directly from prefab,
-                 // instantiated prefabs become roots by default. Children ARE restored.
-                 let dataToRestore = componentData;
-                 if (componentType === 'transform' && componentData) {
-                      // Ensure parent is null/undefined when restoring from prefab
-                      dataToRestore = { ...componentData, parent: null };
-                      // Children will be handled automatically if they exist in the prefab data
-                 }
+    /** @private Keeps track of a (possibly asynchronous) storage write or deletion until it settles. */
+    _trackWrite(name, action, result) {
+        const storageName = this.storage.name;
+        const write = Promise.resolve(result).then(() => {}, error => {
+            logger.error(`[PrefabManager] Prefab "${name}" could not be ${action} "${storageName}":`, error);
+            this._failedWrites.push(name);
+        });
+        this._pendingWrites.add(write);
+        write.then(() => this._pendingWrites.delete(write));
+    }
 
-                 if (!this.entityManager.addComponent(newEntityId, componentType, dataToRestore)) {
-                     logger.error(`[PrefabManager] Failed to add component '${componentType}' to entity ${newEntityId} from prefab "${prefabName}".`);
-                     success = false;
-                     // Decide whether to continue adding other components or fail completely
-                     // break; // Uncomment to stop on first component failure
-                 }
-            }
+    /** @private Forgets cached prefab data after the sources changed. */
+    _clearCaches() {
+        this._cache.clear();
+        this._resolved.clear();
+    }
 
-            if (!success) {
-                 // Optionally remove the partially created entity if component adding failed critically
-                 logger.warn(`[PrefabManager] Entity ${newEntityId} created from prefab "${prefabName}" but component restoration had errors.`);
-                 // this.entityManager.removeEntity(newEntityId); // Uncomment to delete on failure
-                 // return null;
+    /**
+     * @private Combines a stored variant with its (resolved) base: entries of `removed` are left
+     * out, `overrides` (by local ID: changed component fields, `null` for removed components,
+     * and changed entity fields such as `active`) are applied and `added` entries appended.
+     */
+    _resolveVariant(name, stored, path) {
+        if (path.includes(name)) throw new Error(`Variant cycle: ${[...path, name].join(' > ')}.`);
+        const base = this._readPrefab(stored.base, [...path, name]);
+        if (!base) throw new Error(`Base prefab "${stored.base}" not found.`);
+        const removed = new Set(stored.removed ?? []);
+        const entities = [];
+        for (const baseEntry of base.entities) {
+            if (removed.has(baseEntry.id)) continue;
+            const entry = structuredClone(baseEntry);
+            const { components, ...fields } = stored.overrides?.[baseEntry.id] ?? {};
+            for (const [type, values] of Object.entries(components ?? {})) {
+                entry.components ??= {};
+                if (values === null) delete entry.components[type];
+                else entry.components[type] = { ...entry.components[type], ...structuredClone(values) };
             }
+            for (const [key, value] of Object.entries(fields)) {
+                if (value === null) delete entry[key];
+                else entry[key] = structuredClone(value);
+            }
+            entities.push(entry);
+        }
+        entities.push(...structuredClone(stored.added ?? []));
+        return { formatVersion: stored.formatVersion ?? base.formatVersion, base: stored.base, root: base.root, entities };
+    }
 
-             // Manually trigger events after all components are potentially added
-             // Note: addComponent already triggers events, but a specific prefab event might be useful
-             this.entityManager.eventEmitter?.emit('entityCreated', { id: newEntityId, source: 'prefab', prefabName: prefabName });
+    /** @private The stored form of a variant: its differences from the base (see `_resolveVariant`). */
+    _diffFromBase(baseName, base, data) {
+        const differs = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+        const baseEntries = new Map(base.entities.map(entry => [entry.id, entry]));
+        const overrides = {};
+        const added = [];
+        for (const entry of data.entities) {
+            const baseEntry = baseEntries.get(entry.id);
+            if (!baseEntry || baseEntry.prefab !== entry.prefab) { added.push(entry); continue; }
+            const changes = {};
+            const components = {};
+            for (const type of new Set([...Object.keys(baseEntry.components ?? {}), ...Object.keys(entry.components ?? {})])) {
+                const values = entry.components?.[type];
+                const baseValues = baseEntry.components?.[type];
+                if (!values) { components[type] = null; continue; }
+                const changed = Object.fromEntries(Object.entries(values).filter(([key, value]) => differs(value, baseValues?.[key])));
+                if (!baseValues || Object.keys(changed).length > 0) components[type] = changed;
+            }
+            if (Object.keys(components).length > 0) changes.components = components;
+            for (const key of new Set([...Object.keys(baseEntry), ...Object.keys(entry)])) {
+                if (key === 'id' || key === 'prefab' || key === 'components') continue;
+                if (differs(entry[key], baseEntry[key])) changes[key] = entry[key] ?? null;
+            }
+            if (Object.keys(changes).length > 0) overrides[entry.id] = changes;
+        }
+        const kept = new Set(data.entities.filter(entry => !added.includes(entry)).map(entry => entry.id));
+        const removed = base.entities.filter(entry => !kept.has(entry.id)).map(entry => entry.id);
+        return { formatVersion: data.formatVersion, base: baseName, overrides, added, removed };
+    }
 
+    /**
+     * Collects the prefab entries of an entity and its descendants. Nested prefab instances
+     * become `{ id, prefab, components: { transform } }` entries and their descendants are skipped.
+     * @private
+     * @param {number} rootId - The prefab root.
+     * @returns {object[]} The entries, root first.
+     */
+    _captureSubtree(rootId) {
+        const entries = [];
+        const visit = (id) => {
+            const state = this.entityManager.getEntityState(id);
+            if (!state) throw new Error(`Failed to get state for entity ${id}.`);
+            const { prefabInstance, ...components } = state.components;
+            const entry = { ...state, components };
+            if (id === rootId) {
+                if (entry.components.transform) entry.components.transform = { ...entry.components.transform, parent: null };
+            } else if (prefabInstance?.prefab && this._rootOf(id) === id) {
+                entries.push({ id, prefab: prefabInstance.prefab, components: { transform: components.transform } });
+                return; // The nested prefab provides the descendants
+            }
+            entries.push(entry);
+            const children = this.entityManager.getComponent(id, 'transform')?.children ?? [];
+            for (const childId of children) visit(childId);
+        };
+        visit(rootId);
+        return entries;
+    }
 
-            logger.log(`[PrefabManager] Instantiated prefab "${prefabName}" as entity ${newEntityId}.`);
-            return newEntityId;
+    /**
+     * Instantiates a prefab and, first, the prefabs nested in it.
+     * @private
+     * @param {string} name - The prefab name.
+     * @param {string[]} path - Names of the prefabs being instantiated around this one (cycle check).
+     * @returns {number} The new root entity ID.
+     * @throws {Error} If the prefab (or a nested one) is missing, invalid or contains itself.
+     */
+    _instantiate(name, path) {
+        if (path.includes(name)) throw new Error(`Prefab cycle: ${[...path, name].join(' > ')}.`);
+        const data = this._readPrefab(name);
+        if (!data) throw new Error(`Prefab "${name}" not found.`);
 
+        // Nested instances first, so the prefab's own entities can refer to their roots
+        const nestedIds = new Map();
+        let result;
+        try {
+            for (const entry of data.entities.filter(entry => entry.prefab)) {
+                const nestedRoot = this._instantiate(entry.prefab, [...path, name]);
+                nestedIds.set(entry.id, nestedRoot);
+                const { parent, children, ...transform } = entry.components?.transform ?? {};
+                if (Object.keys(transform).length > 0) this.entityManager.addComponent(nestedRoot, 'transform', { ...transform, source: 'prefab' });
+            }
+            result = this.entityManager.importEntities({
+                formatVersion: data.formatVersion,
+                entities: structuredClone(data.entities.filter(entry => !entry.prefab))
+            }, { idMap: nestedIds });
+            if (!result) throw new Error(`Prefab "${name}" could not be imported.`);
         } catch (error) {
-            logger.error(`[PrefabManager] Error instantiating prefab "${prefabName}":`, error);
-            return null;
+            // Nothing of a failed instance stays in the world
+            for (const id of nestedIds.values()) {
+                if (this.entityManager.hasEntity(id)) this.entityManager.removeEntity(id);
+            }
+            throw error;
+        }
+        if (!result.success) logger.warn(`[PrefabManager] Prefab "${name}" was instantiated with errors.`);
+
+        for (const entry of data.entities.filter(entry => entry.prefab)) {
+            const parentId = result.idMap.get(entry.components?.transform?.parent);
+            if (parentId !== undefined) this.entityManager.setParent(nestedIds.get(entry.id), parentId, 'prefab');
+        }
+        const rootId = result.idMap.get(data.root);
+        for (const entry of data.entities) {
+            if (entry.prefab) this._linkNested(nestedIds.get(entry.id), rootId, entry.id);
+            else this._link(result.idMap.get(entry.id), name, rootId, entry.id);
+        }
+        this._setInstanceEntries(rootId, data.entities.map(entry => entry.id), []);
+        return rootId;
+    }
+
+    /**
+     * @private Chooses the local IDs of captured entities: entities of the instance rooted at
+     * `rootId` keep the ones they were instantiated with, and so do the instances nested in it;
+     * other entities use their entity ID unless it is taken.
+     * @returns {Map<number, number>} Local ID by entity ID.
+     */
+    _assignLocalIds(rootId, entries) {
+        const localIds = new Map();
+        const used = new Set();
+        for (const { id } of entries) {
+            const link = this.entityManager.getComponent(id, 'prefabInstance');
+            const localId = link?.outerRoot === rootId ? link.outerLocalId
+                : link && this._rootOf(id) === rootId ? link.localId : null;
+            if (localId !== null && localId !== undefined && !used.has(localId)) {
+                localIds.set(id, localId);
+                used.add(localId);
+            }
+        }
+        let next = Math.max(0, ...used, ...entries.map(entry => entry.id)) + 1;
+        for (const { id } of entries) {
+            if (localIds.has(id)) continue;
+            const localId = used.has(id) ? next++ : id;
+            localIds.set(id, localId);
+            used.add(localId);
+        }
+        return localIds;
+    }
+
+    /** @private Links an entity to an entry of a prefab, without overrides. */
+    _link(entityId, prefab, rootId, localId) {
+        this.entityManager.addComponent(entityId, 'prefabInstance', { prefab, root: rootId, localId, overrides: {}, source: 'prefab' });
+    }
+
+    /** @private Records the instance (and its entry) a nested instance root belongs to. */
+    _linkNested(nestedRootId, outerRootId, outerLocalId) {
+        this.entityManager.addComponent(nestedRootId, 'prefabInstance', { outerRoot: outerRootId, outerLocalId, source: 'prefab' });
+    }
+
+    /** @private Records the prefab entries an instance has and those deleted from it. */
+    _setInstanceEntries(rootId, entries, removed) {
+        this.entityManager.addComponent(rootId, 'prefabInstance', { entries, removed, source: 'prefab' });
+    }
+
+    /**
+     * @private The root of the instance an entity belongs to (links saved before roots were
+     * recorded only exist on roots).
+     */
+    _rootOf(entityId) {
+        return this.entityManager.getComponent(entityId, 'prefabInstance')?.root ?? entityId;
+    }
+
+    /**
+     * @private The entities of an instance by their ID in the prefab.
+     * @param {number} rootId - The instance root.
+     * @returns {Map<number, number>}
+     */
+    _getMembers(rootId) {
+        const members = new Map();
+        for (const id of this.entityManager.getEntitiesWithComponent('prefabInstance')) {
+            const link = this.entityManager.getComponent(id, 'prefabInstance');
+            if (this._rootOf(id) === rootId && link.localId !== null) members.set(link.localId, id);
+        }
+        return members;
+    }
+
+    /**
+     * @private The roots of the instances nested in an instance, by their entry ID in its prefab.
+     * @param {number} rootId - The instance root.
+     * @returns {Map<number, number>}
+     */
+    _getNestedMembers(rootId) {
+        const nested = new Map();
+        for (const id of this.entityManager.getEntitiesWithComponent('prefabInstance')) {
+            const link = this.entityManager.getComponent(id, 'prefabInstance');
+            if (link.outerRoot === rootId && link.outerLocalId !== null && this._rootOf(id) === id) nested.set(link.outerLocalId, id);
+        }
+        return nested;
+    }
+
+    /**
+     * @private The prefab entries deleted from an instance: those recorded as removed, and those
+     * it had when last created or updated that no longer exist. Entries that exist again (e.g.
+     * a deletion was undone) are not removed.
+     * @returns {Set<number>} Local IDs.
+     */
+    _getRemoved(rootId, members, nested) {
+        const link = this.entityManager.getComponent(rootId, 'prefabInstance');
+        const exists = localId => members.has(localId) || nested.has(localId);
+        return new Set([...(link?.removed ?? []), ...(link?.entries ?? [])].filter(localId => !exists(localId)));
+    }
+
+    /**
+     * @private Everything needed to compare an instance entity with its prefab entry, or `null`
+     * if it is not linked to a saved prefab.
+     */
+    _linkContext(entityId) {
+        const link = this.entityManager.getComponent(entityId, 'prefabInstance');
+        const data = link?.prefab ? this._readPrefab(link.prefab) : null;
+        const entry = data?.entities.find(candidate => candidate.id === link.localId && !candidate.prefab);
+        if (!entry) return null;
+        const rootId = this._rootOf(entityId);
+        return { link, data, entry, members: this._getMembers(rootId), isRoot: rootId === entityId };
+    }
+
+    /**
+     * @private Whether a field follows the prefab. The hierarchy links, the link itself and the
+     * transform of instance roots never do.
+     */
+    _isLinkedField(componentType, key, isRoot) {
+        if (componentType === 'prefabInstance') return false;
+        if (componentType === 'transform') return !isRoot && key !== 'parent' && key !== 'children';
+        return true;
+    }
+
+    /** @private Maps the entity IDs in an `entity` (or entity array) schema field with `mapId`. */
+    _mapEntityField(componentType, key, value, mapId) {
+        const field = this.entityManager.componentRegistry.getSchema(componentType)?.[key];
+        if (field?.type === 'entity') return value === null || value === undefined ? value : mapId(value);
+        if (field?.type === 'array' && field.items === 'entity' && Array.isArray(value)) return value.map(mapId).filter(id => id !== null);
+        return structuredClone(value);
+    }
+
+    /** @private A field value of a prefab entry, with entity references pointing into the instance. */
+    _prefabValue(entry, componentType, key, members) {
+        return this._mapEntityField(componentType, key, entry.components?.[componentType]?.[key], id => members.get(id) ?? null);
+    }
+
+    /** @private Replaces the overridden fields of one component and reports the change. */
+    _setOverrides(entityId, componentType, keys) {
+        const link = this.entityManager.getComponent(entityId, 'prefabInstance');
+        if (!link) return;
+        const current = link.overrides[componentType] ?? [];
+        if (current.length === keys.length && current.every(key => keys.includes(key))) return;
+        if (keys.length > 0) link.overrides[componentType] = keys;
+        else delete link.overrides[componentType];
+        this.entityManager.markChanged(entityId, 'prefabInstance', { fields: ['overrides'], source: 'prefab' });
+    }
+
+    /**
+     * @private Records edits of linked entities: a field becomes overridden when it is set to a
+     * value other than the prefab's, and stops being overridden when set back. Loaded scenes
+     * bring their recorded overrides along.
+     */
+    _onEntityUpdated({ id, componentType, properties, source }) {
+        if (!this._recording || source === 'prefab' || source === 'deserialize' || componentType === 'prefabInstance' || !properties) return;
+        if (!this.entityManager.hasComponent(id, 'prefabInstance')) return;
+        const context = this._linkContext(id);
+        const component = this.entityManager.getComponent(id, componentType);
+        if (!context || !component) return;
+        const { link, entry, members, isRoot } = context;
+        const keys = new Set(link.overrides[componentType] ?? []);
+        for (const key of Object.keys(properties)) {
+            if (!this._isLinkedField(componentType, key, isRoot)) continue;
+            const differs = JSON.stringify(component[key]) !== JSON.stringify(this._prefabValue(entry, componentType, key, members));
+            if (differs) keys.add(key); else keys.delete(key);
         }
+        this._setOverrides(id, componentType, [...keys]);
+    }
+
+    /** @private Brings one instance up to date with the prefab data (see `propagate`). */
+    _syncInstance(rootId, prefabName, data) {
+        const em = this.entityManager;
+        const members = this._getMembers(rootId);
+        const nested = this._getNestedMembers(rootId);
+        // Entries deleted from this instance stay deleted, and so does everything below them
+        const removed = this._getRemoved(rootId, members, nested);
+        for (const entry of data.entities) {
+            if (removed.has(entry.components?.transform?.parent)) removed.add(entry.id);
+        }
+        const entries = data.entities.filter(entry => !entry.prefab && !removed.has(entry.id));
+        const nestedEntries = data.entities.filter(entry => entry.prefab && !removed.has(entry.id));
+
+        // Nested instances added to the prefab (or now of another prefab)
+        const addedNested = [];
+        for (const entry of nestedEntries) {
+            const existing = nested.get(entry.id);
+            if (existing !== undefined && em.getComponent(existing, 'prefabInstance')?.prefab === entry.prefab) continue;
+            if (existing !== undefined) em.removeEntity(existing);
+            const nestedRoot = this._instantiate(entry.prefab, [prefabName]);
+            const { parent, children, ...transform } = entry.components?.transform ?? {};
+            if (Object.keys(transform).length > 0) em.addComponent(nestedRoot, 'transform', { ...transform, source: 'prefab' });
+            this._linkNested(nestedRoot, rootId, entry.id);
+            nested.set(entry.id, nestedRoot);
+            addedNested.push(entry);
+        }
+        const ids = new Map([...members, ...nested]);
+
+        // Entities added to the prefab
+        const added = entries.filter(entry => !members.has(entry.id));
+        if (added.length > 0) {
+            const result = em.importEntities({ formatVersion: data.formatVersion, entities: structuredClone(added) }, { idMap: ids });
+            for (const entry of added) {
+                const id = result?.idMap.get(entry.id);
+                if (id === undefined) continue;
+                this._link(id, prefabName, rootId, entry.id);
+                members.set(entry.id, id);
+                ids.set(entry.id, id);
+            }
+        }
+        for (const entry of addedNested) {
+            const parentId = members.get(entry.components?.transform?.parent);
+            if (parentId !== undefined) em.setParent(nested.get(entry.id), parentId, 'prefab');
+        }
+
+        for (const entry of entries) {
+            const id = members.get(entry.id);
+            if (id === undefined || added.includes(entry)) continue;
+            const isRoot = id === rootId;
+            const overrides = em.getComponent(id, 'prefabInstance').overrides ?? {};
+            for (const [type, componentData] of Object.entries(entry.components ?? {})) {
+                const component = em.getComponent(id, type);
+                const values = {};
+                for (const key of Object.keys(componentData ?? {})) {
+                    if (!this._isLinkedField(type, key, isRoot) || overrides[type]?.includes(key)) continue;
+                    const value = this._prefabValue(entry, type, key, ids);
+                    if (!component || JSON.stringify(component[key]) !== JSON.stringify(value)) values[key] = value;
+                }
+                if (!component || Object.keys(values).length > 0) em.addComponent(id, type, { ...values, source: 'prefab' });
+            }
+            const parentId = members.get(entry.components?.transform?.parent);
+            if (!isRoot && parentId !== undefined && em.getComponent(id, 'transform')?.parent !== parentId) em.setParent(id, parentId, 'prefab');
+        }
+
+        // Entities and nested instances removed from the prefab
+        const localIds = new Set(entries.map(entry => entry.id));
+        for (const [localId, id] of members) {
+            if (!localIds.has(localId) && id !== rootId && em.hasEntity(id)) em.removeEntity(id);
+        }
+        const nestedIds = new Set(nestedEntries.map(entry => entry.id));
+        for (const [localId, id] of nested) {
+            if (!nestedIds.has(localId) && em.hasEntity(id)) em.removeEntity(id);
+        }
+
+        const prefabIds = new Set(data.entities.map(entry => entry.id));
+        this._setInstanceEntries(rootId, [...prefabIds].filter(localId => !removed.has(localId)), [...removed].filter(localId => prefabIds.has(localId)));
     }
 
     /**
-     * Retrieves a list of names for all prefabs currently stored in localStorage.
+     * Checks whether a prefab is, or contains (at any depth), another prefab.
+     * @private
+     * @param {string} name - The prefab to inspect.
+     * @param {string} target - The prefab to look for.
+     * @param {Set<string>} [visited]
+     * @returns {boolean}
+     */
+    _referencesPrefab(name, target, visited = new Set()) {
+        if (name === target) return true;
+        if (visited.has(name)) return false;
+        visited.add(name);
+        const base = this.getBase(name);
+        if (base && this._referencesPrefab(base, target, visited)) return true;
+        const data = this._readPrefab(name);
+        return !!data?.entities.some(entry => entry.prefab && this._referencesPrefab(entry.prefab, target, visited));
+    }
+
+    /**
+     * Retrieves a list of names for all prefabs, saved ones and those of loaded libraries.
      *
-     * @returns {string[]} An array of saved prefab names.
+     * @returns {string[]} An array of prefab names.
      * @method listPrefabs
      * @memberof PrefabManager
      * @instance
      */
     listPrefabs() {
-        const prefabNames = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(this.localStoragePrefix)) {
-                prefabNames.push(key.substring(this.localStoragePrefix.length));
-            }
-        }
-        return prefabNames.sort(); // Return sorted names
+        const prefabNames = new Set(this.storage.list());
+        for (const library of this.libraries) library.list().forEach(name => prefabNames.add(name));
+        return [...prefabNames].sort(); // Return sorted names
     }
 
     /**
-     * Deletes a saved prefab from localStorage.
+     * Deletes a saved prefab from `storage`. A prefab that is the base of variants or nested in
+     * other prefabs cannot be deleted, nor can prefabs of libraries.
      *
      * @param {string} prefabName - The name of the prefab to delete.
      * @returns {boolean} `true` if the prefab was found and deleted, `false` otherwise.
@@ -173,13 +1025,24 @@ export class PrefabManager {
             logger.error("[PrefabManager] Prefab name cannot be empty for deletion.");
             return false;
         }
-        const key = this.localStoragePrefix + prefabName.trim();
-        if (localStorage.getItem(key) !== null) {
-            localStorage.removeItem(key);
+        const name = prefabName.trim();
+        const variants = this.getVariants(name);
+        if (variants.length > 0) {
+            logger.error(`[PrefabManager] Cannot delete prefab "${prefabName}": it is the base of ${variants.join(', ')}.`);
+            return false;
+        }
+        const users = this.listPrefabs().filter(other => other !== name && this._referencesPrefab(other, name));
+        if (users.length > 0) {
+            logger.error(`[PrefabManager] Cannot delete prefab "${prefabName}": it is nested in ${users.join(', ')}.`);
+            return false;
+        }
+        if (this.storage.read(name) !== null && !this.storage.readOnly) {
+            this._trackWrite(name, 'deleted from', this.storage.remove(name));
+            this._clearCaches();
             logger.log(`[PrefabManager] Deleted prefab "${prefabName}".`);
             return true;
         } else {
-            logger.warn(`[PrefabManager] Prefab "${prefabName}" not found for deletion.`);
+            logger.warn(`[PrefabManager] Prefab "${prefabName}" not found for deletion${this.libraries.some(library => library.read(name) !== null) ? ' (library prefabs are read-only)' : ''}.`);
             return false;
         }
     }
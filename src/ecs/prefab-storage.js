@@ -0,0 +1,208 @@
+// src/ecs/prefab-storage.js - Storage backends for the PrefabManager
+// @version 1.0.0 - Initial implementation (localStorage, in-memory, IndexedDB and read-only JSON libraries).
+
+import * as logger from '../utils/logger.js';
+import { parseJSONC } from '../utils/jsonc.js';
+
+/**
+ * Where a PrefabManager keeps its prefabs. Prefab data is a plain JSON object (see
+ * `PrefabManager.getPrefabData`); backends store it as is.
+ *
+ * `list()` and `read()` are synchronous, because prefabs are instantiated synchronously.
+ * Backends with an asynchronous store (IndexedDB, files) read everything in `load()` and keep
+ * a copy in memory; their `write()`/`remove()` update that copy at once and return a promise
+ * for the store.
+ *
+ * @typedef {object} PrefabStorage
+ * @property {string} name - Shown in logs.
+ * @property {boolean} [readOnly] - `write()` and `remove()` are not available.
+ * @property {() => Promise<void>} [load] - Must be awaited before the storage is used.
+ * @property {() => string[]} list - Names of the stored prefabs.
+ * @property {(name: string) => object | null} read - The stored data, or `null`.
+ * @property {(name: string, data: object) => (void | Promise<void>)} write
+ * @property {(name: string) => (boolean | Promise<boolean>)} remove - Whether the prefab existed.
+ */
+
+/** Value of `format` in prefab library files (`*.prefab.json`). */
+export const PREFAB_LIBRARY_FORMAT = 'prefab-library';
+
+/** Current `formatVersion` of prefab library files. */
+export const PREFAB_LIBRARY_VERSION = 1;
+
+/**
+ * Reads a prefab library file: `{ format: 'prefab-library', formatVersion, prefabs: { [name]: data } }`.
+ * @param {string | object} jsonOrObject - The file content (comments allowed) or the parsed object.
+ * @returns {Object<string, object>} The prefab data by name.
+ * @throws {Error} If the content is not a prefab library.
+ */
+export function parsePrefabLibrary(jsonOrObject) {
+    const library = typeof jsonOrObject === 'string' ? parseJSONC(jsonOrObject) : jsonOrObject;
+    if (library?.format !== PREFAB_LIBRARY_FORMAT || typeof library.prefabs !== 'object' || library.prefabs === null) {
+        throw new Error(`Not a prefab library (expected "format": "${PREFAB_LIBRARY_FORMAT}" and a "prefabs" object).`);
+    }
+    if (library.formatVersion > PREFAB_LIBRARY_VERSION) {
+        throw new Error(`Prefab library format v${library.formatVersion} is newer than the supported v${PREFAB_LIBRARY_VERSION}.`);
+    }
+    return library.prefabs;
+}
+
+/**
+ * Keeps prefabs in memory only, e.g. for tests and headless tools. Also the base of the
+ * backends that load their contents into memory.
+ * @class MemoryPrefabStorage
+ * @implements {PrefabStorage}
+ */
+export class MemoryPrefabStorage {
+    /**
+     * @param {Object<string, object>} [prefabs={}] - Initial prefab data by name.
+     */
+    constructor(prefabs = {}) {
+        this.name = 'memory';
+        this.readOnly = false;
+        /** @protected @type {Map<string, object>} */
+        this.prefabs = new Map(Object.entries(prefabs).map(([name, data]) => [name, structuredClone(data)]));
+    }
+
+    async load() {}
+
+    list() { return [...this.prefabs.keys()].sort(); }
+
+    read(name) { return this.prefabs.has(name) ? structuredClone(this.prefabs.get(name)) : null; }
+
+    write(name, data) { this.prefabs.set(name, structuredClone(data)); }
+
+    remove(name) { return this.prefabs.delete(name); }
+}
+
+/**
+ * Keeps prefabs in the browser's localStorage, one JSON string per prefab under `prefix + name`.
+ * The default backend.
+ * @class LocalStoragePrefabStorage
+ * @implements {PrefabStorage}
+ */
+export class LocalStoragePrefabStorage {
+    /**
+     * @param {string} [prefix='prefab_'] - Key prefix of the stored prefabs.
+     */
+    constructor(prefix = 'prefab_') {
+        this.name = 'localStorage';
+        this.readOnly = false;
+        /** @type {string} */
+        this.prefix = prefix;
+    }
+
+    list() {
+        const names = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key?.startsWith(this.prefix)) names.push(key.substring(this.prefix.length));
+        }
+        return names.sort();
+    }
+
+    read(name) {
+        const json = localStorage.getItem(this.prefix + name);
+        return json === null ? null : JSON.parse(json);
+    }
+
+    write(name, data) { localStorage.setItem(this.prefix + name, JSON.stringify(data)); }
+
+    remove(name) {
+        if (localStorage.getItem(this.prefix + name) === null) return false;
+        localStorage.removeItem(this.prefix + name);
+        return true;
+    }
+}
+
+/**
+ * Keeps prefabs in an IndexedDB object store, which holds far more than localStorage.
+ * `load()` reads all prefabs into memory; writes are saved in the background.
+ * @class IndexedDBPrefabStorage
+ * @extends MemoryPrefabStorage
+ */
+export class IndexedDBPrefabStorage extends MemoryPrefabStorage {
+    /**
+     * @param {string} [databaseName='engine-prefabs'] - The IndexedDB database.
+     * @param {string} [storeName='prefabs'] - The object store (prefab data keyed by name).
+     */
+    constructor(databaseName = 'engine-prefabs', storeName = 'prefabs') {
+        super();
+        this.name = 'indexedDB';
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        /** @private @type {IDBDatabase | null} */
+        this._db = null;
+    }
+
+    async load() {
+        if (typeof indexedDB === 'undefined') throw new Error("IndexedDB is not available in this environment.");
+        this._db ??= await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        const store = this._db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+        const [names, values] = await Promise.all([this._request(store.getAllKeys()), this._request(store.getAll())]);
+        this.prefabs = new Map(names.map((name, index) => [name, values[index]]));
+    }
+
+    write(name, data) {
+        super.write(name, data);
+        return this._persist(store => store.put(structuredClone(data), name), `save "${name}"`);
+    }
+
+    remove(name) {
+        const existed = super.remove(name);
+        return this._persist(store => store.delete(name), `delete "${name}"`).then(() => existed);
+    }
+
+    /** @private Runs a change on the object store once `load()` has opened the database. */
+    async _persist(change, description) {
+        if (!this._db) throw new Error(`IndexedDBPrefabStorage: cannot ${description} before load().`);
+        try {
+            await this._request(change(this._db.transaction(this.storeName, 'readwrite').objectStore(this.storeName)));
+        } catch (error) {
+            logger.error(`[IndexedDBPrefabStorage] Failed to ${description}:`, error);
+            throw error;
+        }
+    }
+
+    /** @private */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+/**
+ * A prefab library file (`*.prefab.json`, see `parsePrefabLibrary`) loaded through the
+ * AssetManager, e.g. prefabs versioned with the project next to its scenes. Read-only.
+ * @class AssetPrefabLibrary
+ * @extends MemoryPrefabStorage
+ */
+export class AssetPrefabLibrary extends MemoryPrefabStorage {
+    /**
+     * @param {import('../asset/asset-manager.js').AssetManager} assetManager
+     * @param {string} path - The library file, relative to the asset base path.
+     */
+    constructor(assetManager, path) {
+        super();
+        if (!assetManager) throw new Error("AssetPrefabLibrary requires an AssetManager instance.");
+        this.name = path;
+        this.readOnly = true;
+        this.assetManager = assetManager;
+        this.path = path;
+    }
+
+    async load() {
+        const prefabs = parsePrefabLibrary(await this.assetManager.load(this.path));
+        this.prefabs = new Map(Object.entries(prefabs));
+    }
+
+    write(name) { throw new Error(`Prefab library "${this.path}" is read-only; cannot save "${name}".`); }
+
+    remove(name) { throw new Error(`Prefab library "${this.path}" is read-only; cannot delete "${name}".`); }
+}
@@ -0,0 +1,235 @@
+// src/ecs/query.js - Persistent, live-updating entity queries
+// @version 1.2.0 - `changed` filter: tracks members whose listed components changed (changedEntities/clearChanged).
+// @previous 1.1.0 - Inactive entities and disabled components are skipped unless `includeInactive` is set.
+
+import * as logger from '../utils/logger.js';
+
+/**
+ * Describes which component types an entity must (or must not) have to match a query.
+ * @typedef {object} QueryDescriptor
+ * @property {string[]} [all=[]] - The entity must have every one of these component types.
+ * @property {string[]} [any=[]] - The entity must have at least one of these types (ignored when empty).
+ * @property {string[]} [none=[]] - The entity must have none of these component types.
+ * @property {string[]} [changed=[]] - Track members whose components of these types were changed
+ * (`addComponent` or `EntityManager.markChanged`) in `changedEntities`. Does not affect matching.
+ * @property {boolean} [includeInactive=false] - Also match inactive entities, and count disabled components
+ * as present. By default inactive entities never match and disabled components count as absent.
+ */
+
+/**
+ * A persistent entity query created by `EntityManager.createQuery()`.
+ *
+ * The matching entity set is computed once on creation and then kept up to date
+ * by the EntityManager whenever components are added, removed, enabled or disabled,
+ * or entities are removed, activated or deactivated. Systems can iterate `query.entities` every frame without re-querying,
+ * and use `onEnter`/`onExit` to react to entities starting or stopping to match.
+ *
+ * With a `changed` filter the query also collects the members whose listed components
+ * changed, plus entities that started matching, in `changedEntities`. A system typically
+ * processes that set once per frame and then calls `clearChanged()`:
+ *
+ * ```js
+ * const query = entityManager.createQuery({ all: ['renderable'], changed: ['renderable'] });
+ * // update():
+ * for (const id of query.changedEntities) sync(id);
+ * query.clearChanged();
+ * ```
+ *
+ * @class Query
+ */
+export class Query {
+    /**
+     * Creates a Query. Use `EntityManager.createQuery()` instead of calling this directly.
+     * @param {import('./entity-manager.js').EntityManager} entityManager - The owning EntityManager.
+     * @param {QueryDescriptor} descriptor - The component filters.
+     */
+    constructor(entityManager, descriptor = {}) {
+        /** @private */
+        this.entityManager = entityManager;
+        /** @type {ReadonlyArray<string>} @readonly */
+        this.all = Object.freeze([...(descriptor.all || [])]);
+        /** @type {ReadonlyArray<string>} @readonly */
+        this.any = Object.freeze([...(descriptor.any || [])]);
+        /** @type {ReadonlyArray<string>} @readonly */
+        this.none = Object.freeze([...(descriptor.none || [])]);
+        /** @type {ReadonlyArray<string>} @readonly */
+        this.changed = Object.freeze([...(descriptor.changed || [])]);
+        /** @type {boolean} @readonly */
+        this.includeInactive = !!descriptor.includeInactive;
+        /**
+         * Members that entered the query or had a `changed` component changed since the last
+         * `clearChanged()`. Always empty without a `changed` filter. Do not modify directly.
+         * @type {Set<number>}
+         */
+        this.changedEntities = new Set();
+        /**
+         * The IDs of all entities currently matching the query. Do not modify directly.
+         * @type {Set<number>}
+         */
+        this.entities = new Set();
+        /** @private @type {Set<function(number): void>} */
+        this._enterCallbacks = new Set();
+        /** @private @type {Set<function(number): void>} */
+        this._exitCallbacks = new Set();
+        /** @private */
+        this._destroyed = false;
+    }
+
+    /**
+     * The number of entities currently matching the query.
+     * @type {number}
+     */
+    get size() { return this.entities.size; }
+
+    /**
+     * Checks whether an entity currently satisfies the query filters,
+     * based on the EntityManager's live component data.
+     * @param {number} entityId - The entity ID to test.
+     * @returns {boolean} `true` if the entity matches.
+     * @method matches
+     */
+    matches(entityId) {
+        const em = this.entityManager;
+        if (!em || !em.hasEntity(entityId)) return false;
+        if (!this.includeInactive && !em.isActive(entityId)) return false;
+        const has = this.includeInactive ? type => em.hasComponent(entityId, type) : type => em.isComponentActive(entityId, type);
+        for (const type of this.all) { if (!has(type)) return false; }
+        if (this.any.length > 0 && !this.any.some(has)) return false;
+        for (const type of this.none) { if (has(type)) return false; }
+        return true;
+    }
+
+    /**
+     * Checks whether a component type is relevant to this query's filters.
+     * @param {string} componentType - The component type name.
+     * @returns {boolean}
+     * @method involves
+     */
+    involves(componentType) {
+        return this.all.includes(componentType) || this.any.includes(componentType) || this.none.includes(componentType);
+    }
+
+    /**
+     * Checks whether changes to a component type are tracked by this query.
+     * @param {string} componentType - The component type name.
+     * @returns {boolean}
+     * @method tracksChanges
+     */
+    tracksChanges(componentType) {
+        return this.changed.includes(componentType);
+    }
+
+    /**
+     * Empties `changedEntities`, usually after processing them for the frame.
+     * @returns {void}
+     * @method clearChanged
+     */
+    clearChanged() { this.changedEntities.clear(); }
+
+    /**
+     * Checks whether an entity is in the current result set.
+     * @param {number} entityId - The entity ID.
+     * @returns {boolean}
+     * @method has
+     */
+    has(entityId) { return this.entities.has(entityId); }
+
+    /**
+     * Returns a snapshot array of the matching entity IDs.
+     * @returns {number[]}
+     * @method toArray
+     */
+    toArray() { return Array.from(this.entities); }
+
+    /**
+     * Iterates the matching entity IDs. Safe against entities entering or leaving
+     * the query (e.g. being removed) during iteration.
+     * @param {function(number): void} callback - Called with each entity ID.
+     * @returns {void}
+     * @method forEach
+     */
+    forEach(callback) { for (const id of this.toArray()) { if (this.entities.has(id)) callback(id); } }
+
+    /** Iterates the matching entity IDs. */
+    [Symbol.iterator]() { return this.entities.values(); }
+
+    /**
+     * Registers a callback fired when an entity starts matching the query.
+     * @param {function(number): void} callback - Called with the entity ID.
+     * @param {boolean} [includeExisting=false] - Also call it immediately for every entity already matching.
+     * @returns {function(): void} A function that unregisters the callback.
+     * @method onEnter
+     */
+    onEnter(callback, includeExisting = false) {
+        if (typeof callback !== 'function') { logger.warn("[Query onEnter] Callback must be a function."); return () => {}; }
+        this._enterCallbacks.add(callback);
+        if (includeExisting) this.forEach(id => this._invoke(callback, id, 'onEnter'));
+        return () => this._enterCallbacks.delete(callback);
+    }
+
+    /**
+     * Registers a callback fired when an entity stops matching the query,
+     * including when the entity is removed.
+     * @param {function(number): void} callback - Called with the entity ID.
+     * @returns {function(): void} A function that unregisters the callback.
+     * @method onExit
+     */
+    onExit(callback) {
+        if (typeof callback !== 'function') { logger.warn("[Query onExit] Callback must be a function."); return () => {}; }
+        this._exitCallbacks.add(callback);
+        return () => this._exitCallbacks.delete(callback);
+    }
+
+    /**
+     * Detaches the query from its EntityManager. The query stops updating and
+     * all callbacks are dropped.
+     * @returns {void}
+     * @method destroy
+     */
+    destroy() {
+        if (this._destroyed) return;
+        this._destroyed = true;
+        this.entityManager?._removeQuery(this);
+        this.entities.clear();
+        this.changedEntities.clear();
+        this._enterCallbacks.clear();
+        this._exitCallbacks.clear();
+        this.entityManager = null;
+    }
+
+    /**
+     * @private Re-evaluates one entity and fires enter/exit callbacks when its membership changes.
+     * @param {number} entityId - The entity ID.
+     */
+    _refresh(entityId) {
+        const isMatch = this.matches(entityId);
+        const wasMatch = this.entities.has(entityId);
+        if (isMatch === wasMatch) return;
+        if (isMatch) {
+            this.entities.add(entityId);
+            if (this.changed.length > 0) this.changedEntities.add(entityId);
+            this._enterCallbacks.forEach(cb => this._invoke(cb, entityId, 'onEnter'));
+        } else {
+            this.entities.delete(entityId);
+            this.changedEntities.delete(entityId);
+            this._exitCallbacks.forEach(cb => this._invoke(cb, entityId, 'onExit'));
+        }
+    }
+
+    /**
+     * @private Records a component change of a member (called by the EntityManager).
+     * @param {number} entityId - The entity ID.
+     */
+    _markChanged(entityId) {
+        if (this.entities.has(entityId)) this.changedEntities.add(entityId);
+    }
+
+    /** @private */
+    _invoke(callback, entityId, hookName) {
+        try {
+            callback(entityId);
+        } catch (error) {
+            logger.error(`[Query ${hookName}] Error in callback for entity ${entityId}:`, error);
+        }
+    }
+}
@@ -0,0 +1,267 @@
+import * as logger from '../utils/logger.js';
+// src/ecs/scene-manager.js
+// @version 1.0.0 - Initial implementation (additive loading, scene membership, unloading, persistent scenes).
+
+/** @typedef {import('./entity-manager.js').EntityManager} EntityManager */
+/** @typedef {import('../utils/event-emitter.js').EventEmitter} EventEmitter */
+
+/**
+ * Identifies a loaded scene. Returned by `loadScene()` and accepted (as is, or just its `id`)
+ * by the other methods.
+ * @typedef {object} SceneHandle
+ * @property {number} id - Unique for the lifetime of the SceneManager.
+ * @property {string} name - Display name.
+ */
+
+/**
+ * Loads scenes additively into the world and keeps track of which entities belong to which
+ * scene, so scenes can be unloaded again. A scene marked persistent survives non-additive
+ * loads (level changes), e.g. a "managers" scene holding the camera and UI entities.
+ *
+ * Entities created at runtime belong to no scene unless added with `addToScene()`.
+ * Clearing the world (`EntityManager.clear()`, loading a whole scene file) forgets all scenes.
+ *
+ * Events: `sceneLoaded` ({ scene, entities, success }) and `sceneUnloaded` ({ scene, entities }).
+ *
+ * @class SceneManager
+ */
+export class SceneManager {
+    /**
+     * @param {EntityManager} entityManager
+     * @param {EventEmitter} eventEmitter
+     */
+    constructor(entityManager, eventEmitter) {
+        if (!entityManager) throw new Error("SceneManager requires an EntityManager instance.");
+        /** @type {EntityManager} */
+        this.entityManager = entityManager;
+        /** @type {EventEmitter|null} */
+        this.eventEmitter = eventEmitter ?? null;
+
+        /** @private @type {Map<number, {handle: SceneHandle, persistent: boolean, entities: Set<number>}>} */
+        this._scenes = new Map();
+        /** @private @type {Map<number, number>} Entity ID -> scene ID */
+        this._entityScenes = new Map();
+        /** @private */
+        this._nextSceneId = 1;
+
+        this._onEntityRemoved = this._onEntityRemoved.bind(this);
+        this._onSceneCleared = this._onSceneCleared.bind(this);
+        this.eventEmitter?.on('entityRemoved', this._onEntityRemoved);
+        this.eventEmitter?.on('sceneCleared', this._onSceneCleared);
+    }
+
+    /**
+     * Loads scene data into the world. Entities get new IDs (see `EntityManager.importEntities`).
+     * @param {string | object} sceneData - Scene JSON (comments allowed) or the parsed object.
+     * @param {object} [options={}]
+     * @param {string} [options.name='Scene'] - Display name of the scene.
+     * @param {boolean} [options.persistent=false] - Keep the scene loaded across non-additive loads.
+     * @param {boolean} [options.additive=true] - `false` unloads every non-persistent scene first (a level change).
+     * @returns {SceneHandle|null} The loaded scene, or `null` if the data could not be read.
+     */
+    loadScene(sceneData, { name = 'Scene', persistent = false, additive = true } = {}) {
+        if (!additive) this.unloadAll();
+        const result = this.entityManager.importEntities(sceneData);
+        if (!result) {
+            logger.error(`[SceneManager] Failed to load scene '${name}'.`);
+            return null;
+        }
+        const handle = Object.freeze({ id: this._nextSceneId++, name });
+        const entities = new Set(result.idMap.values());
+        this._scenes.set(handle.id, { handle, persistent: !!persistent, entities });
+        entities.forEach(id => this._entityScenes.set(id, handle.id));
+        if (!result.success) logger.warn(`[SceneManager] Scene '${name}' loaded with errors (${entities.size} entities).`);
+        else logger.log(`[SceneManager] Loaded scene '${name}' (#${handle.id}, ${entities.size} entities${persistent ? ', persistent' : ''}).`);
+        this.eventEmitter?.emit('sceneLoaded', { scene: handle, entities: [...entities], success: result.success });
+        return handle;
+    }
+
+    /**
+     * Removes a scene's entities (with their children) from the world.
+     * @param {SceneHandle|number} scene - The scene or its ID.
+     * @returns {boolean} `false` if the scene is not loaded.
+     */
+    unloadScene(scene) {
+        const record = this._getRecord(scene);
+        if (!record) { logger.warn(`[SceneManager] unloadScene: Scene ${scene?.id ?? scene} is not loaded.`); return false; }
+        const entities = [...record.entities];
+        this._scenes.delete(record.handle.id);
+        for (const id of entities) {
+            this._entityScenes.delete(id);
+            if (this.entityManager.hasEntity(id)) this.entityManager.removeEntity(id);
+        }
+        logger.log(`[SceneManager] Unloaded scene '${record.handle.name}' (#${record.handle.id}, ${entities.length} entities).`);
+        this.eventEmitter?.emit('sceneUnloaded', { scene: record.handle, entities });
+        return true;
+    }
+
+    /**
+     * Unloads every loaded scene.
+     * @param {object} [options={}]
+     * @param {boolean} [options.keepPersistent=true] - Leave persistent scenes loaded.
+     * @returns {SceneHandle[]} The unloaded scenes.
+     */
+    unloadAll({ keepPersistent = true } = {}) {
+        const unloaded = [];
+        for (const record of [...this._scenes.values()]) {
+            if (keepPersistent && record.persistent) continue;
+            if (this.unloadScene(record.handle)) unloaded.push(record.handle);
+        }
+        return unloaded;
+    }
+
+    /**
+     * Marks a scene as persistent (kept across non-additive loads) or not.
+     * @param {SceneHandle|number} scene
+     * @param {boolean} [persistent=true]
+     * @returns {boolean} `false` if the scene is not loaded.
+     */
+    setPersistent(scene, persistent = true) {
+        const record = this._getRecord(scene);
+        if (!record) return false;
+        record.persistent = !!persistent;
+        return true;
+    }
+
+    /**
+     * @param {SceneHandle|number} scene
+     * @returns {boolean}
+     */
+    isPersistent(scene) {
+        return this._getRecord(scene)?.persistent ?? false;
+    }
+
+    /**
+     * Makes an existing entity part of a scene (e.g. one spawned at runtime), moving it out of
+     * any other scene. Its children are not added.
+     * @param {number} entityId
+     * @param {SceneHandle|number|null} scene - The scene, or `null` to remove the entity from its scene.
+     * @returns {boolean} `false` if the entity or scene does not exist.
+     */
+    addToScene(entityId, scene) {
+        if (!this.entityManager.hasEntity(entityId)) return false;
+        const record = scene === null ? null : this._getRecord(scene);
+        if (scene !== null && !record) return false;
+        this._untrack(entityId);
+        if (record) {
+            record.entities.add(entityId);
+            this._entityScenes.set(entityId, record.handle.id);
+        }
+        return true;
+    }
+
+    /**
+     * @returns {SceneHandle[]} Loaded scenes, in load order.
+     */
+    getScenes() {
+        return [...this._scenes.values()].map(record => record.handle);
+    }
+
+    /**
+     * @param {SceneHandle|number} scene
+     * @returns {number[]} IDs of the scene's entities (empty if the scene is not loaded).
+     */
+    getSceneEntities(scene) {
+        const record = this._getRecord(scene);
+        return record ? [...record.entities] : [];
+    }
+
+    /**
+     * @param {number} entityId
+     * @returns {SceneHandle|null} The scene the entity belongs to.
+     */
+    getSceneOf(entityId) {
+        const sceneId = this._entityScenes.get(entityId);
+        return sceneId === undefined ? null : this._scenes.get(sceneId)?.handle ?? null;
+    }
+
+    /**
+     * Serializes one scene in the scene file format, e.g. to save it on its own.
+     * Parent links to entities of other scenes are written as `null`.
+     * @param {SceneHandle|number} scene
+     * @param {boolean} [prettyPrint=true]
+     * @returns {string|null} The JSON, or `null` if the scene is not loaded.
+     */
+    serializeScene(scene, prettyPrint = true) {
+        const record = this._getRecord(scene);
+        if (!record) return null;
+        const entities = [];
+        for (const id of [...record.entities].sort((a, b) => a - b)) {
+            const state = this.entityManager.getEntityState(id);
+            if (!state) continue;
+            const transform = state.components.transform;
+            if (transform) {
+                if (transform.parent !== null && transform.parent !== undefined && !record.entities.has(transform.parent)) transform.parent = null;
+                if (Array.isArray(transform.children)) transform.children = transform.children.filter(child => record.entities.has(child));
+            }
+            entities.push(state);
+        }
+        return JSON.stringify({ formatVersion: this.entityManager.migrations.currentVersion, entities }, null, prettyPrint ? 2 : undefined);
+    }
+
+    /**
+     * Captures the loaded scenes and their membership, to be restored together with an
+     * `EntityManager.createSnapshot()` of the same world (entity IDs are kept there).
+     * @returns {{nextSceneId: number, scenes: Array<{id: number, name: string, persistent: boolean, entities: number[]}>}}
+     */
+    createSnapshot() {
+        return {
+            nextSceneId: this._nextSceneId,
+            scenes: [...this._scenes.values()].map(({ handle, persistent, entities }) => ({ id: handle.id, name: handle.name, persistent, entities: [...entities] }))
+        };
+    }
+
+    /**
+     * Replaces the scene bookkeeping with a snapshot from `createSnapshot()`. Call it after the
+     * entities have been restored; members that no longer exist are skipped.
+     * @param {{nextSceneId: number, scenes: Array<object>}|null} snapshot
+     * @returns {void}
+     */
+    restoreSnapshot(snapshot) {
+        this._scenes.clear();
+        this._entityScenes.clear();
+        if (!snapshot) return;
+        for (const { id, name, persistent, entities } of snapshot.scenes) {
+            const handle = Object.freeze({ id, name });
+            const members = new Set(entities.filter(entityId => this.entityManager.hasEntity(entityId)));
+            this._scenes.set(id, { handle, persistent, entities: members });
+            members.forEach(entityId => this._entityScenes.set(entityId, id));
+        }
+        this._nextSceneId = Math.max(this._nextSceneId, snapshot.nextSceneId);
+    }
+
+    /** Stops listening to entity events. */
+    destroy() {
+        this.eventEmitter?.off('entityRemoved', this._onEntityRemoved);
+        this.eventEmitter?.off('sceneCleared', this._onSceneCleared);
+        this._scenes.clear();
+        this._entityScenes.clear();
+    }
+
+    /** @private */
+    _getRecord(scene) {
+        const id = typeof scene === 'number' ? scene : scene?.id;
+        return this._scenes.get(id) ?? null;
+    }
+
+    /** @private */
+    _untrack(entityId) {
+        const sceneId = this._entityScenes.get(entityId);
+        if (sceneId === undefined) return;
+        this._entityScenes.delete(entityId);
+        this._scenes.get(sceneId)?.entities.delete(entityId);
+    }
+
+    /** @private */
+    _onEntityRemoved({ id }) {
+        this._untrack(id);
+    }
+
+    /** @private The world was wiped: no scene has entities left. */
+    _onSceneCleared() {
+        if (this._scenes.size === 0) return;
+        logger.log(`[SceneManager] World cleared. Forgetting ${this._scenes.size} scene(s).`);
+        this._scenes.clear();
+        this._entityScenes.clear();
+    }
+}
@@ -0,0 +1,194 @@
+// src/ecs/scene-migrations.js - Scene format versioning and migration pipeline
+// @version 1.0.1 - `upgraded` is only reported when a migration step changed the data.
+// @previous 1.0.0 - Initial implementation (scene-level and per-component migration steps).
+
+import * as logger from '../utils/logger.js';
+
+/**
+ * The scene format version written by this build of the engine.
+ * Scenes saved before versioning was introduced have no `formatVersion` and are treated as version 0.
+ * @type {number}
+ */
+export const SCENE_FORMAT_VERSION = 1;
+
+/**
+ * A registered migration step.
+ * @typedef {object} MigrationStep
+ * @property {'scene'|'component'} scope - Whether the step transforms the whole scene or one component type.
+ * @property {number} fromVersion - The step upgrades data from this version to `fromVersion + 1`.
+ * @property {string|null} componentType - The component type (component steps only).
+ * @property {function} migrate - The transform function.
+ * @property {string} description - Human-readable summary used in reports.
+ */
+
+/**
+ * The outcome of `SceneMigrations.migrate()`.
+ * @typedef {object} MigrationReport
+ * @property {number} fromVersion - The version of the input data.
+ * @property {number} toVersion - The version of the returned data.
+ * @property {Array<{scope: string, fromVersion: number, componentType: string|null, description: string, count: number}>} applied - Steps that changed something (`count` = components touched, 1 for scene steps).
+ * @property {string[]} errors - Steps that threw; the data is left as the previous step produced it.
+ * @property {boolean} upgraded - `true` if a migration step changed the data (older data that needed no
+ *   changes, such as unversioned scenes, is only stamped with the current version).
+ */
+
+/**
+ * Registry of scene format migrations, owned by the EntityManager.
+ *
+ * Each step upgrades data by one version. Scene steps receive the whole scene
+ * object (`{ formatVersion, entities }`); component steps receive the data of one
+ * component type on one entity. For a given version, scene steps run before
+ * component steps. Registering a step for the current version bumps
+ * `currentVersion`, so saved scenes are stamped with the newest version.
+ *
+ * @example
+ * // 'spin.speed' used to be a single Y-axis number
+ * entityManager.migrations.registerComponentMigration('spin', 1, (spin) => {
+ *     if (typeof spin.speed === 'number') spin.speed = [0, spin.speed, 0];
+ * }, 'spin.speed number -> vec3');
+ *
+ * @class SceneMigrations
+ */
+export class SceneMigrations {
+    /**
+     * @param {number} [baseVersion=SCENE_FORMAT_VERSION] - The format version before any steps are registered.
+     */
+    constructor(baseVersion = SCENE_FORMAT_VERSION) {
+        /**
+         * The format version written by `EntityManager.serialize()`.
+         * @type {number}
+         */
+        this.currentVersion = baseVersion;
+        /** @private @type {MigrationStep[]} */
+        this._steps = [];
+    }
+
+    /**
+     * Registers a step that transforms the whole scene from `fromVersion` to `fromVersion + 1`.
+     * @param {number} fromVersion - The version the step upgrades from.
+     * @param {function(object): (object|void)} migrate - Receives the scene data; mutate it in place or return a replacement.
+     * @param {string} [description] - Summary used in migration reports.
+     * @returns {this}
+     * @method registerSceneMigration
+     */
+    registerSceneMigration(fromVersion, migrate, description) {
+        return this._addStep('scene', fromVersion, null, migrate, description);
+    }
+
+    /**
+     * Registers a step that transforms the data of one component type from `fromVersion` to `fromVersion + 1`.
+     * @param {string} componentType - The component type name.
+     * @param {number} fromVersion - The version the step upgrades from.
+     * @param {function(object, object): (object|null|void)} migrate - Receives `(componentData, entityData)`;
+     * mutate the data in place, return a replacement object, or return `null` to drop the component.
+     * @param {string} [description] - Summary used in migration reports.
+     * @returns {this}
+     * @method registerComponentMigration
+     */
+    registerComponentMigration(componentType, fromVersion, migrate, description) {
+        if (typeof componentType !== 'string' || componentType.trim() === '') {
+            logger.error(`[SceneMigrations] Invalid component type for migration: '${componentType}'.`);
+            return this;
+        }
+        return this._addStep('component', fromVersion, componentType, migrate, description);
+    }
+
+    /**
+     * Returns the registered steps, ordered by version (scene steps first within a version).
+     * @returns {MigrationStep[]}
+     * @method getSteps
+     */
+    getSteps() {
+        return [...this._steps];
+    }
+
+    /**
+     * Reads the format version of scene data (0 if it has none).
+     * @param {object} sceneData - Parsed scene data.
+     * @returns {number}
+     * @method getVersion
+     */
+    getVersion(sceneData) {
+        const version = sceneData?.formatVersion;
+        return Number.isInteger(version) && version >= 0 ? version : 0;
+    }
+
+    /**
+     * Upgrades scene data to `currentVersion`. The input is not modified.
+     * Data newer than `currentVersion` is returned unchanged (with a warning).
+     * @param {object} sceneData - Parsed scene data (`{ formatVersion?, entities }`).
+     * @returns {{data: object, report: MigrationReport}} The upgraded copy and a report of what changed.
+     * @method migrate
+     */
+    migrate(sceneData) {
+        const data = typeof structuredClone === 'function' ? structuredClone(sceneData) : JSON.parse(JSON.stringify(sceneData));
+        const fromVersion = this.getVersion(data);
+        const report = { fromVersion, toVersion: fromVersion, applied: [], errors: [], upgraded: false };
+
+        if (fromVersion > this.currentVersion) {
+            logger.warn(`[SceneMigrations] Scene format version ${fromVersion} is newer than supported version ${this.currentVersion}. Loading without migration.`);
+            return { data, report };
+        }
+
+        let current = data;
+        for (let version = fromVersion; version < this.currentVersion; version++) {
+            for (const step of this._steps.filter(s => s.fromVersion === version)) {
+                try {
+                    const result = step.scope === 'scene' ? this._runSceneStep(step, current) : this._runComponentStep(step, current);
+                    current = result.data;
+                    if (result.count > 0) {
+                        report.applied.push({ scope: step.scope, fromVersion: version, componentType: step.componentType, description: step.description, count: result.count });
+                    }
+                } catch (error) {
+                    logger.error(`[SceneMigrations] Migration '${step.description}' (v${version}) failed:`, error);
+                    report.errors.push(`${step.description} (v${version}): ${error.message || error}`);
+                }
+            }
+        }
+
+        current.formatVersion = this.currentVersion;
+        report.toVersion = this.currentVersion;
+        report.upgraded = report.applied.length > 0;
+        return { data: current, report };
+    }
+
+    /** @private */
+    _addStep(scope, fromVersion, componentType, migrate, description) {
+        if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+            logger.error(`[SceneMigrations] Invalid fromVersion '${fromVersion}'. Must be a non-negative integer.`);
+            return this;
+        }
+        if (typeof migrate !== 'function') {
+            logger.error(`[SceneMigrations] Migration for version ${fromVersion} must be a function.`);
+            return this;
+        }
+        const label = description || (componentType ? `${componentType} v${fromVersion} -> v${fromVersion + 1}` : `scene v${fromVersion} -> v${fromVersion + 1}`);
+        this._steps.push({ scope, fromVersion, componentType, migrate, description: label });
+        // Stable sort: by version, scene steps before component steps, then registration order.
+        this._steps.sort((a, b) => (a.fromVersion - b.fromVersion) || ((a.scope === 'scene' ? 0 : 1) - (b.scope === 'scene' ? 0 : 1)));
+        if (fromVersion >= this.currentVersion) this.currentVersion = fromVersion + 1;
+        return this;
+    }
+
+    /** @private */
+    _runSceneStep(step, data) {
+        const result = step.migrate(data);
+        const next = (result && typeof result === 'object') ? result : data;
+        if (!Array.isArray(next.entities)) throw new Error("Scene migration returned data without an 'entities' array.");
+        return { data: next, count: 1 };
+    }
+
+    /** @private */
+    _runComponentStep(step, data) {
+        let count = 0;
+        for (const entity of data.entities) {
+            const components = entity?.components;
+            if (!components || !Object.prototype.hasOwnProperty.call(components, step.componentType)) continue;
+            const result = step.migrate(components[step.componentType], entity);
+            if (result === null) delete components[step.componentType];
+            else if (result && typeof result === 'object') components[step.componentType] = result;
+            count++;
+        }
+        return { data, count };
+    }
+}
@@ -1,30 +1,109 @@
 import * as logger from '../utils/logger.js';
 // src/ecs/system-manager.js - System management and update loop
-// @version 1.2.2 - Added logging within the update loop to trace system execution attempts.
-// @previous 1.2.1 - Added robustness checks for registration, update loop, and state setting.
+// @version 1.8.2 - orderReport.cycles lists only the systems that form each cycle, not the ones after it.
+// @previous 1.8.1 - SystemTiming documents rawDeltaTime.
+// @previous 1.8.0 - Times every lifecycle call through an optional FrameProfiler.
 
 // Type Imports for JSDoc
 /** @typedef {import('./entity-manager.js').EntityManager} EntityManager */
 /** @typedef {import('../utils/event-emitter.js').EventEmitter} EventEmitter */
 /** @typedef {import('../core.js').Engine} Engine */
+/** @typedef {import('../utils/frame-profiler.js').FrameProfiler} FrameProfiler */
 
 /**
  * Defines the timing information passed to system update methods.
  * @typedef {object} SystemTiming
  * @property {number} deltaTime - Time elapsed since the last frame in seconds. Scaled by `gameTimeScale`.
- * @property {number} elapsed - Total time elapsed since the engine started in seconds.
+ *   In `fixedUpdate` this is the fixed step (`fixedDeltaTime`).
+ * @property {number} rawDeltaTime - Unscaled frame time of the current frame in seconds.
+ * @property {number} elapsed - Total simulated time in seconds (advanced by fixed steps).
  * @property {number} lastFrameTime - The timestamp of the last frame (from performance.now()).
  * @property {number} gameTimeScale - Multiplier for delta time (e.g., 1.0 for normal speed, 0.5 for slow-mo).
+ * @property {number} fixedDeltaTime - Length of one fixed step in seconds.
+ * @property {number} alpha - How far (0..1) the current frame lies between the last fixed step and the next one.
+ *   Variable-rate systems use it to interpolate between the previous and current fixed-step state.
+ */
+
+/**
+ * Named update phases, in execution order. Systems declare one via `system.phase`
+ * (default `'logic'`); every system of a phase runs before any system of a later phase.
+ * @readonly
+ * @enum {string}
+ */
+export const SystemPhase = Object.freeze({
+    INPUT: 'input',
+    FIXED: 'fixed',
+    LOGIC: 'logic',
+    LATE: 'late',
+    RENDER: 'render'
+});
+
+/** @type {ReadonlyArray<string>} Phase names in execution order. */
+const PHASE_ORDER = Object.freeze([SystemPhase.INPUT, SystemPhase.FIXED, SystemPhase.LOGIC, SystemPhase.LATE, SystemPhase.RENDER]);
+
+/** `runIn` value for systems that run in every game state and mode. */
+export const RUN_IN_ALL_STATES = '*';
+
+/**
+ * What happens when a system throws from `fixedUpdate`, `preUpdate`, `update` or `postUpdate`.
+ * Every policy emits `systemError` first.
+ * @readonly
+ * @enum {string}
+ */
+export const SystemErrorPolicy = Object.freeze({
+    /** Re-throw: the engine stops its loop (the pre-1.7 behaviour). */
+    STOP_ENGINE: 'stop',
+    /** Deactivate the failing system until `clearErrors()`; the other systems keep running. */
+    DISABLE_SYSTEM: 'disable',
+    /** Abandon the rest of this frame (or fixed step); the system runs again next frame. */
+    SKIP_FRAME: 'skip'
+});
+
+/** @type {ReadonlyArray<string>} */
+const ERROR_POLICIES = Object.freeze(Object.values(SystemErrorPolicy));
+
+/**
+ * Payload of the `systemError` event.
+ * @typedef {object} SystemErrorInfo
+ * @property {string} system - The failing system's name.
+ * @property {string} stage - The lifecycle method that threw ('fixedUpdate', 'preUpdate', 'update' or 'postUpdate').
+ * @property {string} policy - The `SystemErrorPolicy` applied.
+ * @property {string} message - The error message.
+ * @property {string|null} stack - The error stack, when available.
+ * @property {number} count - How many times the system has failed since its errors were last cleared.
+ * @property {*} error - The thrown value.
+ */
+
+/**
+ * Decides whether a system runs, given the current game state and engine mode.
+ * Either a list of game state names (`['PLAYING', 'PAUSED']`), `RUN_IN_ALL_STATES`,
+ * or a predicate. Systems without a rule run whenever the engine is in game mode.
+ * @typedef {string[]|string|function(string, string): boolean} ActivationRule
  */
 
 /**
  * Defines the internal state tracked for each registered system.
  * @typedef {object} SystemState
  * @property {boolean} isInitialized - Whether the system's `initialize()` method has completed successfully.
- * @property {number} priority - Execution priority (lower numbers run first within the update loop).
+ * @property {string} phase - The update phase (one of `SystemPhase`).
+ * @property {string[]} before - Names of systems this system must run before.
+ * @property {string[]} after - Names of systems this system must run after.
+ * @property {number} priority - Tie-breaker within a phase when no constraint applies (lower runs first). Defaults to 0.
+ * @property {number} registrationIndex - Registration sequence number, the final tie-breaker.
+ * @property {ActivationRule|null} runIn - The system's activation rule (`null` = game mode only).
+ * @property {string|null} errorPolicy - The system's `SystemErrorPolicy` (`null` = the manager's `defaultErrorPolicy`).
+ * @property {SystemErrorInfo|null} error - The last error since errors were cleared. While set with the
+ *   'disable' policy, activation rules don't re-activate the system.
  * @property {boolean} isActive - Whether the system should currently be updated (controlled by engine mode, etc.).
  */
 
+/**
+ * Problems found while computing the execution order.
+ * @typedef {object} SystemOrderReport
+ * @property {Array<{system: string, dependency: string}>} missing - `before`/`after` entries naming unregistered systems (ignored until registered).
+ * @property {string[][]} cycles - Groups of systems whose constraints form a cycle (run in phase/priority order instead).
+ */
+
 /**
  * Represents the interface that all systems registered with the SystemManager
  * should adhere to. Systems encapsulate logic that operates on entities and components.
@@ -32,8 +111,18 @@ import * as logger from '../utils/logger.js';
  */
 // --- Interface Definition (Conceptual) ---
 // interface ISystem {
-//     /** Execution priority (lower runs first). Optional, defaults to 0. */
+//     /** Update phase: 'input' | 'fixed' | 'logic' | 'late' | 'render'. Optional, defaults to 'logic'. */
+//     phase?: string;
+//     /** Names of systems this one must run before / after. Optional. */
+//     before?: string[];
+//     after?: string[];
+//     /** Tie-breaker within a phase (lower runs first). Optional, defaults to 0. */
 //     priority?: number;
+//     /** Game states the system runs in (e.g. ['PLAYING', 'PAUSED']), '*' for all, or (state, mode) => boolean.
+//      *  Optional, defaults to running whenever the engine is in game mode. */
+//     runIn?: string[] | string | ((state: string, mode: string) => boolean);
+//     /** What to do when the system throws: 'stop' | 'disable' | 'skip'. Optional, defaults to the manager's policy. */
+//     errorPolicy?: string;
 //     /** Initial active state. Optional, defaults to true. */
 //     active?: boolean;
 //     /** System name (optional, for debugging) */
@@ -42,6 +131,9 @@ import * as logger from '../utils/logger.js';
 //     /** Called once during registration. Use for setup, getting dependencies. */
 //     initialize?(entityManager: EntityManager, eventEmitter: EventEmitter, engine: Engine): Promise<void> | void;
 //
+//     /** Called zero or more times per frame with a constant `time.deltaTime` (the fixed step),
+//      *  before the variable-rate updates. Use for physics and gameplay that must run in step with it. */
+//     fixedUpdate?(time: SystemTiming): void;
 //     /** Called before the main update phase. */
 //     preUpdate?(time: SystemTiming): void;
 //     /** The main update logic for the system. */
@@ -56,10 +148,19 @@ import * as logger from '../utils/logger.js';
 
 
 /**
- * Manages the registration, initialization, update loop execution (based on priority
- * and active state), and cleanup of all systems within the engine.
+ * Manages the registration, initialization, update loop execution (based on execution
+ * order and active state), and cleanup of all systems within the engine.
  * Ensures systems are updated in a defined order and provides error handling during updates.
  *
+ * The order is a topological sort: systems run phase by phase (`SystemPhase`), and within
+ * the constraints declared with `before`/`after` (system names). Systems that are not
+ * constrained relative to each other keep `priority` order, then registration order.
+ * Missing dependencies and cycles are reported when systems are registered.
+ *
+ * Which systems run is decided by activation rules: each system declares the game
+ * states it runs in (`runIn`), or a rule is registered with `setActivationRule()`.
+ * The Engine calls `applyActivation()` whenever the mode or game state changes.
+ *
  * @class SystemManager
  */
 export class SystemManager {
@@ -85,6 +186,24 @@ export class SystemManager {
         this.executionOrder = [];
         /** @private */
         this._updateCounter = 0;
+        /** @private */
+        this._registrationCounter = 0;
+        /**
+         * Problems found by the last execution order computation.
+         * @type {SystemOrderReport}
+         */
+        this.orderReport = { missing: [], cycles: [] };
+        /**
+         * Error policy for systems that don't declare `errorPolicy`. The Engine sets it from
+         * `engineConfig.systems.defaultErrorPolicy`.
+         * @type {string}
+         */
+        this.defaultErrorPolicy = SystemErrorPolicy.STOP_ENGINE;
+        /**
+         * Receives the duration of every lifecycle call when set and enabled (the Engine's profiler).
+         * @type {FrameProfiler|null}
+         */
+        this.profiler = null;
 
         // --- ADDED: Track logging state ---
         /** @private */
@@ -128,8 +247,8 @@ export class SystemManager {
         if (typeof system.initialize !== 'function') {
             logger.warn(`[SystemManager Register ${name}] System does not have an 'initialize' method. Initialization will be skipped.`);
         }
-        if (typeof system.update !== 'function' && typeof system.preUpdate !== 'function' && typeof system.postUpdate !== 'function') {
-            logger.warn(`[SystemManager Register ${name}] System does not have 'update', 'preUpdate', or 'postUpdate' methods. It may not do anything.`);
+        if (typeof system.update !== 'function' && typeof system.preUpdate !== 'function' && typeof system.postUpdate !== 'function' && typeof system.fixedUpdate !== 'function') {
+            logger.warn(`[SystemManager Register ${name}] System does not have 'fixedUpdate', 'update', 'preUpdate', or 'postUpdate' methods. It may not do anything.`);
         }
         if (this.systems.has(name)) {
              logger.warn(`[SystemManager Register ${name}] System already registered. Overwriting.`);
@@ -139,16 +258,29 @@ export class SystemManager {
         logger.log(`[SystemManager Register] Registering system "${name}"...`);
         this.systems.set(name, system);
 
-        // --- Validate priority ---
-        let priority = system.priority;
+        // --- Validate ordering declarations ---
+        let priority = system.priority ?? 0;
         if (typeof priority !== 'number' || !isFinite(priority)) {
              logger.warn(`[SystemManager Register ${name}] System provided invalid priority (${priority}). Using default 0.`);
              priority = 0;
         }
+        let phase = system.phase ?? SystemPhase.LOGIC;
+        if (!PHASE_ORDER.includes(phase)) {
+             logger.warn(`[SystemManager Register ${name}] Unknown phase '${phase}'. Expected one of: ${PHASE_ORDER.join(', ')}. Using '${SystemPhase.LOGIC}'.`);
+             phase = SystemPhase.LOGIC;
+        }
+        const before = this._normalizeConstraint(name, 'before', system.before);
+        const after = this._normalizeConstraint(name, 'after', system.after);
+        const runIn = system.runIn === undefined ? null : this._normalizeActivationRule(name, system.runIn);
+        let errorPolicy = system.errorPolicy ?? null;
+        if (errorPolicy !== null && !ERROR_POLICIES.includes(errorPolicy)) {
+             logger.warn(`[SystemManager Register ${name}] Unknown errorPolicy '${errorPolicy}'. Expected one of: ${ERROR_POLICIES.join(', ')}. Using the default.`);
+             errorPolicy = null;
+        }
         // ---
 
         const initialActive = system.active !== undefined ? !!system.active : true; // Ensure boolean
-        this.systemStates.set(name, { isInitialized: false, priority, isActive: initialActive });
+        this.systemStates.set(name, { isInitialized: false, phase, before, after, priority, registrationIndex: this._registrationCounter++, runIn, errorPolicy, error: null, isActive: initialActive });
 
         try {
             if (typeof system.initialize === 'function') {
@@ -158,6 +290,7 @@ export class SystemManager {
             if (state) state.isInitialized = true; // Only mark initialized if registration succeeded
             logger.log(`[SystemManager Register] System "${name}" initialized successfully.`);
             this._sortSystems(); // Sorts and clears logged state
+            this._reportOrderProblems(name);
         } catch (error) {
             logger.error(`[SystemManager Register] CRITICAL ERROR initializing system "${name}":`, error);
             // Clean up partially registered state
@@ -194,6 +327,7 @@ export class SystemManager {
         }
         this.systems.delete(name);
         this.systemStates.delete(name);
+        this.profiler?.forget(name);
         // Clean up logged state
         this._loggedSystems.delete(name);
         this._loggedSkips.delete(name); // Potential issue: This only deletes exact match, not pattern
@@ -226,6 +360,10 @@ export class SystemManager {
      * that are currently active and initialized, respecting the defined execution order.
      * Includes enhanced error logging for exceptions occurring within system update methods.
      *
+     * Sync points: the engine's deferred command buffer (`engine.deferred`) is flushed once
+     * before the first system runs and again after each executed system, so structural
+     * changes queued by a system are visible to (and their events reach) the systems after it.
+     *
      * @param {SystemTiming} time - Timing information for the current frame.
      * @throws {Error} Re-throws any error caught during a system's update methods to halt the engine loop.
      * @method update
@@ -248,6 +386,8 @@ export class SystemManager {
         }
         // ---
 
+        this._flushDeferred(); // Changes queued between frames (UI, event handlers)
+
         for (const name of this.executionOrder) {
             const system = this.systems.get(name);
             const state = this.systemStates.get(name);
@@ -278,32 +418,256 @@ export class SystemManager {
                  }
              });
 
+            let stage = 'preUpdate';
             try {
                 // Execute lifecycle methods if they exist
-                system.preUpdate?.(time);
-                system.update?.(time);
-                system.postUpdate?.(time);
+                this._runStage(name, system, stage, time);
+                stage = 'update';
+                this._runStage(name, system, stage, time);
+                stage = 'postUpdate';
+                this._runStage(name, system, stage, time);
+            } catch (error) {
+                if (this._handleSystemError(name, stage, error) === SystemErrorPolicy.SKIP_FRAME) {
+                    this._flushDeferred();
+                    return; // Skip the remaining systems this frame
+                }
+            }
+
+            this._flushDeferred(); // Sync point after each system
+        }
+    }
+
+    /**
+     * Runs one fixed step: calls `fixedUpdate(time)` on every active, initialized system
+     * that defines it, in execution order, with a deferred-command sync point after each.
+     * The engine calls this from its fixed-timestep accumulator, before `update()`.
+     * @param {SystemTiming} time - Timing for this step; `deltaTime` is the fixed step.
+     * @returns {number} The number of systems stepped.
+     * @throws {Error} Re-throws the error of a system whose error policy is 'stop' (like `update()`).
+     */
+    fixedUpdate(time) {
+        if (!time || typeof time.deltaTime !== 'number' || !isFinite(time.deltaTime)) {
+            logger.error(`[SystemManager] Invalid time object received for fixedUpdate. Skipping step.`, time);
+            return 0;
+        }
+        let stepped = 0;
+        for (const name of this.executionOrder) {
+            const system = this.systems.get(name);
+            const state = this.systemStates.get(name);
+            if (typeof system?.fixedUpdate !== 'function' || !state?.isInitialized || !state.isActive) continue;
+            try {
+                this._runStage(name, system, 'fixedUpdate', time);
             } catch (error) {
-                 logger.error(`\n--- !!! RUNTIME ERROR in System: "${name}" !!! ---`);
-                 logger.error(`[SystemManager Update Loop #${this._updateCounter}]`);
-                 logger.error("Error Details:", error);
-                 logger.error("Failing System Instance:", system);
-                 logger.error("--- End System Error --- \n");
-                 throw error; // Re-throw to stop the engine loop
+                if (this._handleSystemError(name, 'fixedUpdate', error) === SystemErrorPolicy.SKIP_FRAME) {
+                    this._flushDeferred();
+                    return stepped; // Skip the remaining systems this step
+                }
+                continue;
             }
+            stepped++;
+            this._flushDeferred(); // Sync point after each fixed-step system
+        }
+        return stepped;
+    }
+
+    /**
+     * Calls one lifecycle method of a system (if it has it), timing it when profiling.
+     * @param {string} name - The system name.
+     * @param {ISystem} system - The system.
+     * @param {string} stage - 'fixedUpdate', 'preUpdate', 'update' or 'postUpdate'.
+     * @param {SystemTiming} time
+     * @private
+     */
+    _runStage(name, system, stage, time) {
+        const method = system[stage];
+        if (typeof method !== 'function') return;
+        const profiler = this.profiler?.enabled ? this.profiler : null;
+        if (!profiler) {
+            method.call(system, time);
+            return;
+        }
+        const start = profiler.now();
+        try {
+            method.call(system, time);
+        } finally {
+            profiler.record(name, stage, profiler.now() - start);
+        }
+    }
+
+    /**
+     * Records a system failure, emits `systemError` and applies the system's error policy.
+     * @param {string} name - The failing system.
+     * @param {string} stage - The lifecycle method that threw.
+     * @param {*} error - The thrown value.
+     * @returns {string} The applied policy ('disable' or 'skip'; 'stop' re-throws instead).
+     * @throws {*} The original error when the policy is 'stop'.
+     * @private
+     */
+    _handleSystemError(name, stage, error) {
+        const state = this.systemStates.get(name);
+        const policy = this.getErrorPolicy(name);
+        const count = (state?.error?.count ?? 0) + 1;
+        /** @type {SystemErrorInfo} */
+        const info = {
+            system: name,
+            stage,
+            policy,
+            message: error?.message ?? String(error),
+            stack: error?.stack ?? null,
+            count,
+            error
+        };
+        if (state) state.error = info;
+
+        if (count === 1) {
+            logger.error(`\n--- !!! RUNTIME ERROR in System: "${name}" (${stage}, policy: ${policy}) !!! ---`);
+            logger.error(`[SystemManager Update Loop #${this._updateCounter}]`);
+            logger.error("Error Details:", error);
+            logger.error("--- End System Error --- \n");
+        }
+        if (policy === SystemErrorPolicy.DISABLE_SYSTEM) this.setSystemActive(name, false);
+
+        try {
+            this.eventEmitter.emit('systemError', info);
+        } catch (listenerError) {
+            logger.error(`[SystemManager] A 'systemError' listener threw:`, listenerError);
+        }
+
+        if (policy === SystemErrorPolicy.STOP_ENGINE) throw error; // Re-throw to stop the engine loop
+        return policy;
+    }
+
+    /**
+     * Returns the error policy applied to a system (its own, or the default).
+     * @param {string} name - The unique name of the system.
+     * @returns {string} A `SystemErrorPolicy` value.
+     */
+    getErrorPolicy(name) {
+        return this.systemStates.get(name)?.errorPolicy ?? this.defaultErrorPolicy;
+    }
+
+    /**
+     * Overrides the error policy of a registered system.
+     * @param {string} name - The unique name of the system.
+     * @param {string|null} policy - A `SystemErrorPolicy` value, or `null` to use `defaultErrorPolicy`.
+     * @returns {boolean} `false` if the system is unknown or the policy invalid.
+     */
+    setErrorPolicy(name, policy) {
+        const state = this.systemStates.get(name);
+        if (!state) {
+            logger.warn(`[SystemManager SetErrorPolicy] Cannot set error policy for unknown system: "${name}"`);
+            return false;
+        }
+        if (policy !== null && !ERROR_POLICIES.includes(policy)) {
+            logger.warn(`[SystemManager SetErrorPolicy ${name}] Unknown policy '${policy}'. Expected one of: ${ERROR_POLICIES.join(', ')}.`);
+            return false;
+        }
+        state.errorPolicy = policy;
+        return true;
+    }
+
+    /**
+     * Returns the recorded errors of systems that failed since their errors were last cleared.
+     * @returns {SystemErrorInfo[]}
+     */
+    getSystemErrors() {
+        const errors = [];
+        for (const state of this.systemStates.values()) {
+            if (state.error) errors.push(state.error);
+        }
+        return errors;
+    }
+
+    /**
+     * Forgets recorded system errors so that systems disabled by an error can be activated
+     * again (by the next `applyActivation()`). Emits `systemErrorsCleared`.
+     * @param {string} [name] - Only clear this system's error. Clears all when omitted.
+     * @returns {string[]} Names of the systems whose error was cleared.
+     */
+    clearErrors(name) {
+        const cleared = [];
+        for (const [systemName, state] of this.systemStates) {
+            if (name !== undefined && systemName !== name) continue;
+            if (!state.error) continue;
+            state.error = null;
+            cleared.push(systemName);
         }
+        if (cleared.length > 0) this.eventEmitter.emit('systemErrorsCleared', { systems: cleared });
+        return cleared;
+    }
+
+    /**
+     * Applies structural changes queued in the engine's command buffer.
+     * @private
+     */
+    _flushDeferred() {
+        this.engine?.deferred?.flush();
     }
 
     /**
-     * Sorts the `executionOrder` array based on system priorities stored in `systemStates`.
-     * Lower priority numbers execute first. Called internally after registration,
+     * Recomputes `executionOrder` with a topological sort over phase order and the
+     * `before`/`after` constraints stored in `systemStates` (Kahn's algorithm; among ready
+     * systems the one with the earliest phase, lowest priority, then earliest registration
+     * runs first). Constraints naming unregistered systems are ignored and recorded in
+     * `orderReport.missing`; systems caught in or after a cycle are appended in phase/priority
+     * order, and the systems forming each cycle are recorded in `orderReport.cycles`. Called internally after registration,
      * unregistration, or priority changes.
      * @private
      */
     _sortSystems() {
-        this.executionOrder = Array.from(this.systemStates.entries())
-            .sort(([, stateA], [, stateB]) => stateA.priority - stateB.priority)
-            .map(([name]) => name);
+        const names = Array.from(this.systemStates.keys());
+        const rank = (name) => {
+            const state = this.systemStates.get(name);
+            return [PHASE_ORDER.indexOf(state.phase), state.priority, state.registrationIndex];
+        };
+        const compare = (a, b) => {
+            const ra = rank(a); const rb = rank(b);
+            return (ra[0] - rb[0]) || (ra[1] - rb[1]) || (ra[2] - rb[2]);
+        };
+
+        // Build edges: "a runs before b"
+        const successors = new Map(names.map(name => [name, new Set()]));
+        const missing = [];
+        const addEdge = (from, to) => successors.get(from).add(to);
+        for (const name of names) {
+            const state = this.systemStates.get(name);
+            for (const other of state.before) {
+                if (successors.has(other)) addEdge(name, other); else missing.push({ system: name, dependency: other });
+            }
+            for (const other of state.after) {
+                if (successors.has(other)) addEdge(other, name); else missing.push({ system: name, dependency: other });
+            }
+        }
+        // Phase order: every system runs before all systems of later phases
+        for (const a of names) {
+            for (const b of names) {
+                if (rank(a)[0] < rank(b)[0]) addEdge(a, b);
+            }
+        }
+
+        const inDegree = new Map(names.map(name => [name, 0]));
+        successors.forEach(targets => targets.forEach(target => inDegree.set(target, inDegree.get(target) + 1)));
+        const ready = names.filter(name => inDegree.get(name) === 0);
+        const order = [];
+        while (ready.length > 0) {
+            ready.sort(compare);
+            const next = ready.shift();
+            order.push(next);
+            for (const target of successors.get(next)) {
+                inDegree.set(target, inDegree.get(target) - 1);
+                if (inDegree.get(target) === 0) ready.push(target);
+            }
+        }
+
+        let cycles = [];
+        if (order.length < names.length) {
+            const remaining = names.filter(name => !order.includes(name)).sort(compare);
+            cycles = this._findCycles(remaining, successors).map(cycle => cycle.sort(compare));
+            order.push(...remaining);
+        }
+
+        this.executionOrder = order;
+        this.orderReport = { missing, cycles };
         // Clear logged state whenever order changes
         this._loggedSystems.clear();
         this._loggedSkips.clear();
@@ -311,10 +675,185 @@ export class SystemManager {
     }
 
     /**
-     * Sets the execution priority for a registered system and re-sorts the execution order.
+     * Finds the cycles among systems left over by the topological sort: the strongly connected
+     * components with more than one system (Tarjan's algorithm). Systems that are only
+     * scheduled after a cycle form components of their own and are left out.
+     * @param {string[]} names - The unsorted systems.
+     * @param {Map<string, Set<string>>} successors - "runs before" edges of all systems.
+     * @returns {string[][]} The systems of each cycle.
+     * @private
+     */
+    _findCycles(names, successors) {
+        const pending = new Set(names);
+        const index = new Map();
+        const lowLink = new Map();
+        const stack = [];
+        const cycles = [];
+        const visit = (name) => {
+            index.set(name, index.size);
+            lowLink.set(name, index.get(name));
+            stack.push(name);
+            for (const target of successors.get(name)) {
+                if (!pending.has(target)) continue;
+                if (!index.has(target)) {
+                    visit(target);
+                    lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(target)));
+                } else if (stack.includes(target)) {
+                    lowLink.set(name, Math.min(lowLink.get(name), index.get(target)));
+                }
+            }
+            if (lowLink.get(name) !== index.get(name)) return;
+            const component = stack.splice(stack.indexOf(name));
+            if (component.length > 1) cycles.push(component);
+        };
+        names.forEach(name => { if (!index.has(name)) visit(name); });
+        return cycles;
+    }
+
+    /**
+     * Validates a `before`/`after` declaration.
+     * @param {string} name - The system name.
+     * @param {string} key - 'before' or 'after'.
+     * @param {*} value - The declared value.
+     * @returns {string[]} The valid system names.
+     * @private
+     */
+    _normalizeConstraint(name, key, value) {
+        if (value === undefined || value === null) return [];
+        const list = Array.isArray(value) ? value : [value];
+        const valid = list.filter(item => typeof item === 'string' && item.trim() !== '' && item !== name);
+        if (valid.length !== list.length) {
+            logger.warn(`[SystemManager Register ${name}] Ignoring invalid '${key}' entries:`, list.filter(item => !valid.includes(item)));
+        }
+        return valid;
+    }
+
+    /**
+     * Logs the ordering problems that involve a newly registered system.
+     * Missing dependencies are warnings (the dependency may be registered later);
+     * cycles are errors.
+     * @param {string} name - The system that was just registered.
+     * @private
+     */
+    _reportOrderProblems(name) {
+        for (const { system, dependency } of this.orderReport.missing) {
+            if (system === name) logger.warn(`[SystemManager Register ${name}] Ordering constraint references unregistered system '${dependency}'. It is ignored until that system is registered.`);
+        }
+        for (const cycle of this.orderReport.cycles) {
+            logger.error(`[SystemManager Register ${name}] Ordering constraints form a cycle between: ${cycle.join(', ')}. These systems run in phase/priority order instead.`);
+        }
+    }
+
+    /**
+     * Validates an activation rule.
+     * @param {string} name - The system name.
+     * @param {*} rule - The declared rule.
+     * @returns {ActivationRule|null} The rule (state lists are copied), or `null` if invalid.
+     * @private
+     */
+    _normalizeActivationRule(name, rule) {
+        if (typeof rule === 'function' || rule === RUN_IN_ALL_STATES) return rule;
+        if (typeof rule === 'string') return [rule];
+        if (Array.isArray(rule) && rule.every(state => typeof state === 'string' && state !== '')) {
+            return rule.includes(RUN_IN_ALL_STATES) ? RUN_IN_ALL_STATES : [...rule];
+        }
+        logger.warn(`[SystemManager ${name}] Invalid activation rule (expected game state names, '${RUN_IN_ALL_STATES}' or a function):`, rule, '- Using the default (game mode only).');
+        return null;
+    }
+
+    /**
+     * Sets the activation rule of a registered system, replacing its `runIn` declaration.
+     * Takes effect the next time `applyActivation()` runs (the Engine does this on every
+     * mode and game state change).
+     *
+     * @param {string} name - The unique name of the system.
+     * @param {ActivationRule|null} rule - The rule, or `null` to restore the default (game mode only).
+     * @returns {boolean} `true` if the rule was set.
+     * @method setActivationRule
+     * @memberof SystemManager
+     * @instance
+     */
+    setActivationRule(name, rule) {
+        const state = this.systemStates.get(name);
+        if (!state) {
+            logger.warn(`[SystemManager SetActivationRule] Cannot set activation rule for unknown system: "${name}"`);
+            return false;
+        }
+        state.runIn = rule === null ? null : this._normalizeActivationRule(name, rule);
+        return true;
+    }
+
+    /**
+     * Evaluates a system's activation rule.
+     *
+     * @param {string} name - The unique name of the system.
+     * @param {string} gameState - The current game state (a `GameState` value).
+     * @param {string} mode - The engine mode ('editor' or 'game').
+     * @returns {boolean} Whether the system should be active. `false` for unknown systems.
+     * @method shouldRun
+     * @memberof SystemManager
+     * @instance
+     */
+    shouldRun(name, gameState, mode) {
+        const state = this.systemStates.get(name);
+        if (!state) return false;
+        const rule = state.runIn;
+        if (rule === null) return mode === 'game';
+        if (rule === RUN_IN_ALL_STATES) return true;
+        if (typeof rule === 'function') {
+            try {
+                return !!rule(gameState, mode);
+            } catch (error) {
+                logger.error(`[SystemManager] Activation rule for system "${name}" threw. Deactivating it:`, error);
+                return false;
+            }
+        }
+        return rule.includes(gameState);
+    }
+
+    /**
+     * Activates or deactivates every initialized system according to its activation rule.
+     * Systems disabled by an error stay inactive until `clearErrors()`.
+     *
+     * @param {string} gameState - The current game state (a `GameState` value).
+     * @param {string} mode - The engine mode ('editor' or 'game').
+     * @returns {string[]} Names of the systems whose active state changed.
+     * @method applyActivation
+     * @memberof SystemManager
+     * @instance
+     */
+    applyActivation(gameState, mode) {
+        const changed = [];
+        for (const [name, state] of this.systemStates) {
+            if (!state.isInitialized) continue;
+            const disabledByError = state.error?.policy === SystemErrorPolicy.DISABLE_SYSTEM;
+            const shouldBeActive = !disabledByError && this.shouldRun(name, gameState, mode);
+            if (state.isActive !== shouldBeActive) {
+                this.setSystemActive(name, shouldBeActive);
+                changed.push(name);
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Returns the update phase of a registered system.
+     *
+     * @param {string} name - The unique name of the system.
+     * @returns {string | undefined} The phase, or `undefined` for unknown systems.
+     * @method getPhase
+     * @memberof SystemManager
+     * @instance
+     */
+    getPhase(name) {
+        return this.systemStates.get(name)?.phase;
+    }
+
+    /**
+     * Sets the priority (tie-breaker within a phase) for a registered system and re-sorts the execution order.
      *
      * @param {string} name - The unique name of the system.
-     * @param {number} priority - The new priority value (lower numbers run earlier).
+     * @param {number} priority - The new priority value (lower numbers run earlier when unconstrained).
      * @returns {void}
      * @method setPriority
      * @memberof SystemManager
@@ -339,7 +878,8 @@ export class SystemManager {
     /**
      * Sets the active state for a registered system.
      * Inactive systems will be skipped during the update loop.
-     * This is typically controlled by the Engine based on the current mode ('editor'/'game').
+     * This is typically controlled by the Engine through `applyActivation()`; a manual
+     * change lasts until the next mode or game state change.
      *
      * @param {string} name - The unique name of the system.
      * @param {boolean} isActive - `true` to activate the system, `false` to deactivate it.
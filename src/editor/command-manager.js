@@ -1,9 +1,13 @@
 // src/editor/command-manager.js
-// @version 1.3.0 - Added ReparentEntityCommand.
-// @previous 1.2.1 - Removed redundant sceneImported emit from LoadSceneCommand
+// @version 1.8.0 - Added CreateVariantCommand, ApplyOverridesCommand and RevertOverridesCommand.
+// @previous 1.7.1 - SavePrefabCommand restores the whole prefabInstance data of the saved entities.
+// @previous 1.7.0 - Added AddSceneCommand (undoable additive scene loading).
+// @previous 1.6.0 - Added InstantiatePrefabCommand, SavePrefabCommand and DeletePrefabCommand.
+// @previous 1.5.0 - Added SetEntityActiveCommand and SetComponentEnabledCommand.
 
 import * as logger from '../utils/logger.js';
 import { EventEmitter } from '../utils/event-emitter.js';
+import { parseJSONC } from '../utils/jsonc.js';
 
 // --- Helper function for file download ---
 function downloadFile(content, fileName, contentType) { /* ... unchanged ... */ const a = document.createElement("a"); const file = new Blob([content], { type: contentType }); a.href = URL.createObjectURL(file); a.download = fileName; a.click(); URL.revokeObjectURL(a.href); }
@@ -24,7 +28,62 @@ export class UpdateComponentCommand extends Command { /* ... unchanged ... */ co
 /** @class SaveSceneCommand */
 export class SaveSceneCommand extends Command { /* ... unchanged ... */ constructor(engine, filename = 'scene.json') { super('Save Scene'); this.engine = engine; this.filename = filename; this.isUndoable = false; } execute() { const entityManager = this.engine.getEntityManager(); if (!entityManager) throw new Error("SaveSceneCommand: EntityManager not available."); try { logger.log(`SaveSceneCommand: Serializing scene to ${this.filename}...`); const sceneData = entityManager.serialize(); downloadFile(sceneData, this.filename, 'application/json'); logger.log(`SaveSceneCommand: Triggered download for ${this.filename}.`); } catch (error) { logger.error("SaveSceneCommand: Error serializing or saving scene:", error); alert(`Error saving scene: ${error.message || error}`); throw error; } } }
 /** @class LoadSceneCommand */
-export class LoadSceneCommand extends Command { /* ... unchanged ... */ constructor(engine, sceneData, sourceName = 'Unknown Source') { super(`Load Scene from ${sourceName}`); if (!sceneData) { throw new Error("LoadSceneCommand requires sceneData."); } this.engine = engine; this.sceneData = sceneData; this.isUndoable = false; } execute() { const entityManager = this.engine.getEntityManager(); const commandManager = this.engine.getCommandManager(); if (!entityManager || !commandManager) { throw new Error("LoadSceneCommand: Deps missing."); } let dataToLoad; if (typeof this.sceneData === 'string') { try { dataToLoad = JSON.parse(this.sceneData); } catch (e) { logger.error("LoadSceneCommand: Failed to parse scene data string:", e); alert(`Error loading scene: Invalid JSON.`); throw new Error(`Invalid JSON data.`); } } else if (typeof this.sceneData === 'object' && this.sceneData !== null) { dataToLoad = this.sceneData; } else { throw new Error(`Invalid sceneData format.`); } try { logger.log("LoadSceneCommand: Clearing current scene and command history."); this.engine.selectEntity(null); entityManager.clear(); commandManager.clear(); logger.log("LoadSceneCommand: Deserializing scene data..."); const success = entityManager.deserialize(dataToLoad); if (!success) { throw new Error("EntityManager failed to deserialize scene data."); } logger.log("LoadSceneCommand: Scene loaded successfully."); } catch (error) { logger.error("LoadSceneCommand: Error deserializing scene:", error); alert(`Error loading scene: ${error.message || error}. Check console.`); entityManager.clear(); commandManager.clear(); throw error; } } }
+export class LoadSceneCommand extends Command { /* ... unchanged ... */ constructor(engine, sceneData, sourceName = 'Unknown Source') { super(`Load Scene from ${sourceName}`); if (!sceneData) { throw new Error("LoadSceneCommand requires sceneData."); } this.engine = engine; this.sceneData = sceneData; this.isUndoable = false; /** @type {import('../ecs/scene-migrations.js').MigrationReport|null} */ this.migrationReport = null; } execute() { const entityManager = this.engine.getEntityManager(); const commandManager = this.engine.getCommandManager(); if (!entityManager || !commandManager) { throw new Error("LoadSceneCommand: Deps missing."); } let dataToLoad; if (typeof this.sceneData === 'string') { try { dataToLoad = parseJSONC(this.sceneData); } catch (e) { logger.error("LoadSceneCommand: Failed to parse scene data string:", e); alert(`Error loading scene: Invalid JSON (${e.message}).`); throw new Error(`Invalid JSON data: ${e.message}`); } } else if (typeof this.sceneData === 'object' && this.sceneData !== null) { dataToLoad = this.sceneData; } else { throw new Error(`Invalid sceneData format.`); } try { logger.log("LoadSceneCommand: Clearing current scene and command history."); this.engine.selectEntity(null); entityManager.clear(); commandManager.clear(); logger.log("LoadSceneCommand: Deserializing scene data..."); const success = entityManager.deserialize(dataToLoad); if (!success) { throw new Error("EntityManager failed to deserialize scene data."); } this.migrationReport = entityManager.lastMigrationReport; if (this.migrationReport?.upgraded) { const steps = this.migrationReport.applied.map(step => step.description); logger.log(`LoadSceneCommand: Upgraded scene from format v${this.migrationReport.fromVersion} to v${this.migrationReport.toVersion}.`, steps); } logger.log("LoadSceneCommand: Scene loaded successfully."); } catch (error) { logger.error("LoadSceneCommand: Error deserializing scene:", error); alert(`Error loading scene: ${error.message || error}. Check console.`); entityManager.clear(); commandManager.clear(); throw error; } } }
+
+/**
+ * Command to load a scene into the current one without clearing it (see `Engine.loadScene`).
+ * Undo unloads the imported entities; redo restores them with the same entity IDs and puts
+ * them back into their scene.
+ * @class AddSceneCommand
+ */
+export class AddSceneCommand extends Command {
+    /**
+     * @param {import('../core.js').Engine} engine - The engine instance.
+     * @param {string|object} sceneData - Scene JSON (comments allowed) or the parsed object.
+     * @param {string} [sceneName='Scene'] - Name of the loaded scene.
+     */
+    constructor(engine, sceneData, sceneName = 'Scene') {
+        super(`Add Scene "${sceneName}"`);
+        if (!sceneData) throw new Error("AddSceneCommand requires sceneData.");
+        if (!engine || !engine.sceneManager) throw new Error("AddSceneCommand requires an engine with SceneManager.");
+        this.engine = engine;
+        this.sceneData = sceneData;
+        this.sceneName = sceneName;
+        /** @type {import('../ecs/scene-manager.js').SceneHandle|null} The loaded scene */
+        this.scene = null;
+        /** @type {object[]|null} Entity states of the scene, captured on undo */
+        this.states = null;
+        /** @type {object|null} SceneManager bookkeeping while the scene was loaded, captured on undo */
+        this.sceneSnapshot = null;
+        this.isUndoable = true;
+    }
+
+    execute() {
+        if (this.states) {
+            const entityManager = this.engine.getEntityManager();
+            for (const state of this.states) entityManager.restoreEntityState(state);
+            this.engine.sceneManager.restoreSnapshot(this.sceneSnapshot);
+            logger.log(`[AddScene Redo] Restored ${this.states.length} entities of scene '${this.sceneName}'.`);
+            return;
+        }
+        this.scene = this.engine.loadScene(this.sceneData, { name: this.sceneName });
+        if (!this.scene) throw new Error(`AddSceneCommand: Scene '${this.sceneName}' could not be loaded.`);
+    }
+
+    undo() {
+        const entityManager = this.engine.getEntityManager();
+        const members = new Set(this.engine.sceneManager.getSceneEntities(this.scene));
+        if (members.size === 0) {
+            logger.warn(`AddSceneCommand: Scene '${this.sceneName}' is not loaded during undo. Skipping.`);
+            return;
+        }
+        // Whole subtrees of the scene's top-level entities, parents before children
+        const roots = [...members].filter(id => !members.has(entityManager.getComponent(id, 'transform')?.parent));
+        this.states = roots.flatMap(id => captureSubtreeStates(entityManager, id));
+        this.sceneSnapshot = this.engine.sceneManager.createSnapshot();
+        this.engine.unloadScene(this.scene);
+    }
+}
 
 // --- NEW COMMAND ---
 /**
@@ -36,8 +95,11 @@ export class ReparentEntityCommand extends Command {
      * @param {import('../core.js').Engine} engine - The engine instance.
      * @param {number} childId - The ID of the entity to reparent.
      * @param {number | null} newParentId - The ID of the new parent entity, or null to make it a root.
+     * @param {object} [options={}]
+     * @param {boolean} [options.keepWorldTransform=true] - Adjust the child's local transform so it stays in place
+     * (requires the 'transform' system); otherwise the child keeps its local values and moves with the new parent.
      */
-    constructor(engine, childId, newParentId) {
+    constructor(engine, childId, newParentId, { keepWorldTransform = true } = {}) {
         super(`Reparent Entity ${childId} to ${newParentId === null ? 'Root' : newParentId}`);
         if (childId === null || childId === undefined) throw new Error("ReparentEntityCommand requires a childId.");
         if (!engine || !engine.entityManager) throw new Error("ReparentEntityCommand requires an engine with EntityManager.");
@@ -47,6 +109,9 @@ export class ReparentEntityCommand extends Command {
         this.childId = childId;
         this.newParentId = newParentId;
         this.oldParentId = null; // Will be fetched before execution
+        this.keepWorldTransform = keepWorldTransform;
+        /** @type {{position: number[], rotation: number[], scale: number[]}|null} Local transform before the first execute */
+        this.oldLocalTransform = null;
         this.isUndoable = true;
         this.stateCaptured = false; // Flag to ensure old parent is captured only once
     }
@@ -66,14 +131,18 @@ export class ReparentEntityCommand extends Command {
                 throw new Error(`ReparentEntityCommand: Child entity ${this.childId} missing TransformComponent.`);
             }
             this.oldParentId = transform.getParent(); // Get current parent
+            this.oldLocalTransform = { position: transform.getPosition(), rotation: transform.getRotation(), scale: transform.getScale() };
             logger.log(`[Reparent Execute] Captured old parent for ${this.childId}: ${this.oldParentId}`);
             this.stateCaptured = true;
         } else {
              logger.log(`[Reparent Redo] Re-applying parent ${this.newParentId} to ${this.childId}`);
         }
 
-        // Perform the reparenting using EntityManager
-        const success = this.entityManager.setParent(this.childId, this.newParentId);
+        // Perform the reparenting (through the TransformSystem when it should keep the world transform)
+        const transformSystem = this.keepWorldTransform ? this.engine.getSystem('transform') : null;
+        const success = transformSystem
+            ? transformSystem.setParent(this.childId, this.newParentId, { keepWorldTransform: true, source: 'ReparentEntityCommand' })
+            : this.entityManager.setParent(this.childId, this.newParentId);
         if (!success) {
             // If setParent failed (e.g., circular dependency), throw to prevent adding to undo stack
             throw new Error(`ReparentEntityCommand: EntityManager.setParent failed for child ${this.childId} and parent ${this.newParentId}.`);
@@ -108,9 +177,362 @@ export class ReparentEntityCommand extends Command {
             // Re-select the child anyway?
             // this.engine.selectEntity(this.childId);
             // Do not re-throw here, as it would prevent redo.
+        } else if (this.keepWorldTransform && this.oldLocalTransform) {
+            this.entityManager.addComponent(this.childId, 'transform', { ...this.oldLocalTransform, source: 'ReparentEntityCommand' });
         }
         // Optional: Select the child after undo?
         // this.engine.selectEntity(this.childId);
     }
 }
-// --- END NEW COMMAND ---
\ No newline at end of file
+// --- END NEW COMMAND ---
+/**
+ * Command to activate or deactivate an entity (and with it its descendants).
+ * @class SetEntityActiveCommand
+ */
+export class SetEntityActiveCommand extends Command {
+    /**
+     * @param {import('../core.js').Engine} engine - The engine instance.
+     * @param {number} entityId - The entity to change.
+     * @param {boolean} active - The new active flag.
+     */
+    constructor(engine, entityId, active) {
+        super(`${active ? 'Activate' : 'Deactivate'} Entity ${entityId}`);
+        if (entityId === null || entityId === undefined) throw new Error("SetEntityActiveCommand requires an entityId.");
+        if (!engine || !engine.entityManager) throw new Error("SetEntityActiveCommand requires an engine with EntityManager.");
+        this.entityManager = engine.entityManager;
+        this.entityId = entityId;
+        this.active = !!active;
+        this.isUndoable = true;
+    }
+
+    execute() {
+        if (!this.entityManager.setActive(this.entityId, this.active)) {
+            throw new Error(`SetEntityActiveCommand: Entity ${this.entityId} not found.`);
+        }
+    }
+
+    undo() {
+        if (!this.entityManager.setActive(this.entityId, !this.active)) {
+            logger.warn(`SetEntityActiveCommand: Entity ${this.entityId} not found during undo. Skipping.`);
+        }
+    }
+}
+
+/**
+ * Command to enable or disable one component of an entity.
+ * @class SetComponentEnabledCommand
+ */
+export class SetComponentEnabledCommand extends Command {
+    /**
+     * @param {import('../core.js').Engine} engine - The engine instance.
+     * @param {number} entityId - The entity owning the component.
+     * @param {string} componentType - The component type name.
+     * @param {boolean} enabled - The new enabled flag.
+     */
+    constructor(engine, entityId, componentType, enabled) {
+        super(`${enabled ? 'Enable' : 'Disable'} ${componentType} on Entity ${entityId}`);
+        if (entityId === null || entityId === undefined) throw new Error("SetComponentEnabledCommand requires an entityId.");
+        if (!componentType) throw new Error("SetComponentEnabledCommand requires a component type.");
+        if (!engine || !engine.entityManager) throw new Error("SetComponentEnabledCommand requires an engine with EntityManager.");
+        this.entityManager = engine.entityManager;
+        this.entityId = entityId;
+        this.componentType = componentType;
+        this.enabled = !!enabled;
+        this.isUndoable = true;
+    }
+
+    execute() {
+        if (!this.entityManager.setComponentEnabled(this.entityId, this.componentType, this.enabled)) {
+            throw new Error(`SetComponentEnabledCommand: Component '${this.componentType}' not found on entity ${this.entityId}.`);
+        }
+    }
+
+    undo() {
+        if (!this.entityManager.setComponentEnabled(this.entityId, this.componentType, !this.enabled)) {
+            logger.warn(`SetComponentEnabledCommand: Component '${this.componentType}' not found on entity ${this.entityId} during undo. Skipping.`);
+        }
+    }
+}
+
+/**
+ * @private The states of an entity and its descendants, parents before children, so
+ * `restoreEntityState` can rebuild the hierarchy in order.
+ */
+function captureSubtreeStates(entityManager, rootId) {
+    const states = [];
+    const visit = (id) => {
+        const state = entityManager.getEntityState(id);
+        if (!state) return;
+        states.push(structuredClone(state));
+        for (const childId of entityManager.getComponent(id, 'transform')?.children ?? []) visit(childId);
+    };
+    visit(rootId);
+    return states;
+}
+
+/**
+ * Command to create an instance of a saved prefab. Undo removes the whole instance hierarchy;
+ * redo restores it with the same entity IDs.
+ * @class InstantiatePrefabCommand
+ */
+export class InstantiatePrefabCommand extends Command {
+    /**
+     * @param {import('../core.js').Engine} engine - The engine instance.
+     * @param {string} prefabName - The prefab to instantiate.
+     */
+    constructor(engine, prefabName) {
+        super(`Instantiate Prefab "${prefabName}"`);
+        if (!prefabName) throw new Error("InstantiatePrefabCommand requires a prefab name.");
+        if (!engine || !engine.prefabManager) throw new Error("InstantiatePrefabCommand requires an engine with PrefabManager.");
+        this.engine = engine;
+        this.prefabName = prefabName;
+        /** @type {number|null} Root of the created instance */
+        this.rootId = null;
+        /** @type {object[]|null} Entity states of the instance, captured on undo */
+        this.states = null;
+        this.isUndoable = true;
+    }
+
+    execute() {
+        if (this.states) {
+            const entityManager = this.engine.getEntityManager();
+            for (const state of this.states) entityManager.restoreEntityState(state);
+            logger.log(`[InstantiatePrefab Redo] Restored ${this.states.length} entities of instance ${this.rootId}.`);
+        } else {
+            this.rootId = this.engine.prefabManager.createEntityFromPrefab(this.prefabName);
+            if (this.rootId === null) throw new Error(`InstantiatePrefabCommand: Prefab "${this.prefabName}" could not be instantiated.`);
+        }
+        this.engine.selectEntity(this.rootId);
+    }
+
+    undo() {
+        const entityManager = this.engine.getEntityManager();
+        if (this.rootId === null || !entityManager.hasEntity(this.rootId)) {
+            logger.warn(`InstantiatePrefabCommand: Instance ${this.rootId} not found during undo. Skipping.`);
+            return;
+        }
+        this.states = captureSubtreeStates(entityManager, this.rootId);
+        if (this.states.some(state => state.id === this.engine.getSelectedEntity())) this.engine.selectEntity(null);
+        entityManager.removeEntity(this.rootId); // Removes the descendants too
+    }
+}
+
+/**
+ * Command to save an entity and its descendants as a prefab. Undo puts back the prefab it
+ * overwrote (or removes a new prefab), the prefab links of the saved entities, and updates the
+ * instances again.
+ * @class SavePrefabCommand
+ */
+export class SavePrefabCommand extends Command {
+    /**
+     * @param {import('../core.js').Engine} engine - The engine instance.
+     * @param {number} entityId - The root entity to save.
+     * @param {string} prefabName - The prefab to create or overwrite.
+     */
+    constructor(engine, entityId, prefabName) {
+        super(`Save Prefab "${prefabName}"`);
+        if (entityId === null || entityId === undefined) throw new Error("SavePrefabCommand requires an entityId.");
+        if (!prefabName || prefabName.trim() === '') throw new Error("SavePrefabCommand requires a prefab name.");
+        if (!engine || !engine.prefabManager) throw new Error("SavePrefabCommand requires an engine with PrefabManager.");
+        this.engine = engine;
+        this.prefabManager = engine.prefabManager;
+        this.entityId = entityId;
+        this.prefabName = prefabName.trim();
+        /** @type {object|null} The stored prefab before the first save (`null` if it was new) */
+        this.previousData = null;
+        /** @type {Map<number, object|null>} `prefabInstance` data of the saved entities before the first save */
+        this.previousLinks = new Map();
+        /** Whether the last execute saved the prefab */
+        this.saved = false;
+        this.isUndoable = true;
+        this.stateCaptured = false;
+    }
+
+    execute() {
+        const entityManager = this.engine.getEntityManager();
+        if (!this.stateCaptured) {
+            this.previousData = this.prefabManager.getStoredPrefab(this.prefabName);
+            for (const { id } of captureSubtreeStates(entityManager, this.entityId)) {
+                const link = entityManager.getComponent(id, 'prefabInstance');
+                this.previousLinks.set(id, link ? link.serialize() : null);
+            }
+            this.stateCaptured = true;
+        }
+        this.saved = this._save();
+        if (!this.saved) throw new Error(`${this.constructor.name}: Entity ${this.entityId} could not be saved as prefab "${this.prefabName}".`);
+    }
+
+    /**
+     * @returns {boolean} Whether the prefab was saved.
+     * @protected
+     */
+    _save() {
+        return this.prefabManager.savePrefab(this.entityId, this.prefabName);
+    }
+
+    undo() {
+        const entityManager = this.engine.getEntityManager();
+        for (const [id, link] of this.previousLinks) {
+            if (!entityManager.hasEntity(id)) continue;
+            if (link) entityManager.addComponent(id, 'prefabInstance', { ...link, source: 'prefab' });
+            else entityManager.removeComponent(id, 'prefabInstance');
+        }
+        if (!this.prefabManager.setStoredPrefab(this.prefabName, this.previousData)) {
+            logger.error(`${this.constructor.name}: Failed to restore prefab "${this.prefabName}" (undo).`);
+        }
+        this.saved = false;
+    }
+}
+
+/**
+ * Command to save a prefab instance as a variant of its prefab. Undo puts back the prefab the
+ * variant replaced (or removes it) and the instance's links, like `SavePrefabCommand`.
+ * @class CreateVariantCommand
+ */
+export class CreateVariantCommand extends SavePrefabCommand {
+    /**
+     * @param {import('../core.js').Engine} engine - The engine instance.
+     * @param {string} baseName - The prefab the variant is based on.
+     * @param {string} variantName - The variant to create or overwrite.
+     * @param {number} entityId - The instance root whose changes define the variant.
+     */
+    constructor(engine, baseName, variantName, entityId) {
+        super(engine, entityId, variantName);
+        this.name = `Create Variant "${this.prefabName}" of "${baseName}"`;
+        this.baseName = baseName;
+    }
+
+    /** @protected */
+    _save() {
+        return this.prefabManager.createVariant(this.baseName, this.prefabName, this.entityId);
+    }
+}
+
+/**
+ * Command to write the overrides of a prefab instance entity into its prefab. Undo puts back
+ * the stored prefab, which updates the instances again, and the entity with its overrides.
+ * @class ApplyOverridesCommand
+ */
+export class ApplyOverridesCommand extends Command {
+    /**
+     * @param {import('../core.js').Engine} engine - The engine instance.
+     * @param {number} entityId - An entity of a prefab instance.
+     * @param {string|null} [componentType=null] - Only this component (default: all overridden components).
+     */
+    constructor(engine, entityId, componentType = null) {
+        super(`Apply ${componentType ?? 'all'} overrides of Entity ${entityId}`);
+        if (entityId === null || entityId === undefined) throw new Error("ApplyOverridesCommand requires an entityId.");
+        if (!engine || !engine.prefabManager) throw new Error("ApplyOverridesCommand requires an engine with PrefabManager.");
+        this.engine = engine;
+        this.prefabManager = engine.prefabManager;
+        this.entityId = entityId;
+        this.componentType = componentType;
+        /** @type {string|null} The prefab the overrides are written to */
+        this.prefabName = null;
+        /** @type {object|null} The stored prefab before the first apply (`null` if it was only in a library) */
+        this.previousData = null;
+        /** @type {object|null} The entity state before the first apply */
+        this.entityState = null;
+        this.isUndoable = true;
+    }
+
+    execute() {
+        if (this.entityState === null) {
+            this.prefabName = this.prefabManager.getInstanceInfo(this.entityId)?.prefab ?? null;
+            if (this.prefabName === null) throw new Error(`ApplyOverridesCommand: Entity ${this.entityId} is not a prefab instance.`);
+            this.previousData = this.prefabManager.getStoredPrefab(this.prefabName);
+            this.entityState = structuredClone(this.engine.getEntityManager().getEntityState(this.entityId));
+        }
+        if (!this.prefabManager.applyOverrides(this.entityId, this.componentType)) {
+            throw new Error(`ApplyOverridesCommand: Overrides of entity ${this.entityId} could not be applied to prefab "${this.prefabName}".`);
+        }
+    }
+
+    undo() {
+        if (!this.prefabManager.setStoredPrefab(this.prefabName, this.previousData)) {
+            logger.error(`ApplyOverridesCommand: Failed to restore prefab "${this.prefabName}" (undo).`);
+        }
+        this.engine.getEntityManager().restoreEntityState(this.entityState);
+    }
+}
+
+/**
+ * Command to reset the overrides of a prefab instance entity to the prefab values. Undo
+ * restores the whole instance, since reverting its root re-creates deleted entities.
+ * @class RevertOverridesCommand
+ */
+export class RevertOverridesCommand extends Command {
+    /**
+     * @param {import('../core.js').Engine} engine - The engine instance.
+     * @param {number} entityId - An entity of a prefab instance.
+     * @param {string|null} [componentType=null] - Only this component (default: all overridden components).
+     */
+    constructor(engine, entityId, componentType = null) {
+        super(`Revert ${componentType ?? 'all'} overrides of Entity ${entityId}`);
+        if (entityId === null || entityId === undefined) throw new Error("RevertOverridesCommand requires an entityId.");
+        if (!engine || !engine.prefabManager) throw new Error("RevertOverridesCommand requires an engine with PrefabManager.");
+        this.engine = engine;
+        this.prefabManager = engine.prefabManager;
+        this.entityId = entityId;
+        this.componentType = componentType;
+        /** @type {object[]|null} States of the instance before the first revert, root first */
+        this.states = null;
+        this.isUndoable = true;
+    }
+
+    execute() {
+        if (this.states === null) {
+            const rootId = this.prefabManager.getInstanceInfo(this.entityId)?.root;
+            if (rootId === undefined) throw new Error(`RevertOverridesCommand: Entity ${this.entityId} is not a prefab instance.`);
+            this.states = captureSubtreeStates(this.engine.getEntityManager(), rootId);
+        }
+        if (!this.prefabManager.revertOverrides(this.entityId, this.componentType)) {
+            throw new Error(`RevertOverridesCommand: Overrides of entity ${this.entityId} could not be reverted.`);
+        }
+    }
+
+    undo() {
+        const entityManager = this.engine.getEntityManager();
+        const ids = new Set(this.states.map(state => state.id));
+        for (const { id } of captureSubtreeStates(entityManager, this.states[0].id)) {
+            if (!ids.has(id) && entityManager.hasEntity(id)) entityManager.removeEntity(id); // Re-created by the revert
+        }
+        for (const state of this.states) entityManager.restoreEntityState(state);
+    }
+}
+
+/**
+ * Command to delete a saved prefab. Undo saves it again; instances in the scene keep their
+ * link to it throughout.
+ * @class DeletePrefabCommand
+ */
+export class DeletePrefabCommand extends Command {
+    /**
+     * @param {import('../core.js').Engine} engine - The engine instance.
+     * @param {string} prefabName - The prefab to delete.
+     */
+    constructor(engine, prefabName) {
+        super(`Delete Prefab "${prefabName}"`);
+        if (!prefabName || prefabName.trim() === '') throw new Error("DeletePrefabCommand requires a prefab name.");
+        if (!engine || !engine.prefabManager) throw new Error("DeletePrefabCommand requires an engine with PrefabManager.");
+        this.prefabManager = engine.prefabManager;
+        this.prefabName = prefabName.trim();
+        /** @type {object|null} The stored prefab, captured when it is deleted */
+        this.deletedData = null;
+        this.isUndoable = true;
+    }
+
+    execute() {
+        const stored = this.prefabManager.getStoredPrefab(this.prefabName);
+        if (!stored || !this.prefabManager.deletePrefab(this.prefabName)) {
+            throw new Error(`DeletePrefabCommand: Prefab "${this.prefabName}" could not be deleted.`);
+        }
+        this.deletedData = stored;
+    }
+
+    undo() {
+        if (!this.prefabManager.setStoredPrefab(this.prefabName, this.deletedData)) {
+            logger.error(`DeletePrefabCommand: Failed to restore prefab "${this.prefabName}" (undo).`);
+        }
+    }
+}
@@ -1,7 +1,8 @@
 // src/engine-config.js
 // Central configuration for CORE ENGINE default values and constants.
 // Game-specific configurations should be in separate files.
-// @version 1.1.0 - Added assetManager.basePath configuration.
+// @version 1.5.0 - Added random seed and session replay settings.
+// @previous 1.4.0 - Added profiler settings.
 
 export const engineConfig = {
     // --- Asset Manager Defaults ---
@@ -99,4 +100,22 @@ export const engineConfig = {
     persistence: {
         localStorageKey: '3dEditorState_v1.3', // Key for saving editor layout/prefs
     },
+    playMode: {
+        restoreSceneOnStop: true, // Snapshot the world on Play and restore it on Stop
+    },
+    systems: {
+        defaultErrorPolicy: 'disable', // 'stop' | 'disable' | 'skip' (see SystemErrorPolicy); systems may override with `errorPolicy`
+    },
+    profiler: {
+        enabled: true,          // Time every system lifecycle call (engine.getProfile())
+        historySize: 120,       // Frames kept for averages/max/history
+        overlayRefreshMs: 500,  // Stats overlay refresh interval
+    },
+    random: {
+        seed: null,             // Seed of engine.random (null = derived from the clock)
+    },
+    replay: {
+        recordOnPlay: false,    // SessionRecorderSystem starts recording whenever game mode is entered
+        checksumInterval: 30,   // Fixed steps between world checksums (divergence detection)
+    },
 };
\ No newline at end of file
@@ -24,6 +24,11 @@ export const breakoutConfig = {
         // defaultType: 'wall',
     },
 
+    // --- Levels ---
+    // Brick scenes played in order on top of breakout-base.json (paths relative to index.html).
+    // Pressing Space after a level is cleared loads the next one.
+    levels: ['breakout-level-1.json', 'breakout-level-2.json'],
+
     // --- System Settings ---
     playArea: {
         width: 12.0,           // Used by InputSystem for clamping paddle position
@@ -0,0 +1,46 @@
+// src/games/breakout/breakout-plugin.js
+// @version 1.0.0 - Initial implementation (Breakout packaged as an engine plugin).
+
+import { breakoutConfig } from './breakout-config.js';
+import { PaddleComponent, BallComponent, BrickComponent, ScoreComponent, BoundaryComponent } from './components/breakout-components.js';
+import { GameUISystem } from './systems/game-ui-system.js';
+import { InputSystem } from './systems/input-system.js';
+import { BreakoutGameSystem } from './systems/breakout-game-system.js';
+
+/**
+ * The Breakout game as an engine plugin. Install it after the core systems:
+ *
+ * ```js
+ * await engine.use(breakoutPlugin);
+ * await engine.loadPluginScene('breakout', 'base', { persistent: true });
+ * await engine.loadPluginScene('breakout', 'level-1');
+ * ```
+ *
+ * Systems are registered in dependency order: `BreakoutGameSystem` looks up 'gameUI' when it
+ * initializes. Their activation rules (`runIn`) are declared on the system classes.
+ *
+ * @type {import('../../ecs/plugin-manager.js').EnginePlugin}
+ */
+export const breakoutPlugin = {
+    name: 'breakout',
+    version: '1.0.0',
+    requiredSystems: ['gameStateManager', 'inputManager', 'physics'],
+    components: {
+        paddle: PaddleComponent,
+        ball: BallComponent,
+        brick: BrickComponent,
+        score: ScoreComponent,
+        boundary: BoundaryComponent
+    },
+    systems: [
+        { name: 'gameUI', create: () => new GameUISystem() },
+        { name: 'input', create: () => new InputSystem() },
+        { name: 'breakout', create: () => new BreakoutGameSystem() }
+    ],
+    config: breakoutConfig,
+    scenes: {
+        'base': 'breakout-base.json',
+        'level-1': 'breakout-level-1.json',
+        'level-2': 'breakout-level-2.json'
+    }
+};
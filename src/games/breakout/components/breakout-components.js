@@ -1,75 +1,54 @@
 // src/games/breakout/components/breakout-components.js
-// @version 1.1.0 - Updated to use breakout-config.js
-// @previous - Original version using src/config.js
+// @version 1.2.0 - Declared as schema components (no hand-written constructors/serialize); fixed import paths.
+// @previous 1.1.0 - Updated to use breakout-config.js
 
-import { Component } from '../../ecs/component.js';
-// --- MODIFIED IMPORT ---
-import { breakoutConfig } from './breakout-config.js'; // <-- Import breakout config
-// --- END MODIFICATION ---
+import { Component } from '../../../ecs/component.js';
+import { breakoutConfig } from '../breakout-config.js';
 
 /**
  * Marker component for the player's paddle.
  */
 export class PaddleComponent extends Component {
-    constructor(data = {}) {
-        super();
-        // --- MODIFIED DEFAULT ---
-        this.speed = data.speed ?? breakoutConfig.paddle.speed; // <-- Use breakoutConfig
-        // --- END MODIFICATION ---
-    }
-    serialize() { return { speed: this.speed }; }
+    static schema = {
+        speed: { type: 'number', min: 0, default: () => breakoutConfig.paddle.speed }
+    };
 }
 
 /**
  * Marker component for the ball.
  */
 export class BallComponent extends Component {
-    constructor(data = {}) {
-        super();
-        // --- MODIFIED DEFAULTS ---
-        this.baseSpeed = data.baseSpeed ?? breakoutConfig.ball.baseSpeed; // <-- Use breakoutConfig
-        this.isLaunched = data.isLaunched ?? false;
-        // --- END MODIFICATION ---
-    }
-    serialize() { return { baseSpeed: this.baseSpeed, isLaunched: this.isLaunched }; }
+    static schema = {
+        baseSpeed: { type: 'number', min: 0, default: () => breakoutConfig.ball.baseSpeed },
+        isLaunched: { type: 'boolean', default: false }
+    };
 }
 
 /**
  * Marker component for destructible bricks.
+ * Uses the config default, but expects scene/color mapping to override `scoreValue`.
  */
 export class BrickComponent extends Component {
-    constructor(data = {}) {
-        super();
-        // --- MODIFIED DEFAULT ---
-        // Use config default, but expect scene/color mapping to override
-        this.scoreValue = data.scoreValue ?? breakoutConfig.brick.scoreValue; // <-- Use breakoutConfig
-        // --- END MODIFICATION ---
-    }
-    serialize() { return { scoreValue: this.scoreValue }; }
+    static schema = {
+        scoreValue: { type: 'integer', min: 0, default: () => breakoutConfig.brick.scoreValue }
+    };
 }
 
 /**
  * Component to hold game score and lives.
  */
 export class ScoreComponent extends Component {
-    constructor(data = {}) {
-        super();
-        // --- MODIFIED DEFAULTS ---
-        this.score = data.score ?? breakoutConfig.score.initialScore; // <-- Use breakoutConfig
-        this.lives = data.lives ?? breakoutConfig.score.initialLives; // <-- Use breakoutConfig
-        // --- END MODIFICATION ---
-    }
-    serialize() { return { score: this.score, lives: this.lives }; }
+    static schema = {
+        score: { type: 'integer', min: 0, default: () => breakoutConfig.score.initialScore },
+        lives: { type: 'integer', min: 0, default: () => breakoutConfig.score.initialLives }
+    };
 }
 
 /**
  * Marker component for game boundaries (walls, floor).
  */
 export class BoundaryComponent extends Component {
-     constructor(data = {}) {
-        super();
-        // Type doesn't have an obvious single default in config, keep as is
-        this.type = data.type ?? 'wall'; // 'wall', 'floor', 'ceiling'
-    }
-    serialize() { return { type: this.type }; }
-}
\ No newline at end of file
+    static schema = {
+        type: { type: 'enum', options: ['wall', 'floor', 'ceiling'], default: 'wall' }
+    };
+}
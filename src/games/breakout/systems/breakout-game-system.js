@@ -1,10 +1,13 @@
 // games/breakout/systems/breakout-game-system.js
-// @version 1.3.0 - Integrated GameStateManager for state transitions.
-// @previous 1.2.0 - Updated to use breakout-config.js
+// @version 1.7.4 - A level fetch that outlives cleanup() is discarded instead of throwing.
+// @previous 1.7.3 - Bricks are counted through a query, so inactive bricks don't block level completion.
+// @previous 1.7.2 - Level loading gives up when play stops during the fetch; a failed load ends the game (Space retries it).
+// @previous 1.7.1 - Fixed the breakout-config.js import path (needed to load the Breakout plugin).
+// @previous 1.7.0 - In-place score/lives/isLaunched mutations are reported with entityManager.markChanged().
 
 import * as logger from '../../../utils/logger.js';
 import * as THREE from 'three'; // Only needed if using THREE math utilities
-import { breakoutConfig } from './breakout-config.js';
+import { breakoutConfig } from '../breakout-config.js';
 // --- ADDED: Import GameState ---
 import { GameState } from '../../../systems/game-state-manager.js';
 // --- END ADDITION ---
@@ -20,7 +23,8 @@ const INITIAL_LIVES = breakoutConfig.score.initialLives;
  */
 export class BreakoutGameSystem {
     constructor() {
-        this.priority = 50;
+        this.phase = 'logic';
+        this.runIn = [GameState.PLAYING];
         this.active = false; // Should be activated/deactivated by game state manager
         this._name = 'breakoutLogic';
         this.engine = null; this.entityManager = null; this.physicsSystem = null;
@@ -31,15 +35,21 @@ export class BreakoutGameSystem {
         // --- END ADDITION ---
 
         this.ballEntityId = null; this.paddleEntityId = null; this.gameStateEntityId = null;
+        /** @private @type {import('../../../ecs/entity-manager.js').EntityHandle[]} Handles of the cached ball/paddle/state entities */
+        this._entityHandles = [];
         // --- REMOVED internal gameState property ---
         // this.gameState = 'IDLE'; // Now managed by GameStateManager
         // --- END REMOVAL ---
         this.brickCount = 0;
+        /** @private @type {import('../../../ecs/query.js').Query|null} Active bricks (inactive ones needn't be cleared) */
+        this._brickQuery = null;
+        /** Index into breakoutConfig.levels of the level being played. */
+        this.levelIndex = 0;
         this._contacts = [];
         this._initialized = false;
         this._entitiesFound = false;
 
-        this._handleKeyDown = this._handleKeyDown.bind(this);
+        this._handleKeyPressed = this._handleKeyPressed.bind(this);
         // --- MODIFIED: Remove mode listeners, rely on gameStateChanged ---
         // this._onGameModeEntered = this._onGameModeEntered.bind(this);
         // this._onEditorModeEntered = this._onEditorModeEntered.bind(this);
@@ -69,12 +79,14 @@ export class BreakoutGameSystem {
         // --- END ADDITION ---
 
         if (!this._initialized) {
-             window.addEventListener('keydown', this._handleKeyDown);
+             // Keys come through the InputManagerSystem so recorded sessions replay them
+             this.eventEmitter.on('keyPressed', this._handleKeyPressed);
              // --- MODIFIED: Listen for game state changes instead of engine mode ---
              // emitter.on('gameModeEntered', this._onGameModeEntered); // REMOVED
              // emitter.on('editorModeEntered', this._onEditorModeEntered); // REMOVED
-             emitter.on('gameStateChanged', this._onGameStateChanged);
+             this.eventEmitter.on('gameStateChanged', this._onGameStateChanged);
              // --- END MODIFICATION ---
+             this._brickQuery = this.entityManager.createQuery({ all: ['brick'] });
              this._initialized = true;
         }
         logger.log("[Breakout] BreakoutGameSystem Initialized");
@@ -102,7 +114,9 @@ export class BreakoutGameSystem {
              logger.log("[Breakout] BreakoutGameSystem: Game state is EDITOR. Deactivating.");
              this.active = false;
              this.ballEntityId = null; this.paddleEntityId = null; this.gameStateEntityId = null;
+             this._entityHandles = [];
              this._entitiesFound = false; this.brickCount = 0;
+             this.levelIndex = 0;
              this.uiSystem?.hide();
         } else if (current === GameState.GAME_OVER || current === GameState.LEVEL_COMPLETE) {
              // Ensure system is inactive but UI shows correct message
@@ -132,12 +146,12 @@ export class BreakoutGameSystem {
         logger.log("[Breakout] BreakoutGameSystem: Searching for game entities...");
 
         this.ballEntityId = null; this.paddleEntityId = null; this.gameStateEntityId = null;
+        this._entityHandles = [];
         this.brickCount = 0;
 
         const taggedEntities = this.entityManager.getEntitiesWithComponent('tag');
         for (const entityId of taggedEntities) { /* ... (find logic unchanged) ... */ const tagComp = this.entityManager.getComponent(entityId, 'tag'); if (tagComp?.tags?.includes('gameBall')) this.ballEntityId = entityId; if (tagComp?.tags?.includes('playerPaddle')) this.paddleEntityId = entityId; if (tagComp?.tags?.includes('gameStateManager')) this.gameStateEntityId = entityId; }
-        const brickEntities = this.entityManager.getEntitiesWithComponent('brick');
-        this.brickCount = brickEntities.length;
+        this.brickCount = this._countBricks();
 
         let foundAllRequired = true;
         if (this.ballEntityId === null) { logger.warn("[Breakout] BreakoutGameSystem: Ball entity ('gameBall' tag) not found."); foundAllRequired = false; }
@@ -147,6 +161,7 @@ export class BreakoutGameSystem {
         if (foundAllRequired) {
             logger.log(`[Breakout] BreakoutGameSystem: Found required entities (Ball: ${this.ballEntityId}, Paddle: ${this.paddleEntityId}, State: ${this.gameStateEntityId}, Bricks: ${this.brickCount}).`);
             this._entitiesFound = true;
+            this._entityHandles = [this.ballEntityId, this.paddleEntityId, this.gameStateEntityId].map(id => this.entityManager.getHandle(id));
 
             const scoreComp = this.entityManager.getComponent(this.gameStateEntityId, 'score');
             if (this.uiSystem && scoreComp) {
@@ -183,27 +198,34 @@ export class BreakoutGameSystem {
         }
     }
 
-    _handleKeyDown(event) {
+    _handleKeyPressed({ key }) {
         // Ensure manager refs are valid
         if (!this.gameStateManager || !this.entityManager) return;
 
         const currentState = this.gameStateManager.getState();
 
-        if (event.code === 'Space') {
+        if (key === ' ') {
             if (currentState === GameState.WAITING_TO_LAUNCH) {
                 this._launchBall();
+            } else if (currentState === GameState.LEVEL_COMPLETE && breakoutConfig.levels.length > 0) {
+                this._loadNextLevel();
             } else if (currentState === GameState.GAME_OVER || currentState === GameState.LEVEL_COMPLETE) {
                 logger.log("[Breakout] Restart requested.");
                 const scoreComp = this.entityManager.getComponent(this.gameStateEntityId, 'score');
                 if(scoreComp) {
                     scoreComp.score = breakoutConfig.score.initialScore;
                     scoreComp.lives = INITIAL_LIVES;
+                    this.entityManager.markChanged(this.gameStateEntityId, 'score', { fields: ['score', 'lives'] });
                     this.uiSystem?.updateScore(scoreComp.score);
                     this.uiSystem?.updateLives(scoreComp.lives);
                 }
+                 // A level that failed to load left no bricks: try loading it again
+                 if (breakoutConfig.levels.length > 0 && this._countBricks() === 0) {
+                     this._loadLevel(this.levelIndex);
+                     return;
+                 }
                  // TODO: Reload level properly. For now, just reset ball and state.
-                 // Need to find bricks again, potentially reload scene?
-                 this.brickCount = this.entityManager.getEntitiesWithComponent('brick').length; // Recount bricks (won't work if removed)
+                 this.brickCount = this._countBricks(); // Recount bricks (won't work if removed)
                  this.uiSystem?.updateBrickCount(this.brickCount);
 
                  if (this._resetBall()) {
@@ -214,7 +236,7 @@ export class BreakoutGameSystem {
             }
         }
         // --- ADDED: Example Pause Handling ---
-        else if (event.key === 'p' || event.key === 'P') {
+        else if (key === 'p') {
             if (currentState === GameState.PLAYING) {
                  this.gameStateManager.setState(GameState.PAUSED);
                  this.engine.time.gameTimeScale = 0.0; // Freeze time
@@ -226,13 +248,79 @@ export class BreakoutGameSystem {
         // --- END ADDITION ---
     }
 
+    /**
+     * Replaces the finished level's brick scene with the next one in `breakoutConfig.levels`
+     * (wrapping around). Scenes loaded as persistent, or not through the SceneManager (such as
+     * the base scene opened with Load Scene), are kept, so score, paddle and ball carry over.
+     * @private
+     */
+    _loadNextLevel() {
+        return this._loadLevel((this.levelIndex + 1) % breakoutConfig.levels.length);
+    }
+
+    /**
+     * Loads `breakoutConfig.levels[index]` in place of the current level scene (see `_loadNextLevel`).
+     * Does nothing more if play is stopped or the state changes while the file is fetched.
+     * If the level cannot be loaded, the game ends; Space then tries the same level again.
+     * @param {number} index - The level to load.
+     * @private
+     */
+    async _loadLevel(index) {
+        this.levelIndex = index;
+        const path = breakoutConfig.levels[index];
+        logger.log(`[Breakout] Loading level '${path}'.`);
+        this.gameStateManager.setState(GameState.LOADING);
+
+        let scene = null;
+        try {
+            const response = await fetch(path);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const json = await response.text();
+            // Cleanup, Stop (restored editor scene) or another state change while fetching: the level is no longer wanted
+            if (this._isLoadDiscarded()) {
+                logger.log(`[Breakout] Discarding level '${path}': play stopped or the game state changed while loading.`);
+                return;
+            }
+            scene = this.engine.loadScene(json, { name: path.replace(/\.json$/i, ''), additive: false });
+        } catch (error) {
+            logger.error(`[Breakout] BreakoutGameSystem: Failed to fetch level '${path}':`, error);
+        }
+        if (this._isLoadDiscarded()) return;
+        if (!scene) {
+            logger.error(`[Breakout] BreakoutGameSystem: Level '${path}' could not be loaded. Press Space to try again.`);
+            this.gameStateManager.setState(GameState.GAME_OVER);
+            return;
+        }
+
+        this.brickCount = this._countBricks();
+        this.uiSystem?.updateBrickCount(this.brickCount);
+        if (this._resetBall()) this.gameStateManager.setState(GameState.WAITING_TO_LAUNCH);
+    }
+
+    /**
+     * @returns {boolean} Whether a level that is loading is no longer wanted: the system was
+     *   cleaned up, play stopped (restoring the editor scene) or the game state changed.
+     * @private
+     */
+    _isLoadDiscarded() {
+        return !this.engine || this.engine.mode !== 'game' || this.gameStateManager?.getState() !== GameState.LOADING;
+    }
+
+    /**
+     * @returns {number} The number of active bricks left to clear.
+     * @private
+     */
+    _countBricks() {
+        return this._brickQuery?.size ?? 0;
+    }
+
     _launchBall() {
         if (!this.ballEntityId || !this.physicsSystem || !this.entityManager.hasEntity(this.ballEntityId) || !this.gameStateManager) return;
         const ballComp = this.entityManager.getComponent(this.ballEntityId, 'ball');
         if (!ballComp || ballComp.isLaunched) return;
 
         const impulseStrength = ballComp.baseSpeed;
-        const randomX = (Math.random() - 0.5) * (impulseStrength * 0.4);
+        const randomX = (this.engine.random.next() - 0.5) * (impulseStrength * 0.4);
         const impulseY = Math.sqrt(impulseStrength*impulseStrength - randomX*randomX);
 
         this.physicsSystem.resetForces(this.ballEntityId, true);
@@ -241,7 +329,6 @@ export class BreakoutGameSystem {
         const successAngvel = this.physicsSystem.setAngularVelocity(this.ballEntityId, { x: 0, y: 0, z: 0 }, true);
 
         if (successLinvel && successAngvel) {
-            ballComp.isLaunched = true;
             this.entityManager.addComponent(this.ballEntityId, 'ball', { isLaunched: true });
             // --- MODIFIED: Set state via manager ---
             this.gameStateManager.setState(GameState.PLAYING);
@@ -270,7 +357,7 @@ export class BreakoutGameSystem {
         if (!ballComp || !paddleTransform || !ballTransform) { logger.warn("[Breakout] BreakoutGameSystem: Cannot reset ball - missing components."); return false; }
         const targetPosition = { x: paddleTransform.position[0], y: paddleTransform.position[1] + (paddleTransform.scale[1] * 0.5) + (ballTransform.scale[1] * 0.5) + 0.1, z: paddleTransform.position[2] };
         const posSuccess = this.physicsSystem.setPosition(this.ballEntityId, targetPosition, true); const linVelSuccess = this.physicsSystem.setLinearVelocity(this.ballEntityId, { x: 0, y: 0, z: 0 }, false); const angVelSuccess = this.physicsSystem.setAngularVelocity(this.ballEntityId, { x: 0, y: 0, z: 0 }, false);
-        if (posSuccess && linVelSuccess && angVelSuccess) { if (ballComp.isLaunched) { ballComp.isLaunched = false; } return true; }
+        if (posSuccess && linVelSuccess && angVelSuccess) { if (ballComp.isLaunched) { ballComp.isLaunched = false; this.entityManager.markChanged(this.ballEntityId, 'ball', { fields: ['isLaunched'] }); } return true; }
         else { logger.error("[Breakout] BreakoutGameSystem: Failed to reset ball state via physics system."); if(this.gameStateManager) this.gameStateManager.setState(GameState.LOADING); return false; }
     }
 
@@ -292,6 +379,13 @@ export class BreakoutGameSystem {
         // if (this.gameState !== 'PLAYING') { return; }
         // --- END MODIFICATION ---
 
+        // Cached IDs may have been recycled by a scene reload or undo: re-find the entities
+        if (!this._entityHandles.every(handle => this.entityManager.isAlive(handle))) {
+             logger.warn("[Breakout] BreakoutGameSystem Update: Cached game entities are stale. Searching again.");
+             this._findGameEntities();
+             if (!this._entitiesFound) { return; }
+        }
+
         // Ensure required entities still exist
         if (!this.ballEntityId || !this.gameStateEntityId || !this.paddleEntityId ||
             !this.entityManager.hasEntity(this.ballEntityId) ||
@@ -322,8 +416,9 @@ export class BreakoutGameSystem {
             if (this.entityManager.hasComponent(otherEntityId, 'brick')) {
                 const brickComp = this.entityManager.getComponent(otherEntityId, 'brick');
                 scoreComp.score += brickComp?.scoreValue ?? BRICK_DEFAULT_SCORE;
+                this.entityManager.markChanged(this.gameStateEntityId, 'score', { fields: ['score'] });
                 this.uiSystem.updateScore(scoreComp.score);
-                this.engine?.removeEntity(otherEntityId);
+                this.engine?.deferred.removeEntity(otherEntityId); // Applied after this system's update
                 this.brickCount--;
                 this.uiSystem.updateBrickCount(this.brickCount);
                 if (this.brickCount <= 0) { levelComplete = true; break; }
@@ -333,6 +428,7 @@ export class BreakoutGameSystem {
                 const boundaryComp = this.entityManager.getComponent(otherEntityId, 'boundary');
                 if (boundaryComp?.type === 'floor') {
                     scoreComp.lives--;
+                    this.entityManager.markChanged(this.gameStateEntityId, 'score', { fields: ['lives'] });
                     this.uiSystem.updateLives(scoreComp.lives);
                     if (scoreComp.lives <= 0) {
                         this._handleGameOver(); // Calls setState(GAME_OVER)
@@ -369,6 +465,7 @@ export class BreakoutGameSystem {
             if (ballTransform && ballTransform.position[1] < FALL_BOUNDARY_Y) {
                 logger.warn(`[Breakout] Ball fell out of bounds (${FALL_BOUNDARY_Y}) (fallback check).`);
                 scoreComp.lives--;
+                this.entityManager.markChanged(this.gameStateEntityId, 'score', { fields: ['lives'] });
                 this.uiSystem.updateLives(scoreComp.lives);
                 if (scoreComp.lives <= 0) { this._handleGameOver(); } // Calls setState(GAME_OVER)
                 else { if(this._resetBall()) { this.gameStateManager.setState(GameState.WAITING_TO_LAUNCH); } }
@@ -380,12 +477,13 @@ export class BreakoutGameSystem {
         logger.log("[Breakout] Cleaning up BreakoutGameSystem...");
         // --- MODIFIED: Remove game state listener ---
         if (this._initialized && this.eventEmitter) {
-            window.removeEventListener('keydown', this._handleKeyDown);
+            this.eventEmitter.off('keyPressed', this._handleKeyPressed);
             // this.eventEmitter.off('gameModeEntered', this._onGameModeEntered); // REMOVED
             // this.eventEmitter.off('editorModeEntered', this._onEditorModeEntered); // REMOVED
             this.eventEmitter.off('gameStateChanged', this._onGameStateChanged);
         }
         // --- END MODIFICATION ---
+        this._brickQuery?.destroy(); this._brickQuery = null;
         this.uiSystem?.hide();
         this.engine = null; this.entityManager = null; this.physicsSystem = null;
         this.eventEmitter = null; this.uiSystem = null; this.gameStateManager = null; // Clear ref
@@ -1,13 +1,18 @@
 import * as logger from '../../../utils/logger.js';
+import { GameState } from '../../../systems/game-state-manager.js';
 // games/breakout/systems/game-ui-system.js
 // NOTE: Moved from src/systems/game/ - Part of Engine/Game Separation step.
-// @version 1.0.1 - Updated import paths.
+// @version 1.0.3 - Declare runIn for all game states (engine no longer hardcodes 'gameUI').
+// @previous 1.0.2 - Declare the 'render' phase (after 'renderer') instead of a numeric priority.
 
 // No direct config dependency here, relies on other systems calling its update methods.
 
 export class GameUISystem {
     constructor() {
-        this.priority = 200; // Run late
+        this.phase = 'render';
+        this.after = ['renderer']; // Run late
+        // Every game state except EDITOR, so pause/game over/level complete screens keep updating
+        this.runIn = [GameState.LOADING, GameState.MAIN_MENU, GameState.PLAYING, GameState.PAUSED, GameState.GAME_OVER, GameState.LEVEL_COMPLETE];
         this.active = true; // Should be activated/deactivated by game logic/mode manager
         this._name = 'gameUI'; // Keep name consistent for now
 
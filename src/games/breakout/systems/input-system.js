@@ -1,10 +1,11 @@
 // games/breakout/systems/input-system.js
 // NOTE: Moved from src/systems/game/ - Part of Engine/Game Separation step.
-// @version 1.3.0 - Updated to use InputManagerSystem instead of direct window listeners.
-// @previous 1.2.0 - Updated to use breakout-config.js
+// @version 1.4.1 - Fixed the breakout-config.js import path (needed to load the Breakout plugin).
+// @previous 1.4.0 - Move the paddle in fixedUpdate so each physics step gets its kinematic target.
 
 import * as logger from '../../../utils/logger.js';
-import { breakoutConfig } from './breakout-config.js';
+import { breakoutConfig } from '../breakout-config.js';
+import { GameState } from '../../../systems/game-state-manager.js';
 
 // Use game-specific config
 const PADDLE_DEFAULT_SPEED = breakoutConfig.paddle.speed;
@@ -15,7 +16,9 @@ const PLAY_AREA_DEFAULT_WIDTH = breakoutConfig.playArea.width;
  */
 export class InputSystem {
     constructor() {
-        this.priority = 10; // Runs after InputManagerSystem (priority 5)
+        this.phase = 'input';
+        this.after = ['inputManager']; // Reads the key state polled by InputManagerSystem
+        this.runIn = [GameState.PLAYING];
         this.active = true; // System active state controlled by engine mode (or game state)
         this._name = 'input'; // Keep name consistent for now
         this.engine = null;
@@ -112,8 +115,11 @@ export class InputSystem {
 
     // --- REMOVED: _handleKeyDown and _handleKeyUp methods ---
 
-    /** Updates the paddle's position based on input state queried from InputManagerSystem. */
-    update(time) {
+    /**
+     * Updates the paddle's position based on input state queried from InputManagerSystem.
+     * Runs once per fixed step (before 'physics', by phase) so the kinematic target matches the step.
+     */
+    fixedUpdate(time) {
         // --- ADDED: Check for inputManager ---
         if (!this.inputManager || !this.active) {
             return;
@@ -1,6 +1,6 @@
 // src/systems/behaviors/player-control-system.js
-// @version 1.1.1 - Added detailed logging for debugging control issues.
-// @previous 1.1.0 - Implemented camera-relative movement and enhanced logging.
+// @version 1.3.0 - Apply movement in fixedUpdate (in step with physics, frame-rate independent).
+// @previous 1.2.2 - Declare runIn [PLAYING].
 
 import * as logger from '../../utils/logger.js';
 import * as THREE from 'three'; // Need THREE for camera/vector math
@@ -14,7 +14,9 @@ import { GameState } from '../game-state-manager.js'; // To check if playing
  */
 export class PlayerControlSystem {
     constructor() {
-        this.priority = 55; // After Physics (50), before Spin (60)? Adjust as needed.
+        this.phase = 'fixed';
+        this.before = ['physics']; // Forces are applied before the step that integrates them
+        this.runIn = [GameState.PLAYING];
         this.active = false; // Start inactive
         this._name = 'playerControl';
 
@@ -30,6 +32,8 @@ export class PlayerControlSystem {
         this.gameStateManager = null;
         /** @type {import('../three-render-system.js').ThreeRenderSystem|null} */
         this.renderSystem = null; // Need renderer for camera
+        /** @type {import('../../ecs/query.js').Query|null} Entities with PlayerControl, Physics and Transform */
+        this.query = null;
 
         // Reusable THREE objects for calculations
         this._moveDirectionWorld = new THREE.Vector3(); // Raw input mapped to world axes
@@ -57,6 +61,7 @@ export class PlayerControlSystem {
         this.physicsSystem = engine.getSystem('physics');
         this.gameStateManager = engine.getSystem('gameStateManager');
         this.renderSystem = engine.getSystem('renderer'); // Get renderer system
+        this.query = entityManager.createQuery({ all: ['playerControl', 'physics', 'transform'] });
 
         if (!this.inputManager) { logger.error("[PlayerControlSystem] CRITICAL: InputManagerSystem not found!"); this.active = false; return; }
         if (!this.physicsSystem) { logger.error("[PlayerControlSystem] CRITICAL: RapierPhysicsSystem not found!"); this.active = false; return; }
@@ -86,10 +91,10 @@ export class PlayerControlSystem {
     }
 
     /**
-     * Updates controllable entities based on input.
-     * @param {object} time - Timing information { deltaTime, elapsed, ... }
+     * Applies input-driven movement to controllable entities, once per fixed step.
+     * @param {object} time - Timing information; `deltaTime` is the fixed step.
      */
-    update(time) {
+    fixedUpdate(time) {
         const now = performance.now();
 
         if (!this.active) {
@@ -115,8 +120,8 @@ export class PlayerControlSystem {
              return;
         }
 
-        const controllableEntities = this.entityManager.getEntitiesWithComponents(['playerControl', 'physics', 'transform']);
-        if (controllableEntities.length === 0) {
+        const controllableEntities = this.query;
+        if (!controllableEntities || controllableEntities.size === 0) {
              if (now - this._lastLogTime > this._logInterval) {
                 // logger.log(`[PCS Update Skip] No controllable entities found.`);
                 this._lastLogTime = now;
@@ -253,13 +258,15 @@ export class PlayerControlSystem {
             }
              this._lastLogTime = now; // Reset log timer if input was processed
         }); // End forEach entity
-    } // End update
+    } // End fixedUpdate
 
     cleanup() {
         logger.log("[PlayerControlSystem] Cleaning up.");
          if (this.eventEmitter && this.gameStateManager) {
              this.eventEmitter.off('gameStateChanged', this._onGameStateChanged);
          }
+        this.query?.destroy();
+        this.query = null;
         this.engine = null;
         this.entityManager = null;
         this.inputManager = null;
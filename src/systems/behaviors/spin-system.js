@@ -1,17 +1,21 @@
 import * as logger from '../../utils/logger.js';
+import { GameState } from '../game-state-manager.js';
 // src/systems/behaviors/spin-system.js
-// @version 1.2.0 - Added check for PhysicsComponent; only spin dynamic bodies or non-physics entities.
-// @previous 1.1.0 - Added guard clauses for component data structure.
+// @version 1.3.3 - Declare runIn [PLAYING].
+// @previous 1.3.2 - Declare the 'logic' update phase instead of a numeric priority.
 
 export class SpinSystem {
     constructor() {
-        this.priority = 60; // Example priority, adjust as needed
+        this.phase = 'logic';
+        this.runIn = [GameState.PLAYING];
         this.active = true;
         this._name = 'spin'; // System name
 
         // Dependencies (retrieved via engine instance in initialize/update)
         this.entityManager = null;
         this.engine = null;
+        /** @type {import('../../ecs/query.js').Query|null} Entities with Spin and Transform */
+        this.query = null;
     }
 
     /**
@@ -23,6 +27,7 @@ export class SpinSystem {
     initialize(entityManager, eventEmitter, engine) {
         this.entityManager = entityManager;
         this.engine = engine; // Store engine reference
+        this.query = entityManager.createQuery({ all: ['spin', 'transform'] });
         logger.log("SpinSystem Initialized");
     }
 
@@ -33,20 +38,18 @@ export class SpinSystem {
      */
     update(time) {
         // Initial checks for system state
-        if (!this.active || !this.entityManager || !this.engine || !time || typeof time.deltaTime !== 'number' || !isFinite(time.deltaTime)) {
+        if (!this.active || !this.entityManager || !this.engine || !this.query || !time || typeof time.deltaTime !== 'number' || !isFinite(time.deltaTime)) {
              if (!time || typeof time.deltaTime !== 'number' || !isFinite(time.deltaTime)) {
                   logger.warn("SpinSystem: Invalid time object provided to update.", time);
              }
             return;
         }
 
-        // Query for entities with Spin and Transform
-        const entities = this.entityManager.getEntitiesWithComponents(['spin', 'transform']);
-        if (!entities || entities.length === 0) {
+        if (this.query.size === 0) {
             return; // No entities to process
         }
 
-        entities.forEach(entityId => {
+        this.query.forEach(entityId => {
             const spin = this.entityManager.getComponent(entityId, 'spin');
             const transform = this.entityManager.getComponent(entityId, 'transform');
             const physics = this.entityManager.getComponent(entityId, 'physics'); // Get physics component
@@ -56,10 +59,6 @@ export class SpinSystem {
                  logger.warn(`SpinSystem: Missing spin or transform component for entity ${entityId} unexpectedly.`);
                  return; // Skip this entity
             }
-            if (!Array.isArray(spin.speed) || spin.speed.length !== 3 || !spin.speed.every(s => typeof s === 'number' && isFinite(s))) {
-                logger.warn(`SpinSystem: Invalid spin.speed data for entity ${entityId}:`, spin.speed);
-                return; // Skip this entity
-            }
             if (!Array.isArray(transform.rotation) || transform.rotation.length !== 3 || !transform.rotation.every(r => typeof r === 'number' && isFinite(r))) {
                  logger.warn(`SpinSystem: Invalid transform.rotation data for entity ${entityId}:`, transform.rotation);
                 return; // Skip this entity
@@ -104,6 +103,8 @@ export class SpinSystem {
      */
     cleanup() {
         logger.log("Cleaning up SpinSystem...");
+        this.query?.destroy();
+        this.query = null;
         this.entityManager = null;
         this.engine = null;
         logger.log("SpinSystem Cleaned Up.");
@@ -1,9 +1,11 @@
 // src/systems/editor/editor-gizmo-system.js
-// @version 1.1.0 - Added detach logic for TransformControls on deselect/remove
+// @version 1.3.0 - Convert the dragged (world space) pose to parent-relative values before committing it.
+// @previous 1.2.2 - Declare runIn [EDITOR].
 
 import * as logger from '../../utils/logger.js';
 import * as THREE from 'three';
 import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { GameState } from '../game-state-manager.js';
 import { UpdateComponentCommand } from '../../editor/command-manager.js'; // Assuming path
 
 /**
@@ -13,7 +15,8 @@ import { UpdateComponentCommand } from '../../editor/command-manager.js'; // Ass
  */
 export class EditorGizmoSystem {
     constructor() {
-        this.priority = 90; // Run after most logic, before final rendering potentially
+        this.phase = 'late'; // After gameplay logic, before rendering
+        this.runIn = [GameState.EDITOR];
         /** @type {boolean} System active state (managed by engine mode) */
         this.active = false;
         this._name = 'editorGizmo';
@@ -38,6 +41,8 @@ export class EditorGizmoSystem {
         this._originalTransform = null;
         /** @private The entity ID currently attached to the gizmo */
         this._attachedEntityId = null;
+        /** @private Generational handle of the attached entity, to detect a recycled ID after reload/undo */
+        this._attachedEntityHandle = null;
 
         // Bind methods
         this._onEntitySelected = this._onEntitySelected.bind(this);
@@ -118,7 +123,7 @@ export class EditorGizmoSystem {
             return;
         }
 
-        if (this._attachedEntityId === id) return; // No change
+        if (this._attachedEntityId === id && this.engine.isAlive(this._attachedEntityHandle)) return; // No change
 
         if (id !== null && this.engine.entityManager.hasEntity(id)) {
             const entry = this.renderer.entityObjects.get(id);
@@ -129,17 +134,18 @@ export class EditorGizmoSystem {
                  // Attach to new object
                 this.transformControls.attach(entry.threeObject);
                 this._attachedEntityId = id; // Track attached entity
+                this._attachedEntityHandle = this.engine.getEntityHandle(id);
                 logger.log(`[Gizmo] Attached to entity ${id}`);
             } else {
                 // Entity exists but has no suitable render object, detach gizmo
                 if (this.transformControls.object) { this.transformControls.detach(); }
-                this._attachedEntityId = null;
+                this._attachedEntityId = null; this._attachedEntityHandle = null;
                  logger.log(`[Gizmo] Selected entity ${id} has no suitable render object. Detached.`);
             }
         } else {
             // Deselected or entity doesn't exist, detach gizmo
             if (this.transformControls.object) { this.transformControls.detach(); }
-            this._attachedEntityId = null;
+            this._attachedEntityId = null; this._attachedEntityHandle = null;
             // logger.log("[Gizmo] Detached due to deselection or invalid ID.");
         }
     }
@@ -156,13 +162,28 @@ export class EditorGizmoSystem {
                   logger.log(`[Gizmo] Detaching from removed entity ${id}.`);
                   this.transformControls.detach();
              }
-             this._attachedEntityId = null;
+             this._attachedEntityId = null; this._attachedEntityHandle = null;
         }
     }
 
+    /**
+     * Detaches the gizmo if the attached entity was replaced since it was attached
+     * (e.g. the scene was reloaded and the ID now belongs to a new entity).
+     * @returns {boolean} `true` if the gizmo is still attached to a live entity.
+     * @private
+     */
+    _ensureAttachedEntityAlive() {
+        if (this._attachedEntityId === null) return false;
+        if (this.engine?.isAlive(this._attachedEntityHandle)) return true;
+        logger.log(`[Gizmo] Attached entity ${this._attachedEntityId} is stale. Detaching.`);
+        if (this.transformControls?.object) { this.transformControls.detach(); }
+        this._attachedEntityId = null; this._attachedEntityHandle = null;
+        return false;
+    }
+
     /** Stores the original transform when dragging starts. @private */
     _onMouseDown() {
-        if (!this.transformControls?.object || this._attachedEntityId === null) return;
+        if (!this.transformControls?.object || !this._ensureAttachedEntityAlive()) return;
         // Store current state from the component, not the potentially lagging THREE object
         const trs = this.engine?.getComponent(this._attachedEntityId, 'transform');
         if (trs) {
@@ -178,13 +199,13 @@ export class EditorGizmoSystem {
 
     /** Creates an UpdateComponentCommand when dragging ends. @private */
     _onMouseUp() {
-        if (!this.transformControls?.object || this._originalTransform === null || this._attachedEntityId === null || !this.commandManager) {
+        if (!this.transformControls?.object || this._originalTransform === null || !this._ensureAttachedEntityAlive() || !this.commandManager) {
             this._originalTransform = null;
             return;
         }
 
         const targetObject = this.transformControls.object;
-        const currentTransform = {
+        let currentTransform = {
             position: targetObject.position.toArray(),
             rotation: [ // Convert quaternion back to euler degrees for storage
                 THREE.MathUtils.radToDeg(targetObject.rotation.x),
@@ -193,6 +214,12 @@ export class EditorGizmoSystem {
             ],
             scale: targetObject.scale.toArray()
         };
+        // The object sits at the scene root (world space); the component stores values relative to its parent
+        const parentId = this.engine.getComponent(this._attachedEntityId, 'transform')?.parent ?? null;
+        const transformSystem = this.engine.getSystem('transform');
+        if (parentId !== null && transformSystem) {
+            currentTransform = transformSystem.worldToLocalTransform(parentId, currentTransform);
+        }
 
         // Check if anything actually changed significantly
         const posChanged = currentTransform.position.some((p, i) => Math.abs(p - this._originalTransform.position[i]) > 1e-5);
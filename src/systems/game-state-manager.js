@@ -1,7 +1,7 @@
 import * as logger from '../utils/logger.js';
 // src/systems/game-state-manager.js
-// @version 1.1.0 - Added explicit GameState constants.
-// @previous 1.0.0 - Initial implementation
+// @version 1.1.2 - Declare runIn '*' (active in every state).
+// @previous 1.1.1 - Declare the 'input' phase (before 'inputManager') instead of a numeric priority.
 
 /**
  * Defines standard game state identifiers.
@@ -29,7 +29,9 @@ export const GameState = Object.freeze({
  */
 export class GameStateManager {
     constructor() {
-        this.priority = 1; // Run extremely early
+        this.phase = 'input';
+        this.before = ['inputManager']; // Run extremely early
+        this.runIn = '*';
         this.active = true; // Always active
         this._name = 'gameStateManager';
 
@@ -1,7 +1,16 @@
 import * as logger from '../utils/logger.js';
 // src/systems/input-manager-system.js
-// @version 1.0.1 - Uncommented debug logs in key handlers.
-// @previous 1.0.0 - Initial implementation
+// @version 1.2.0 - captureState()/applyState() and liveInput for session replay; emits 'keyPressed'.
+// @previous 1.1.0 - Optional event target; without one (headless) no listeners are bound and input is fed via pressKey/releaseKey.
+
+/**
+ * Input state at one point in time, as captured by `captureState()`. Plain JSON data.
+ * @typedef {object} InputState
+ * @property {string[]} down - Keys (and `mouse<N>` buttons) currently held.
+ * @property {string[]} pressed - Keys/buttons pressed this frame.
+ * @property {string[]} released - Keys/buttons released this frame.
+ * @property {number[]} mouse - `[x, y, deltaX, deltaY]`.
+ */
 
 /**
  * Manages raw input events and provides a queryable state for actions and axes.
@@ -10,8 +19,13 @@ import * as logger from '../utils/logger.js';
  * @class InputManagerSystem
  */
 export class InputManagerSystem {
-    constructor() {
-        this.priority = 5; // Run very early
+    /**
+     * @param {EventTarget|null} [target=null] - Where to listen for input events. Defaults to `window`
+     * when it exists; headless engines (no DOM) bind nothing and drive input with `pressKey`/`releaseKey`.
+     */
+    constructor(target = null) {
+        this.phase = 'input'; // Run very early
+        this.runIn = '*';
         this.active = true; // Always active to capture input
         this._name = 'inputManager';
 
@@ -37,43 +51,118 @@ export class InputManagerSystem {
         this._handleMouseDown = this._handleMouseDown.bind(this);
         this._handleMouseUp = this._handleMouseUp.bind(this);
 
+        /**
+         * Whether device events (and pressKey/releaseKey) update the state. Session replay turns
+         * this off and feeds recorded state through `applyState()` instead.
+         * @type {boolean}
+         */
+        this.liveInput = true;
+        /** @private @type {import('../utils/event-emitter.js').EventEmitter|null} */
+        this.eventEmitter = null;
+
+        /** @private @type {EventTarget|null} */
+        this._target = target;
         this._initialized = false;
     }
 
     /**
      * Initializes the system and attaches low-level event listeners.
      * @param {import('../ecs/entity-manager.js').EntityManager} entityManager - Unused
-     * @param {import('../utils/event-emitter.js').EventEmitter} eventEmitter - Unused
+     * @param {import('../utils/event-emitter.js').EventEmitter} eventEmitter - Receives 'keyPressed' ({ key }) events
      * @param {import('../core.js').Engine} engine - Unused (can use window directly for now)
      */
     async initialize(entityManager, eventEmitter, engine) {
         if (this._initialized) return;
+        this.eventEmitter = eventEmitter ?? null;
 
-        logger.log("[InputManagerSystem] Initializing and attaching listeners...");
         // Use window for global input listening. Consider targeting engine container later if needed.
-        window.addEventListener('keydown', this._handleKeyDown, { capture: true }); // Use capture to potentially intercept events
-        window.addEventListener('keyup', this._handleKeyUp, { capture: true });
-        window.addEventListener('mousemove', this._handleMouseMove);
-        window.addEventListener('mousedown', this._handleMouseDown);
-        window.addEventListener('mouseup', this._handleMouseUp);
+        this._target = this._target ?? (typeof window !== 'undefined' ? window : null);
+        if (this._target) {
+            logger.log("[InputManagerSystem] Initializing and attaching listeners...");
+            this._target.addEventListener('keydown', this._handleKeyDown, { capture: true }); // Use capture to potentially intercept events
+            this._target.addEventListener('keyup', this._handleKeyUp, { capture: true });
+            this._target.addEventListener('mousemove', this._handleMouseMove);
+            this._target.addEventListener('mousedown', this._handleMouseDown);
+            this._target.addEventListener('mouseup', this._handleMouseUp);
+        } else {
+            logger.log("[InputManagerSystem] No event target (headless). Use pressKey()/releaseKey() to drive input.");
+        }
 
         this._initialized = true;
         logger.log("[InputManagerSystem] Initialized.");
     }
 
+    /**
+     * Simulates a key press (e.g. from automated tests or a headless simulation).
+     * @param {string} key - The key identifier, as in `KeyboardEvent.key` (e.g. 'a', 'ArrowLeft', ' ').
+     */
+    pressKey(key) {
+        this._handleKeyDown({ key, code: key, preventDefault() {} });
+    }
+
+    /**
+     * Simulates a key release.
+     * @param {string} key - The key identifier, as in `KeyboardEvent.key`.
+     */
+    releaseKey(key) {
+        this._handleKeyUp({ key, code: key });
+    }
+
+    /**
+     * Returns the current input state, e.g. to record it.
+     * @returns {InputState}
+     */
+    captureState() {
+        const down = [];
+        this.keyStates.forEach((isDown, key) => { if (isDown) down.push(key); });
+        this.mouseButtons.forEach((isDown, button) => { if (isDown) down.push(`mouse${button}`); });
+        return {
+            down,
+            pressed: [...this.keysDownThisFrame],
+            released: [...this.keysUpThisFrame],
+            mouse: [this.mousePosition.x, this.mousePosition.y, this.mouseDelta.x, this.mouseDelta.y]
+        };
+    }
+
+    /**
+     * Replaces the current input state (e.g. with recorded state during a replay).
+     * Emits 'keyPressed' for keys pressed in `state` that were not yet reported this frame,
+     * so listeners see the same events as when the state was recorded.
+     * @param {InputState} state
+     * @returns {void}
+     */
+    applyState(state) {
+        const newlyPressed = state.pressed.filter(key => !this.keysDownThisFrame.has(key) && !key.startsWith('mouse'));
+        this.keyStates.clear();
+        this.mouseButtons.clear();
+        for (const key of state.down) {
+            if (key.startsWith('mouse')) this.mouseButtons.set(Number(key.slice(5)), true);
+            else this.keyStates.set(key, true);
+        }
+        this.keysDownThisFrame = new Set(state.pressed);
+        this.keysUpThisFrame = new Set(state.released);
+        const [x, y, deltaX, deltaY] = state.mouse;
+        this.mousePosition = { x, y };
+        this.mouseDelta = { x: deltaX, y: deltaY };
+        newlyPressed.forEach(key => this.eventEmitter?.emit('keyPressed', { key }));
+    }
+
     /** @private Handles raw keydown events */
     _handleKeyDown(event) {
+        if (!this.liveInput) return;
         const key = event.key.toLowerCase(); // Normalize key identifier
         const code = event.code.toLowerCase(); // Use code for layout independence if needed
 
         // Prevent registering repeat events for held keys
-        if (!this.keyStates.get(key)) {
+        const isNewPress = !this.keyStates.get(key);
+        if (isNewPress) {
             this.keysDownThisFrame.add(key);
             // --- MODIFICATION: Uncommented Debug Log ---
             logger.log(`[InputManager] KeyDown Registered: ${key} (Code: ${code})`);
             // --- END MODIFICATION ---
         }
         this.keyStates.set(key, true);
+        if (isNewPress) this.eventEmitter?.emit('keyPressed', { key });
 
         // Optional: Prevent default browser behavior for certain keys (e.g., spacebar scrolling)
         // Example for arrow keys and WASD
@@ -84,6 +173,7 @@ export class InputManagerSystem {
 
     /** @private Handles raw keyup events */
     _handleKeyUp(event) {
+        if (!this.liveInput) return;
         const key = event.key.toLowerCase();
         const code = event.code.toLowerCase();
 
@@ -99,6 +189,7 @@ export class InputManagerSystem {
     // --- Mouse Handlers ---
     /** @private */
     _handleMouseMove(event) {
+        if (!this.liveInput) return;
         const newX = event.clientX;
         const newY = event.clientY;
         this.mouseDelta.x += newX - this.mousePosition.x;
@@ -109,6 +200,7 @@ export class InputManagerSystem {
 
     /** @private */
     _handleMouseDown(event) {
+        if (!this.liveInput) return;
         const button = event.button;
         if (!this.mouseButtons.get(button)) {
             this.keysDownThisFrame.add(`mouse${button}`);
@@ -118,6 +210,7 @@ export class InputManagerSystem {
 
     /** @private */
     _handleMouseUp(event) {
+        if (!this.liveInput) return;
         const button = event.button;
         if (this.mouseButtons.get(button)) {
             this.keysUpThisFrame.add(`mouse${button}`);
@@ -201,14 +294,15 @@ export class InputManagerSystem {
     cleanup() {
         if (!this._initialized) return;
         logger.log("[InputManagerSystem] Cleaning up listeners...");
-        window.removeEventListener('keydown', this._handleKeyDown, { capture: true });
-        window.removeEventListener('keyup', this._handleKeyUp, { capture: true });
-        window.removeEventListener('mousemove', this._handleMouseMove);
-        window.removeEventListener('mousedown', this._handleMouseDown);
-        window.removeEventListener('mouseup', this._handleMouseUp);
+        this._target?.removeEventListener('keydown', this._handleKeyDown, { capture: true });
+        this._target?.removeEventListener('keyup', this._handleKeyUp, { capture: true });
+        this._target?.removeEventListener('mousemove', this._handleMouseMove);
+        this._target?.removeEventListener('mousedown', this._handleMouseDown);
+        this._target?.removeEventListener('mouseup', this._handleMouseUp);
         this.keyStates.clear();
         this.keysDownThisFrame.clear();
         this.keysUpThisFrame.clear();
+        this.eventEmitter = null;
         this._initialized = false;
         logger.log("[InputManagerSystem] Cleaned Up.");
     }
@@ -0,0 +1,262 @@
+// src/systems/null-render-system.js
+// @version 1.1.0 - Objects of inactive entities are hidden (visible = false).
+// @previous 1.0.1 - Added getRenderStats() (no draw calls; object count only).
+
+import * as logger from '../utils/logger.js';
+import * as THREE from 'three';
+
+/** Component types that give an entity an object in the scene graph. */
+const SCENE_COMPONENTS = ['renderable', 'light', 'camera', 'transform'];
+
+/**
+ * Renderer replacement for headless engines (automated tests, server-side simulation).
+ *
+ * Registers as 'renderer' and keeps a THREE.Scene with one placeholder object per
+ * entity that has a transform, placed at its world transform, exactly like
+ * `ThreeRenderSystem` does — but it never creates a WebGL context, canvas or
+ * OrbitControls and never touches the DOM. Systems that read
+ * `entityObjects` or `activeCameraObject` (camera-relative input, gizmo, ...)
+ * keep working. Cameras become `THREE.PerspectiveCamera`s; everything else a plain
+ * `THREE.Object3D`. The active camera is the first camera component with `isActive`.
+ * Objects of inactive entities (see `EntityManager.setActive`) stay in the graph, hidden.
+ *
+ * @class NullRenderSystem
+ */
+export class NullRenderSystem {
+    constructor() {
+        this.phase = 'render';
+        this.runIn = '*';
+        this.active = true;
+        this._name = 'renderer';
+
+        this.entityManager = null;
+        this.eventEmitter = null;
+        this.engine = null;
+        /** @type {THREE.Scene|null} */
+        this.scene = null;
+        this.activeCameraEntityId = null;
+        this.activeCameraObject = null;
+        /** @type {Map<number, {entityId: number, threeObject: THREE.Object3D, type: string}>} */
+        this.entityObjects = new Map();
+        /** @type {number} Frames "rendered" (update calls), handy for tests. */
+        this.frameCount = 0;
+
+        this._tempEuler = new THREE.Euler();
+
+        this._onComponentChanged = this._onComponentChanged.bind(this);
+        this._onEntityUpdated = this._onEntityUpdated.bind(this);
+        this._onComponentRemoved = this._onComponentRemoved.bind(this);
+        this._onEntityRemoved = this._onEntityRemoved.bind(this);
+        this._onWorldTransformsChanged = this._onWorldTransformsChanged.bind(this);
+        this._fullSceneSync = this._fullSceneSync.bind(this);
+    }
+
+    /**
+     * @param {import('../ecs/entity-manager.js').EntityManager} entityManager
+     * @param {import('../utils/event-emitter.js').EventEmitter} eventEmitter
+     * @param {import('../core.js').Engine} engine
+     */
+    initialize(entityManager, eventEmitter, engine) {
+        if (!entityManager || !eventEmitter) {
+            logger.error("NullRenderSystem: EntityManager or EventEmitter dependency missing!");
+            this.active = false;
+            return this;
+        }
+        this.entityManager = entityManager;
+        this.eventEmitter = eventEmitter;
+        this.engine = engine;
+        this.scene = new THREE.Scene();
+
+        eventEmitter.on('componentAdded', this._onComponentChanged);
+        eventEmitter.on('entityUpdated', this._onEntityUpdated);
+        eventEmitter.on('entityRestored', this._onEntityUpdated);
+        eventEmitter.on('componentRemoved', this._onComponentRemoved);
+        eventEmitter.on('entityRemoved', this._onEntityRemoved);
+        eventEmitter.on('sceneImported', this._fullSceneSync);
+        eventEmitter.on('worldTransformsChanged', this._onWorldTransformsChanged);
+        eventEmitter.on('entityActiveChanged', this._onEntityUpdated);
+
+        this._fullSceneSync();
+        logger.log('[NullRenderSystem] Initialized (headless, no WebGL).');
+        return this;
+    }
+
+    /** Headless renderers are never visible. */
+    get isVisible() { return false; }
+    show() {}
+    hide() {}
+
+    /**
+     * Same shape as `ThreeRenderSystem.getRenderStats()`; nothing is drawn headless.
+     * @returns {{drawCalls: number, triangles: number, points: number, lines: number, geometries: number, textures: number, objects: number}}
+     */
+    getRenderStats() {
+        return { drawCalls: 0, triangles: 0, points: 0, lines: 0, geometries: 0, textures: 0, objects: this.entityObjects.size };
+    }
+
+    /**
+     * Counts the frame; the scene graph is kept up to date by events.
+     * @param {object} time
+     */
+    update(time) {
+        this.frameCount++;
+    }
+
+    /**
+     * Returns the world transform (TransformSystem) or the local transform values.
+     * @param {number} entityId
+     * @param {object|null} trs - The entity's TransformComponent.
+     * @returns {object|null}
+     * @private
+     */
+    _getWorldTrs(entityId, trs) {
+        if (!trs) return trs;
+        const transformSystem = this.engine?.getSystem('transform');
+        return transformSystem?.getWorldTransform(entityId) ?? trs;
+    }
+
+    /** @private */
+    _onComponentChanged({ entityId, componentType }) {
+        if (SCENE_COMPONENTS.includes(componentType)) this._syncEntity(entityId);
+    }
+
+    /** @private */
+    _onEntityUpdated({ id, componentType }) {
+        if (!componentType || SCENE_COMPONENTS.includes(componentType)) this._syncEntity(id);
+    }
+
+    /** @private */
+    _onComponentRemoved({ entityId, componentType }) {
+        if (componentType === 'transform') this._remove(entityId);
+        else if (SCENE_COMPONENTS.includes(componentType)) this._syncEntity(entityId);
+    }
+
+    /** @private */
+    _onEntityRemoved({ id }) {
+        this._remove(id);
+    }
+
+    /** @private */
+    _onWorldTransformsChanged({ ids }) {
+        if (!this.entityManager) return;
+        for (const id of ids) {
+            const entry = this.entityObjects.get(id);
+            if (entry) this._applyTransform(entry.threeObject, this._getWorldTrs(id, this.entityManager.getComponent(id, 'transform')));
+        }
+    }
+
+    /**
+     * Rebuilds the object map from the current world.
+     * @private
+     */
+    _fullSceneSync() {
+        if (!this.entityManager) return;
+        for (const id of [...this.entityObjects.keys()]) this._remove(id);
+        for (const id of this.entityManager.entities) this._syncEntity(id);
+    }
+
+    /**
+     * Creates, replaces or moves the placeholder object of an entity.
+     * @param {number} entityId
+     * @private
+     */
+    _syncEntity(entityId) {
+        if (!this.entityManager || !this.scene) return;
+        const trs = this.entityManager.getComponent(entityId, 'transform');
+        if (!trs) { this._remove(entityId); return; }
+
+        const cam = this.entityManager.getComponent(entityId, 'camera');
+        const type = cam ? 'camera' : (this.entityManager.hasComponent(entityId, 'light') ? 'light' : 'object');
+        let entry = this.entityObjects.get(entityId);
+        if (entry && entry.type !== type) {
+            this._remove(entityId);
+            entry = null;
+        }
+        if (!entry) {
+            const threeObject = type === 'camera' ? new THREE.PerspectiveCamera() : new THREE.Object3D();
+            threeObject.userData.entityId = entityId;
+            entry = { entityId, threeObject, type };
+            this.entityObjects.set(entityId, entry);
+            this.scene.add(threeObject);
+        }
+        if (cam) this._updateCamera(entityId, entry.threeObject, cam);
+        entry.threeObject.visible = this.entityManager.isActive(entityId);
+        this._applyTransform(entry.threeObject, this._getWorldTrs(entityId, trs));
+    }
+
+    /** @private */
+    _updateCamera(entityId, camera, cam) {
+        if (camera.isPerspectiveCamera) {
+            camera.fov = cam.fov ?? camera.fov;
+            camera.near = cam.near ?? camera.near;
+            camera.far = cam.far ?? camera.far;
+            camera.updateProjectionMatrix();
+        }
+        const shouldBeActive = cam.isActive === undefined || cam.isActive;
+        if (shouldBeActive && this.activeCameraEntityId === null) this._activateCamera(entityId, camera);
+    }
+
+    /**
+     * Makes a camera the active one (same contract as `ThreeRenderSystem._activateCamera`).
+     * @param {number} entityId
+     * @param {THREE.Camera} cameraObject
+     */
+    _activateCamera(entityId, cameraObject) {
+        if (!cameraObject?.isCamera) {
+            logger.warn(`[NullRenderSystem] Attempted to activate invalid camera object for entity ${entityId}`);
+            return;
+        }
+        this.activeCameraEntityId = entityId;
+        this.activeCameraObject = cameraObject;
+        this.eventEmitter?.emit('activeCameraChanged', { entityId, cameraObject });
+    }
+
+    /** @private */
+    _applyTransform(obj, trs) {
+        if (!obj || !trs) return;
+        const { position = [0, 0, 0], rotation = [0, 0, 0], scale = [1, 1, 1] } = trs;
+        obj.position.fromArray(position);
+        this._tempEuler.set(
+            THREE.MathUtils.degToRad(rotation[0]),
+            THREE.MathUtils.degToRad(rotation[1]),
+            THREE.MathUtils.degToRad(rotation[2]),
+            'XYZ'
+        );
+        obj.quaternion.setFromEuler(this._tempEuler);
+        obj.scale.fromArray(scale);
+        obj.updateMatrixWorld(true);
+    }
+
+    /** @private */
+    _remove(entityId) {
+        const entry = this.entityObjects.get(entityId);
+        if (!entry) return;
+        entry.threeObject.removeFromParent();
+        this.entityObjects.delete(entityId);
+        if (this.activeCameraEntityId === entityId) {
+            this.activeCameraEntityId = null;
+            this.activeCameraObject = null;
+        }
+    }
+
+    cleanup() {
+        if (this.eventEmitter) {
+            this.eventEmitter.off('componentAdded', this._onComponentChanged);
+            this.eventEmitter.off('entityUpdated', this._onEntityUpdated);
+            this.eventEmitter.off('entityRestored', this._onEntityUpdated);
+            this.eventEmitter.off('componentRemoved', this._onComponentRemoved);
+            this.eventEmitter.off('entityRemoved', this._onEntityRemoved);
+            this.eventEmitter.off('sceneImported', this._fullSceneSync);
+            this.eventEmitter.off('worldTransformsChanged', this._onWorldTransformsChanged);
+            this.eventEmitter.off('entityActiveChanged', this._onEntityUpdated);
+        }
+        this.entityObjects.clear();
+        this.scene?.clear();
+        this.scene = null;
+        this.activeCameraEntityId = null;
+        this.activeCameraObject = null;
+        this.entityManager = null;
+        this.eventEmitter = null;
+        this.engine = null;
+    }
+}
@@ -1,14 +1,16 @@
 // src/systems/physics/rapier-physics-system.js
-// @version 1.2.8 - Removed dependency on RenderableComponent/render object for physics body creation.
-// @previous 1.2.7 - Added detailed logging to applyImpulse and getLinearVelocity.
+// @version 1.7.0 - Inactive entities and disabled physics/transform components have no body; re-created on activation.
+// @previous 1.6.0 - Keep the previous and current world pose of simulated bodies for render interpolation.
 
 import * as logger from '../../utils/logger.js';
 import * as THREE from 'three';
 import { engineConfig } from '../../engine-config.js';
+import { GameState } from '../game-state-manager.js';
 
 export class RapierPhysicsSystem {
     constructor(engine, RAPIER_INSTANCE, worldInstance) {
-        this.priority = 50; this.active = true; this._name = 'physics';
+        this.phase = 'fixed'; this.active = true; this._name = 'physics';
+        this.runIn = [GameState.LOADING, GameState.PLAYING, GameState.GAME_OVER, GameState.LEVEL_COMPLETE]; // Not while paused or in menus
         if (!engine || !RAPIER_INSTANCE || !worldInstance) { throw new Error("RapierPhysicsSystem requires engine, RAPIER, and world instances."); }
         this.engine = engine;
         /** @type {import('@dimforge/rapier3d-compat')} */
@@ -23,11 +25,20 @@ export class RapierPhysicsSystem {
         this.entityColliderMap = new Map();
          /** @type {Map<number, number>} Map Collider Handle -> Entity ID */
         this.colliderEntityMap = new Map();
+        /** @type {import('../../ecs/query.js').Query|null} Entities with Physics and Transform */
+        this.query = null;
+        /**
+         * World poses of dynamic/kinematic bodies after the last two fixed steps (render interpolation).
+         * @private @type {Map<number, {previous: {position: THREE.Vector3, quaternion: THREE.Quaternion}, current: {position: THREE.Vector3, quaternion: THREE.Quaternion}}>}
+         */
+        this._poses = new Map();
 
         // Reusable THREE objects
         this._tempVec3 = new THREE.Vector3();
         this._tempQuat = new THREE.Quaternion();
         this._tempEuler = new THREE.Euler();
+        this._interpPosition = new THREE.Vector3();
+        this._interpQuaternion = new THREE.Quaternion();
 
         // Bind methods that might be used as callbacks
         this.syncEntityPhysics = this.syncEntityPhysics.bind(this);
@@ -51,14 +62,11 @@ export class RapierPhysicsSystem {
             }
             // --- END MODIFICATION ---
         });
-        emitter.on('componentRemoved', ({ entityId, componentType }) => {
-            // --- MODIFICATION: Remove physics body if physics or transform removed ---
-            if (componentType === 'physics' || componentType === 'transform') {
-                 this.removePhysicsBody(entityId);
-            }
-            // --- END MODIFICATION ---
-        });
-        emitter.on('entityRemoved', ({ id }) => this.removePhysicsBody(id));
+        // Removing or disabling physics/transform, deactivating or removing the entity makes it leave the query
+        this.query = this.engine.entityManager.createQuery({ all: ['physics', 'transform'] });
+        this.query.onExit(this.removePhysicsBody);
+        // Re-activated entities get their body back (new components are handled by 'componentAdded')
+        this.query.onEnter(id => { if (!this.entityBodyMap.has(id)) this.syncEntityPhysics(id); });
         emitter.on('sceneImported', () => this.syncInitialScene());
         emitter.on('entityRestored', ({ id }) => this.syncEntityPhysics(id));
         logger.log("RapierPhysicsSystem: Initialization complete.");
@@ -66,6 +74,7 @@ export class RapierPhysicsSystem {
 
     removePhysicsBody(entityId) {
         // logger.log(`[Rapier Sys] removePhysicsBody called for Entity ID: ${entityId}`); // Keep commented unless debugging removal
+        this._poses.delete(entityId);
         if (!this.world) {
             // logger.log(`[Rapier Sys Remove ${entityId}] World not available, clearing maps only.`);
             this.entityBodyMap.delete(entityId);
@@ -124,9 +133,7 @@ export class RapierPhysicsSystem {
 
          if (!this.engine || !this.engine.entityManager) { logger.warn("RapierPhysicsSystem: Engine/EM unavailable for full sync."); return; }
          const em = this.engine.entityManager;
-         // --- MODIFICATION: Query only for physics and transform ---
-         const physicsEntities = em.getEntitiesWithComponents(['physics', 'transform']);
-         // --- END MODIFICATION ---
+         const physicsEntities = this.query ? this.query.toArray() : em.getEntitiesWithComponents(['physics', 'transform']);
          logger.log(`[Rapier Sync] Found ${physicsEntities.length} entities with physics & transform components.`);
          physicsEntities.forEach(id => this.syncEntityPhysics(id));
          logger.log(`RapierPhysicsSystem: Full scene sync complete. Attempted sync for ${physicsEntities.length} entities.`);
@@ -148,13 +155,15 @@ export class RapierPhysicsSystem {
         // --- MODIFICATION: Removed dependency on RenderableComponent ---
         // const renderableComp = em.getComponent(entityId, 'renderable'); // REMOVED
 
-        if (!physicsComp || !transformComp) {
-            // If required components are missing, ensure any existing physics body is removed
+        if (!physicsComp || !transformComp || !em.isComponentActive(entityId, 'physics') || !em.isComponentActive(entityId, 'transform')) {
+            // If required components are missing or inactive, ensure any existing physics body is removed
             // logger.log(`[Physics Sync ${entityId}] Missing physics or transform component. Removing physics body.`);
             this.removePhysicsBody(entityId);
             return;
         }
         // --- END MODIFICATION ---
+        // Bodies live in world space; TransformComponent values are relative to the parent
+        const worldTrs = this._getWorldTrs(entityId, transformComp);
 
         // --- MODIFICATION: Removed check for renderer object existence ---
         // const renderer = this.engine.getSystem('renderer');
@@ -178,7 +187,7 @@ export class RapierPhysicsSystem {
         if (needsRecreation) {
             // logger.log(`[Physics Sync ${entityId}] Needs Recreation (Existing: ${!!rigidBody}, TargetType: ${targetBodyType})`);
             if (rigidBody) { this.removePhysicsBody(entityId); }
-            const bodyDesc = this._createBodyDesc(physicsComp, transformComp, targetIsStatic);
+            const bodyDesc = this._createBodyDesc(physicsComp, worldTrs, targetIsStatic);
             if (!bodyDesc) { logger.error(`[Physics Sync ${entityId}] Failed to create BodyDesc.`); return; }
             rigidBody = this.world.createRigidBody(bodyDesc);
             if (!rigidBody) { logger.error(`[Physics Sync ${entityId}] Failed to create RigidBody.`); return; }
@@ -189,8 +198,8 @@ export class RapierPhysicsSystem {
             const currentColliderHandle = this.entityColliderMap.get(entityId);
             if (currentColliderHandle !== undefined) { const c = this.world.getCollider(currentColliderHandle); if(c) this.world.removeCollider(c, false); this.entityColliderMap.delete(entityId); this.colliderEntityMap.delete(currentColliderHandle); }
 
-            // --- MODIFICATION: Pass transformComp instead of renderableComp ---
-            const colliderDesc = this._createColliderDesc(physicsComp, transformComp);
+            // --- MODIFICATION: Pass the (world) transform instead of renderableComp ---
+            const colliderDesc = this._createColliderDesc(physicsComp, worldTrs);
             // --- END MODIFICATION ---
             if (colliderDesc) {
                  const collider = this.world.createCollider(colliderDesc, rigidBody);
@@ -214,9 +223,9 @@ export class RapierPhysicsSystem {
             // (Only if not controlled by physics simulation itself, e.g., for kinematic or initial static placement)
             // If the body is dynamic, physics system update loop will sync FROM physics TO transform
             if (!body.isDynamic()) {
-                rigidBody.setTranslation({ x: transformComp.position[0], y: transformComp.position[1], z: transformComp.position[2] }, true);
+                rigidBody.setTranslation({ x: worldTrs.position[0], y: worldTrs.position[1], z: worldTrs.position[2] }, true);
                 if (!targetIsStatic) { // Only set rotation for non-static
-                    const q = this._tempQuat.setFromEuler(this._tempEuler.set(THREE.MathUtils.degToRad(transformComp.rotation[0]), THREE.MathUtils.degToRad(transformComp.rotation[1]), THREE.MathUtils.degToRad(transformComp.rotation[2]), 'XYZ'));
+                    const q = this._tempQuat.setFromEuler(this._tempEuler.set(THREE.MathUtils.degToRad(worldTrs.rotation[0]), THREE.MathUtils.degToRad(worldTrs.rotation[1]), THREE.MathUtils.degToRad(worldTrs.rotation[2]), 'XYZ'));
                     rigidBody.setRotation({ x: q.x, y: q.y, z: q.z, w: q.w }, true);
                 }
             }
@@ -238,7 +247,7 @@ export class RapierPhysicsSystem {
                      const targetRestitution = physicsComp.restitution ?? engineConfig.physics.restitution; if (Math.abs(collider.restitution() - targetRestitution) > 1e-5) collider.setRestitution(targetRestitution);
                      // TODO: Update collider size/shape if transform.scale changed - requires recreation
                      // This part is still complex. A simple check:
-                     const needsColliderRecreation = this._checkColliderNeedsRecreation(collider, physicsComp, transformComp);
+                     const needsColliderRecreation = this._checkColliderNeedsRecreation(collider, physicsComp, worldTrs);
                      if (needsColliderRecreation) {
                           logger.warn(`[Physics Sync ${entityId}] Collider needs recreation due to scale/type change. Recreating...`);
                           // Remove old collider
@@ -246,7 +255,7 @@ export class RapierPhysicsSystem {
                           this.entityColliderMap.delete(entityId);
                           this.colliderEntityMap.delete(currentColliderHandle);
                           // Create new one
-                          const newColliderDesc = this._createColliderDesc(physicsComp, transformComp);
+                          const newColliderDesc = this._createColliderDesc(physicsComp, worldTrs);
                           if (newColliderDesc) {
                               const newCollider = this.world.createCollider(newColliderDesc, rigidBody);
                               if (!newCollider) { logger.error(`[Physics Sync ${entityId}] Failed to recreate Collider.`); return; }
@@ -260,6 +269,28 @@ export class RapierPhysicsSystem {
     }
 
     // --- MODIFICATION: Added helper to check if collider needs recreation ---
+    /**
+     * Returns the world transform of an entity (TransformSystem), or its local
+     * TransformComponent values when no TransformSystem is registered.
+     * @private
+     */
+    _getWorldTrs(entityId, transformComp) {
+        return this.engine?.getSystem('transform')?.getWorldTransform(entityId) ?? transformComp;
+    }
+
+    /**
+     * Converts a world pose from the simulation to TransformComponent (parent-relative) values.
+     * @returns {{position: number[], rotation: number[], scale: number[]}|null} `null` for root entities (world = local).
+     * @private
+     */
+    _worldToLocal(entityId, transform, worldPosition, worldRotation) {
+        if (transform.parent === null || transform.parent === undefined) return null;
+        const transformSystem = this.engine?.getSystem('transform');
+        if (!transformSystem) return null;
+        const worldScale = transformSystem.getWorldScale(entityId) ?? transform.scale;
+        return transformSystem.worldToLocalTransform(transform.parent, { position: worldPosition, rotation: worldRotation, scale: worldScale });
+    }
+
     /** @private Checks if collider properties derived from transform/physics components have changed significantly */
     _checkColliderNeedsRecreation(collider, physicsComp, transformComp) {
         if (!collider) return false;
@@ -398,13 +429,18 @@ export class RapierPhysicsSystem {
         }
     }
 
-    update(time) {
-        // ... (implementation unchanged) ...
+    /**
+     * Steps the simulation by one engine fixed step and writes the simulated poses back
+     * to the TransformComponents.
+     * @param {import('../../ecs/system-manager.js').SystemTiming} time - `deltaTime` is the fixed step.
+     */
+    fixedUpdate(time) {
         if (!this.active || !this.world) return;
         if (!this.engine || !this.engine.entityManager) { logger.warn("RapierPhysicsSystem: Engine/EM not available for update."); return; }
         const em = this.engine.entityManager;
 
         try {
+            if (time?.deltaTime > 0) this.world.timestep = time.deltaTime;
             this.world.step(this.eventQueue); // Step physics world
         } catch (e) {
             logger.error("Rapier world step failed:", e);
@@ -428,28 +464,33 @@ export class RapierPhysicsSystem {
             if (!transform) { /* logger.warn(`RapierPhysicsSystem: Entity ${entityId} missing TransformComponent during update sync.`); */ return; } // Less noise
             if (!Array.isArray(transform.position) || transform.position.length !== 3 || !Array.isArray(transform.rotation) || transform.rotation.length !== 3) { logger.warn(`RapierPhysicsSystem: Entity ${entityId} has invalid transform structure during update sync.`); return; }
 
-            const pos = body.translation(); // {x, y, z}
-            const rot = body.rotation();   // {x, y, z, w}
+            const pos = body.translation(); // {x, y, z}, world space
+            const rot = body.rotation();   // {x, y, z, w}, world space
+            this._recordPose(entityId, pos, rot);
+
+            this._tempQuat.set(rot.x, rot.y, rot.z, rot.w);
+            this._tempEuler.setFromQuaternion(this._tempQuat, 'XYZ'); // Use consistent Euler order
+            let newPosition = [pos.x, pos.y, pos.z];
+            let newRotation = [ THREE.MathUtils.radToDeg(this._tempEuler.x), THREE.MathUtils.radToDeg(this._tempEuler.y), THREE.MathUtils.radToDeg(this._tempEuler.z) ];
+            // Children store transforms relative to their parent
+            const local = this._worldToLocal(entityId, transform, newPosition, newRotation);
+            if (local) { newPosition = local.position; newRotation = local.rotation; }
 
             // Check position change
-            this._tempVec3.set(transform.position[0], transform.position[1], transform.position[2]);
-            const posChanged = this._tempVec3.distanceToSquared(pos) > POS_THRESHOLD_SQ;
+            const posChanged = newPosition.reduce((sum, v, i) => sum + (v - transform.position[i]) ** 2, 0) > POS_THRESHOLD_SQ;
 
             // Check rotation change
-            this._tempQuat.set(rot.x, rot.y, rot.z, rot.w);
-            this._tempEuler.setFromQuaternion(this._tempQuat, 'XYZ'); // Use consistent Euler order
-            const newRotation = [ THREE.MathUtils.radToDeg(this._tempEuler.x), THREE.MathUtils.radToDeg(this._tempEuler.y), THREE.MathUtils.radToDeg(this._tempEuler.z) ];
              // Compare individual Euler angles (more intuitive than quaternion diff for small changes)
             const rotChanged = newRotation.some((r, i) => Math.abs(r - transform.rotation[i]) > 0.1); // Use degrees threshold
 
             // Update component only if changed significantly
             if (posChanged || rotChanged) {
                 const updateData = {};
-                if (posChanged) updateData.position = [pos.x, pos.y, pos.z];
+                if (posChanged) updateData.position = newPosition;
                 if (rotChanged) updateData.rotation = newRotation;
                 updateData.source = 'physicsSystem'; // Mark source
-                // Use engine's addComponent for update to trigger events properly
-                this.engine.addComponent(entityId, 'transform', updateData);
+                // Queued and applied right after the step, so transform events fire outside this loop
+                this.engine.deferred.addComponent(entityId, 'transform', updateData);
             }
         });
 
@@ -457,6 +498,47 @@ export class RapierPhysicsSystem {
         // this.eventQueue.drainCollisionEvents((handle1, handle2, started) => { /* ... */ });
     }
 
+    /**
+     * Shifts the current pose of a body to `previous` and stores the new one as `current`.
+     * The first pose recorded for a body is used for both, so it doesn't interpolate from the origin.
+     * @param {number} entityId
+     * @param {{x: number, y: number, z: number}} position - World position after the step.
+     * @param {{x: number, y: number, z: number, w: number}} rotation - World rotation after the step.
+     * @private
+     */
+    _recordPose(entityId, position, rotation) {
+        let pose = this._poses.get(entityId);
+        if (!pose) {
+            pose = {
+                previous: { position: new THREE.Vector3(position.x, position.y, position.z), quaternion: new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w) },
+                current: { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() }
+            };
+            this._poses.set(entityId, pose);
+        } else {
+            pose.previous.position.copy(pose.current.position);
+            pose.previous.quaternion.copy(pose.current.quaternion);
+        }
+        pose.current.position.set(position.x, position.y, position.z);
+        pose.current.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+    }
+
+    /**
+     * Calls `callback` with the world pose of every simulated (dynamic/kinematic) body,
+     * interpolated between the last two fixed steps. Used by the renderer to draw smooth
+     * motion between steps; the TransformComponents keep the authoritative (latest) pose.
+     * The vector/quaternion passed to the callback are reused between calls; copy them to keep them.
+     * @param {number} alpha - Interpolation factor, usually `engine.time.alpha` (0 = previous step, 1 = latest step).
+     * @param {function(number, THREE.Vector3, THREE.Quaternion): void} callback - Receives (entityId, position, quaternion).
+     */
+    forEachInterpolatedPose(alpha, callback) {
+        const t = Math.min(Math.max(Number.isFinite(alpha) ? alpha : 1, 0), 1);
+        this._poses.forEach((pose, entityId) => {
+            this._interpPosition.lerpVectors(pose.previous.position, pose.current.position, t);
+            this._interpQuaternion.slerpQuaternions(pose.previous.quaternion, pose.current.quaternion, t);
+            callback(entityId, this._interpPosition, this._interpQuaternion);
+        });
+    }
+
     // --- Public API Methods (Unchanged, but logging added previously) ---
     setLinearVelocity(entityId, velocity, wakeUp = true) {
         // ... (implementation unchanged) ...
@@ -513,10 +595,11 @@ export class RapierPhysicsSystem {
         if (!body) return false;
         try {
             body.setTranslation(position, wakeUp);
+            this._poses.delete(entityId); // Teleport: don't interpolate from the old position
             // Also update the entity's transform component immediately
             const transform = this.engine.entityManager.getComponent(entityId, 'transform');
             if (transform) {
-                const newPositionArray = [position.x, position.y, position.z];
+                const newPositionArray = this._worldToLocal(entityId, transform, [position.x, position.y, position.z], this._getWorldTrs(entityId, transform).rotation)?.position ?? [position.x, position.y, position.z];
                 // Avoid infinite loops: only update if significantly different
                 if (transform.position.some((p, i) => Math.abs(p - newPositionArray[i]) > 1e-5)) {
                     this.engine.addComponent(entityId, 'transform', { position: newPositionArray, source: 'physicsSystem_setPosition' });
@@ -592,11 +675,12 @@ export class RapierPhysicsSystem {
         // ... (implementation unchanged) ...
         logger.log("Cleaning up RapierPhysicsSystem...");
         // Remove event listeners
-        if (this.engine?.eventEmitter) { const emitter = this.engine.eventEmitter; emitter.off('componentAdded'); emitter.off('componentRemoved'); emitter.off('entityRemoved'); emitter.off('sceneImported'); emitter.off('entityRestored'); /* Remove specific handlers if they were bound */ }
+        if (this.engine?.eventEmitter) { const emitter = this.engine.eventEmitter; emitter.off('componentAdded'); emitter.off('sceneImported'); emitter.off('entityRestored'); /* Remove specific handlers if they were bound */ }
+        this.query?.destroy(); this.query = null;
         // Clear physics world resources
         const entitiesToRemove = Array.from(this.entityBodyMap.keys());
         entitiesToRemove.forEach(id => this.removePhysicsBody(id)); // Ensure bodies/colliders removed from world
-        this.entityBodyMap.clear(); this.entityColliderMap.clear(); this.colliderEntityMap.clear();
+        this.entityBodyMap.clear(); this.entityColliderMap.clear(); this.colliderEntityMap.clear(); this._poses.clear();
         // Note: Rapier world itself doesn't have an explicit 'destroy' or 'free' in JS bindings typically. It relies on JS GC.
         this.world = null; this.RAPIER = null; this.engine = null; this.eventQueue = null; // Nullify references
         logger.log("RapierPhysicsSystem Cleaned Up.");
@@ -0,0 +1,351 @@
+import * as logger from '../utils/logger.js';
+// src/systems/session-recorder-system.js
+// @version 1.1.0 - Recordings include the loaded scenes (SceneManager membership).
+// @previous 1.0.0 - Initial implementation (per-step input recording, seeded replay, checksum divergence reports).
+
+import { engineConfig } from '../engine-config.js';
+import { GameState } from './game-state-manager.js';
+
+/** Version of the recording format written by `stopRecording()`. */
+export const RECORDING_FORMAT_VERSION = 1;
+
+/**
+ * One engine frame of a recording.
+ * @typedef {object} RecordedFrame
+ * @property {number} dt - Unscaled frame time in seconds.
+ * @property {import('./input-manager-system.js').InputState[]} steps - Input state at the start of each fixed step of the frame.
+ * @property {import('./input-manager-system.js').InputState} input - Input state seen by the frame's variable-rate updates.
+ */
+
+/**
+ * A recorded session: everything needed to re-run it frame for frame. Plain JSON data.
+ * @typedef {object} SessionRecording
+ * @property {number} version - `RECORDING_FORMAT_VERSION`.
+ * @property {number} seed - State of `engine.random` when recording started.
+ * @property {number} fixedDeltaTime - The engine's fixed step.
+ * @property {{elapsed: number, accumulator: number, gameTimeScale: number}} time - Engine clock when recording started.
+ * @property {string|null} gameState - Game state when recording started.
+ * @property {object} scene - World snapshot (`EntityManager.createSnapshot()`).
+ * @property {object|null} [scenes] - Loaded scenes (`SceneManager.createSnapshot()`).
+ * @property {RecordedFrame[]} frames - Recorded frames, in order.
+ * @property {Array<{step: number, checksum: string}>} checksums - World checksums taken at the start of fixed steps.
+ * @property {{step: number, checksum: string}|null} final - World checksum after the last frame.
+ */
+
+/**
+ * Payload of the `replayDiverged` event.
+ * @typedef {object} ReplayDivergence
+ * @property {number} frame - Index of the replayed frame.
+ * @property {number} step - Fixed steps replayed before the check.
+ * @property {'checksum'|'steps'} reason - World checksum mismatch, or a different number of fixed steps in the frame.
+ * @property {string|number} expected - Recorded value.
+ * @property {string|number} actual - Replayed value.
+ */
+
+/**
+ * @private FNV-1a (32 bit) hash of a string, as 8 hex digits.
+ * @param {string} text
+ * @returns {string}
+ */
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Checksum of all entity and component data in the world.
+ * @param {import('../ecs/entity-manager.js').EntityManager} entityManager
+ * @returns {string}
+ */
+export const computeWorldChecksum = (entityManager) => hashString(entityManager.serialize(false) ?? '');
+
+/**
+ * Records game sessions and replays them deterministically.
+ *
+ * A recording holds the world snapshot, `engine.random` state and game state at the start,
+ * then for every frame its unscaled frame time and the `InputManagerSystem` state at each
+ * fixed step, plus world checksums every `engineConfig.replay.checksumInterval` steps.
+ * Replaying restores the start state, feeds the recorded frame times through
+ * `engine.frameTimeOverride` and the recorded input through `InputManagerSystem.applyState()`
+ * (live input is ignored meanwhile), and compares the checksums: a mismatch emits
+ * `replayDiverged` ({@link ReplayDivergence}). `replayStarted` and `replayFinished` bracket a replay.
+ *
+ * Determinism requires gameplay code to draw random numbers from `engine.random` and to read
+ * input through the InputManagerSystem (state queries or its `keyPressed` event).
+ * State kept outside components (e.g. physics body velocities) is only captured through the
+ * scene snapshot, so recordings should start when the world is at rest, e.g. on Play
+ * (`engineConfig.replay.recordOnPlay`).
+ *
+ * @class SessionRecorderSystem
+ */
+export class SessionRecorderSystem {
+    constructor() {
+        this.phase = 'input';
+        this.before = ['inputManager']; // Recorded input is applied before any system reads it
+        this.runIn = '*';
+        this.active = true;
+        this._name = 'sessionRecorder';
+
+        this.engine = null; this.entityManager = null; this.eventEmitter = null;
+        /** @type {import('./input-manager-system.js').InputManagerSystem|null} */
+        this.inputManager = null;
+        /** @type {SessionRecording|null} The last recording completed by `stopRecording()`. */
+        this.lastRecording = null;
+
+        /** @private @type {{recording: SessionRecording, step: number, pendingSteps: object[]}|null} */
+        this._recording = null;
+        /** @private @type {{recording: SessionRecording, checksums: Map<number, string>, frameIndex: number, step: number, stepInFrame: number, divergences: ReplayDivergence[]}|null} */
+        this._replay = null;
+
+        this._nextFrameTime = this._nextFrameTime.bind(this);
+        this._onGameModeEntered = this._onGameModeEntered.bind(this);
+        this._onGameStateChanged = this._onGameStateChanged.bind(this);
+    }
+
+    /** Whether a session is being recorded. */
+    get isRecording() { return this._recording !== null; }
+
+    /** Whether a recording is being replayed. */
+    get isReplaying() { return this._replay !== null; }
+
+    async initialize(entityManager, eventEmitter, engine) {
+        this.entityManager = entityManager;
+        this.eventEmitter = eventEmitter;
+        this.engine = engine;
+        this.eventEmitter.on('gameModeEntered', this._onGameModeEntered);
+        this.eventEmitter.on('gameStateChanged', this._onGameStateChanged);
+        logger.log("[SessionRecorder] Initialized.");
+    }
+
+    /**
+     * Starts recording from the current world state.
+     * @returns {boolean} `false` if already recording or replaying.
+     */
+    startRecording() {
+        if (this._recording || this._replay) { logger.warn("[SessionRecorder] startRecording: Already recording or replaying."); return false; }
+        if (!this._findInputManager()) logger.warn("[SessionRecorder] InputManagerSystem ('inputManager') not found. Input will not be recorded.");
+        const time = this.engine.time;
+        this._recording = {
+            recording: {
+                version: RECORDING_FORMAT_VERSION,
+                seed: this.engine.random.getState(),
+                fixedDeltaTime: time.fixedDeltaTime,
+                time: { elapsed: time.elapsed, accumulator: time._accumulator, gameTimeScale: time.gameTimeScale },
+                gameState: this.engine.getSystem('gameStateManager')?.getState() ?? null,
+                scene: this.entityManager.createSnapshot(),
+                scenes: this.engine.sceneManager?.createSnapshot() ?? null,
+                frames: [],
+                checksums: [],
+                final: null
+            },
+            step: 0,
+            pendingSteps: []
+        };
+        logger.log(`[SessionRecorder] Recording started (${this._recording.recording.scene.entities.length} entities).`);
+        return true;
+    }
+
+    /**
+     * Stops recording.
+     * @returns {SessionRecording|null} The recording (also kept as `lastRecording`), or `null` if not recording.
+     */
+    stopRecording() {
+        const state = this._recording;
+        if (!state) return null;
+        this._recording = null;
+        const { recording } = state;
+        recording.final = { step: state.step, checksum: computeWorldChecksum(this.entityManager) };
+        this.lastRecording = recording;
+        logger.log(`[SessionRecorder] Recording stopped (${recording.frames.length} frames, ${state.step} fixed steps).`);
+        return recording;
+    }
+
+    /**
+     * Replays a recording from its start state. Enters game mode first if needed, so the
+     * editor scene is restored when play stops.
+     * @param {SessionRecording} recording
+     * @returns {boolean} `false` if the recording is invalid or its scene could not be restored.
+     */
+    replay(recording) {
+        if (recording?.version !== RECORDING_FORMAT_VERSION || !Array.isArray(recording.frames) || !recording.scene) {
+            logger.error(`[SessionRecorder] replay: Invalid or unsupported recording (version ${recording?.version}).`);
+            return false;
+        }
+        if (this._recording) this.stopRecording();
+        if (this._replay) this.stopReplay();
+        this._findInputManager();
+
+        const engine = this.engine;
+        // Claim the replay first so entering game mode does not start a recording
+        this._replay = { recording, checksums: new Map(recording.checksums.map(({ step, checksum }) => [step, checksum])), frameIndex: 0, step: 0, stepInFrame: 0, divergences: [] };
+        if (engine.mode !== 'game') engine.enterGameMode();
+
+        engine.deferred.clear();
+        if (!this.entityManager.restoreSnapshot(recording.scene)) {
+            logger.error("[SessionRecorder] replay: Failed to restore the recorded scene.");
+            this._replay = null;
+            return false;
+        }
+        engine.sceneManager?.restoreSnapshot(recording.scenes ?? null);
+        if (recording.gameState && recording.gameState !== GameState.EDITOR) engine.getSystem('gameStateManager')?.setState(recording.gameState);
+        if (recording.fixedDeltaTime !== engine.time.fixedDeltaTime) {
+            logger.warn(`[SessionRecorder] replay: Recording uses a fixed step of ${recording.fixedDeltaTime}s (engine: ${engine.time.fixedDeltaTime}s). Using the recorded step.`);
+            engine.time.fixedDeltaTime = recording.fixedDeltaTime;
+        }
+        engine.time.elapsed = recording.time.elapsed;
+        engine.time._accumulator = recording.time.accumulator;
+        engine.time.gameTimeScale = recording.time.gameTimeScale;
+        engine.random.setState(recording.seed);
+
+        if (this.inputManager) this.inputManager.liveInput = false;
+        engine.frameTimeOverride = this._nextFrameTime;
+        logger.log(`[SessionRecorder] Replay started (${recording.frames.length} frames).`);
+        this.eventEmitter.emit('replayStarted', { frames: recording.frames.length });
+        return true;
+    }
+
+    /**
+     * Ends the replay and gives live input back. When every frame was replayed, the world is
+     * compared with the recording's final checksum first.
+     * @returns {{frames: number, complete: boolean, divergences: ReplayDivergence[]}|null} `null` if not replaying.
+     */
+    stopReplay() {
+        const replay = this._replay;
+        if (!replay) return null;
+        const { recording } = replay;
+        const complete = replay.frameIndex >= recording.frames.length;
+        if (complete && recording.final) {
+            this._checkDivergence(replay, 'checksum', recording.final.checksum, computeWorldChecksum(this.entityManager));
+        }
+        this._replay = null;
+        if (this.engine.frameTimeOverride === this._nextFrameTime) this.engine.frameTimeOverride = null;
+        if (this.inputManager) this.inputManager.liveInput = true;
+
+        const result = { frames: replay.frameIndex, complete, divergences: replay.divergences };
+        const outcome = replay.divergences.length > 0 ? `diverged at frame ${replay.divergences[0].frame}` : 'no divergence';
+        logger.log(`[SessionRecorder] Replay ${complete ? 'finished' : 'stopped'} after ${replay.frameIndex}/${recording.frames.length} frames (${outcome}).`);
+        this.eventEmitter?.emit('replayFinished', result);
+        return result;
+    }
+
+    /**
+     * Progress of the current replay.
+     * @returns {{frame: number, frames: number, step: number, divergences: ReplayDivergence[]}|null} `null` if not replaying.
+     */
+    getReplayStatus() {
+        const replay = this._replay;
+        if (!replay) return null;
+        return { frame: replay.frameIndex, frames: replay.recording.frames.length, step: replay.step, divergences: [...replay.divergences] };
+    }
+
+    /**
+     * Records or applies the input of one fixed step.
+     * @param {import('../ecs/system-manager.js').SystemTiming} time
+     */
+    fixedUpdate(time) {
+        const recording = this._recording;
+        if (recording) {
+            const interval = engineConfig.replay?.checksumInterval ?? 30;
+            if (interval > 0 && recording.step % interval === 0) {
+                recording.recording.checksums.push({ step: recording.step, checksum: computeWorldChecksum(this.entityManager) });
+            }
+            if (this.inputManager) recording.pendingSteps.push(this.inputManager.captureState());
+            recording.step++;
+        }
+
+        const replay = this._replay;
+        if (replay) {
+            const expected = replay.checksums.get(replay.step);
+            if (expected !== undefined) this._checkDivergence(replay, 'checksum', expected, computeWorldChecksum(this.entityManager));
+            const frame = replay.recording.frames[replay.frameIndex];
+            const input = frame?.steps[replay.stepInFrame] ?? frame?.input;
+            if (input && this.inputManager) this.inputManager.applyState(input);
+            replay.step++;
+            replay.stepInFrame++;
+        }
+    }
+
+    /**
+     * Closes the recorded frame, or applies the replayed frame's input.
+     * @param {import('../ecs/system-manager.js').SystemTiming} time
+     */
+    preUpdate(time) {
+        const recording = this._recording;
+        if (recording) {
+            recording.recording.frames.push({
+                dt: time.rawDeltaTime,
+                steps: recording.pendingSteps,
+                input: this.inputManager?.captureState() ?? null
+            });
+            recording.pendingSteps = [];
+        }
+
+        const replay = this._replay;
+        if (replay) {
+            const frame = replay.recording.frames[replay.frameIndex];
+            if (!frame) return;
+            if (replay.stepInFrame !== frame.steps.length) this._checkDivergence(replay, 'steps', frame.steps.length, replay.stepInFrame);
+            if (frame.input && this.inputManager) this.inputManager.applyState(frame.input);
+            replay.frameIndex++;
+            replay.stepInFrame = 0;
+        }
+    }
+
+    /**
+     * `engine.frameTimeOverride` while replaying: the recorded frame time, or the measured
+     * one once every frame has been replayed (which ends the replay).
+     * @private
+     */
+    _nextFrameTime(rawDeltaTime) {
+        const replay = this._replay;
+        if (!replay) return rawDeltaTime;
+        const frame = replay.recording.frames[replay.frameIndex];
+        if (!frame) {
+            this.stopReplay();
+            return rawDeltaTime;
+        }
+        return frame.dt;
+    }
+
+    /** @private Looks up the InputManagerSystem (it may be registered after this system). */
+    _findInputManager() {
+        this.inputManager = this.inputManager ?? this.engine?.getSystem('inputManager') ?? null;
+        return this.inputManager;
+    }
+
+    /** @private Records and reports a mismatch between a recorded and a replayed value. */
+    _checkDivergence(replay, reason, expected, actual) {
+        if (expected === actual) return;
+        const divergence = { frame: replay.frameIndex, step: replay.step, reason, expected, actual };
+        if (replay.divergences.length === 0) {
+            logger.warn(`[SessionRecorder] Replay diverged at frame ${divergence.frame} (step ${divergence.step}): ${reason} ${expected} != ${actual}.`);
+        }
+        replay.divergences.push(divergence);
+        this.eventEmitter?.emit('replayDiverged', divergence);
+    }
+
+    /** @private */
+    _onGameModeEntered() {
+        if (engineConfig.replay?.recordOnPlay && !this._replay) this.startRecording();
+    }
+
+    /** @private Ends recording/replay when play stops, before the editor scene is restored. */
+    _onGameStateChanged({ current }) {
+        if (current !== GameState.EDITOR) return;
+        this.stopRecording();
+        this.stopReplay();
+    }
+
+    cleanup() {
+        this.stopReplay();
+        this._recording = null;
+        this.eventEmitter?.off('gameModeEntered', this._onGameModeEntered);
+        this.eventEmitter?.off('gameStateChanged', this._onGameStateChanged);
+        this.engine = null; this.entityManager = null; this.eventEmitter = null; this.inputManager = null;
+        logger.log("[SessionRecorder] Cleaned up.");
+    }
+}
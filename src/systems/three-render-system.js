@@ -1,12 +1,15 @@
 // src/systems/three-render-system.js
-// @version 1.5.4 - Added creation-in-progress tracking to fix potential race conditions in _syncEntity.
-// @previous 1.5.3 - Added robustness checks (dependencies, data validation, try/catch).
+// @version 1.10.0 - Renderable/light/camera updates are synced once per frame through a `changed` query.
+// @previous 1.9.0 - Inactive entities and disabled renderable/light/camera components get no object.
 
 import * as logger from '../utils/logger.js';
 import * as THREE from 'three';
 import { OrbitControls }         from 'three/addons/controls/OrbitControls.js';
 import { engineConfig }          from '../engine-config.js';
 
+/** Component types that decide which Three.js object an entity gets. */
+const VISUAL_COMPONENTS = ['renderable', 'light', 'camera'];
+
 /**
  * Manages rendering entities using Three.js.
  * Uses engineConfig for default values.
@@ -16,7 +19,8 @@ export class ThreeRenderSystem {
     #visible = false; // Private field for visibility state
 
     constructor() {
-        this.priority = 100;
+        this.phase = 'render';
+        this.runIn = '*';
         this.active = true;
         this._name = 'renderer';
         this.container = null;
@@ -51,6 +55,94 @@ export class ThreeRenderSystem {
         this._boundOnClick = this._onClick.bind(this);
 
         this._ignoredUpdateSources = ['physicsSystem', 'spinSystem', 'input'];
+        this._onWorldTransformsChanged = this._onWorldTransformsChanged.bind(this);
+        this._onActivationChanged = this._onActivationChanged.bind(this);
+
+        /** @private @type {Set<number>} Entities whose object was last drawn at an interpolated pose */
+        this._interpolatedIds = new Set();
+    }
+
+    /**
+     * Returns the transform to place an entity's object at: its world transform when a
+     * TransformSystem is registered, otherwise the local TransformComponent values
+     * (objects are added to the scene root).
+     * @param {number} entityId - The entity ID.
+     * @param {object|null} trs - The entity's TransformComponent.
+     * @returns {object|null} An object with position/rotation/scale arrays.
+     * @private
+     */
+    _getWorldTrs(entityId, trs) {
+        if (!trs) return trs;
+        const transformSystem = this.engine?.getSystem('transform');
+        return transformSystem?.getWorldTransform(entityId) ?? trs;
+    }
+
+    /**
+     * Adds or removes the object of an entity that was activated/deactivated or had a component enabled/disabled.
+     * @param {{id?: number, entityId?: number}} event - `entityActiveChanged` or `componentEnabledChanged`.
+     * @private
+     */
+    _onActivationChanged({ id, entityId }) {
+        this._syncEntity(id ?? entityId);
+    }
+
+    /**
+     * Moves the objects of entities whose world transform changed this frame
+     * (including children of moved parents and physics/spin driven updates).
+     * @param {{ids: number[]}} eventData
+     * @private
+     */
+    _onWorldTransformsChanged({ ids }) {
+        if (!this.entityManager) return;
+        for (const id of ids) {
+            const entry = this.entityObjects.get(id);
+            if (!entry?.threeObject || entry.threeObject.isAmbientLight) continue;
+            this._applyTransform(entry.threeObject, this._getWorldTrs(id, this.entityManager.getComponent(id, 'transform')));
+        }
+    }
+
+    /**
+     * Moves the objects of simulated bodies to their pose interpolated between the last two
+     * physics steps (`time.alpha`), so motion stays smooth when the display rate isn't a
+     * multiple of the fixed step rate. Only the Three.js objects move; TransformComponents
+     * keep the authoritative pose. When physics stops running, objects snap back to it.
+     * @param {object} time - Engine timing ({ alpha, ... }).
+     * @private
+     */
+    _applyInterpolatedPoses(time) {
+        const physics = this.engine?.getSystem('physics');
+        const interpolate = typeof physics?.forEachInterpolatedPose === 'function' && this.engine.systemManager?.isSystemActive('physics');
+        if (!interpolate) {
+            if (this._interpolatedIds.size > 0) {
+                this._onWorldTransformsChanged({ ids: [...this._interpolatedIds] });
+                this._interpolatedIds.clear();
+            }
+            return;
+        }
+        physics.forEachInterpolatedPose(time?.alpha ?? 1, (entityId, position, quaternion) => {
+            const obj = this.entityObjects.get(entityId)?.threeObject;
+            if (!obj || obj.isAmbientLight) return;
+            obj.position.copy(position);
+            obj.quaternion.copy(quaternion);
+            this._interpolatedIds.add(entityId);
+        });
+    }
+
+    /**
+     * Returns the WebGL statistics of the last rendered frame.
+     * @returns {{drawCalls: number, triangles: number, points: number, lines: number, geometries: number, textures: number, objects: number}}
+     */
+    getRenderStats() {
+        const info = this.renderer?.info;
+        return {
+            drawCalls: info?.render.calls ?? 0,
+            triangles: info?.render.triangles ?? 0,
+            points: info?.render.points ?? 0,
+            lines: info?.render.lines ?? 0,
+            geometries: info?.memory.geometries ?? 0,
+            textures: info?.memory.textures ?? 0,
+            objects: this.entityObjects.size
+        };
     }
 
     // initialize, isVisible, show, hide, update, _setupEventHandlers, _handleWindowClickCapture, _subscribeToECSEvents, _onResize, _onClick, _fullSceneSync
@@ -107,7 +199,10 @@ export class ThreeRenderSystem {
 
             this._setupEventHandlers(); // Setup window/DOM listeners
             this._subscribeToECSEvents(); // Setup ECS listeners
+            // Entities whose renderable/light/camera changed since the last frame (see _syncChangedEntities)
+            this._changedQuery = this.entityManager.createQuery({ any: VISUAL_COMPONENTS, changed: VISUAL_COMPONENTS });
             this._fullSceneSync(); // Initial sync of entities
+            this._changedQuery?.clearChanged();
 
             logger.log('[ThreeRenderSystem] Initialization Complete.');
             return this;
@@ -142,6 +237,7 @@ export class ThreeRenderSystem {
     hide() { if (this.renderer) { this.#visible = false; this.renderer.domElement.style.display = 'none'; logger.log('[ThreeRenderSystem] Hidden.'); } }
 
     update(time) {
+        this._syncChangedEntities();
          // --- MODIFICATION: Added checks ---
         if (!this.active || !this.#visible || !this.renderer || !this.scene || !this.activeCameraObject || !this.container) {
              // Log if something essential is missing, otherwise just return
@@ -164,6 +260,8 @@ export class ThreeRenderSystem {
         }
         // --- END MODIFICATION ---
 
+        this._applyInterpolatedPoses(time);
+
         // --- MODIFICATION: Wrap render call ---
         try {
             this.renderer.render(this.scene, this.activeCameraObject);
@@ -212,8 +310,9 @@ export class ThreeRenderSystem {
         if (!this.eventEmitter) { logger.error("TRS: Cannot subscribe to ECS events, eventEmitter missing."); return; }
         logger.log("[TRS] Subscribing to ECS events...");
         this.eventEmitter.on('entityCreated', ({ id }) => this._syncEntity(id));
-        this.eventEmitter.on('componentAdded', ({ entityId, componentType }) => {
-            if (['renderable', 'light', 'camera', 'transform'].includes(componentType)) {
+        // Updates of existing renderable/light/camera components are batched by _changedQuery
+        this.eventEmitter.on('componentAdded', ({ entityId, componentType, isNew }) => {
+            if (isNew && ['renderable', 'light', 'camera', 'transform'].includes(componentType)) {
                 // logger.log(`[TRS] Event: componentAdded (${componentType}) for entity ${entityId}. Syncing.`);
                 this._syncEntity(entityId);
             }
@@ -231,7 +330,7 @@ export class ThreeRenderSystem {
             if (source && this._ignoredUpdateSources.includes(source)) {
                 return;
             }
-            if (['renderable', 'light', 'camera', 'transform'].includes(componentType)) {
+            if (componentType === 'transform') {
                 // logger.log(`[TRS] Event: entityUpdated (${componentType}) for entity ${id} from source '${source || 'unknown'}'. Syncing.`);
                 this._syncEntity(id);
             }
@@ -244,6 +343,9 @@ export class ThreeRenderSystem {
              logger.log(`[TRS] Event: sceneImported. Performing full sync.`);
              this._fullSceneSync();
         });
+        this.eventEmitter.on('worldTransformsChanged', this._onWorldTransformsChanged);
+        this.eventEmitter.on('entityActiveChanged', this._onActivationChanged);
+        this.eventEmitter.on('componentEnabledChanged', this._onActivationChanged);
         this.eventEmitter.on('entityRestored', ({ id }) => {
              // logger.log(`[TRS] Event: entityRestored, ID: ${id}. Syncing.`);
              this._syncEntity(id);
@@ -412,10 +514,13 @@ export class ThreeRenderSystem {
 
         if (!hasEngineEntity) { if (currentEntry) { this._remove(entityId); } return; }
 
-        const trs = this.entityManager.getComponent(entityId, 'transform');
-        const rend = this.entityManager.getComponent(entityId, 'renderable');
-        const light = this.entityManager.getComponent(entityId, 'light');
-        const cam = this.entityManager.getComponent(entityId, 'camera');
+        const localTrs = this.entityManager.getComponent(entityId, 'transform');
+        const trs = this._getWorldTrs(entityId, localTrs); // Objects live at the scene root, so use world values
+        // Disabled components and inactive entities are drawn as if the components were absent
+        const activeComponent = type => this.entityManager.isComponentActive(entityId, type) ? this.entityManager.getComponent(entityId, type) : null;
+        const rend = activeComponent('renderable');
+        const light = activeComponent('light');
+        const cam = activeComponent('camera');
 
         let intendedType = null;
         if (rend && trs) { intendedType = rend.type === 'Model' ? 'model' : 'mesh'; }
@@ -1061,6 +1166,17 @@ export class ThreeRenderSystem {
         }
     }
 
+    /**
+     * @private Syncs the entities whose renderable, light or camera changed since the last
+     * frame (through `addComponent` or `EntityManager.markChanged`), once each.
+     */
+    _syncChangedEntities() {
+        const changed = this._changedQuery?.changedEntities;
+        if (!changed || changed.size === 0) return;
+        for (const entityId of [...changed]) this._syncEntity(entityId);
+        this._changedQuery.clearChanged();
+    }
+
     /** @private Helper to check if transform data is structurally valid */
     _isValidTransformData(trs) {
         return trs &&
@@ -1077,7 +1193,12 @@ export class ThreeRenderSystem {
             this.eventEmitter.off('componentRemoved'); this.eventEmitter.off('entityUpdated');
             this.eventEmitter.off('entityRemoved'); this.eventEmitter.off('sceneImported');
             this.eventEmitter.off('entityRestored'); this.eventEmitter.off('activeCameraChanged');
+            this.eventEmitter.off('worldTransformsChanged', this._onWorldTransformsChanged);
+            this.eventEmitter.off('entityActiveChanged', this._onActivationChanged);
+            this.eventEmitter.off('componentEnabledChanged', this._onActivationChanged);
         }
+        this._changedQuery?.destroy();
+        this._changedQuery = null;
         // Remove DOM listeners
         window.removeEventListener('resize', this._boundOnResize);
         if (this.renderer?.domElement) {
@@ -1091,6 +1212,7 @@ export class ThreeRenderSystem {
         this.entityObjects.forEach(entry => this._dispose(entry.threeObject, entry.type));
         this.entityObjects.clear();
         this._creationInProgress.clear(); // Clear tracking set
+        this._interpolatedIds.clear();
         this.orbitControls?.dispose(); // Dispose controls if they exist
         this.renderer?.dispose(); // Dispose renderer resources
 
@@ -0,0 +1,322 @@
+// src/systems/transform-system.js
+// @version 1.0.0 - Initial implementation (cached world matrices with dirty propagation, world accessors, reparent keeping world transform).
+
+import * as logger from '../utils/logger.js';
+import * as THREE from 'three';
+
+/** Guards against runaway recursion if a parent chain is ever corrupted. */
+const MAX_HIERARCHY_DEPTH = 256;
+
+/**
+ * A decomposed transform: position, Euler XYZ rotation in degrees, and scale
+ * (the same layout as TransformComponent).
+ * @typedef {object} TRS
+ * @property {number[]} position - [x, y, z]
+ * @property {number[]} rotation - [x, y, z] in degrees, XYZ order
+ * @property {number[]} scale - [x, y, z]
+ */
+
+/**
+ * Computes world transforms from the TransformComponent hierarchy.
+ *
+ * TransformComponent values are local (relative to `parent`). This system caches each
+ * entity's world matrix and recomputes it lazily: any transform change, hierarchy
+ * change or removal marks the entity and all of its descendants dirty. The accessors
+ * (`getWorldMatrix`, `getWorldPosition`, ...) always return up-to-date values.
+ *
+ * Once per frame `update()` emits `worldTransformsChanged` with the IDs whose world
+ * transform changed since the previous frame (including descendants of moved parents),
+ * so consumers such as the renderer can follow them.
+ *
+ * World rotation/scale are decomposed from the matrix; a non-uniformly scaled parent
+ * with rotated children produces shear, which TRS values cannot represent exactly.
+ *
+ * @class TransformSystem
+ */
+export class TransformSystem {
+    constructor() {
+        this.phase = 'late'; // After gameplay and physics have written transforms, before rendering
+        this.runIn = '*';
+        this.active = true;
+        this._name = 'transform';
+
+        /** @type {import('../ecs/entity-manager.js').EntityManager|null} */
+        this.entityManager = null;
+        /** @type {import('../utils/event-emitter.js').EventEmitter|null} */
+        this.eventEmitter = null;
+        /** @type {import('../core.js').Engine|null} */
+        this.engine = null;
+
+        /** @private @type {Map<number, THREE.Matrix4>} Entity ID -> cached world matrix */
+        this._world = new Map();
+        /** @private @type {Set<number>} Entities whose cached world matrix is stale */
+        this._dirty = new Set();
+        /** @private @type {Set<number>} Entities whose world transform changed since the last update() */
+        this._changed = new Set();
+
+        // Reusable THREE objects
+        this._tempMatrix = new THREE.Matrix4();
+        this._tempPosition = new THREE.Vector3();
+        this._tempQuaternion = new THREE.Quaternion();
+        this._tempScale = new THREE.Vector3();
+        this._tempEuler = new THREE.Euler();
+
+        this._onEntityUpdated = this._onEntityUpdated.bind(this);
+        this._onComponentAdded = this._onComponentAdded.bind(this);
+        this._onEntityRemoved = this._onEntityRemoved.bind(this);
+        this._onHierarchyChanged = this._onHierarchyChanged.bind(this);
+        this.invalidateAll = this.invalidateAll.bind(this);
+    }
+
+    /**
+     * @param {import('../ecs/entity-manager.js').EntityManager} entityManager
+     * @param {import('../utils/event-emitter.js').EventEmitter} eventEmitter
+     * @param {import('../core.js').Engine} engine
+     */
+    initialize(entityManager, eventEmitter, engine) {
+        this.entityManager = entityManager;
+        this.eventEmitter = eventEmitter;
+        this.engine = engine;
+        eventEmitter.on('entityUpdated', this._onEntityUpdated);
+        eventEmitter.on('componentAdded', this._onComponentAdded);
+        eventEmitter.on('entityRemoved', this._onEntityRemoved);
+        eventEmitter.on('entityHierarchyChanged', this._onHierarchyChanged);
+        eventEmitter.on('sceneImported', this.invalidateAll);
+        eventEmitter.on('sceneCleared', this.invalidateAll);
+        logger.log("TransformSystem Initialized");
+    }
+
+    /** @private */
+    _onEntityUpdated({ id, componentType, removed }) {
+        if (componentType !== 'transform') return;
+        if (removed) this._world.delete(id);
+        this.markDirty(id);
+    }
+
+    /** @private */
+    _onComponentAdded({ entityId, componentType }) {
+        if (componentType === 'transform') this.markDirty(entityId);
+    }
+
+    /** @private */
+    _onEntityRemoved({ id }) {
+        this._world.delete(id);
+        this._dirty.delete(id);
+        this._changed.delete(id);
+    }
+
+    /** @private */
+    _onHierarchyChanged({ entityId }) {
+        this.markDirty(entityId);
+    }
+
+    /**
+     * Marks an entity and all of its descendants as needing a world matrix recompute.
+     * Called automatically from entity events; call it after mutating a
+     * TransformComponent directly (without `addComponent`).
+     * @param {number} entityId - The entity ID.
+     * @returns {void}
+     */
+    markDirty(entityId) {
+        const stack = [entityId];
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (this._dirty.has(id) && this._changed.has(id)) continue; // Subtree already marked
+            this._dirty.add(id);
+            this._changed.add(id);
+            const children = this.entityManager?.getComponent(id, 'transform')?.children;
+            if (children) stack.push(...children);
+        }
+    }
+
+    /**
+     * Drops every cached world matrix (e.g. after a scene load reused entity IDs).
+     * @returns {void}
+     */
+    invalidateAll() {
+        this._world.forEach((matrix, id) => this._changed.add(id));
+        this._world.clear();
+        this._dirty.clear();
+    }
+
+    /**
+     * Returns the world matrix of an entity. The returned matrix is the cached
+     * instance; copy it before modifying.
+     * @param {number} entityId - The entity ID.
+     * @returns {THREE.Matrix4|null} The world matrix, or `null` if the entity has no TransformComponent.
+     */
+    getWorldMatrix(entityId) {
+        return this._computeWorldMatrix(entityId, 0);
+    }
+
+    /** @private */
+    _computeWorldMatrix(entityId, depth) {
+        const cached = this._world.get(entityId);
+        if (cached && !this._dirty.has(entityId)) return cached;
+
+        const transform = this.entityManager?.getComponent(entityId, 'transform');
+        if (!transform) {
+            this._world.delete(entityId);
+            this._dirty.delete(entityId);
+            return null;
+        }
+
+        const matrix = cached ?? new THREE.Matrix4();
+        this._composeLocal(transform, matrix);
+        if (transform.parent !== null && transform.parent !== undefined) {
+            if (depth >= MAX_HIERARCHY_DEPTH) {
+                logger.error(`[TransformSystem] Hierarchy deeper than ${MAX_HIERARCHY_DEPTH} levels at entity ${entityId} (cycle?). Ignoring parent.`);
+            } else {
+                const parentMatrix = this._computeWorldMatrix(transform.parent, depth + 1);
+                if (parentMatrix) matrix.premultiply(parentMatrix);
+            }
+        }
+        this._world.set(entityId, matrix);
+        this._dirty.delete(entityId);
+        return matrix;
+    }
+
+    /** @private Writes the local TRS of a TransformComponent into `target`. */
+    _composeLocal(transform, target) {
+        const p = transform.position ?? [0, 0, 0];
+        const r = transform.rotation ?? [0, 0, 0];
+        const s = transform.scale ?? [1, 1, 1];
+        this._tempEuler.set(THREE.MathUtils.degToRad(r[0]), THREE.MathUtils.degToRad(r[1]), THREE.MathUtils.degToRad(r[2]), 'XYZ');
+        this._tempQuaternion.setFromEuler(this._tempEuler);
+        return target.compose(this._tempPosition.set(p[0], p[1], p[2]), this._tempQuaternion, this._tempScale.set(s[0], s[1], s[2]));
+    }
+
+    /** @private Decomposes a matrix into a TRS object (rotation in degrees). */
+    _decompose(matrix) {
+        matrix.decompose(this._tempPosition, this._tempQuaternion, this._tempScale);
+        this._tempEuler.setFromQuaternion(this._tempQuaternion, 'XYZ');
+        return {
+            position: this._tempPosition.toArray(),
+            rotation: [THREE.MathUtils.radToDeg(this._tempEuler.x), THREE.MathUtils.radToDeg(this._tempEuler.y), THREE.MathUtils.radToDeg(this._tempEuler.z)],
+            scale: this._tempScale.toArray()
+        };
+    }
+
+    /**
+     * Returns the world position, rotation and scale of an entity.
+     * @param {number} entityId - The entity ID.
+     * @returns {TRS|null} The world transform, or `null` if the entity has no TransformComponent.
+     */
+    getWorldTransform(entityId) {
+        const matrix = this.getWorldMatrix(entityId);
+        return matrix ? this._decompose(matrix) : null;
+    }
+
+    /**
+     * @param {number} entityId - The entity ID.
+     * @returns {number[]|null} World position [x, y, z].
+     */
+    getWorldPosition(entityId) {
+        return this.getWorldTransform(entityId)?.position ?? null;
+    }
+
+    /**
+     * @param {number} entityId - The entity ID.
+     * @returns {number[]|null} World rotation [x, y, z] in degrees (XYZ order).
+     */
+    getWorldRotation(entityId) {
+        return this.getWorldTransform(entityId)?.rotation ?? null;
+    }
+
+    /**
+     * @param {number} entityId - The entity ID.
+     * @returns {number[]|null} World scale [x, y, z].
+     */
+    getWorldScale(entityId) {
+        return this.getWorldTransform(entityId)?.scale ?? null;
+    }
+
+    /**
+     * Converts a point from an entity's local space to world space.
+     * @param {number} entityId - The entity whose space `point` is in.
+     * @param {number[]} point - [x, y, z] in local space.
+     * @returns {number[]|null} [x, y, z] in world space.
+     */
+    localToWorld(entityId, point) {
+        const matrix = this.getWorldMatrix(entityId);
+        if (!matrix) return null;
+        return this._tempPosition.fromArray(point).applyMatrix4(matrix).toArray();
+    }
+
+    /**
+     * Converts a point from world space to an entity's local space.
+     * @param {number} entityId - The entity whose space to convert into.
+     * @param {number[]} point - [x, y, z] in world space.
+     * @returns {number[]|null} [x, y, z] in local space.
+     */
+    worldToLocal(entityId, point) {
+        const matrix = this.getWorldMatrix(entityId);
+        if (!matrix) return null;
+        this._tempMatrix.copy(matrix).invert();
+        return this._tempPosition.fromArray(point).applyMatrix4(this._tempMatrix).toArray();
+    }
+
+    /**
+     * Converts a world transform into the local values a TransformComponent needs
+     * to end up at that world transform under `parentId`.
+     * @param {number|null} parentId - The parent entity (`null` for a root entity).
+     * @param {TRS} worldTransform - The desired world transform.
+     * @returns {TRS} The local transform.
+     */
+    worldToLocalTransform(parentId, worldTransform) {
+        const world = this._composeLocal(worldTransform, new THREE.Matrix4());
+        const parentMatrix = parentId === null || parentId === undefined ? null : this.getWorldMatrix(parentId);
+        if (parentMatrix) world.premultiply(this._tempMatrix.copy(parentMatrix).invert());
+        return this._decompose(world);
+    }
+
+    /**
+     * Reparents an entity through `EntityManager.setParent`, optionally adjusting its
+     * local transform so it stays where it is in the world.
+     * @param {number} entityId - The child entity.
+     * @param {number|null} newParentId - The new parent, or `null` to make it a root.
+     * @param {object} [options={}]
+     * @param {boolean} [options.keepWorldTransform=true] - Keep the world transform (otherwise keep the local values).
+     * @param {string} [options.source='setParent'] - Source for the emitted events.
+     * @returns {boolean} `true` if the parent was set.
+     */
+    setParent(entityId, newParentId, { keepWorldTransform = true, source = 'setParent' } = {}) {
+        if (!this.entityManager) return false;
+        const world = keepWorldTransform ? this.getWorldTransform(entityId) : null;
+        if (!this.entityManager.setParent(entityId, newParentId, source)) return false;
+        if (world) {
+            const local = this.worldToLocalTransform(newParentId, world);
+            this.entityManager.addComponent(entityId, 'transform', { ...local, source });
+        }
+        return true;
+    }
+
+    /**
+     * Emits `worldTransformsChanged` ({ ids }) for the entities whose world transform
+     * changed since the previous frame.
+     * @param {object} time - Unused.
+     */
+    update(time) {
+        if (this._changed.size === 0) return;
+        const ids = [];
+        for (const id of this._changed) {
+            if (this.getWorldMatrix(id)) ids.push(id);
+        }
+        this._changed.clear();
+        if (ids.length > 0) this.eventEmitter?.emit('worldTransformsChanged', { ids });
+    }
+
+    cleanup() {
+        logger.log("[TransformSystem] Cleaning up.");
+        if (this.eventEmitter) {
+            this.eventEmitter.off('entityUpdated', this._onEntityUpdated);
+            this.eventEmitter.off('componentAdded', this._onComponentAdded);
+            this.eventEmitter.off('entityRemoved', this._onEntityRemoved);
+            this.eventEmitter.off('entityHierarchyChanged', this._onHierarchyChanged);
+            this.eventEmitter.off('sceneImported', this.invalidateAll);
+            this.eventEmitter.off('sceneCleared', this.invalidateAll);
+        }
+        this._world.clear(); this._dirty.clear(); this._changed.clear();
+        this.entityManager = null; this.eventEmitter = null; this.engine = null;
+    }
+}
@@ -0,0 +1,55 @@
+// src/tests/components/physics-component.test.js
+// Unit tests for the PhysicsComponent schema and the body types the physics system maps it to
+
+import '../../../test/setup.js';
+import { PhysicsComponent } from '../../components/physics/physics-component.js';
+import { RapierPhysicsSystem } from '../../systems/physics/rapier-physics-system.js';
+import { ComponentRegistry } from '../../ecs/component-registry.js';
+import { EntityManager } from '../../ecs/entity-manager.js';
+import { EventEmitter } from '../../utils/event-emitter.js';
+
+const RigidBodyType = { Dynamic: 0, Fixed: 1, KinematicPositionBased: 2, KinematicVelocityBased: 3 };
+
+describe('PhysicsComponent', () => {
+    let entityManager;
+    let physics;
+
+    beforeEach(() => {
+        const registry = new ComponentRegistry();
+        registry.register('physics', PhysicsComponent);
+        entityManager = new EntityManager(registry, new EventEmitter());
+        const engine = { entityManager, eventEmitter: entityManager.eventEmitter, getSystem: () => null };
+        physics = new RapierPhysicsSystem(engine, { EventQueue: class {}, RigidBodyType }, { step() {} });
+    });
+
+    const expected = {
+        static: RigidBodyType.Fixed,
+        fixed: RigidBodyType.Fixed,
+        dynamic: RigidBodyType.Dynamic,
+        kinematic: RigidBodyType.KinematicPositionBased,
+        kinematicPosition: RigidBodyType.KinematicPositionBased,
+        kinematicPositionBased: RigidBodyType.KinematicPositionBased,
+        kinematicVelocity: RigidBodyType.KinematicVelocityBased,
+        kinematicVelocityBased: RigidBodyType.KinematicVelocityBased
+    };
+
+    it('should offer exactly the body types the physics system maps', () => {
+        expect(PhysicsComponent.schema.bodyType.options).to.have.members(Object.keys(expected));
+    });
+
+    for (const [bodyType, rapierType] of Object.entries(expected)) {
+        it(`should accept bodyType '${bodyType}'`, () => {
+            const id = entityManager.createEntity();
+            const component = entityManager.addComponent(id, 'physics', { bodyType });
+            expect(component?.bodyType).to.equal(bodyType);
+            expect(physics._getRapierBodyType(bodyType)).to.equal(rapierType);
+        });
+    }
+
+    it('should reject unknown body types', () => {
+        const id = entityManager.createEntity();
+        entityManager.addComponent(id, 'physics', { bodyType: 'dynamic' });
+        entityManager.addComponent(id, 'physics', { bodyType: 'floating' });
+        expect(entityManager.getComponent(id, 'physics').bodyType).to.equal('dynamic');
+    });
+});
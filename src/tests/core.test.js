@@ -0,0 +1,77 @@
+// src/tests/core.test.js
+// Unit tests for the Engine's play-mode snapshot
+
+import '../../test/setup.js';
+import { createHeadlessEngine } from '../core.js';
+
+describe('Engine play mode', () => {
+    let engine;
+
+    const create = (position) => {
+        const id = engine.entityManager.createEntity();
+        engine.entityManager.addComponent(id, 'transform', { position });
+        return id;
+    };
+    const position = (id) => engine.getComponent(id, 'transform').position;
+
+    beforeEach(() => {
+        engine = createHeadlessEngine();
+        engine.initialize();
+    });
+
+    afterEach(() => {
+        engine.destroy();
+    });
+
+    it('should restore the world on Stop except for entities marked to keep', () => {
+        const moved = create([0, 0, 0]);
+        const kept = create([0, 0, 0]);
+        const removed = create([0, 0, 0]);
+        const handle = engine.entityManager.getHandle(moved);
+        engine.selectEntity(moved);
+
+        engine.enterGameMode();
+        expect(engine.keepPlayModeChanges(kept)).to.be.true;
+        engine.entityManager.addComponent(moved, 'transform', { position: [1, 0, 0] });
+        engine.entityManager.addComponent(kept, 'transform', { position: [2, 0, 0] });
+        engine.entityManager.removeEntity(removed);
+        const spawned = create([3, 0, 0]);
+        const keptSpawn = create([4, 0, 0]);
+        engine.keepPlayModeChanges(keptSpawn);
+        engine.enterEditorMode();
+
+        expect(position(moved)).to.deep.equal([0, 0, 0]);
+        expect(position(kept)).to.deep.equal([2, 0, 0]);
+        expect(engine.hasEntity(removed)).to.be.true;
+        expect(engine.hasEntity(spawned)).to.be.false;
+        expect(position(keptSpawn)).to.deep.equal([4, 0, 0]);
+        expect(engine.getSelectedEntity()).to.equal(moved);
+        // Entities are re-created: raw IDs still work, handles taken before Play are stale
+        expect(engine.isAlive(handle)).to.be.false;
+        expect(engine.isKeepingPlayModeChanges(kept)).to.be.false;
+    });
+
+    it('should keep hierarchies spawned during play with their parent links', () => {
+        engine.enterGameMode();
+        const a = create([0, 0, 0]);
+        const b = create([0, 1, 0]);
+        const c = create([0, 2, 0]);
+        engine.entityManager.setParent(b, a);
+        engine.entityManager.setParent(c, b);
+        [c, b, a].forEach(id => engine.keepPlayModeChanges(id));
+        engine.enterEditorMode();
+
+        expect(engine.getComponent(b, 'transform').parent).to.equal(a);
+        expect(engine.getComponent(c, 'transform').parent).to.equal(b);
+    });
+
+    it('should only mark entities to keep in game mode', () => {
+        const id = create([0, 0, 0]);
+        expect(engine.keepPlayModeChanges(id)).to.be.false;
+        engine.enterGameMode();
+        expect(engine.keepPlayModeChanges(id + 100)).to.be.false;
+        expect(engine.keepPlayModeChanges(id)).to.be.true;
+        expect(engine.keepPlayModeChanges(id, false)).to.be.true;
+        expect(engine.isKeepingPlayModeChanges(id)).to.be.false;
+    });
+});
@@ -0,0 +1,113 @@
+// src/tests/ecs/command-buffer.test.js
+// Unit tests for deferred structural changes (Browser/Mocha/Chai)
+
+import '../../../test/setup.js';
+import { CommandBuffer } from '../../ecs/command-buffer.js';
+import { SystemManager } from '../../ecs/system-manager.js';
+import { EntityManager } from '../../ecs/entity-manager.js';
+import { ComponentRegistry } from '../../ecs/component-registry.js';
+import { EventEmitter } from '../../utils/event-emitter.js';
+import { Component } from '../../ecs/component.js';
+
+// --- Mock Components ---
+class HealthComponent extends Component {
+    static schema = { value: { type: 'number', default: 10 } };
+}
+
+// --- Mock Engine (Partial) ---
+const createMockEngine = (entityManager) => {
+    const engine = {
+        entityManager,
+        createEntity: (typeHint, options = {}) => {
+            const id = entityManager.createEntity();
+            for (const type in options) entityManager.addComponent(id, type, options[type]);
+            return id;
+        },
+        removeEntity: (id) => entityManager.removeEntity(id),
+        addComponent: (id, type, data) => entityManager.addComponent(id, type, data),
+        removeComponent: (id, type) => entityManager.removeComponent(id, type),
+        isAlive: (ref) => entityManager.isAlive(ref),
+    };
+    engine.deferred = new CommandBuffer(engine);
+    return engine;
+};
+
+// --- Test Suite ---
+describe('CommandBuffer (Browser)', () => {
+    /** @type {EntityManager} */
+    let entityManager;
+    /** @type {EventEmitter} */
+    let eventEmitter;
+    let engine;
+
+    beforeEach(() => {
+        eventEmitter = new EventEmitter();
+        const registry = new ComponentRegistry();
+        registry.register('health', HealthComponent);
+        entityManager = new EntityManager(registry, eventEmitter);
+        engine = createMockEngine(entityManager);
+    });
+
+    it('should queue changes and emit events only on flush', () => {
+        const id = entityManager.createEntity();
+        const events = [];
+        eventEmitter.on('componentAdded', () => events.push('added'));
+        eventEmitter.on('entityRemoved', () => events.push('removed'));
+
+        engine.deferred.addComponent(id, 'health', { value: 5 });
+        engine.deferred.removeEntity(id);
+        expect(engine.deferred.size).to.equal(2);
+        expect(entityManager.hasComponent(id, 'health')).to.be.false;
+        expect(events).to.deep.equal([]);
+
+        expect(engine.deferred.flush()).to.equal(2);
+        expect(events).to.deep.equal(['added', 'removed']);
+        expect(entityManager.hasEntity(id)).to.be.false;
+    });
+
+    it('should make removal during query iteration safe and skip dead targets', () => {
+        const query = entityManager.createQuery({ all: ['health'] });
+        for (let i = 0; i < 3; i++) entityManager.addComponent(entityManager.createEntity(), 'health');
+        let visited = 0;
+        for (const id of query) { visited++; engine.deferred.removeEntity(id); engine.deferred.removeEntity(id); }
+        expect(visited).to.equal(3);
+        expect(engine.deferred.flush()).to.equal(3);
+        expect(query.size).to.equal(0);
+    });
+
+    it('should resolve placeholders from deferred createEntity', () => {
+        const placeholder = engine.deferred.createEntity('Entity', { health: { value: 1 } });
+        engine.deferred.addComponent(placeholder, 'health', { value: 2 });
+        expect(placeholder.id).to.be.null;
+        engine.deferred.flush();
+        expect(entityManager.getComponent(placeholder.id, 'health').value).to.equal(2);
+    });
+
+    it('should apply commands queued by listeners in the same flush', () => {
+        const id = entityManager.createEntity();
+        eventEmitter.on('componentAdded', ({ entityId }) => engine.deferred.removeEntity(entityId));
+        engine.deferred.addComponent(id, 'health');
+        engine.deferred.flush();
+        expect(entityManager.hasEntity(id)).to.be.false;
+        expect(engine.deferred.size).to.equal(0);
+    });
+
+    it('should drop the rest of a running flush on clear()', () => {
+        const ids = [entityManager.createEntity(), entityManager.createEntity(), entityManager.createEntity()];
+        eventEmitter.on('entityRemoved', () => engine.deferred.clear());
+        ids.forEach(id => engine.deferred.removeEntity(id));
+        expect(engine.deferred.flush()).to.equal(1);
+        expect(ids.map(id => entityManager.hasEntity(id))).to.deep.equal([false, true, true]);
+        expect(engine.deferred.size).to.equal(0);
+    });
+
+    it('should flush between systems in SystemManager.update', async () => {
+        const id = entityManager.createEntity();
+        const systemManager = new SystemManager(entityManager, eventEmitter, engine);
+        let seenBySecond = null;
+        await systemManager.register('first', { priority: 1, update: () => engine.deferred.removeEntity(id) });
+        await systemManager.register('second', { priority: 2, update: () => { seenBySecond = entityManager.hasEntity(id); } });
+        systemManager.update({ deltaTime: 0.016, elapsed: 0 });
+        expect(seenBySecond).to.be.false;
+    });
+});
@@ -5,6 +5,8 @@
 import '../../../test/setup.js';
 import { ComponentRegistry } from '../../ecs/component-registry.js';
 import { Component } from '../../ecs/component.js';
+import { EntityManager } from '../../ecs/entity-manager.js';
+import { EventEmitter } from '../../utils/event-emitter.js';
 
 // Use globally exposed 'describe', 'it', 'expect', 'beforeEach' from Mocha/Chai
 // loaded in test-runner.html
@@ -19,6 +21,16 @@ class AnotherMockComponent extends Component {
     serialize() { return { name: this.name }; }
 }
 function NotAClass() {}
+class SchemaMockComponent extends Component {
+    static schema = {
+        speed: { type: 'vec3', default: [0, 90, 0] },
+        kind: { type: 'enum', options: ['a', 'b'], default: 'a' },
+        tint: { type: 'color', default: 0xffffff },
+        ratio: { type: 'number', min: 0, max: 1, default: 0.5 },
+        target: { type: 'entity', default: null },
+        runtime: { type: 'object', transient: true, default: null }
+    };
+}
 
 // --- Test Suite ---
 describe('ComponentRegistry (Browser)', () => {
@@ -103,4 +115,42 @@ describe('ComponentRegistry (Browser)', () => {
          expect(registry.get('notAClass')).to.equal(NotAClass);
      });
 
-});
\ No newline at end of file
+    describe('Schemas', () => {
+        beforeEach(() => {
+            registry.register('schemaMock', SchemaMockComponent);
+        });
+
+        it('should expose the normalized schema and defaults', () => {
+            expect(registry.getSchema('schemaMock').speed.type).to.equal('vec3');
+            expect(registry.getSchema('mock')).to.be.null;
+            expect(registry.createDefaults('schemaMock')).to.deep.equal({ speed: [0, 90, 0], kind: 'a', tint: 0xffffff, ratio: 0.5, target: null, runtime: null });
+        });
+
+        it('should construct and serialize from the schema', () => {
+            const component = new SchemaMockComponent({ speed: [1, 2, 3], tint: '#ff0000', runtime: { foo: 1 } });
+            expect(component.speed).to.deep.equal([1, 2, 3]);
+            expect(component.tint).to.equal(0xff0000);
+            expect(component.kind).to.equal('a');
+            expect(component.serialize()).to.deep.equal({ speed: [1, 2, 3], kind: 'a', tint: 0xff0000, ratio: 0.5, target: null });
+        });
+
+        it('should validate data, dropping invalid fields and clamping ranges', () => {
+            const result = registry.validate('schemaMock', { speed: [1, 'x', 3], kind: 'c', ratio: 2, target: 4, extra: true });
+            expect(result.valid).to.be.false;
+            expect(result.errors).to.have.lengthOf(2);
+            expect(result.warnings).to.have.lengthOf(1);
+            expect(result.data).to.deep.equal({ ratio: 1, target: 4, extra: true });
+            expect(registry.validate('mock', { value: 'anything' }).valid).to.be.true;
+        });
+
+        it('should reject invalid data in EntityManager.addComponent', () => {
+            const entityManager = new EntityManager(registry, new EventEmitter());
+            const id = entityManager.createEntity();
+            const component = entityManager.addComponent(id, 'schemaMock', { speed: [0, 0] });
+            expect(component.speed).to.deep.equal([0, 90, 0]);
+            entityManager.addComponent(id, 'schemaMock', { speed: [5, 5, 5], kind: 42 });
+            expect(component.speed).to.deep.equal([5, 5, 5]);
+            expect(component.kind).to.equal('a');
+        });
+    });
+});
@@ -0,0 +1,166 @@
+// src/tests/ecs/entity-active.test.js
+// Unit tests for entity active state, hierarchy propagation and component enabled flags
+
+import '../../../test/setup.js';
+import { ComponentRegistry } from '../../ecs/component-registry.js';
+import { EntityManager } from '../../ecs/entity-manager.js';
+import { EventEmitter } from '../../utils/event-emitter.js';
+import { Component } from '../../ecs/component.js';
+import { TransformComponent } from '../../components/transform-component.js';
+
+/** Records its onEnable/onDisable calls. */
+class HookComponent extends Component {
+    static schema = { speed: { type: 'number', default: 1 } };
+    constructor(data) { super(data); this.calls = []; }
+    onEnable() { this.calls.push('enable'); }
+    onDisable() { this.calls.push('disable'); }
+}
+
+describe('Entity Active State', () => {
+    /** @type {EventEmitter} */
+    let emitter;
+    /** @type {EntityManager} */
+    let entityManager;
+    let parent;
+    let child;
+    let grandchild;
+
+    const createInHierarchy = (parentId) => {
+        const id = entityManager.createEntity();
+        entityManager.addComponent(id, 'transform', {});
+        entityManager.addComponent(id, 'hook', {});
+        if (parentId !== null) entityManager.setParent(id, parentId);
+        return id;
+    };
+
+    beforeEach(() => {
+        const registry = new ComponentRegistry();
+        registry.register('transform', TransformComponent);
+        registry.register('hook', HookComponent);
+        emitter = new EventEmitter();
+        entityManager = new EntityManager(registry, emitter);
+        parent = createInHierarchy(null);
+        child = createInHierarchy(parent);
+        grandchild = createInHierarchy(child);
+    });
+
+    it('should be active by default', () => {
+        expect(entityManager.isActive(grandchild)).to.be.true;
+        expect(entityManager.isActiveSelf(grandchild)).to.be.true;
+        expect(entityManager.getComponent(grandchild, 'hook').enabled).to.be.true;
+        expect(entityManager.isComponentActive(grandchild, 'hook')).to.be.true;
+    });
+
+    it('should deactivate descendants and keep their own flag', () => {
+        const changes = [];
+        emitter.on('entityActiveChanged', event => changes.push(event));
+
+        expect(entityManager.setActive(child, false)).to.be.true;
+        expect(entityManager.isActive(parent)).to.be.true;
+        expect(entityManager.isActive(child)).to.be.false;
+        expect(entityManager.isActive(grandchild)).to.be.false;
+        expect(entityManager.isActiveSelf(grandchild)).to.be.true;
+        expect(changes).to.deep.equal([{ id: child, active: false }, { id: grandchild, active: false }]);
+
+        entityManager.setActive(child, true);
+        expect(entityManager.isActive(grandchild)).to.be.true;
+    });
+
+    it('should keep a deactivated descendant inactive when its ancestor is reactivated', () => {
+        entityManager.setActive(grandchild, false);
+        entityManager.setActive(parent, false);
+        entityManager.setActive(parent, true);
+        expect(entityManager.isActive(child)).to.be.true;
+        expect(entityManager.isActive(grandchild)).to.be.false;
+    });
+
+    it('should follow reparenting', () => {
+        const other = createInHierarchy(null);
+        entityManager.setActive(other, false);
+
+        entityManager.setParent(child, other);
+        expect(entityManager.isActive(child)).to.be.false;
+        expect(entityManager.isActive(grandchild)).to.be.false;
+
+        entityManager.setParent(child, parent);
+        expect(entityManager.isActive(grandchild)).to.be.true;
+    });
+
+    it('should call onEnable/onDisable on effective state changes only', () => {
+        const hook = entityManager.getComponent(grandchild, 'hook');
+        entityManager.setActive(child, false);
+        entityManager.setActive(grandchild, false); // Already inactive through the parent
+        entityManager.setComponentEnabled(grandchild, 'hook', false); // Entity inactive: no hook
+        entityManager.setActive(child, true);
+        entityManager.setActive(grandchild, true); // Component disabled: no hook
+        entityManager.setComponentEnabled(grandchild, 'hook', true);
+        expect(hook.calls).to.deep.equal(['disable', 'enable']);
+    });
+
+    it('should skip inactive entities and disabled components in queries', () => {
+        const query = entityManager.createQuery({ all: ['hook'] });
+        const all = entityManager.createQuery({ all: ['hook'], includeInactive: true });
+        const withoutHook = entityManager.createQuery({ all: ['transform'], none: ['hook'] });
+        const exits = [];
+        query.onExit(id => exits.push(id));
+
+        entityManager.setActive(child, false);
+        expect(query.toArray()).to.deep.equal([parent]);
+        expect(exits).to.deep.equal([child, grandchild]);
+        expect(all.size).to.equal(3);
+
+        entityManager.setComponentEnabled(parent, 'hook', false);
+        expect(query.size).to.equal(0);
+        expect(withoutHook.toArray()).to.deep.equal([parent]);
+
+        entityManager.setActive(child, true);
+        entityManager.setComponentEnabled(parent, 'hook', true);
+        expect(query.size).to.equal(3);
+    });
+
+    it('should not match components added to inactive entities', () => {
+        const query = entityManager.createQuery({ all: ['hook'] });
+        const id = entityManager.createEntity();
+        entityManager.setActive(id, false);
+        entityManager.addComponent(id, 'hook', {});
+        expect(query.has(id)).to.be.false;
+    });
+
+    it('should save and restore active flags with the entity state', () => {
+        entityManager.setActive(child, false);
+        entityManager.setComponentEnabled(parent, 'hook', false);
+
+        const parentState = entityManager.getEntityState(parent);
+        expect(parentState).to.not.have.property('active');
+        expect(parentState.disabledComponents).to.deep.equal(['hook']);
+        expect(entityManager.getEntityState(child).active).to.be.false;
+        expect(entityManager.getEntityState(grandchild)).to.not.have.property('active');
+
+        expect(entityManager.restoreSnapshot(entityManager.createSnapshot())).to.be.true;
+        expect(entityManager.isActiveSelf(child)).to.be.false;
+        expect(entityManager.isActive(grandchild)).to.be.false;
+        expect(entityManager.getComponent(parent, 'hook').enabled).to.be.false;
+
+        const { idMap } = entityManager.importEntities(entityManager.serialize());
+        expect(entityManager.isActive(idMap.get(grandchild))).to.be.false;
+    });
+
+    it('should reset an entity to the state passed to restoreEntityState', () => {
+        const state = entityManager.getEntityState(child);
+        entityManager.setActive(child, false);
+        entityManager.setComponentEnabled(child, 'hook', false);
+
+        entityManager.restoreEntityState(state);
+        expect(entityManager.isActive(grandchild)).to.be.true;
+        expect(entityManager.getComponent(child, 'hook').enabled).to.be.true;
+    });
+
+    it('should forget removed entities', () => {
+        entityManager.setActive(child, false);
+        entityManager.removeEntity(child);
+        const id = entityManager.createEntity();
+        expect(entityManager.isActive(id)).to.be.true;
+        expect(entityManager.isActive(child)).to.be.false;
+        expect(entityManager.setActive(child, true)).to.be.false;
+    });
+});
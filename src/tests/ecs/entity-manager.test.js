@@ -236,6 +236,69 @@ describe('EntityManager (Browser)', () => {
         expect(sceneImportedCalled).to.be.true;
     });
 
+    it('should restore a world snapshot with the original IDs', () => {
+        const id1 = entityManager.createEntity();
+        entityManager.addComponent(id1, 'position', { x: 1, y: 2 });
+        const id2 = entityManager.createEntity();
+        entityManager.addComponent(id2, 'velocity', { vx: 3 });
+        const snapshot = entityManager.createSnapshot();
+
+        entityManager.getComponent(id1, 'position').x = 99;
+        entityManager.removeEntity(id2);
+        entityManager.createEntity();
+
+        const success = entityManager.restoreSnapshot(snapshot);
+        expect(success).to.be.true;
+        expect(entityManager.entities.size).to.equal(2);
+        expect(entityManager.getComponent(id1, 'position').x).to.equal(1);
+        expect(entityManager.getComponent(id2, 'velocity').vx).to.equal(3);
+        expect(snapshot.entities).to.have.lengthOf(2); // Snapshot can be restored again
+    });
+
+    it('should restore a single entity state in place', () => {
+        const id = entityManager.createEntity();
+        entityManager.addComponent(id, 'position', { x: 5 });
+        entityManager.addComponent(id, 'velocity', { vx: 1 });
+        const state = { id, components: { position: { x: 7, y: 8 } } };
+
+        expect(entityManager.restoreEntityState(state)).to.be.true;
+        expect(entityManager.getComponent(id, 'position').x).to.equal(7);
+        expect(entityManager.hasComponent(id, 'velocity')).to.be.false;
+
+        entityManager.removeEntity(id);
+        expect(entityManager.restoreEntityState(state)).to.be.true;
+        expect(entityManager.hasEntity(id)).to.be.true;
+        expect(entityManager.getComponent(id, 'position').y).to.equal(8);
+    });
+
+    it('should invalidate entity handles when an ID is recreated', () => {
+        const id = entityManager.createEntity();
+        entityManager.addComponent(id, 'position', { x: 1 });
+        const handle = entityManager.getHandle(id);
+        expect(entityManager.isAlive(handle)).to.be.true;
+        expect(entityManager.getComponent(handle, 'position').x).to.equal(1);
+
+        const state = entityManager.getEntityState(id);
+        entityManager.removeEntity(id);
+        expect(entityManager.isAlive(handle)).to.be.false;
+        entityManager.restoreEntityState(state); // Same numeric ID, new generation
+
+        expect(entityManager.hasEntity(id)).to.be.true;
+        expect(entityManager.isAlive(handle)).to.be.false;
+        expect(entityManager.getComponent(handle, 'position')).to.be.null;
+        expect(entityManager.addComponent(handle, 'velocity')).to.be.null;
+        expect(entityManager.isAlive(entityManager.getHandle(id))).to.be.true;
+    });
+
+    it('should invalidate entity handles across deserialize', () => {
+        const id = entityManager.createEntity();
+        const handle = entityManager.getHandle(id);
+        entityManager.deserialize(entityManager.serialize());
+        expect(entityManager.hasEntity(id)).to.be.true;
+        expect(entityManager.isAlive(handle)).to.be.false;
+        expect(entityManager.isAlive(id)).to.be.true;
+    });
+
      it('should clear all entities', () => {
         entityManager.createEntity();
         entityManager.createEntity();
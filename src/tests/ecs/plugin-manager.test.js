@@ -0,0 +1,139 @@
+// src/tests/ecs/plugin-manager.test.js
+// Unit tests for engine plugins (engine.use / PluginManager)
+
+import '../../../test/setup.js';
+import { createHeadlessEngine } from '../../core.js';
+import { Component } from '../../ecs/component.js';
+
+class HealthComponent extends Component {
+    static schema = { value: { type: 'number', default: 100 } };
+}
+
+class RegenSystem {
+    constructor() {
+        this.phase = 'logic';
+        this.runIn = ['PLAYING'];
+        this.updates = 0;
+        this.cleanedUp = false;
+    }
+    initialize(entityManager, eventEmitter, engine) { this.config = engine.getPluginConfig('health'); }
+    update() { this.updates++; }
+    cleanup() { this.cleanedUp = true; }
+}
+
+const createHealthPlugin = () => ({
+    name: 'health',
+    version: '1.0.0',
+    components: { health: HealthComponent },
+    systems: [{ name: 'regen', create: () => new RegenSystem(), runIn: '*' }],
+    config: { regen: { rate: 1, max: 100 } },
+    scenes: { arena: 'arena.json' }
+});
+
+describe('PluginManager', () => {
+    let engine;
+    let healthPlugin;
+
+    beforeEach(() => {
+        engine = createHeadlessEngine();
+        engine.initialize();
+        healthPlugin = createHealthPlugin();
+    });
+
+    afterEach(() => {
+        engine.destroy();
+    });
+
+    it('should register the components and systems of a plugin', async () => {
+        const installed = [];
+        engine.on('pluginInstalled', ({ name }) => installed.push(name));
+
+        expect(await engine.use(healthPlugin)).to.be.true;
+        expect(engine.getPluginManager().has('health')).to.be.true;
+        expect(engine.getComponentRegistry().has('health')).to.be.true;
+        expect(installed).to.deep.equal(['health']);
+
+        const regen = engine.getSystem('regen');
+        expect(regen.runIn).to.equal('*'); // Activation rule from the plugin
+        engine.step();
+        expect(regen.updates).to.equal(1); // Runs in the editor too
+    });
+
+    it('should merge config overrides and restore them on uninstall', async () => {
+        await engine.use(healthPlugin, { config: { regen: { rate: 5 } } });
+        expect(engine.getPluginConfig('health')).to.deep.equal({ regen: { rate: 5, max: 100 } });
+        expect(engine.getSystem('regen').config.regen.rate).to.equal(5);
+
+        engine.uninstallPlugin('health');
+        expect(healthPlugin.config).to.deep.equal({ regen: { rate: 1, max: 100 } });
+        expect(engine.getPluginConfig('health')).to.be.null;
+    });
+
+    it('should remove everything the plugin added on uninstall', async () => {
+        await engine.use(healthPlugin);
+        const regen = engine.getSystem('regen');
+        const id = engine.createEntity('Entity', { health: { value: 50 } });
+        const uninstalled = [];
+        engine.on('pluginUninstalled', ({ name }) => uninstalled.push(name));
+
+        expect(engine.uninstallPlugin('health')).to.be.true;
+        expect(regen.cleanedUp).to.be.true;
+        expect(engine.getSystem('regen')).to.be.undefined;
+        expect(engine.getComponentRegistry().has('health')).to.be.false;
+        expect(engine.hasEntity(id)).to.be.true;
+        expect(engine.entityManager.hasComponent(id, 'health')).to.be.false;
+        expect(uninstalled).to.deep.equal(['health']);
+        expect(engine.uninstallPlugin('health')).to.be.false;
+    });
+
+    it('should check dependencies on plugins and systems', async () => {
+        const boss = { name: 'boss', dependencies: ['health'], requiredSystems: ['regen'] };
+        expect(await engine.use(boss)).to.be.false;
+
+        await engine.use(healthPlugin);
+        expect(await engine.use({ name: 'physicsGame', requiredSystems: ['physics'] })).to.be.false;
+        expect(await engine.use(boss)).to.be.true;
+
+        expect(engine.uninstallPlugin('health')).to.be.false; // 'boss' depends on it
+        expect(engine.getPluginManager().getDependents('health')).to.deep.equal(['boss']);
+        engine.getPluginManager().uninstallAll();
+        expect(engine.getPluginManager().getPlugins()).to.deep.equal([]);
+    });
+
+    it('should refuse conflicts and roll back a failed install', async () => {
+        expect(await engine.use(healthPlugin)).to.be.true;
+        expect(await engine.use(healthPlugin)).to.be.false;
+        expect(await engine.use({ name: 'other', components: { transform: HealthComponent } })).to.be.false;
+        expect(engine.getComponentRegistry().get('transform')).to.not.equal(HealthComponent);
+
+        const broken = {
+            name: 'broken',
+            components: { armor: HealthComponent },
+            systems: [{ name: 'faulty', create: () => ({ initialize() { throw new Error('Missing asset'); }, update() {} }) }]
+        };
+        expect(await engine.use(broken)).to.be.false;
+        expect(engine.getPluginManager().has('broken')).to.be.false;
+        expect(engine.getComponentRegistry().has('armor')).to.be.false;
+        expect(await engine.use({ name: '' })).to.be.false;
+    });
+
+    it('should load the scene files of a plugin', async () => {
+        await engine.use(healthPlugin);
+        const originalFetch = globalThis.fetch;
+        const requested = [];
+        globalThis.fetch = async (url) => {
+            requested.push(url);
+            return { ok: true, status: 200, text: async () => JSON.stringify({ entities: [{ id: 1, components: { health: { value: 10 } } }] }) };
+        };
+        try {
+            const scene = await engine.loadPluginScene('health', 'arena', { persistent: true });
+            expect(requested).to.deep.equal(['arena.json']);
+            expect(scene.name).to.equal('arena');
+            const [id] = engine.getSceneManager().getSceneEntities(scene);
+            expect(engine.getComponent(id, 'health').value).to.equal(10);
+            expect(await engine.loadPluginScene('health', 'missing')).to.be.null;
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+    });
+});
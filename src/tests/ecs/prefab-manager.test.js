@@ -0,0 +1,377 @@
+// src/tests/ecs/prefab-manager.test.js
+// Unit tests for saving and instantiating prefabs with hierarchies, nested prefabs, linked instances and variants
+
+import '../../../test/setup.js';
+import { ComponentRegistry } from '../../ecs/component-registry.js';
+import { EntityManager } from '../../ecs/entity-manager.js';
+import { PrefabManager } from '../../ecs/prefab-manager.js';
+import { EventEmitter } from '../../utils/event-emitter.js';
+import { Component } from '../../ecs/component.js';
+import { TransformComponent } from '../../components/transform-component.js';
+import { PrefabInstanceComponent } from '../../components/prefab-instance-component.js';
+
+class TargetComponent extends Component {
+    static schema = { target: { type: 'entity', default: null } };
+}
+
+describe('PrefabManager', () => {
+    /** @type {EntityManager} */
+    let entityManager;
+    /** @type {PrefabManager} */
+    let prefabManager;
+
+    const create = (position, parentId = null) => {
+        const id = entityManager.createEntity();
+        entityManager.addComponent(id, 'transform', { position });
+        if (parentId !== null) entityManager.setParent(id, parentId);
+        return id;
+    };
+    const children = (id) => [...entityManager.getComponent(id, 'transform').children];
+
+    before(() => {
+        globalThis.localStorage ??= window.localStorage;
+    });
+
+    beforeEach(() => {
+        localStorage.clear();
+        const registry = new ComponentRegistry();
+        registry.register('transform', TransformComponent);
+        registry.register('target', TargetComponent);
+        registry.register('prefabInstance', PrefabInstanceComponent);
+        entityManager = new EntityManager(registry, new EventEmitter());
+        prefabManager = new PrefabManager(entityManager);
+    });
+
+    it('should save and instantiate the whole hierarchy with remapped links', () => {
+        const outside = create([9, 9, 9]);
+        const paddle = create([1, 0, 0]);
+        const mesh = create([0, 1, 0], paddle);
+        const light = create([0, 2, 0], mesh);
+        entityManager.addComponent(paddle, 'target', { target: light });
+        entityManager.addComponent(mesh, 'target', { target: outside });
+        entityManager.setParent(paddle, outside);
+
+        expect(prefabManager.savePrefab(paddle, 'Paddle')).to.be.true;
+        const root = prefabManager.createEntityFromPrefab('Paddle');
+
+        expect(entityManager.getComponent(root, 'transform').parent).to.be.null;
+        expect(entityManager.getComponent(root, 'prefabInstance').prefab).to.equal('Paddle');
+        const [meshCopy] = children(root);
+        const [lightCopy] = children(meshCopy);
+        expect([meshCopy, lightCopy]).to.not.include.members([mesh, light]);
+        expect(entityManager.getComponent(lightCopy, 'transform').position).to.deep.equal([0, 2, 0]);
+        expect(entityManager.getComponent(root, 'target').target).to.equal(lightCopy);
+        expect(entityManager.getComponent(meshCopy, 'target').target).to.be.null; // Outside the prefab
+    });
+
+    it('should nest instances of other prefabs by reference', () => {
+        const wheel = create([0, 0, 0]);
+        create([0, 0.5, 0], wheel);
+        prefabManager.savePrefab(wheel, 'Wheel');
+
+        const cart = create([0, 0, 0]);
+        const wheelInstance = prefabManager.createEntityFromPrefab('Wheel');
+        entityManager.addComponent(wheelInstance, 'transform', { position: [2, 0, 0] });
+        entityManager.setParent(wheelInstance, cart);
+        entityManager.addComponent(cart, 'target', { target: wheelInstance });
+        prefabManager.savePrefab(cart, 'Cart');
+        expect(prefabManager.getPrefabData('Cart').entities.map(entry => entry.prefab ?? null)).to.deep.equal([null, 'Wheel']);
+
+        // The nested prefab is instantiated from its latest version
+        create([0, 1, 0], wheel);
+        prefabManager.savePrefab(wheel, 'Wheel');
+
+        const cartCopy = prefabManager.createEntityFromPrefab('Cart');
+        const [wheelCopy] = children(cartCopy);
+        expect(entityManager.getComponent(wheelCopy, 'prefabInstance').prefab).to.equal('Wheel');
+        expect(entityManager.getComponent(wheelCopy, 'transform').position).to.deep.equal([2, 0, 0]);
+        expect(children(wheelCopy)).to.have.lengthOf(2);
+        expect(entityManager.getComponent(cartCopy, 'target').target).to.equal(wheelCopy);
+    });
+
+    it('should refuse prefabs that contain themselves', () => {
+        const box = create([0, 0, 0]);
+        prefabManager.savePrefab(box, 'Box');
+        const crate = create([0, 0, 0]);
+        entityManager.setParent(prefabManager.createEntityFromPrefab('Box'), crate);
+        prefabManager.savePrefab(crate, 'Crate');
+
+        const boxRoot = prefabManager.createEntityFromPrefab('Box');
+        entityManager.setParent(prefabManager.createEntityFromPrefab('Crate'), boxRoot);
+        expect(prefabManager.savePrefab(boxRoot, 'Box')).to.be.false;
+        expect(prefabManager.createEntityFromPrefab('Crate')).to.be.a('number');
+    });
+
+    it('should refuse to delete prefabs that other prefabs nest', () => {
+        const wheel = create([0, 0, 0]);
+        prefabManager.savePrefab(wheel, 'Wheel');
+        const cart = create([0, 0, 0]);
+        entityManager.setParent(prefabManager.createEntityFromPrefab('Wheel'), cart);
+        prefabManager.savePrefab(cart, 'Cart');
+
+        expect(prefabManager.deletePrefab('Wheel')).to.be.false;
+        expect(prefabManager.createEntityFromPrefab('Cart')).to.be.a('number');
+        expect(prefabManager.deletePrefab('Cart')).to.be.true;
+        expect(prefabManager.deletePrefab('Wheel')).to.be.true;
+    });
+
+    it('should remove the nested instances it created when instantiation fails', () => {
+        prefabManager.savePrefab(create([0, 0, 0]), 'Front');
+        prefabManager.savePrefab(create([0, 0, 0]), 'Back');
+        const car = create([0, 0, 0]);
+        entityManager.setParent(prefabManager.createEntityFromPrefab('Front'), car);
+        entityManager.setParent(prefabManager.createEntityFromPrefab('Back'), car);
+        prefabManager.savePrefab(car, 'Car');
+        prefabManager.setStoredPrefab('Back', null); // Unlike deletePrefab(), does not check what nests it
+
+        const count = entityManager.entities.size;
+        expect(prefabManager.createEntityFromPrefab('Car')).to.be.null;
+        expect(entityManager.entities.size).to.equal(count);
+    });
+
+    it('should instantiate prefabs saved as a single components object', () => {
+        localStorage.setItem('prefab_Legacy', JSON.stringify({ components: { transform: { position: [3, 0, 0], parent: 7 } } }));
+        const id = prefabManager.createEntityFromPrefab('Legacy');
+        expect(entityManager.getComponent(id, 'transform').position).to.deep.equal([3, 0, 0]);
+        expect(entityManager.getComponent(id, 'transform').parent).to.be.null;
+        expect(prefabManager.createEntityFromPrefab('Missing')).to.be.null;
+    });
+
+    it('should record overrides and keep them when the prefab changes', () => {
+        const brick = create([0, 0, 0]);
+        const glow = create([0, 1, 0], brick);
+        entityManager.addComponent(brick, 'target', { target: glow });
+        prefabManager.savePrefab(brick, 'Brick');
+        const copy = prefabManager.createEntityFromPrefab('Brick');
+        const [glowCopy] = children(copy);
+
+        entityManager.addComponent(glowCopy, 'transform', { position: [0, 3, 0], scale: [1, 1, 1] });
+        expect(prefabManager.getInstanceInfo(glowCopy).overrides).to.deep.equal({ transform: ['position'] });
+        expect(prefabManager.getInstanceInfo(glowCopy).root).to.equal(copy);
+        entityManager.addComponent(copy, 'transform', { position: [5, 0, 0] }); // Roots are placed freely
+        expect(prefabManager.getInstanceInfo(copy).overrides).to.deep.equal({});
+
+        // Editing the source hierarchy and saving it again updates the instance
+        entityManager.addComponent(glow, 'transform', { position: [0, 2, 0], scale: [2, 2, 2] });
+        const spark = create([1, 1, 1], glow);
+        expect(prefabManager.savePrefab(brick, 'Brick')).to.be.true;
+
+        const glowTransform = entityManager.getComponent(glowCopy, 'transform');
+        expect(glowTransform.position).to.deep.equal([0, 3, 0]); // Overridden
+        expect(glowTransform.scale).to.deep.equal([2, 2, 2]);
+        expect(entityManager.getComponent(copy, 'transform').position).to.deep.equal([5, 0, 0]);
+        const [sparkCopy] = children(glowCopy);
+        expect(sparkCopy).to.not.equal(spark);
+        expect(entityManager.getComponent(sparkCopy, 'transform').position).to.deep.equal([1, 1, 1]);
+        expect(entityManager.getComponent(copy, 'target').target).to.equal(glowCopy);
+
+        // Entities removed from the prefab are removed from the instances
+        entityManager.removeEntity(spark);
+        prefabManager.savePrefab(brick, 'Brick');
+        expect(entityManager.hasEntity(sparkCopy)).to.be.false;
+        expect(prefabManager.findInstances('Brick')).to.have.members([brick, copy]);
+    });
+
+    it('should add and remove nested instances when the prefab changes', () => {
+        const wheel = create([0, 0, 0]);
+        prefabManager.savePrefab(wheel, 'Wheel');
+        const cart = create([0, 0, 0]);
+        const front = prefabManager.createEntityFromPrefab('Wheel');
+        entityManager.setParent(front, cart);
+        prefabManager.savePrefab(cart, 'Cart');
+        const copy = prefabManager.createEntityFromPrefab('Cart');
+        const [frontCopy] = children(copy);
+
+        const back = prefabManager.createEntityFromPrefab('Wheel');
+        entityManager.addComponent(back, 'transform', { position: [-2, 0, 0] });
+        entityManager.setParent(back, cart);
+        prefabManager.savePrefab(cart, 'Cart');
+        const wheels = children(copy);
+        expect(wheels).to.have.lengthOf(2);
+        expect(wheels[0]).to.equal(frontCopy);
+        expect(entityManager.getComponent(wheels[1], 'prefabInstance').prefab).to.equal('Wheel');
+        expect(entityManager.getComponent(wheels[1], 'transform').position).to.deep.equal([-2, 0, 0]);
+
+        entityManager.removeEntity(front);
+        prefabManager.savePrefab(cart, 'Cart');
+        expect(entityManager.hasEntity(frontCopy)).to.be.false;
+        expect(children(copy)).to.deep.equal([wheels[1]]);
+        expect(prefabManager.getInstanceInfo(copy).removed).to.deep.equal([]);
+    });
+
+    it('should keep nested instances when the prefab is saved again from an instance', () => {
+        const wheel = create([0, 0, 0]);
+        prefabManager.savePrefab(wheel, 'Wheel');
+        const car = create([0, 0, 0]);
+        entityManager.setParent(prefabManager.createEntityFromPrefab('Wheel'), car);
+        prefabManager.savePrefab(car, 'Car');
+        const entryIds = prefabManager.getPrefabData('Car').entities.map(entry => entry.id);
+
+        const first = prefabManager.createEntityFromPrefab('Car');
+        const second = prefabManager.createEntityFromPrefab('Car');
+        const [secondWheel] = children(second);
+        entityManager.addComponent(secondWheel, 'transform', { position: [5, 5, 5] });
+        expect(prefabManager.savePrefab(first, 'Car')).to.be.true;
+
+        expect(prefabManager.getPrefabData('Car').entities.map(entry => entry.id)).to.deep.equal(entryIds);
+        expect(children(second)).to.deep.equal([secondWheel]);
+        expect(entityManager.getComponent(secondWheel, 'transform').position).to.deep.equal([5, 5, 5]);
+    });
+
+    it('should keep entities deleted from an instance deleted', () => {
+        const lamp = create([0, 0, 0]);
+        const bulb = create([0, 1, 0], lamp);
+        prefabManager.savePrefab(lamp, 'Lamp');
+        const copy = prefabManager.createEntityFromPrefab('Lamp');
+        entityManager.removeEntity(children(copy)[0]);
+        expect(prefabManager.getInstanceInfo(copy).removed).to.deep.equal([bulb]);
+
+        // Saving the prefab again re-creates neither the bulb nor what was added below it
+        const filament = create([0, 0, 1], bulb);
+        prefabManager.savePrefab(lamp, 'Lamp');
+        expect(children(copy)).to.deep.equal([]);
+        expect(prefabManager.getInstanceInfo(copy).removed).to.deep.equal([bulb, filament].sort((a, b) => a - b));
+
+        // Reverting the root brings them back
+        expect(prefabManager.revertOverrides(copy)).to.be.true;
+        const [bulbCopy] = children(copy);
+        expect(entityManager.getComponent(bulbCopy, 'transform').position).to.deep.equal([0, 1, 0]);
+        expect(children(bulbCopy)).to.have.lengthOf(1);
+        expect(prefabManager.getInstanceInfo(copy).removed).to.deep.equal([]);
+    });
+
+    it('should stop recording an override when the prefab value is set again', () => {
+        const lamp = create([0, 0, 0]);
+        create([0, 1, 0], lamp);
+        prefabManager.savePrefab(lamp, 'Lamp');
+        const copy = prefabManager.createEntityFromPrefab('Lamp');
+        const [bulbCopy] = children(copy);
+
+        entityManager.addComponent(bulbCopy, 'transform', { position: [0, 2, 0] });
+        expect(prefabManager.getInstanceInfo(bulbCopy).overrides).to.deep.equal({ transform: ['position'] });
+        entityManager.addComponent(bulbCopy, 'transform', { position: [0, 1, 0] });
+        expect(prefabManager.getInstanceInfo(bulbCopy).overrides).to.deep.equal({});
+
+        // Components the prefab does not have stay overridden
+        entityManager.addComponent(copy, 'target', { target: null });
+        expect(prefabManager.getInstanceInfo(copy).overrides).to.deep.equal({ target: ['target'] });
+        const extra = create([0, 0, 0], copy);
+        expect(entityManager.hasComponent(extra, 'prefabInstance')).to.be.false;
+    });
+
+    it('should not record overrides while the game runs', () => {
+        const paddle = create([0, 0, 0]);
+        create([0, 1, 0], paddle);
+        prefabManager.savePrefab(paddle, 'Paddle');
+        const [meshCopy] = children(prefabManager.createEntityFromPrefab('Paddle'));
+
+        entityManager.eventEmitter.emit('gameModeEntered');
+        entityManager.addComponent(meshCopy, 'transform', { position: [0, 3, 0], source: 'physicsSystem' });
+        expect(prefabManager.getInstanceInfo(meshCopy).overrides).to.deep.equal({});
+        entityManager.eventEmitter.emit('editorModeEntered');
+        entityManager.addComponent(meshCopy, 'transform', { position: [0, 2, 0] });
+        expect(prefabManager.getInstanceInfo(meshCopy).overrides).to.deep.equal({ transform: ['position'] });
+    });
+
+    it('should revert overrides to the prefab values', () => {
+        const crate = create([0, 0, 0]);
+        const lid = create([0, 1, 0], crate);
+        prefabManager.savePrefab(crate, 'Crate');
+        const copy = prefabManager.createEntityFromPrefab('Crate');
+        const [lidCopy] = children(copy);
+        entityManager.addComponent(lidCopy, 'transform', { position: [0, 4, 0] });
+        entityManager.addComponent(lidCopy, 'target', { target: copy });
+
+        expect(prefabManager.revertOverrides(lidCopy, 'transform')).to.be.true;
+        expect(entityManager.getComponent(lidCopy, 'transform').position).to.deep.equal([0, 1, 0]);
+        expect(prefabManager.getInstanceInfo(lidCopy).overrides).to.deep.equal({ target: ['target'] });
+
+        prefabManager.revertOverrides(lidCopy);
+        expect(entityManager.hasComponent(lidCopy, 'target')).to.be.false; // Not part of the prefab
+        expect(prefabManager.getInstanceInfo(lidCopy).overrides).to.deep.equal({});
+        expect(prefabManager.revertOverrides(lid + 100)).to.be.false;
+    });
+
+    it('should apply overrides to the prefab and the other instances', () => {
+        const tree = create([0, 0, 0]);
+        const leaf = create([0, 1, 0], tree);
+        prefabManager.savePrefab(tree, 'Tree');
+        const first = prefabManager.createEntityFromPrefab('Tree');
+        const second = prefabManager.createEntityFromPrefab('Tree');
+        const [leafCopy] = children(first);
+        entityManager.addComponent(leafCopy, 'transform', { position: [0, 6, 0] });
+        entityManager.addComponent(first, 'target', { target: leafCopy });
+
+        expect(prefabManager.applyOverrides(leafCopy)).to.be.true;
+        expect(prefabManager.applyOverrides(first, 'target')).to.be.true;
+
+        const data = prefabManager.getPrefabData('Tree');
+        expect(data.entities.find(entry => entry.id === leaf).components.transform.position).to.deep.equal([0, 6, 0]);
+        expect(data.entities.find(entry => entry.id === tree).components.target.target).to.equal(leaf);
+        for (const root of [tree, second]) {
+            const [leafOfRoot] = children(root);
+            expect(entityManager.getComponent(leafOfRoot, 'transform').position).to.deep.equal([0, 6, 0]);
+            expect(entityManager.getComponent(root, 'target').target).to.equal(leafOfRoot);
+        }
+        expect(prefabManager.getInstanceInfo(leafCopy).overrides).to.deep.equal({});
+        expect(prefabManager.getInstanceInfo(first).overrides).to.deep.equal({});
+    });
+
+    it('should store variants as differences that follow their base', () => {
+        const brick = create([0, 0, 0]);
+        const crack = create([0, 1, 0], brick);
+        prefabManager.savePrefab(brick, 'Brick');
+
+        const tough = prefabManager.createEntityFromPrefab('Brick');
+        const [toughCrack] = children(tough);
+        entityManager.addComponent(toughCrack, 'transform', { scale: [2, 2, 2] });
+        entityManager.addComponent(tough, 'target', { target: toughCrack });
+        expect(prefabManager.createVariant('Brick', 'ToughBrick', tough)).to.be.true;
+
+        const stored = JSON.parse(localStorage.getItem('prefab_ToughBrick'));
+        expect(stored.base).to.equal('Brick');
+        expect(stored.entities).to.be.undefined;
+        expect(stored.overrides[crack]).to.deep.equal({ components: { transform: { scale: [2, 2, 2] } } });
+        expect(stored.overrides[brick].components.target).to.deep.equal({ target: crack });
+        expect(entityManager.getComponent(tough, 'prefabInstance').prefab).to.equal('ToughBrick');
+        expect(prefabManager.getBase('ToughBrick')).to.equal('Brick');
+        expect(prefabManager.getVariants('Brick')).to.deep.equal(['ToughBrick']);
+
+        // Changes to the base reach the variant's instances, except where the variant differs
+        const copy = prefabManager.createEntityFromPrefab('ToughBrick');
+        entityManager.addComponent(crack, 'transform', { position: [0, 3, 0], scale: [5, 5, 5] });
+        prefabManager.savePrefab(brick, 'Brick');
+        for (const root of [tough, copy]) {
+            const [crackOfRoot] = children(root);
+            expect(entityManager.getComponent(crackOfRoot, 'transform').position).to.deep.equal([0, 3, 0]);
+            expect(entityManager.getComponent(crackOfRoot, 'transform').scale).to.deep.equal([2, 2, 2]);
+            expect(entityManager.getComponent(root, 'target').target).to.equal(crackOfRoot);
+        }
+        expect(prefabManager.getPrefabData('ToughBrick').entities).to.have.lengthOf(2);
+    });
+
+    it('should save edited variant instances back as differences', () => {
+        const paddle = create([0, 0, 0]);
+        prefabManager.savePrefab(paddle, 'Paddle');
+        prefabManager.createVariant('Paddle', 'WidePaddle');
+        prefabManager.createVariant('WidePaddle', 'GoldPaddle');
+        expect(prefabManager.getPrefabData('GoldPaddle').entities).to.deep.equal(prefabManager.getPrefabData('Paddle').entities);
+
+        const wide = prefabManager.createEntityFromPrefab('WidePaddle');
+        const stripe = create([0, 0, 1], wide);
+        entityManager.addComponent(wide, 'target', { target: stripe });
+        expect(prefabManager.savePrefab(wide, 'WidePaddle')).to.be.true;
+
+        const stored = JSON.parse(localStorage.getItem('prefab_WidePaddle'));
+        expect(stored.added.map(entry => entry.id)).to.deep.equal([stripe]);
+        const gold = prefabManager.createEntityFromPrefab('GoldPaddle');
+        const [goldStripe] = children(gold);
+        expect(entityManager.getComponent(gold, 'target').target).to.equal(goldStripe);
+        expect(prefabManager.getPrefabData('Paddle').entities).to.have.lengthOf(1); // The base is unchanged
+
+        expect(prefabManager.createVariant('GoldPaddle', 'Paddle')).to.be.false; // Would be its own base
+        expect(prefabManager.createVariant('Missing', 'Other')).to.be.false;
+        expect(prefabManager.deletePrefab('WidePaddle')).to.be.false;
+        expect(prefabManager.deletePrefab('GoldPaddle')).to.be.true;
+    });
+});
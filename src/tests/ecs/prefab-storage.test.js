@@ -0,0 +1,149 @@
+// src/tests/ecs/prefab-storage.test.js
+// Unit tests for prefab storage backends, prefab libraries and library export/import
+
+import '../../../test/setup.js';
+import { ComponentRegistry } from '../../ecs/component-registry.js';
+import { EntityManager } from '../../ecs/entity-manager.js';
+import { PrefabManager } from '../../ecs/prefab-manager.js';
+import { MemoryPrefabStorage, LocalStoragePrefabStorage, AssetPrefabLibrary, parsePrefabLibrary } from '../../ecs/prefab-storage.js';
+import { EventEmitter } from '../../utils/event-emitter.js';
+import { TransformComponent } from '../../components/transform-component.js';
+import { PrefabInstanceComponent } from '../../components/prefab-instance-component.js';
+
+describe('Prefab storage', () => {
+    /** @type {EntityManager} */
+    let entityManager;
+
+    const createManager = (options) => new PrefabManager(entityManager, options);
+    const create = (position, parentId = null) => {
+        const id = entityManager.createEntity();
+        entityManager.addComponent(id, 'transform', { position });
+        if (parentId !== null) entityManager.setParent(id, parentId);
+        return id;
+    };
+    const library = (prefabs) => ({ format: 'prefab-library', formatVersion: 1, prefabs });
+    const ballPrefab = { formatVersion: 1, root: 1, entities: [{ id: 1, components: { transform: { position: [0, 2, 0] } } }] };
+
+    before(() => {
+        globalThis.localStorage ??= window.localStorage;
+    });
+
+    beforeEach(() => {
+        localStorage.clear();
+        const registry = new ComponentRegistry();
+        registry.register('transform', TransformComponent);
+        registry.register('prefabInstance', PrefabInstanceComponent);
+        entityManager = new EntityManager(registry, new EventEmitter());
+    });
+
+    it('should save prefabs to the configured backend', async () => {
+        const storage = new MemoryPrefabStorage();
+        const prefabManager = createManager({ storage });
+        prefabManager.savePrefab(create([1, 0, 0]), 'Box');
+
+        expect(storage.list()).to.deep.equal(['Box']);
+        expect(localStorage.length).to.equal(0);
+        expect(prefabManager.createEntityFromPrefab('Box')).to.be.a('number');
+
+        expect(await prefabManager.setStorage(new LocalStoragePrefabStorage('test_'))).to.be.true;
+        expect(prefabManager.listPrefabs()).to.deep.equal([]);
+        prefabManager.savePrefab(create([2, 0, 0]), 'Crate');
+        expect(localStorage.getItem('test_Crate')).to.be.a('string');
+        expect(prefabManager.deletePrefab('Crate')).to.be.true;
+        expect(localStorage.getItem('test_Crate')).to.be.null;
+
+        const failing = { name: 'broken', load: async () => { throw new Error('Unavailable'); }, list: () => [], read: () => null };
+        expect(await prefabManager.setStorage(failing)).to.be.false;
+        expect(prefabManager.storage.name).to.equal('localStorage');
+    });
+
+    it('should report writes and deletions that fail asynchronously', async () => {
+        const storage = new MemoryPrefabStorage();
+        storage.write = (name, data) => name === 'Broken' ? Promise.reject(new Error('Quota exceeded')) : MemoryPrefabStorage.prototype.write.call(storage, name, data);
+        const prefabManager = createManager({ storage });
+
+        expect(prefabManager.savePrefab(create([0, 0, 0]), 'Box')).to.be.true;
+        expect(await prefabManager.flushStorage()).to.deep.equal([]);
+        expect(prefabManager.savePrefab(create([0, 0, 0]), 'Broken')).to.be.true;
+        expect(await prefabManager.flushStorage()).to.deep.equal(['Broken']);
+        expect(await prefabManager.flushStorage()).to.deep.equal([]); // Reported once
+
+        storage.remove = async () => { throw new Error('Offline'); };
+        expect(prefabManager.deletePrefab('Box')).to.be.true;
+        expect(prefabManager.setStoredPrefab('Box', null)).to.be.true;
+        expect(await prefabManager.flushStorage()).to.deep.equal(['Box', 'Box']);
+    });
+
+    it('should load read-only libraries through the AssetManager', async () => {
+        const requested = [];
+        const assetManager = {
+            load: async (path) => {
+                requested.push(path);
+                if (path.startsWith('missing')) throw new Error(`Failed to load JSON '${path}'`);
+                return library({ Ball: ballPrefab });
+            }
+        };
+        const prefabManager = createManager({ storage: new MemoryPrefabStorage(), assetManager });
+
+        expect(await prefabManager.loadLibrary('prefabs/breakout.prefab.json')).to.be.true;
+        expect(requested).to.deep.equal(['prefabs/breakout.prefab.json']);
+        expect(prefabManager.libraries).to.have.lengthOf(1);
+        expect(prefabManager.listPrefabs()).to.deep.equal(['Ball']);
+        const ball = prefabManager.createEntityFromPrefab('Ball');
+        expect(entityManager.getComponent(ball, 'transform').position).to.deep.equal([0, 2, 0]);
+        expect(prefabManager.deletePrefab('Ball')).to.be.false;
+
+        // Saving stores an edited copy that takes precedence over the library
+        entityManager.addComponent(ball, 'transform', { position: [0, 5, 0] });
+        expect(prefabManager.savePrefab(ball, 'Ball')).to.be.true;
+        expect(prefabManager.storage.read('Ball').entities[0].components.transform.position).to.deep.equal([0, 5, 0]);
+
+        expect(await prefabManager.loadLibrary('missing.prefab.json')).to.be.false;
+        expect(prefabManager.libraries).to.have.lengthOf(1);
+    });
+
+    it('should refuse to save into read-only storage', async () => {
+        const assetManager = { load: async () => library({ Ball: ballPrefab }) };
+        const prefabManager = createManager({ assetManager });
+        expect(await prefabManager.setStorage(new AssetPrefabLibrary(assetManager, 'balls.prefab.json'))).to.be.true;
+        expect(prefabManager.savePrefab(create([0, 0, 0]), 'Box')).to.be.false;
+        expect(prefabManager.importLibrary(library({ Box: ballPrefab }))).to.be.null;
+    });
+
+    it('should export and import prefab libraries with their dependencies', () => {
+        const source = createManager({ storage: new MemoryPrefabStorage() });
+        const wheel = create([0, 0, 0]);
+        source.savePrefab(wheel, 'Wheel');
+        const cart = create([0, 0, 0]);
+        entityManager.setParent(source.createEntityFromPrefab('Wheel'), cart);
+        source.savePrefab(cart, 'Cart');
+        source.createVariant('Cart', 'RedCart');
+        source.savePrefab(create([0, 0, 0]), 'Unrelated');
+
+        const json = source.exportLibrary(['RedCart']);
+        expect(Object.keys(parsePrefabLibrary(json)).sort()).to.deep.equal(['Cart', 'RedCart', 'Wheel']);
+
+        const target = createManager({ storage: new MemoryPrefabStorage({ Wheel: ballPrefab }) });
+        expect(target.importLibrary(json, { overwrite: false })).to.have.members(['Cart', 'RedCart']);
+        expect(target.getPrefabData('Wheel').entities[0].components.transform.position).to.deep.equal([0, 2, 0]);
+        expect(target.getBase('RedCart')).to.equal('Cart');
+        expect(target.createEntityFromPrefab('RedCart')).to.be.a('number');
+        expect(target.importLibrary('{ "prefabs": {} }')).to.be.null;
+    });
+
+    it('should update instances of imported prefabs', () => {
+        const prefabManager = createManager({ storage: new MemoryPrefabStorage() });
+        const lamp = create([0, 0, 0]);
+        create([0, 1, 0], lamp);
+        prefabManager.savePrefab(lamp, 'Lamp');
+        const copy = prefabManager.createEntityFromPrefab('Lamp');
+
+        const library = JSON.parse(prefabManager.exportLibrary(['Lamp']));
+        library.prefabs.Lamp.entities[1].components.transform.scale = [3, 3, 3];
+        expect(prefabManager.importLibrary(library)).to.deep.equal(['Lamp']);
+        for (const root of [lamp, copy]) {
+            const [bulb] = entityManager.getComponent(root, 'transform').children;
+            expect(entityManager.getComponent(bulb, 'transform').scale).to.deep.equal([3, 3, 3]);
+        }
+    });
+});
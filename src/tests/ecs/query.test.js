@@ -0,0 +1,143 @@
+// src/tests/ecs/query.test.js
+// Unit tests for live queries created by EntityManager.createQuery (Browser/Mocha/Chai)
+
+import '../../../test/setup.js';
+import { ComponentRegistry } from '../../ecs/component-registry.js';
+import { EntityManager } from '../../ecs/entity-manager.js';
+import { EventEmitter } from '../../utils/event-emitter.js';
+import { Component } from '../../ecs/component.js';
+
+// --- Mock Components ---
+class PositionComponent extends Component {
+    constructor(data = {}) { super(); this.x = data.x ?? 0; }
+    serialize() { return { x: this.x }; }
+}
+class VelocityComponent extends Component {
+    constructor(data = {}) { super(); this.vx = data.vx ?? 0; }
+    serialize() { return { vx: this.vx }; }
+}
+class FrozenComponent extends Component {
+    serialize() { return {}; }
+}
+
+// --- Test Suite ---
+describe('EntityManager Queries (Browser)', () => {
+    /** @type {EntityManager} */
+    let entityManager;
+
+    beforeEach(() => {
+        const registry = new ComponentRegistry();
+        entityManager = new EntityManager(registry, new EventEmitter());
+        registry.register('position', PositionComponent);
+        registry.register('velocity', VelocityComponent);
+        registry.register('frozen', FrozenComponent);
+    });
+
+    it('should include entities that already match on creation', () => {
+        const id1 = entityManager.createEntity();
+        entityManager.addComponent(id1, 'position');
+        entityManager.addComponent(id1, 'velocity');
+        const id2 = entityManager.createEntity();
+        entityManager.addComponent(id2, 'position');
+
+        const query = entityManager.createQuery({ all: ['position', 'velocity'] });
+        expect(query.toArray()).to.deep.equal([id1]);
+    });
+
+    it('should track component additions and removals', () => {
+        const query = entityManager.createQuery({ all: ['position', 'velocity'] });
+        const id = entityManager.createEntity();
+        entityManager.addComponent(id, 'position');
+        expect(query.has(id)).to.be.false;
+        entityManager.addComponent(id, 'velocity');
+        expect(query.has(id)).to.be.true;
+        entityManager.removeComponent(id, 'position');
+        expect(query.has(id)).to.be.false;
+    });
+
+    it('should apply any and none filters', () => {
+        const query = entityManager.createQuery({ any: ['position', 'velocity'], none: ['frozen'] });
+        const id = entityManager.createEntity();
+        expect(query.has(id)).to.be.false;
+        entityManager.addComponent(id, 'velocity');
+        expect(query.has(id)).to.be.true;
+        entityManager.addComponent(id, 'frozen');
+        expect(query.has(id)).to.be.false;
+    });
+
+    it('should fire onEnter and onExit callbacks', () => {
+        const query = entityManager.createQuery({ all: ['position'] });
+        const entered = []; const exited = [];
+        query.onEnter(id => entered.push(id));
+        query.onExit(id => exited.push(id));
+
+        const id = entityManager.createEntity();
+        entityManager.addComponent(id, 'position');
+        entityManager.addComponent(id, 'position', { x: 5 }); // Update, not a new match
+        entityManager.removeEntity(id);
+
+        expect(entered).to.deep.equal([id]);
+        expect(exited).to.deep.equal([id]);
+        expect(query.size).to.equal(0);
+    });
+
+    it('should allow removing entities while iterating', () => {
+        const query = entityManager.createQuery({ all: ['position'] });
+        for (let i = 0; i < 3; i++) entityManager.addComponent(entityManager.createEntity(), 'position');
+        let visited = 0;
+        query.forEach(id => { visited++; entityManager.removeEntity(id); });
+        expect(visited).to.equal(3);
+        expect(query.size).to.equal(0);
+    });
+
+    it('should stop updating after destroy', () => {
+        const query = entityManager.createQuery({ all: ['position'] });
+        query.destroy();
+        entityManager.addComponent(entityManager.createEntity(), 'position');
+        expect(query.size).to.equal(0);
+        expect(entityManager._queries.size).to.equal(0);
+    });
+
+    it('should reject invalid descriptors', () => {
+        expect(entityManager.createQuery({ all: 'position' })).to.be.null;
+        expect(entityManager.createQuery({ none: [''] })).to.be.null;
+        expect(entityManager.createQuery({ changed: 'position' })).to.be.null;
+    });
+
+    it('should collect entities whose tracked components changed', () => {
+        const query = entityManager.createQuery({ all: ['position'], changed: ['position'] });
+        const moving = entityManager.createEntity();
+        const still = entityManager.createEntity();
+        entityManager.addComponent(moving, 'position', { x: 1 });
+        entityManager.addComponent(still, 'position', { x: 2 });
+        expect([...query.changedEntities]).to.deep.equal([moving, still]); // Entering counts as a change
+        query.clearChanged();
+
+        entityManager.addComponent(moving, 'velocity', { vx: 1 }); // Not tracked
+        expect(query.changedEntities.size).to.equal(0);
+        entityManager.addComponent(moving, 'position', { x: 3 });
+        expect([...query.changedEntities]).to.deep.equal([moving]);
+
+        entityManager.removeComponent(moving, 'position');
+        expect(query.changedEntities.size).to.equal(0);
+    });
+
+    it('should report in-place mutations through markChanged', () => {
+        const emitter = entityManager.eventEmitter;
+        const query = entityManager.createQuery({ all: ['position'], changed: ['position'] });
+        const plain = entityManager.createQuery({ all: ['position'] });
+        const id = entityManager.createEntity();
+        entityManager.addComponent(id, 'position', { x: 0 });
+        query.clearChanged();
+        const updates = [];
+        emitter.on('entityUpdated', event => updates.push(event));
+
+        entityManager.getComponent(id, 'position').x = 5;
+        expect(entityManager.markChanged(id, 'position', { fields: ['x'] })).to.be.true;
+        expect(query.has(id) && query.changedEntities.has(id)).to.be.true;
+        expect(plain.changedEntities.size).to.equal(0);
+        expect(updates).to.deep.equal([{ id, componentType: 'position', properties: { x: 5 }, removed: false, source: 'markChanged' }]);
+
+        expect(entityManager.markChanged(id, 'velocity')).to.be.false;
+    });
+});
@@ -0,0 +1,151 @@
+// src/tests/ecs/scene-manager.test.js
+// Unit tests for additive scene loading (EntityManager.importEntities) and the SceneManager
+
+import '../../../test/setup.js';
+import { ComponentRegistry } from '../../ecs/component-registry.js';
+import { EntityManager } from '../../ecs/entity-manager.js';
+import { SceneManager } from '../../ecs/scene-manager.js';
+import { EventEmitter } from '../../utils/event-emitter.js';
+import { Component } from '../../ecs/component.js';
+import { TransformComponent } from '../../components/transform-component.js';
+
+class FollowComponent extends Component {
+    static schema = {
+        target: { type: 'entity', default: null },
+        waypoints: { type: 'array', items: 'entity', default: [] }
+    };
+}
+
+const level = (name, count = 2) => JSON.stringify({
+    entities: [
+        { id: 1, components: { transform: { position: [0, 0, 0], parent: null }, follow: { target: 2, waypoints: [1, 2] } } },
+        { id: 2, components: { transform: { position: [1, 0, 0], parent: 1 } } },
+        ...Array.from({ length: count - 2 }, (_, i) => ({ id: 3 + i, components: { transform: { position: [i, 1, 0] } } }))
+    ]
+}) + `// ${name}`;
+
+describe('SceneManager', () => {
+    /** @type {EventEmitter} */
+    let emitter;
+    /** @type {EntityManager} */
+    let entityManager;
+    /** @type {SceneManager} */
+    let sceneManager;
+
+    beforeEach(() => {
+        const registry = new ComponentRegistry();
+        registry.register('transform', TransformComponent);
+        registry.register('follow', FollowComponent);
+        emitter = new EventEmitter();
+        entityManager = new EntityManager(registry, emitter);
+        sceneManager = new SceneManager(entityManager, emitter);
+    });
+
+    afterEach(() => {
+        sceneManager.destroy();
+    });
+
+    it('should add entities next to the existing ones and remap references', () => {
+        const existing = entityManager.createEntity();
+        const imported = [];
+        emitter.on('entitiesImported', ({ ids }) => imported.push(...ids));
+
+        const scene = sceneManager.loadScene(level('a'), { name: 'a' });
+        const [root, child] = sceneManager.getSceneEntities(scene);
+
+        expect(entityManager.hasEntity(existing)).to.be.true;
+        expect(root).to.not.equal(existing);
+        expect(imported).to.deep.equal([root, child]);
+        expect(entityManager.getComponent(child, 'transform').parent).to.equal(root);
+        expect([...entityManager.getComponent(root, 'transform').children]).to.deep.equal([child]);
+        expect(entityManager.getComponent(root, 'follow').target).to.equal(child);
+        expect(entityManager.getComponent(root, 'follow').waypoints).to.deep.equal([root, child]);
+        expect(sceneManager.getSceneOf(child)).to.equal(scene);
+    });
+
+    it('should load the same scene twice as separate instances', () => {
+        const first = sceneManager.loadScene(level('a'));
+        const second = sceneManager.loadScene(level('a'));
+        expect(first.id).to.not.equal(second.id);
+        expect(entityManager.entities.size).to.equal(4);
+        const secondIds = sceneManager.getSceneEntities(second);
+        expect(sceneManager.getSceneEntities(first).some(id => secondIds.includes(id))).to.be.false;
+    });
+
+    it('should unload a scene by handle and emit sceneUnloaded', () => {
+        const kept = sceneManager.loadScene(level('kept'));
+        const scene = sceneManager.loadScene(level('gone', 3), { name: 'gone' });
+        const entities = sceneManager.getSceneEntities(scene);
+        const unloaded = [];
+        emitter.on('sceneUnloaded', event => unloaded.push(event));
+
+        expect(sceneManager.unloadScene(scene)).to.be.true;
+        expect(entities.some(id => entityManager.hasEntity(id))).to.be.false;
+        expect(sceneManager.getSceneEntities(kept).every(id => entityManager.hasEntity(id))).to.be.true;
+        expect(unloaded[0].scene).to.equal(scene);
+        expect(sceneManager.getScenes()).to.deep.equal([kept]);
+        expect(sceneManager.unloadScene(scene)).to.be.false;
+    });
+
+    it('should keep persistent scenes on a non-additive load', () => {
+        const managers = sceneManager.loadScene(level('managers'), { name: 'managers', persistent: true });
+        const level1 = sceneManager.loadScene(level('level-1'));
+        const level2 = sceneManager.loadScene(level('level-2'), { additive: false });
+
+        expect(sceneManager.getScenes()).to.deep.equal([managers, level2]);
+        expect(sceneManager.getSceneEntities(level1)).to.deep.equal([]);
+        expect(entityManager.entities.size).to.equal(4);
+
+        sceneManager.setPersistent(managers, false);
+        sceneManager.unloadAll();
+        expect(entityManager.entities.size).to.equal(0);
+    });
+
+    it('should stop tracking removed entities and forget scenes when the world is cleared', () => {
+        const scene = sceneManager.loadScene(level('a', 3));
+        const [, , extra] = sceneManager.getSceneEntities(scene);
+        entityManager.removeEntity(extra);
+        expect(sceneManager.getSceneEntities(scene)).to.have.lengthOf(2);
+
+        const spawned = entityManager.createEntity();
+        expect(sceneManager.addToScene(spawned, scene)).to.be.true;
+        expect(sceneManager.getSceneOf(spawned)).to.equal(scene);
+
+        entityManager.clear();
+        expect(sceneManager.getScenes()).to.deep.equal([]);
+    });
+
+    it('should serialize a single scene without links to other scenes', () => {
+        const other = sceneManager.loadScene(level('other'));
+        const scene = sceneManager.loadScene(level('a'));
+        const [root] = sceneManager.getSceneEntities(scene);
+        entityManager.setParent(root, sceneManager.getSceneEntities(other)[0]);
+
+        const data = JSON.parse(sceneManager.serializeScene(scene));
+        expect(data.entities).to.have.lengthOf(2);
+        expect(data.entities[0].components.transform.parent).to.be.null;
+
+        const copy = sceneManager.loadScene(data);
+        expect(sceneManager.getSceneEntities(copy)).to.have.lengthOf(2);
+    });
+
+    it('should restore scene membership from a snapshot', () => {
+        const scene = sceneManager.loadScene(level('a'), { persistent: true });
+        const worldSnapshot = entityManager.createSnapshot();
+        const sceneSnapshot = sceneManager.createSnapshot();
+
+        sceneManager.unloadScene(scene);
+        entityManager.restoreSnapshot(worldSnapshot);
+        sceneManager.restoreSnapshot(sceneSnapshot);
+
+        expect(sceneManager.getScenes().map(handle => handle.id)).to.deep.equal([scene.id]);
+        expect(sceneManager.isPersistent(scene)).to.be.true;
+        expect(sceneManager.getSceneEntities(scene).every(id => entityManager.hasEntity(id))).to.be.true;
+        expect(sceneManager.loadScene(level('b')).id).to.be.greaterThan(scene.id);
+    });
+
+    it('should return null for invalid scene data', () => {
+        expect(sceneManager.loadScene('{ "nope": [] }')).to.be.null;
+        expect(sceneManager.getScenes()).to.deep.equal([]);
+    });
+});
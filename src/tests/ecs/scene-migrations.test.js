@@ -0,0 +1,83 @@
+// src/tests/ecs/scene-migrations.test.js
+// Unit tests for scene format versioning and migrations (Browser/Mocha/Chai)
+
+import '../../../test/setup.js';
+import { ComponentRegistry } from '../../ecs/component-registry.js';
+import { EntityManager } from '../../ecs/entity-manager.js';
+import { SceneMigrations, SCENE_FORMAT_VERSION } from '../../ecs/scene-migrations.js';
+import { EventEmitter } from '../../utils/event-emitter.js';
+import { Component } from '../../ecs/component.js';
+
+// --- Mock Components ---
+class SpeedComponent extends Component {
+    constructor(data = {}) { super(); this.speed = data.speed ?? [0, 0, 0]; }
+    serialize() { return { speed: [...this.speed] }; }
+}
+
+// --- Test Suite ---
+describe('SceneMigrations (Browser)', () => {
+    /** @type {SceneMigrations} */
+    let migrations;
+
+    beforeEach(() => {
+        migrations = new SceneMigrations();
+    });
+
+    it('should treat unversioned scenes as version 0 and stamp the current version', () => {
+        const { data, report } = migrations.migrate({ entities: [] });
+        expect(report.fromVersion).to.equal(0);
+        expect(report.upgraded).to.be.false; // No step changed anything
+        expect(data.formatVersion).to.equal(SCENE_FORMAT_VERSION);
+    });
+
+    it('should run scene and component steps in version order without touching the input', () => {
+        const order = [];
+        migrations.registerComponentMigration('speed', 1, (speed) => { order.push('component'); return { speed: [0, speed.speed, 0] }; }, 'speed number -> vec3');
+        migrations.registerSceneMigration(1, (scene) => { order.push('scene'); scene.entities.forEach(e => { e.components.extra = {}; }); });
+        expect(migrations.currentVersion).to.equal(2);
+
+        const input = { formatVersion: 1, entities: [{ id: 1, components: { speed: { speed: 5 } } }, { id: 2, components: {} }] };
+        const { data, report } = migrations.migrate(input);
+        expect(order).to.deep.equal(['scene', 'component']);
+        expect(data.entities[0].components.speed).to.deep.equal({ speed: [0, 5, 0] });
+        expect(report.applied.map(s => [s.scope, s.count])).to.deep.equal([['scene', 1], ['component', 1]]);
+        expect(input.entities[0].components.speed.speed).to.equal(5);
+    });
+
+    it('should drop a component when a step returns null and report failing steps', () => {
+        migrations.registerComponentMigration('legacy', 1, () => null);
+        migrations.registerSceneMigration(1, () => { throw new Error('boom'); });
+        const { data, report } = migrations.migrate({ formatVersion: 1, entities: [{ id: 1, components: { legacy: {} } }] });
+        expect(data.entities[0].components).to.deep.equal({});
+        expect(report.errors).to.have.lengthOf(1);
+    });
+
+    it('should leave newer scenes unchanged', () => {
+        const { data, report } = migrations.migrate({ formatVersion: SCENE_FORMAT_VERSION + 5, entities: [] });
+        expect(data.formatVersion).to.equal(SCENE_FORMAT_VERSION + 5);
+        expect(report.upgraded).to.be.false;
+    });
+
+    it('should not announce unversioned scenes that needed no changes', () => {
+        const entityManager = new EntityManager(new ComponentRegistry(), new EventEmitter());
+        let migratedEvent = null;
+        entityManager.eventEmitter.on('sceneMigrated', report => { migratedEvent = report; });
+        expect(entityManager.deserialize({ entities: [] })).to.be.true;
+        expect(migratedEvent).to.be.null;
+        expect(entityManager.lastMigrationReport.toVersion).to.equal(SCENE_FORMAT_VERSION);
+    });
+
+    it('should write formatVersion and migrate on EntityManager.deserialize', () => {
+        const entityManager = new EntityManager(new ComponentRegistry(), new EventEmitter());
+        entityManager.componentRegistry.register('speed', SpeedComponent);
+        entityManager.migrations.registerComponentMigration('speed', SCENE_FORMAT_VERSION, (speed) => { speed.speed = [0, speed.speed, 0]; });
+        let migratedEvent = null;
+        entityManager.eventEmitter.on('sceneMigrated', report => { migratedEvent = report; });
+
+        expect(entityManager.deserialize({ formatVersion: SCENE_FORMAT_VERSION, entities: [{ id: 3, components: { speed: { speed: 7 } } }] })).to.be.true;
+        expect(entityManager.getComponent(3, 'speed').speed).to.deep.equal([0, 7, 0]);
+        expect(migratedEvent.applied).to.have.lengthOf(1);
+        expect(entityManager.lastMigrationReport.toVersion).to.equal(SCENE_FORMAT_VERSION + 1);
+        expect(JSON.parse(entityManager.serialize()).formatVersion).to.equal(SCENE_FORMAT_VERSION + 1);
+    });
+});
@@ -3,7 +3,7 @@
 
 // Imports relative to test-runner.html
 import '../../../test/setup.js';
-import { SystemManager } from '../../ecs/system-manager.js';
+import { SystemManager, SystemPhase, RUN_IN_ALL_STATES, SystemErrorPolicy } from '../../ecs/system-manager.js';
 import { EntityManager } from '../../ecs/entity-manager.js';
 import { ComponentRegistry } from '../../ecs/component-registry.js';
 import { EventEmitter } from '../../utils/event-emitter.js';
@@ -37,6 +37,11 @@ class MockSystemC {
     async initialize(em, emitter, engine) { this.initialized = true; }
     update(time) { this.updated = true; } // Should not run if inactive
 }
+class OrderedSystem {
+    constructor(options = {}) { Object.assign(this, options); }
+    async initialize(em, emitter, engine) {}
+    update(time) {}
+}
 class FailingInitSystem {
     constructor() { this.priority = 1; }
     async initialize(em, emitter, engine) { throw new Error("Initialization Failed"); }
@@ -218,4 +223,195 @@ describe('SystemManager (Browser)', () => {
         expect(systemA.cleaned).to.be.true;
      });
 
+    describe('Dependency ordering', () => {
+        it('should run systems phase by phase regardless of registration order', async () => {
+            await systemManager.register('render', new OrderedSystem({ phase: SystemPhase.RENDER }));
+            await systemManager.register('logic', new OrderedSystem());
+            await systemManager.register('late', new OrderedSystem({ phase: SystemPhase.LATE }));
+            await systemManager.register('input', new OrderedSystem({ phase: SystemPhase.INPUT }));
+            await systemManager.register('fixed', new OrderedSystem({ phase: SystemPhase.FIXED, priority: 99 }));
+
+            expect(systemManager.executionOrder).to.deep.equal(['input', 'fixed', 'logic', 'late', 'render']);
+            expect(systemManager.getPhase('logic')).to.equal('logic');
+        });
+
+        it('should honour before/after constraints over priority', async () => {
+            await systemManager.register('a', new OrderedSystem({ priority: 1 }));
+            await systemManager.register('b', new OrderedSystem({ priority: 2, before: ['a'] }));
+            await systemManager.register('c', new OrderedSystem({ priority: 0, after: ['a'] }));
+
+            expect(systemManager.executionOrder).to.deep.equal(['b', 'a', 'c']);
+            expect(systemManager.orderReport).to.deep.equal({ missing: [], cycles: [] });
+        });
+
+        it('should keep registration order for unconstrained systems with equal priority', async () => {
+            await systemManager.register('first', new OrderedSystem());
+            await systemManager.register('second', new OrderedSystem());
+            await systemManager.register('third', new OrderedSystem());
+            expect(systemManager.executionOrder).to.deep.equal(['first', 'second', 'third']);
+        });
+
+        it('should report missing dependencies and apply them once the dependency is registered', async () => {
+            await systemManager.register('consumer', new OrderedSystem({ after: ['producer'] }));
+            expect(systemManager.orderReport.missing).to.deep.equal([{ system: 'consumer', dependency: 'producer' }]);
+
+            await systemManager.register('producer', new OrderedSystem());
+            expect(systemManager.orderReport.missing).to.deep.equal([]);
+            expect(systemManager.executionOrder).to.deep.equal(['producer', 'consumer']);
+        });
+
+        it('should report cycles and still schedule every system', async () => {
+            await systemManager.register('x', new OrderedSystem({ priority: 2, after: ['y'] }));
+            await systemManager.register('y', new OrderedSystem({ priority: 1, after: ['x'] }));
+            await systemManager.register('z', new OrderedSystem({ phase: SystemPhase.INPUT }));
+
+            expect(systemManager.orderReport.cycles).to.deep.equal([['y', 'x']]);
+            expect(systemManager.executionOrder).to.deep.equal(['z', 'y', 'x']);
+        });
+
+        it('should report only the systems that form a cycle', async () => {
+            await systemManager.register('x', new OrderedSystem({ after: ['y'] }));
+            await systemManager.register('y', new OrderedSystem({ after: ['x'] }));
+            await systemManager.register('downstream', new OrderedSystem({ after: ['x'] }));
+            await systemManager.register('p', new OrderedSystem({ before: ['q'] }));
+            await systemManager.register('q', new OrderedSystem({ before: ['p', 'downstream'] }));
+
+            expect(systemManager.orderReport.cycles).to.have.deep.members([['x', 'y'], ['p', 'q']]);
+            expect(systemManager.executionOrder).to.have.members(['x', 'y', 'downstream', 'p', 'q']);
+        });
+
+        it('should fall back to the logic phase for unknown phases', async () => {
+            await systemManager.register('odd', new OrderedSystem({ phase: 'sometimes' }));
+            expect(systemManager.getPhase('odd')).to.equal(SystemPhase.LOGIC);
+        });
+    });
+
+    describe('Activation rules', () => {
+        it('should activate systems according to their runIn declaration', async () => {
+            await systemManager.register('menu', new OrderedSystem({ runIn: ['MAIN_MENU', 'PAUSED'] }));
+            await systemManager.register('always', new OrderedSystem({ runIn: RUN_IN_ALL_STATES }));
+            await systemManager.register('gameplay', new OrderedSystem({ runIn: ['PLAYING'] }));
+
+            let changed = systemManager.applyActivation('PAUSED', 'game');
+            expect(changed).to.deep.equal(['gameplay']);
+            expect(systemManager.isSystemActive('menu')).to.be.true;
+            expect(systemManager.isSystemActive('always')).to.be.true;
+            expect(systemManager.isSystemActive('gameplay')).to.be.false;
+
+            changed = systemManager.applyActivation('PLAYING', 'game');
+            expect(changed).to.have.members(['menu', 'gameplay']);
+            expect(systemManager.isSystemActive('menu')).to.be.false;
+            expect(systemManager.isSystemActive('gameplay')).to.be.true;
+        });
+
+        it('should run systems without a rule only in game mode', async () => {
+            await systemManager.register('plain', new OrderedSystem());
+            systemManager.applyActivation('EDITOR', 'editor');
+            expect(systemManager.isSystemActive('plain')).to.be.false;
+            systemManager.applyActivation('PAUSED', 'game');
+            expect(systemManager.isSystemActive('plain')).to.be.true;
+        });
+
+        it('should accept rules registered with setActivationRule, including predicates', async () => {
+            await systemManager.register('sys', new OrderedSystem({ runIn: ['PLAYING'] }));
+            expect(systemManager.setActivationRule('sys', (state, mode) => mode === 'editor')).to.be.true;
+            expect(systemManager.shouldRun('sys', 'PLAYING', 'game')).to.be.false;
+            expect(systemManager.shouldRun('sys', 'EDITOR', 'editor')).to.be.true;
+
+            systemManager.setActivationRule('sys', null);
+            expect(systemManager.shouldRun('sys', 'PLAYING', 'game')).to.be.true;
+            expect(systemManager.setActivationRule('missing', ['PLAYING'])).to.be.false;
+        });
+
+        it('should treat a throwing predicate as inactive', async () => {
+            await systemManager.register('sys', new OrderedSystem({ runIn: () => { throw new Error('boom'); } }));
+            expect(systemManager.shouldRun('sys', 'PLAYING', 'game')).to.be.false;
+        });
+    });
+
+    describe('Fixed update', () => {
+        it('should call fixedUpdate on active systems in execution order', async () => {
+            const calls = [];
+            const makeFixed = (name, options) => new OrderedSystem({
+                ...options,
+                fixedUpdate(time) { calls.push([name, time.deltaTime]); }
+            });
+            await systemManager.register('sim', makeFixed('sim', { phase: SystemPhase.FIXED }));
+            await systemManager.register('control', makeFixed('control', { phase: SystemPhase.FIXED, before: ['sim'] }));
+            await systemManager.register('paused', makeFixed('paused', { active: false }));
+            await systemManager.register('variableOnly', new OrderedSystem());
+
+            expect(systemManager.fixedUpdate({ deltaTime: 0.02, elapsed: 0 })).to.equal(2);
+            expect(calls).to.deep.equal([['control', 0.02], ['sim', 0.02]]);
+        });
+
+        it('should re-throw fixedUpdate errors', async () => {
+            await systemManager.register('bad', new OrderedSystem({ fixedUpdate() { throw new Error('Fixed Failed'); } }));
+            expect(() => systemManager.fixedUpdate({ deltaTime: 0.02, elapsed: 0 })).to.throw('Fixed Failed');
+        });
+    });
+
+    describe('Error policies', () => {
+        const time = { deltaTime: 0.016, elapsed: 1 };
+        let errors;
+        let after;
+
+        beforeEach(() => {
+            errors = [];
+            eventEmitter.on('systemError', (info) => errors.push(info));
+            after = new OrderedSystem({ updates: 0, update() { this.updates++; } });
+        });
+
+        it('should disable only the failing system and report it', async () => {
+            await systemManager.register('bad', new OrderedSystem({ errorPolicy: SystemErrorPolicy.DISABLE_SYSTEM, update() { throw new Error('Typo'); } }));
+            await systemManager.register('after', after);
+
+            expect(() => systemManager.update(time)).not.to.throw();
+            expect(after.updates).to.equal(1);
+            expect(systemManager.isSystemActive('bad')).to.be.false;
+            expect(errors).to.have.lengthOf(1);
+            expect(errors[0]).to.include({ system: 'bad', stage: 'update', policy: 'disable', message: 'Typo', count: 1 });
+            expect(errors[0].stack).to.be.a('string');
+
+            systemManager.update(time);
+            expect(errors).to.have.lengthOf(1); // Disabled: not called again
+        });
+
+        it('should keep error-disabled systems inactive until errors are cleared', async () => {
+            await systemManager.register('bad', new OrderedSystem({ runIn: RUN_IN_ALL_STATES, errorPolicy: 'disable', update() { throw new Error('Typo'); } }));
+            systemManager.update(time);
+
+            systemManager.applyActivation('PLAYING', 'game');
+            expect(systemManager.isSystemActive('bad')).to.be.false;
+            expect(systemManager.getSystemErrors().map(e => e.system)).to.deep.equal(['bad']);
+
+            expect(systemManager.clearErrors()).to.deep.equal(['bad']);
+            systemManager.applyActivation('PLAYING', 'game');
+            expect(systemManager.isSystemActive('bad')).to.be.true;
+            expect(systemManager.getSystemErrors()).to.be.empty;
+        });
+
+        it('should skip the rest of the frame but keep the system active', async () => {
+            await systemManager.register('bad', new OrderedSystem({ phase: SystemPhase.INPUT, errorPolicy: SystemErrorPolicy.SKIP_FRAME, update() { throw new Error('Flaky'); } }));
+            await systemManager.register('after', after);
+
+            systemManager.update(time);
+            systemManager.update(time);
+            expect(after.updates).to.equal(0);
+            expect(systemManager.isSystemActive('bad')).to.be.true;
+            expect(errors.map(e => e.count)).to.deep.equal([1, 2]);
+        });
+
+        it('should use the default policy and rethrow with stop', async () => {
+            systemManager.defaultErrorPolicy = SystemErrorPolicy.STOP_ENGINE;
+            await systemManager.register('bad', new OrderedSystem({ postUpdate() { throw new Error('Fatal'); } }));
+            expect(() => systemManager.update(time)).to.throw('Fatal');
+            expect(errors[0]).to.include({ stage: 'postUpdate', policy: 'stop' });
+
+            expect(systemManager.setErrorPolicy('bad', 'disable')).to.be.true;
+            expect(systemManager.getErrorPolicy('bad')).to.equal('disable');
+            expect(systemManager.setErrorPolicy('bad', 'explode')).to.be.false;
+        });
+    });
+
 });
\ No newline at end of file
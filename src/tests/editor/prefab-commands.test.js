@@ -0,0 +1,175 @@
+// src/tests/editor/prefab-commands.test.js
+// Unit tests for the undoable prefab commands
+
+import '../../../test/setup.js';
+import { createHeadlessEngine } from '../../core.js';
+import { InstantiatePrefabCommand, SavePrefabCommand, DeletePrefabCommand, CreateVariantCommand, ApplyOverridesCommand, RevertOverridesCommand } from '../../editor/command-manager.js';
+import { MemoryPrefabStorage } from '../../ecs/prefab-storage.js';
+
+describe('Prefab commands', () => {
+    let engine;
+    let commandManager;
+    let prefabManager;
+
+    const create = (position, parentId = null) => {
+        const id = engine.entityManager.createEntity();
+        engine.entityManager.addComponent(id, 'transform', { position });
+        if (parentId !== null) engine.entityManager.setParent(id, parentId);
+        return id;
+    };
+    const position = (id) => engine.getComponent(id, 'transform').position;
+
+    beforeEach(async () => {
+        engine = createHeadlessEngine();
+        engine.initialize();
+        commandManager = engine.getCommandManager();
+        prefabManager = engine.getPrefabManager();
+        await prefabManager.setStorage(new MemoryPrefabStorage());
+    });
+
+    afterEach(() => {
+        engine.destroy();
+    });
+
+    it('should remove the whole instance on undo and restore it on redo', () => {
+        const lamp = create([0, 0, 0]);
+        create([0, 1, 0], create([0, 2, 0], lamp));
+        prefabManager.savePrefab(lamp, 'Lamp');
+
+        const command = new InstantiatePrefabCommand(engine, 'Lamp');
+        commandManager.execute(command);
+        const root = command.rootId;
+        const ids = [root, ...engine.getComponent(root, 'transform').children];
+        expect(engine.getSelectedEntity()).to.equal(root);
+
+        commandManager.undo();
+        expect(ids.some(id => engine.hasEntity(id))).to.be.false;
+        expect(engine.entityManager.getEntitiesWithComponent('transform')).to.have.lengthOf(3);
+        expect(engine.getSelectedEntity()).to.be.null;
+
+        commandManager.redo();
+        expect(ids.every(id => engine.hasEntity(id))).to.be.true;
+        const [arm] = engine.getComponent(root, 'transform').children;
+        expect(engine.getComponent(arm, 'transform').children.size).to.equal(1);
+        expect(prefabManager.getInstanceInfo(arm).root).to.equal(root);
+    });
+
+    it('should restore an overwritten prefab and its instances on undo', () => {
+        const brick = create([0, 0, 0]);
+        create([0, 1, 0], brick);
+        prefabManager.savePrefab(brick, 'Brick');
+        const copy = prefabManager.createEntityFromPrefab('Brick');
+
+        const other = create([5, 0, 0]);
+        create([0, 3, 0], other);
+        commandManager.execute(new SavePrefabCommand(engine, other, 'Brick'));
+        expect(prefabManager.getPrefabData('Brick').root).to.equal(other);
+
+        commandManager.undo();
+        expect(prefabManager.getPrefabData('Brick').root).to.equal(brick);
+        expect(engine.hasComponent(other, 'prefabInstance')).to.be.false;
+        expect(prefabManager.findInstances('Brick')).to.have.members([brick, copy]);
+        for (const root of [brick, copy]) {
+            const children = [...engine.getComponent(root, 'transform').children];
+            expect(children).to.have.lengthOf(1); // Entities of the overwritten prefab are re-created
+            expect(position(children[0])).to.deep.equal([0, 1, 0]);
+        }
+
+        const command = new SavePrefabCommand(engine, other, 'Crate');
+        commandManager.execute(command);
+        expect(command.saved).to.be.true;
+        commandManager.undo();
+        expect(prefabManager.listPrefabs()).to.deep.equal(['Brick']); // New prefabs are removed again
+        commandManager.redo();
+        expect(prefabManager.listPrefabs()).to.deep.equal(['Brick', 'Crate']);
+    });
+
+    it('should restore the whole instance link of saved entities on undo', () => {
+        prefabManager.savePrefab(create([0, 0, 0]), 'Wheel');
+        const car = create([0, 0, 0]);
+        engine.entityManager.setParent(prefabManager.createEntityFromPrefab('Wheel'), car);
+        prefabManager.savePrefab(car, 'Car');
+        const copy = prefabManager.createEntityFromPrefab('Car');
+        const [wheel] = engine.getComponent(copy, 'transform').children;
+        const link = engine.getComponent(wheel, 'prefabInstance').serialize();
+
+        commandManager.execute(new SavePrefabCommand(engine, wheel, 'Wheel2'));
+        expect(prefabManager.getInstanceInfo(copy).removed).to.have.lengthOf(1);
+        commandManager.undo();
+        expect(engine.getComponent(wheel, 'prefabInstance').serialize()).to.deep.equal(link);
+        expect(prefabManager.getInstanceInfo(copy).removed).to.deep.equal([]);
+    });
+
+    it('should restore a prefab replaced by a variant on undo', () => {
+        prefabManager.savePrefab(create([0, 0, 0]), 'Box');
+        prefabManager.savePrefab(create([0, 0, 0]), 'Crate');
+        const crate = prefabManager.getStoredPrefab('Crate');
+        const copy = prefabManager.createEntityFromPrefab('Box');
+        engine.entityManager.addComponent(copy, 'transform', { scale: [2, 2, 2] });
+
+        const command = new CreateVariantCommand(engine, 'Box', 'Crate', copy);
+        commandManager.execute(command);
+        expect(command.saved).to.be.true;
+        expect(prefabManager.getBase('Crate')).to.equal('Box');
+        commandManager.undo();
+        expect(prefabManager.getStoredPrefab('Crate')).to.deep.equal(crate);
+        expect(prefabManager.getInstanceInfo(copy).prefab).to.equal('Box');
+    });
+
+    it('should undo applying overrides to the prefab and its instances', () => {
+        const lamp = create([0, 0, 0]);
+        create([0, 1, 0], lamp);
+        prefabManager.savePrefab(lamp, 'Lamp');
+        const [first, second] = [prefabManager.createEntityFromPrefab('Lamp'), prefabManager.createEntityFromPrefab('Lamp')];
+        const [bulb] = engine.getComponent(first, 'transform').children;
+        const [otherBulb] = engine.getComponent(second, 'transform').children;
+        engine.entityManager.addComponent(bulb, 'transform', { position: [0, 4, 0] });
+
+        commandManager.execute(new ApplyOverridesCommand(engine, bulb, 'transform'));
+        expect(position(otherBulb)).to.deep.equal([0, 4, 0]);
+        commandManager.undo();
+        expect(position(otherBulb)).to.deep.equal([0, 1, 0]);
+        expect(position(bulb)).to.deep.equal([0, 4, 0]);
+        expect(prefabManager.getInstanceInfo(bulb).overrides).to.deep.equal({ transform: ['position'] });
+        commandManager.redo();
+        expect(position(otherBulb)).to.deep.equal([0, 4, 0]);
+    });
+
+    it('should undo reverting overrides, including re-created entities', () => {
+        const lamp = create([0, 0, 0]);
+        create([0, 1, 0], lamp);
+        create([0, 2, 0], lamp);
+        prefabManager.savePrefab(lamp, 'Lamp');
+        const copy = prefabManager.createEntityFromPrefab('Lamp');
+        const [bulb, shade] = engine.getComponent(copy, 'transform').children;
+        engine.entityManager.addComponent(bulb, 'transform', { position: [0, 4, 0] });
+        engine.entityManager.removeEntity(shade);
+
+        commandManager.execute(new RevertOverridesCommand(engine, copy));
+        expect(engine.getComponent(copy, 'transform').children.size).to.equal(2);
+        commandManager.execute(new RevertOverridesCommand(engine, bulb));
+        expect(position(bulb)).to.deep.equal([0, 1, 0]);
+
+        commandManager.undo();
+        expect(position(bulb)).to.deep.equal([0, 4, 0]);
+        commandManager.undo();
+        expect([...engine.getComponent(copy, 'transform').children]).to.deep.equal([bulb]);
+        expect(prefabManager.getInstanceInfo(copy).removed).to.have.lengthOf(1);
+    });
+
+    it('should restore a deleted prefab on undo', () => {
+        prefabManager.savePrefab(create([1, 0, 0]), 'Box');
+        prefabManager.createVariant('Box', 'BigBox');
+
+        const refused = new DeletePrefabCommand(engine, 'Box');
+        commandManager.execute(refused); // The base of a variant
+        expect(refused.deletedData).to.be.null;
+        expect(commandManager.canUndo()).to.be.false;
+
+        commandManager.execute(new DeletePrefabCommand(engine, 'BigBox'));
+        expect(prefabManager.listPrefabs()).to.deep.equal(['Box']);
+        commandManager.undo();
+        expect(prefabManager.getBase('BigBox')).to.equal('Box');
+        expect(prefabManager.createEntityFromPrefab('BigBox')).to.be.a('number');
+    });
+});
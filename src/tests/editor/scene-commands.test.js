@@ -0,0 +1,56 @@
+// src/tests/editor/scene-commands.test.js
+// Unit tests for the undoable additive scene load
+
+import '../../../test/setup.js';
+import { createHeadlessEngine } from '../../core.js';
+import { AddSceneCommand } from '../../editor/command-manager.js';
+
+describe('AddSceneCommand', () => {
+    let engine;
+    let commandManager;
+
+    const scene = {
+        formatVersion: 1,
+        entities: [
+            { id: 1, components: { transform: { position: [1, 0, 0], parent: null } } },
+            { id: 2, components: { transform: { position: [0, 1, 0], parent: 1 } } }
+        ]
+    };
+
+    beforeEach(() => {
+        engine = createHeadlessEngine();
+        engine.initialize();
+        commandManager = engine.getCommandManager();
+    });
+
+    afterEach(() => {
+        engine.destroy();
+    });
+
+    it('should unload the added entities on undo and restore them on redo', () => {
+        const existing = engine.entityManager.createEntity();
+        const command = new AddSceneCommand(engine, JSON.stringify(scene), 'Level');
+        commandManager.execute(command);
+        const ids = engine.sceneManager.getSceneEntities(command.scene);
+        expect(ids).to.have.lengthOf(2);
+        expect(commandManager.canUndo()).to.be.true;
+
+        commandManager.undo();
+        expect(ids.some(id => engine.hasEntity(id))).to.be.false;
+        expect(engine.sceneManager.getScenes()).to.deep.equal([]);
+        expect(engine.hasEntity(existing)).to.be.true;
+
+        commandManager.redo();
+        expect(ids.every(id => engine.hasEntity(id))).to.be.true;
+        expect(engine.sceneManager.getSceneEntities(command.scene)).to.have.members(ids);
+        const [child] = engine.getComponent(ids.find(id => engine.getComponent(id, 'transform').parent === null), 'transform').children;
+        expect(engine.getComponent(child, 'transform').position).to.deep.equal([0, 1, 0]);
+    });
+
+    it('should not record a scene that failed to load', () => {
+        const command = new AddSceneCommand(engine, '{ "not": "a scene" }', 'Broken');
+        commandManager.execute(command);
+        expect(command.scene).to.be.null;
+        expect(commandManager.canUndo()).to.be.false;
+    });
+});
@@ -47,3 +47,49 @@ describe('InputManagerSystem Mouse Support', () => {
         expect(ims.wasMouseButtonReleased(0)).to.be.false;
     });
 });
+
+describe('InputManagerSystem State Capture', () => {
+    let ims;
+    let pressedKeys;
+
+    beforeEach(async () => {
+        pressedKeys = [];
+        const eventEmitter = { emit: (name, { key }) => pressedKeys.push(key) };
+        ims = new InputManagerSystem(new window.EventTarget());
+        await ims.initialize(null, eventEmitter, null);
+    });
+
+    afterEach(() => {
+        ims.cleanup();
+    });
+
+    it('captures keys, buttons and mouse as plain data', () => {
+        ims.pressKey('D');
+        ims._handleMouseDown({ button: 2 });
+        ims._handleMouseMove({ clientX: 4, clientY: 6 });
+        expect(ims.captureState()).to.deep.equal({ down: ['d', 'mouse2'], pressed: ['d', 'mouse2'], released: [], mouse: [4, 6, 4, 6] });
+        expect(pressedKeys).to.deep.equal(['d']);
+    });
+
+    it('applies a captured state and reports each press once per frame', () => {
+        const state = { down: ['a', 'mouse0'], pressed: ['a'], released: ['b'], mouse: [1, 2, 3, 4] };
+        ims.applyState(state);
+        ims.applyState(state); // Second fixed step of the same frame
+        expect(ims.isKeyDown('a')).to.be.true;
+        expect(ims.isMouseButtonDown(0)).to.be.true;
+        expect(ims.wasKeyReleased('b')).to.be.true;
+        expect(ims.getMouseDelta()).to.deep.equal({ x: 3, y: 4 });
+        expect(pressedKeys).to.deep.equal(['a']);
+
+        ims.postUpdate({});
+        ims.applyState(state);
+        expect(pressedKeys).to.deep.equal(['a', 'a']);
+    });
+
+    it('ignores device input while liveInput is off', () => {
+        ims.liveInput = false;
+        ims.pressKey('a');
+        expect(ims.isKeyDown('a')).to.be.false;
+        expect(pressedKeys).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,160 @@
+// src/tests/systems/null-render-system.test.js
+// Unit tests for headless engines (manual stepping) and the NullRenderSystem
+
+import '../../../test/setup.js';
+import { Engine, createHeadlessEngine } from '../../core.js';
+import { NullRenderSystem } from '../../systems/null-render-system.js';
+import { TransformSystem } from '../../systems/transform-system.js';
+
+class CountingSystem {
+    constructor() {
+        this.phase = 'logic';
+        this.runIn = '*';
+        this.active = true;
+        this.updates = 0;
+        this.elapsed = 0;
+    }
+    initialize() {}
+    update(time) {
+        this.updates++;
+        this.elapsed += time.deltaTime;
+    }
+}
+
+describe('Headless Engine', () => {
+    /** @type {Engine} */
+    let engine;
+
+    beforeEach(async () => {
+        engine = createHeadlessEngine();
+        await engine.registerSystem('transform', new TransformSystem());
+        await engine.registerSystem('renderer', new NullRenderSystem());
+        engine.initialize();
+    });
+
+    afterEach(() => {
+        engine.destroy();
+    });
+
+    it('should require a container unless headless', () => {
+        expect(() => new Engine(null)).to.throw();
+        expect(engine.headless).to.be.true;
+        expect(engine.container).to.be.null;
+    });
+
+    it('should run one frame per step() and split advance() into frames', async () => {
+        const counter = new CountingSystem();
+        await engine.registerSystem('counter', counter);
+
+        expect(engine.step(0.02)).to.be.true;
+        expect(counter.updates).to.equal(1);
+        expect(counter.elapsed).to.be.closeTo(0.02, 1e-9);
+
+        expect(engine.advance(0.05, 0.02)).to.equal(3); // 0.02 + 0.02 + 0.01
+        expect(counter.updates).to.equal(4);
+        expect(counter.elapsed).to.be.closeTo(0.07, 1e-9);
+        expect(engine.step(-1)).to.be.false;
+    });
+
+    it('should run fixedUpdate at the fixed rate and expose the interpolation alpha', async () => {
+        const fixed = new CountingSystem();
+        fixed.fixedUpdate = function (time) { this.fixedSteps = (this.fixedSteps ?? 0) + 1; this.fixedDelta = time.deltaTime; };
+        await engine.registerSystem('fixed', fixed);
+        const step = engine.time.fixedDeltaTime;
+
+        engine.step(step * 2.5);
+        expect(fixed.fixedSteps).to.equal(2);
+        expect(fixed.fixedDelta).to.be.closeTo(step, 1e-12);
+        expect(engine.time.alpha).to.be.closeTo(0.5, 1e-9);
+        expect(fixed.elapsed).to.be.closeTo(step * 2.5, 1e-9); // update() still gets the frame time
+
+        engine.time.gameTimeScale = 0; // Paused: no fixed steps
+        engine.step(step * 3);
+        expect(fixed.fixedSteps).to.equal(2);
+    });
+
+    it('should keep running when a system throws and resume it on request', async () => {
+        const counter = new CountingSystem();
+        const faulty = new CountingSystem();
+        faulty.update = () => { throw new Error('Typo in game script'); };
+        await engine.registerSystem('faulty', faulty);
+        await engine.registerSystem('counter', counter);
+        const reported = [];
+        engine.on('systemError', ({ system, policy }) => reported.push([system, policy]));
+
+        expect(engine.step()).to.be.true;
+        expect(engine.step()).to.be.true;
+        expect(counter.updates).to.equal(2);
+        expect(reported).to.deep.equal([['faulty', 'disable']]);
+        expect(engine.getSystemManager().isSystemActive('faulty')).to.be.false;
+
+        expect(engine.resumeAfterError()).to.deep.equal(['faulty']);
+        expect(engine.getSystemManager().isSystemActive('faulty')).to.be.true;
+    });
+
+    it('should profile systems, fixed steps, entities and components', async () => {
+        const fixed = new CountingSystem();
+        fixed.fixedUpdate = () => {};
+        await engine.registerSystem('fixed', fixed);
+        engine.createEntity('Entity', { transform: { position: [0, 0, 0] } });
+
+        engine.step(engine.time.fixedDeltaTime * 2.5);
+        const profile = engine.getProfile();
+        expect(profile.frames).to.equal(1);
+        expect(profile.fixedSteps.last).to.equal(2);
+        expect(profile.systems.fixed).to.have.keys('fixedUpdate', 'update', 'total');
+        expect(profile.systems.transform.total.history).to.have.lengthOf(1);
+        expect(profile.entities).to.equal(1);
+        expect(profile.components.transform).to.equal(1);
+        expect(profile.renderer.objects).to.equal(1);
+
+        engine.unregisterSystem('fixed');
+        expect(engine.getProfile().systems).to.not.have.property('fixed');
+    });
+
+    it('should not start the requestAnimationFrame loop', () => {
+        engine.run();
+        expect(engine.isRunning).to.be.false;
+    });
+
+    it('should keep a scene graph at world transforms without WebGL', () => {
+        const renderer = engine.getSystem('renderer');
+        const parent = engine.createEntity('Entity', { transform: { position: [1, 0, 0] } });
+        const child = engine.createEntity('Entity', { transform: { position: [0, 2, 0] } });
+        engine.entityManager.setParent(child, parent);
+        engine.step();
+
+        const childObject = renderer.entityObjects.get(child)?.threeObject;
+        expect(childObject).to.exist;
+        expect(childObject.position.toArray()).to.deep.equal([1, 2, 0]);
+
+        engine.addComponent(parent, 'transform', { position: [5, 0, 0] });
+        engine.step();
+        expect(childObject.position.toArray()).to.deep.equal([5, 2, 0]);
+
+        engine.removeEntity(child);
+        expect(renderer.entityObjects.has(child)).to.be.false;
+    });
+
+    it('should hide the objects of inactive entities', () => {
+        const renderer = engine.getSystem('renderer');
+        const parent = engine.createEntity('Entity', { transform: { position: [0, 0, 0] } });
+        const child = engine.createEntity('Entity', { transform: { position: [0, 1, 0] } });
+        engine.entityManager.setParent(child, parent);
+
+        expect(engine.setEntityActive(parent, false)).to.be.true;
+        expect(engine.isEntityActive(child)).to.be.false;
+        expect(renderer.entityObjects.get(child).threeObject.visible).to.be.false;
+
+        engine.setEntityActive(parent, true);
+        expect(renderer.entityObjects.get(child).threeObject.visible).to.be.true;
+    });
+
+    it('should expose the active camera', () => {
+        const renderer = engine.getSystem('renderer');
+        const cameraId = engine.createEntity('Camera', { transform: { position: [0, 0, 10] }, camera: { fov: 60, isActive: true } });
+        expect(renderer.activeCameraEntityId).to.equal(cameraId);
+        expect(renderer.activeCameraObject.isPerspectiveCamera).to.be.true;
+        expect(renderer.activeCameraObject.fov).to.equal(60);
+    });
+});
@@ -0,0 +1,82 @@
+// src/tests/systems/rapier-physics-system.test.js
+// Unit tests for the pose bookkeeping used by render interpolation (stub Rapier world)
+
+import '../../../test/setup.js';
+import { RapierPhysicsSystem } from '../../systems/physics/rapier-physics-system.js';
+import { EntityManager } from '../../ecs/entity-manager.js';
+import { ComponentRegistry } from '../../ecs/component-registry.js';
+import { EventEmitter } from '../../utils/event-emitter.js';
+import { TransformComponent } from '../../components/transform-component.js';
+
+// --- Stub Rapier: one dynamic body whose pose the test moves between steps ---
+const createStubBody = () => ({
+    pose: { position: { x: 0, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } },
+    isDynamic: () => true,
+    isKinematic: () => false,
+    translation() { return { ...this.pose.position }; },
+    rotation() { return { ...this.pose.rotation }; },
+    setTranslation(position) { this.pose.position = { ...position }; }
+});
+
+describe('RapierPhysicsSystem render interpolation', () => {
+    let entityManager;
+    let physics;
+    let body;
+    let entityId;
+
+    const step = (x) => {
+        body.pose.position = { x, y: 0, z: 0 };
+        physics.fixedUpdate({ deltaTime: 1 / 60 });
+    };
+    const collectPoses = (alpha) => {
+        const poses = new Map();
+        physics.forEachInterpolatedPose(alpha, (id, position) => poses.set(id, position.toArray()));
+        return poses;
+    };
+
+    beforeEach(() => {
+        const registry = new ComponentRegistry();
+        registry.register('transform', TransformComponent);
+        const eventEmitter = new EventEmitter();
+        entityManager = new EntityManager(registry, eventEmitter);
+        const engine = {
+            entityManager,
+            eventEmitter,
+            deferred: { addComponent: (id, type, data) => entityManager.addComponent(id, type, data) },
+            addComponent: (id, type, data) => entityManager.addComponent(id, type, data),
+            getSystem: () => null
+        };
+        body = createStubBody();
+        const world = { step() {}, getRigidBody: () => body };
+        physics = new RapierPhysicsSystem(engine, { EventQueue: class {} }, world);
+
+        entityId = entityManager.createEntity();
+        entityManager.addComponent(entityId, 'transform', { position: [0, 0, 0] });
+        physics.entityBodyMap.set(entityId, 0);
+    });
+
+    it('should interpolate between the last two fixed steps', () => {
+        step(0);
+        step(1);
+        expect(collectPoses(0).get(entityId)).to.deep.equal([0, 0, 0]);
+        expect(collectPoses(0.25).get(entityId)).to.deep.equal([0.25, 0, 0]);
+        expect(collectPoses(1).get(entityId)).to.deep.equal([1, 0, 0]);
+    });
+
+    it('should keep the authoritative transform at the latest step', () => {
+        step(0);
+        step(2);
+        collectPoses(0.5);
+        expect(entityManager.getComponent(entityId, 'transform').position).to.deep.equal([2, 0, 0]);
+    });
+
+    it('should not interpolate a body from its first pose or across a teleport', () => {
+        step(3);
+        expect(collectPoses(0).get(entityId)).to.deep.equal([3, 0, 0]);
+
+        physics.setPosition(entityId, { x: 10, y: 0, z: 0 });
+        expect(collectPoses(0).has(entityId)).to.be.false;
+        step(10);
+        expect(collectPoses(0).get(entityId)).to.deep.equal([10, 0, 0]);
+    });
+});
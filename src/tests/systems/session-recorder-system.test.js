@@ -0,0 +1,136 @@
+// src/tests/systems/session-recorder-system.test.js
+// Unit tests for recording and replaying sessions in a headless engine
+
+import '../../../test/setup.js';
+import { createHeadlessEngine } from '../../core.js';
+import { InputManagerSystem } from '../../systems/input-manager-system.js';
+import { SessionRecorderSystem } from '../../systems/session-recorder-system.js';
+
+/** Moves every transform by input and a random jitter each fixed step; 'j' jumps once per key press. */
+class MoverSystem {
+    constructor() {
+        this.phase = 'fixed';
+        this.runIn = '*';
+        this.active = true;
+        this.jitter = 1;
+    }
+    initialize(entityManager, eventEmitter, engine) {
+        this.engine = engine;
+        this.input = engine.getSystem('inputManager');
+        eventEmitter.on('keyPressed', ({ key }) => { if (key === 'j') this._move(0, 10); });
+    }
+    fixedUpdate(time) {
+        const dx = (this.input.isKeyDown('d') ? 1 : 0) + this.engine.random.next() * this.jitter;
+        this._move(dx * time.deltaTime, 0);
+    }
+    _move(dx, dy) {
+        for (const id of this.engine.entityManager.getEntitiesWithComponent('transform')) {
+            const [x, y, z] = this.engine.getComponent(id, 'transform').position;
+            this.engine.addComponent(id, 'transform', { position: [x + dx, y + dy, z] });
+        }
+    }
+}
+
+describe('SessionRecorderSystem', () => {
+    let engine;
+    let input;
+    let recorder;
+    let mover;
+    let entityId;
+
+    const position = () => engine.getComponent(entityId, 'transform').position;
+    /** Plays a short session with irregular frame times and some key presses. */
+    const playSession = () => {
+        const frameTimes = [1 / 60, 1 / 30, 0.005, 1 / 60, 0.04, 1 / 60, 0.02, 1 / 60];
+        frameTimes.forEach((dt, frame) => {
+            if (frame === 1) input.pressKey('d');
+            if (frame === 3) input.pressKey('j');
+            if (frame === 5) input.releaseKey('d');
+            engine.step(dt);
+        });
+        return frameTimes.length;
+    };
+
+    beforeEach(async () => {
+        engine = createHeadlessEngine();
+        input = new InputManagerSystem();
+        recorder = new SessionRecorderSystem();
+        mover = new MoverSystem();
+        await engine.registerSystem('inputManager', input);
+        await engine.registerSystem('sessionRecorder', recorder);
+        await engine.registerSystem('mover', mover);
+        engine.initialize();
+        entityId = engine.createEntity('Entity', { transform: { position: [0, 0, 0] } });
+    });
+
+    afterEach(() => {
+        engine.destroy();
+    });
+
+    it('should apply recorded input before the systems that read it', () => {
+        const order = engine.getSystemManager().executionOrder;
+        expect(order.indexOf('sessionRecorder')).to.be.below(order.indexOf('inputManager'));
+    });
+
+    it('should record frames, per-step input and checksums', () => {
+        recorder.startRecording();
+        const frames = playSession();
+        const recording = recorder.stopRecording();
+
+        expect(recording.frames).to.have.lengthOf(frames);
+        expect(recording.frames[1].dt).to.be.closeTo(1 / 30, 1e-12);
+        expect(recording.frames[1].steps.every(state => state.down.includes('d'))).to.be.true;
+        expect(recording.checksums[0].step).to.equal(0);
+        expect(recording.final.checksum).to.be.a('string');
+        expect(JSON.parse(JSON.stringify(recording))).to.deep.equal(recording);
+        expect(recorder.lastRecording).to.equal(recording);
+    });
+
+    it('should replay a session frame for frame without divergence', () => {
+        recorder.startRecording();
+        const frames = playSession();
+        const recording = recorder.stopRecording();
+        const recordedPosition = [...position()];
+
+        engine.advance(1); // Drift away from the recorded end state
+        input.pressKey('a');
+        const finished = [];
+        engine.on('replayFinished', result => finished.push(result));
+
+        expect(recorder.replay(recording)).to.be.true;
+        expect(position()).to.deep.equal([0, 0, 0]);
+        input.pressKey('d'); // Live input is ignored while replaying
+        for (let i = 0; i < frames; i++) engine.step(1); // Frame times come from the recording
+        expect(position()).to.deep.equal(recordedPosition);
+
+        engine.step();
+        expect(recorder.isReplaying).to.be.false;
+        expect(finished).to.have.lengthOf(1);
+        expect(finished[0]).to.include({ frames, complete: true });
+        expect(finished[0].divergences).to.deep.equal([]);
+        expect(input.liveInput).to.be.true;
+    });
+
+    it('should report where the replayed world diverges', () => {
+        recorder.startRecording();
+        const frames = playSession();
+        const recording = recorder.stopRecording();
+
+        const divergences = [];
+        engine.on('replayDiverged', divergence => divergences.push(divergence));
+        recorder.replay(recording);
+        mover.jitter = 2; // Simulation changed since the recording
+        for (let i = 0; i < frames; i++) engine.step();
+        const result = recorder.stopReplay();
+
+        expect(divergences.length).to.be.greaterThan(0);
+        expect(divergences[0]).to.include({ reason: 'checksum' });
+        expect(divergences[0].expected).to.not.equal(divergences[0].actual);
+        expect(result.divergences).to.deep.equal(divergences);
+    });
+
+    it('should reject unknown recording formats', () => {
+        expect(recorder.replay({ version: 99, frames: [], scene: {} })).to.be.false;
+        expect(recorder.isReplaying).to.be.false;
+    });
+});
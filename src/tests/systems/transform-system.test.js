@@ -0,0 +1,117 @@
+// src/tests/systems/transform-system.test.js
+// Unit tests for hierarchy-aware world transforms
+
+import '../../../test/setup.js';
+import { TransformSystem } from '../../systems/transform-system.js';
+import { EntityManager } from '../../ecs/entity-manager.js';
+import { ComponentRegistry } from '../../ecs/component-registry.js';
+import { EventEmitter } from '../../utils/event-emitter.js';
+import { TransformComponent } from '../../components/transform-component.js';
+
+const expectClose = (actual, expected, epsilon = 1e-6) => {
+    expect(actual).to.have.lengthOf(expected.length);
+    actual.forEach((value, i) => expect(value).to.be.closeTo(expected[i], epsilon));
+};
+
+describe('TransformSystem', () => {
+    /** @type {EntityManager} */
+    let entityManager;
+    /** @type {EventEmitter} */
+    let eventEmitter;
+    /** @type {TransformSystem} */
+    let transforms;
+
+    const createWithTransform = (data) => {
+        const id = entityManager.createEntity();
+        entityManager.addComponent(id, 'transform', data);
+        return id;
+    };
+
+    beforeEach(() => {
+        eventEmitter = new EventEmitter();
+        const registry = new ComponentRegistry();
+        registry.register('transform', TransformComponent);
+        entityManager = new EntityManager(registry, eventEmitter);
+        transforms = new TransformSystem();
+        transforms.initialize(entityManager, eventEmitter, { entityManager });
+    });
+
+    afterEach(() => {
+        transforms.cleanup();
+    });
+
+    it('should compose parent and child transforms', () => {
+        const parent = createWithTransform({ position: [10, 0, 0], rotation: [0, 90, 0], scale: [2, 2, 2] });
+        const child = createWithTransform({ position: [1, 0, 0] });
+        entityManager.setParent(child, parent);
+
+        // Rotating +X by 90 degrees around Y gives -Z; scaled by 2 and offset by the parent
+        expectClose(transforms.getWorldPosition(child), [10, 0, -2]);
+        expectClose(transforms.getWorldRotation(child), [0, 90, 0]);
+        expectClose(transforms.getWorldScale(child), [2, 2, 2]);
+        expectClose(transforms.getWorldPosition(parent), [10, 0, 0]);
+    });
+
+    it('should recompute descendants when an ancestor moves', () => {
+        const root = createWithTransform({ position: [0, 0, 0] });
+        const middle = createWithTransform({ position: [0, 1, 0] });
+        const leaf = createWithTransform({ position: [0, 1, 0] });
+        entityManager.setParent(middle, root);
+        entityManager.setParent(leaf, middle);
+        expectClose(transforms.getWorldPosition(leaf), [0, 2, 0]);
+
+        entityManager.addComponent(root, 'transform', { position: [5, 0, 0] });
+        expectClose(transforms.getWorldPosition(leaf), [5, 2, 0]);
+    });
+
+    it('should report changed world transforms once per update', () => {
+        const parent = createWithTransform({ position: [0, 0, 0] });
+        const child = createWithTransform({});
+        entityManager.setParent(child, parent);
+        transforms.update({});
+
+        const batches = [];
+        eventEmitter.on('worldTransformsChanged', ({ ids }) => batches.push(ids));
+        entityManager.addComponent(parent, 'transform', { position: [1, 0, 0] });
+        transforms.update({});
+        transforms.update({});
+
+        expect(batches).to.have.lengthOf(1);
+        expect(batches[0]).to.have.members([parent, child]);
+    });
+
+    it('should convert points between local and world space', () => {
+        const id = createWithTransform({ position: [1, 2, 3], rotation: [0, 0, 90] });
+        const world = transforms.localToWorld(id, [1, 0, 0]);
+        expectClose(world, [1, 3, 3]);
+        expectClose(transforms.worldToLocal(id, world), [1, 0, 0]);
+    });
+
+    it('should keep the world transform when reparenting with keepWorldTransform', () => {
+        const parent = createWithTransform({ position: [5, 0, 0], rotation: [0, 0, 45] });
+        const child = createWithTransform({ position: [1, 1, 0], rotation: [0, 0, 10] });
+
+        expect(transforms.setParent(child, parent)).to.be.true;
+        expect(entityManager.getComponent(child, 'transform').parent).to.equal(parent);
+        expectClose(transforms.getWorldPosition(child), [1, 1, 0]);
+        expectClose(transforms.getWorldRotation(child), [0, 0, 10]);
+
+        expect(transforms.setParent(child, null)).to.be.true;
+        expectClose(entityManager.getComponent(child, 'transform').position, [1, 1, 0]);
+    });
+
+    it('should keep the local values when reparenting without keepWorldTransform', () => {
+        const parent = createWithTransform({ position: [5, 0, 0] });
+        const child = createWithTransform({ position: [1, 0, 0] });
+        transforms.setParent(child, parent, { keepWorldTransform: false });
+        expectClose(entityManager.getComponent(child, 'transform').position, [1, 0, 0]);
+        expectClose(transforms.getWorldPosition(child), [6, 0, 0]);
+    });
+
+    it('should forget removed entities', () => {
+        const id = createWithTransform({ position: [1, 0, 0] });
+        transforms.getWorldMatrix(id);
+        entityManager.removeEntity(id);
+        expect(transforms.getWorldMatrix(id)).to.be.null;
+    });
+});
@@ -0,0 +1,47 @@
+// src/tests/utils/frame-profiler.test.js
+// Unit tests for FrameProfiler (rolling per-system timings)
+
+import '../../../test/setup.js';
+import { FrameProfiler } from '../../utils/frame-profiler.js';
+
+describe('FrameProfiler', () => {
+    const frame = (profiler, records, fixedSteps = 0) => {
+        profiler.beginFrame();
+        for (const [system, stage, ms] of records) profiler.record(system, stage, ms);
+        profiler.endFrame({ fixedSteps });
+    };
+
+    it('should sum stages per frame and compute avg/max over the window', () => {
+        const profiler = new FrameProfiler({ historySize: 3 });
+        frame(profiler, [['physics', 'fixedUpdate', 1], ['physics', 'fixedUpdate', 2], ['physics', 'update', 1]], 2);
+        frame(profiler, [['physics', 'update', 3]], 0);
+
+        const { frames, systems, fixedSteps } = profiler.getSnapshot();
+        expect(frames).to.equal(2);
+        expect(systems.physics.fixedUpdate.history).to.deep.equal([3, 0]);
+        expect(systems.physics.total.history).to.deep.equal([4, 3]);
+        expect(systems.physics.total.avg).to.equal(3.5);
+        expect(systems.physics.total.max).to.equal(4);
+        expect(systems.physics.total.last).to.equal(3);
+        expect(fixedSteps.history).to.deep.equal([2, 0]);
+    });
+
+    it('should keep only the last historySize frames', () => {
+        const profiler = new FrameProfiler({ historySize: 2 });
+        [5, 1, 2].forEach(ms => frame(profiler, [['ai', 'update', ms]]));
+        const { ai } = profiler.getSnapshot().systems;
+        expect(ai.update.history).to.deep.equal([1, 2]);
+        expect(ai.update.max).to.equal(2);
+    });
+
+    it('should record nothing while disabled and drop forgotten systems', () => {
+        const profiler = new FrameProfiler({ enabled: false });
+        frame(profiler, [['ai', 'update', 1]]);
+        expect(profiler.getSnapshot().frames).to.equal(0);
+
+        profiler.enabled = true;
+        frame(profiler, [['ai', 'update', 1]]);
+        profiler.forget('ai');
+        expect(profiler.getSnapshot().systems).to.deep.equal({});
+    });
+});
@@ -0,0 +1,60 @@
+// src/tests/utils/jsonc.test.js
+// Unit tests for the tolerant JSONC parser (Browser/Mocha/Chai)
+
+import '../../../test/setup.js';
+import { parseJSONC, JSONCParseError } from '../../utils/jsonc.js';
+import { ComponentRegistry } from '../../ecs/component-registry.js';
+import { EntityManager } from '../../ecs/entity-manager.js';
+import { EventEmitter } from '../../utils/event-emitter.js';
+import { TransformComponent } from '../../components/transform-component.js';
+
+describe('parseJSONC (Browser)', () => {
+    it('should parse strict JSON like JSON.parse', () => {
+        const text = '{"a": [1, -2.5e3, true, null], "b": {"c": "x\\ny \\u00e9"}, "__proto__": 1}';
+        expect(parseJSONC(text)).to.deep.equal(JSON.parse(text));
+    });
+
+    it('should accept comments and trailing commas', () => {
+        const text = `// level header
+        {
+            "id": 1, // Camera
+            /* block
+               comment */
+            "tags": ["a", "b",],
+            "url": "http://example.com/*not-a-comment*/",
+        }`;
+        expect(parseJSONC(text)).to.deep.equal({ id: 1, tags: ['a', 'b'], url: 'http://example.com/*not-a-comment*/' });
+    });
+
+    it('should report parse errors with line and column', () => {
+        const text = '{\n  "a": 1,\n  "b" 2\n}';
+        try {
+            parseJSONC(text);
+            expect.fail('Expected a parse error');
+        } catch (error) {
+            expect(error).to.be.instanceOf(JSONCParseError);
+            expect(error.line).to.equal(3);
+            expect(error.column).to.equal(7);
+            expect(error.message).to.contain('line 3, column 7');
+        }
+    });
+
+    it('should reject unterminated input', () => {
+        expect(() => parseJSONC('[1, 2')).to.throw(JSONCParseError);
+        expect(() => parseJSONC('{"a": 1} /* open')).to.throw(/Unterminated block comment/);
+    });
+
+    it('should let EntityManager.deserialize load commented scenes', () => {
+        const registry = new ComponentRegistry();
+        registry.register('transform', TransformComponent);
+        const entityManager = new EntityManager(registry, new EventEmitter());
+        const scene = `{
+            "entities": [
+                { "id": 4, // Player
+                  "components": { "transform": { "position": [1, 2, 3], }, }, },
+            ],
+        }`;
+        expect(entityManager.deserialize(scene)).to.be.true;
+        expect(entityManager.getComponent(4, 'transform').position).to.deep.equal([1, 2, 3]);
+    });
+});
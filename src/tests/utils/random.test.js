@@ -0,0 +1,33 @@
+// src/tests/utils/random.test.js
+// Unit tests for SeededRandom
+
+import '../../../test/setup.js';
+import { SeededRandom } from '../../utils/random.js';
+
+describe('SeededRandom', () => {
+    const draw = (random, count) => Array.from({ length: count }, () => random.next());
+
+    it('should repeat the sequence for the same seed', () => {
+        expect(draw(new SeededRandom(42), 5)).to.deep.equal(draw(new SeededRandom(42), 5));
+        expect(draw(new SeededRandom(42), 5)).to.not.deep.equal(draw(new SeededRandom(43), 5));
+    });
+
+    it('should stay within [0, 1) and the requested ranges', () => {
+        const random = new SeededRandom(7);
+        for (let i = 0; i < 1000; i++) {
+            const value = random.next();
+            expect(value).to.be.at.least(0).and.below(1);
+            expect(random.range(-2, 2)).to.be.at.least(-2).and.below(2);
+            expect([1, 2, 3]).to.include(random.int(1, 3));
+        }
+    });
+
+    it('should continue from a saved state', () => {
+        const random = new SeededRandom(1);
+        draw(random, 3);
+        const state = random.getState();
+        const expected = draw(random, 3);
+        random.setState(state);
+        expect(draw(random, 3)).to.deep.equal(expected);
+    });
+});
@@ -1,5 +1,12 @@
 // src/ui.js
-// @version 1.5.23 - Added event.target/currentTarget logging to Play/Stop handlers.
+// @version 1.14.0 - Inspector: reverting and applying overrides are undoable; failed prefab writes are reported.
+// @previous 1.13.0 - Toolbar "Add Scene" goes through the undoable AddSceneCommand.
+// @previous 1.12.0 - Inspector: prefab instance bar, overridden fields marked, revert/apply overrides.
+// @previous 1.11.0 - UIManager creates and removes the editor panels of installed plugins.
+// @previous 1.10.0 - Inspector: entity "Active" and per-component enabled checkboxes (undoable).
+// @previous 1.9.0 - Toolbar "Add Scene" loads a scene file additively.
+// @previous 1.8.0 - Added the StatsOverlay and a toolbar "Stats" toggle.
+// @previous 1.7.0 - Added the ErrorOverlay (system errors with a Resume action).
 // @previous 1.5.22 - DIAGNOSTIC: Commented out Stop button listener attachment. (Reverted that comment)
 // @previous 1.5.21 - Delay enabling Stop button in _handleModeChange using setTimeout.
 
@@ -10,11 +17,18 @@ import {
     DeleteEntityCommand,
     UpdateComponentCommand,
     SaveSceneCommand,
-    LoadSceneCommand
+    LoadSceneCommand,
+    AddSceneCommand,
+    SetEntityActiveCommand,
+    SetComponentEnabledCommand,
+    ApplyOverridesCommand,
+    RevertOverridesCommand
 } from './editor/command-manager.js';
 import { UIComponent } from './ui/ui-component.js';
 import { engineConfig } from './engine-config.js';
 import { HierarchyPanel } from './ui/hierarchy-panel.js';
+import { ErrorOverlay } from './ui/error-overlay.js';
+import { StatsOverlay } from './ui/stats-overlay.js';
 
 
 // ==================================
@@ -22,16 +36,46 @@ import { HierarchyPanel } from './ui/hierarchy-panel.js';
 // ==================================
 export class UIManager {
     /* ... (Implementation unchanged) ... */
-    constructor(editor) { if (!editor) throw new Error("UIManager requires an editor instance."); this.editor = editor; this.container = null; this.components = []; }
-    initialize(container) { if (!container) throw new Error("UIManager requires a container element."); this.container = container; this.components = []; logger.log('UI Manager: Initializing components...'); const componentClasses = [ Toolbar, HierarchyPanel, Inspector, MaterialEditor, StatusBar ]; componentClasses.forEach(ComponentClass => { try { const componentInstance = new ComponentClass(this.editor); componentInstance.initialize(this.container); this.components.push(componentInstance); } catch (error) { logger.error(`UI Manager: Failed to initialize ${ComponentClass.name}:`, error); } }); logger.log('UI Manager finished initialization.'); return this; }
-    destroy() { logger.log('UI Manager: Destroying components...'); for (let i = this.components.length - 1; i >= 0; i--) { try { this.components[i]?.destroy(); } catch (error) { logger.error(`UI Manager: Error destroying ${this.components[i]?.constructor?.name}:`, error); } } this.components = []; this.container = null; logger.log('UI Manager: All components destroyed.'); }
+    constructor(editor) { if (!editor) throw new Error("UIManager requires an editor instance."); this.editor = editor; this.container = null; this.components = []; this.pluginPanels = new Map(); this._onPluginInstalled = this._onPluginInstalled.bind(this); this._onPluginUninstalled = this._onPluginUninstalled.bind(this); }
+    initialize(container) { if (!container) throw new Error("UIManager requires a container element."); this.container = container; this.components = []; logger.log('UI Manager: Initializing components...'); const componentClasses = [ Toolbar, HierarchyPanel, Inspector, MaterialEditor, StatusBar, ErrorOverlay, StatsOverlay ]; componentClasses.forEach(ComponentClass => { try { const componentInstance = new ComponentClass(this.editor); componentInstance.initialize(this.container); this.components.push(componentInstance); } catch (error) { logger.error(`UI Manager: Failed to initialize ${ComponentClass.name}:`, error); } }); this.editor.getPluginManager?.()?.getPlugins().forEach(plugin => this._onPluginInstalled({ name: plugin.name, plugin })); this.editor.eventEmitter?.on('pluginInstalled', this._onPluginInstalled); this.editor.eventEmitter?.on('pluginUninstalled', this._onPluginUninstalled); logger.log('UI Manager finished initialization.'); return this; }
+    destroy() { logger.log('UI Manager: Destroying components...'); this.editor.eventEmitter?.off('pluginInstalled', this._onPluginInstalled); this.editor.eventEmitter?.off('pluginUninstalled', this._onPluginUninstalled); [...this.pluginPanels.keys()].forEach(name => this._onPluginUninstalled({ name })); for (let i = this.components.length - 1; i >= 0; i--) { try { this.components[i]?.destroy(); } catch (error) { logger.error(`UI Manager: Error destroying ${this.components[i]?.constructor?.name}:`, error); } } this.components = []; this.container = null; logger.log('UI Manager: All components destroyed.'); }
+
+    /**
+     * Creates the editor panels (`plugin.panels`) of a newly installed plugin.
+     * @param {{name: string, plugin: import('./ecs/plugin-manager.js').EnginePlugin}} event
+     * @private
+     */
+    _onPluginInstalled({ name, plugin }) {
+        if (!this.container || this.pluginPanels.has(name) || !plugin.panels?.length) return;
+        const panels = [];
+        for (const PanelClass of plugin.panels) {
+            try {
+                const panel = new PanelClass(this.editor);
+                panel.initialize(this.container);
+                panels.push(panel);
+            } catch (error) { logger.error(`UI Manager: Failed to create panel ${PanelClass?.name} of plugin '${name}':`, error); }
+        }
+        this.pluginPanels.set(name, panels);
+    }
+
+    /**
+     * Destroys the editor panels of an uninstalled plugin.
+     * @param {{name: string}} event
+     * @private
+     */
+    _onPluginUninstalled({ name }) {
+        for (const panel of this.pluginPanels.get(name) ?? []) {
+            try { panel.destroy(); } catch (error) { logger.error(`UI Manager: Error destroying panel of plugin '${name}':`, error); }
+        }
+        this.pluginPanels.delete(name);
+    }
 }
 
 // ==================================
 // Toolbar Class (MODIFIED Event Handlers)
 // ==================================
 class Toolbar extends UIComponent {
-    constructor(editor) { /* ... (unchanged) ... */ super(editor); this.buttons = {}; this.fileInput = null; this._updateButtonsState = this._updateButtonsState.bind(this); this._handleSave = this._handleSave.bind(this); this._handleLoadClick = this._handleLoadClick.bind(this); this._handleFileInputChange = this._handleFileInputChange.bind(this); this._handlePlay = this._handlePlay.bind(this); this._handleStop = this._handleStop.bind(this); this._handleModeChange = this._handleModeChange.bind(this); this._handleAddModel = this._handleAddModel.bind(this); this._handleStartCreateCube = this._handleStartCreateCube.bind(this); this._handleUndo = this._handleUndo.bind(this); this._handleRedo = this._handleRedo.bind(this); this._handleDeleteSelected = this._handleDeleteSelected.bind(this); this._handleAddCubeOld = this._handleAddCubeOld.bind(this); this._handleAddSphereOld = this._handleAddSphereOld.bind(this); }
+    constructor(editor) { /* ... (unchanged) ... */ super(editor); this.buttons = {}; this.fileInput = null; this._updateButtonsState = this._updateButtonsState.bind(this); this._handleSave = this._handleSave.bind(this); this._handleLoadClick = this._handleLoadClick.bind(this); this._handleFileInputChange = this._handleFileInputChange.bind(this); this._handlePlay = this._handlePlay.bind(this); this._handleStop = this._handleStop.bind(this); this._handleModeChange = this._handleModeChange.bind(this); this._handleAddModel = this._handleAddModel.bind(this); this._handleStartCreateCube = this._handleStartCreateCube.bind(this); this._handleUndo = this._handleUndo.bind(this); this._handleRedo = this._handleRedo.bind(this); this._handleToggleStats = this._handleToggleStats.bind(this); this.addSceneInput = null; this._handleAddSceneClick = this._handleAddSceneClick.bind(this); this._handleAddSceneFile = this._handleAddSceneFile.bind(this); this._handleDeleteSelected = this._handleDeleteSelected.bind(this); this._handleAddCubeOld = this._handleAddCubeOld.bind(this); this._handleAddSphereOld = this._handleAddSphereOld.bind(this); }
 
     _createElement() {
         const toolbarDiv = document.createElement('div');
@@ -50,11 +94,14 @@ class Toolbar extends UIComponent {
         this.buttons.delete = this._makeButton('Delete Sel.', null);
         this.buttons.save = this._makeButton('Save Scene', null);
         this.buttons.load = this._makeButton('Load Scene', null);
+        this.buttons.addScene = this._makeButton('Add Scene', null, 'add-scene-button');
+        this.buttons.stats = this._makeButton('Stats', null, 'stats-button');
 
         this.fileInput = document.createElement('input'); /* ... */ this.fileInput.type = 'file'; this.fileInput.accept = '.json,application/json'; this.fileInput.style.display = 'none'; this.fileInput.id = 'scene-file-input';
+        this.addSceneInput = document.createElement('input'); this.addSceneInput.type = 'file'; this.addSceneInput.accept = '.json,application/json'; this.addSceneInput.style.display = 'none'; this.addSceneInput.id = 'add-scene-file-input';
         const separator = () => { const hr = document.createElement('div'); hr.style.cssText = 'height: 1px; background-color: #555; margin: 5px 0; width: 90%; align-self: center;'; return hr; };
 
-        toolbarDiv.append( /* ... buttons ... */ this.buttons.play, this.buttons.stop, separator(), this.buttons.undo, this.buttons.redo, separator(), this.buttons.startCreateCube, separator(), this.buttons.addCubeOld, this.buttons.addSphereOld, this.buttons.addModel, this.buttons.delete, separator(), this.buttons.save, this.buttons.load, this.fileInput );
+        toolbarDiv.append( /* ... buttons ... */ this.buttons.play, this.buttons.stop, separator(), this.buttons.undo, this.buttons.redo, separator(), this.buttons.startCreateCube, separator(), this.buttons.addCubeOld, this.buttons.addSphereOld, this.buttons.addModel, this.buttons.delete, separator(), this.buttons.save, this.buttons.load, this.buttons.addScene, separator(), this.buttons.stats, this.fileInput, this.addSceneInput );
 
         // Attach listeners using addEventListener
         this.buttons.play.addEventListener('click', this._handlePlay);
@@ -70,11 +117,39 @@ class Toolbar extends UIComponent {
         this.buttons.delete.addEventListener('click', this._handleDeleteSelected);
         this.buttons.save.addEventListener('click', this._handleSave);
         this.buttons.load.addEventListener('click', this._handleLoadClick);
+        this.buttons.addScene.addEventListener('click', this._handleAddSceneClick);
+        this.addSceneInput.addEventListener('change', this._handleAddSceneFile);
+        this.buttons.stats.addEventListener('click', this._handleToggleStats);
 
         return toolbarDiv;
     }
 
     _makeButton(label, onClick, id = '', bgColor, borderColor) { /* ... (Unchanged) ... */ const btn = document.createElement('button'); btn.textContent = label; if (id) btn.id = id; btn.style.marginBottom = '4px'; btn.style.width = '95%'; if (bgColor) btn.style.backgroundColor = bgColor; if (borderColor) btn.style.borderColor = borderColor; if (bgColor || borderColor) btn.style.fontWeight = 'bold'; return btn; }
+    _handleAddSceneClick(event) {
+        event?.stopPropagation();
+        if (!this.addSceneInput) return;
+        this.addSceneInput.value = '';
+        this.addSceneInput.click();
+    }
+
+    /**
+     * Loads the chosen scene file into the current scene (new entity IDs, nothing cleared; undoable).
+     * @private
+     */
+    _handleAddSceneFile(event) {
+        const file = event.target.files?.[0];
+        if (!file || !this.editor) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const command = new AddSceneCommand(this.editor, reader.result, file.name.replace(/\.json$/i, ''));
+            this.editor.commandManager.execute(command);
+            if (!command.scene) alert(`Error adding scene "${file.name}". Check console.`);
+        };
+        reader.onerror = (e) => { logger.error(`Toolbar: Error reading file "${file.name}":`, e); alert(`Error reading file "${file.name}".`); };
+        reader.readAsText(file);
+    }
+
+    _handleToggleStats(event) { event.stopPropagation(); this.editor?.eventEmitter?.emit('statsOverlayToggleRequested'); }
     _handleUndo(event) { event.stopPropagation(); this.editor.commandManager.undo(); }
     _handleRedo(event) { event.stopPropagation(); this.editor.commandManager.redo(); }
     _handleDeleteSelected(event) { event.stopPropagation(); this._deleteSelectedEntity(); }
@@ -109,7 +184,7 @@ class Toolbar extends UIComponent {
     _handleLoadClick(event) { /* ... (Unchanged) ... */ event?.stopPropagation(); if (this.fileInput) { this.fileInput.value = ''; this.fileInput.click(); } else { logger.error("Toolbar: File input element not found."); alert("Error: Cannot load file - input missing."); } }
     _handleFileInputChange(event) { /* ... (Unchanged) ... */ if (!this.editor?.commandManager) return; const input = event.target; if (!input.files || input.files.length === 0) return; const file = input.files[0]; const reader = new FileReader(); reader.onload = (e) => { const content = e.target?.result; if (typeof content === 'string') { if (!confirm(`Load scene from "${file.name}"?\nThis will clear the current scene and undo history.`)) { return; } try { const cmd = new LoadSceneCommand(this.editor, content, file.name); this.editor.commandManager.execute(cmd); } catch (error) { logger.error(`Toolbar: Error executing LoadSceneCommand for "${file.name}":`, error); alert(`Error loading scene: ${error.message || 'See console'}`); } } else { logger.error(`Toolbar: Failed to read file "${file.name}" content.`); alert(`Error: Could not read file content for "${file.name}".`); } }; reader.onerror = (e) => { logger.error(`Toolbar: Error reading file "${file.name}":`, e); alert(`Error reading file "${file.name}".`); }; reader.readAsText(file); }
     _handleStartCreateCube(event) { /* ... (Unchanged) ... */ event?.stopPropagation(); if (this.editor?.getMode() !== 'editor') return; logger.log("Toolbar: 'Create Cube' clicked. (Functionality TBD)"); alert("'Create Cube' functionality not yet implemented."); }
-    destroy() { /* ... (Unchanged - includes listener removal) ... */ if (this.buttons.play) this.buttons.play.removeEventListener('click', this._handlePlay); if (this.buttons.stop) this.buttons.stop.removeEventListener('click', this._handleStop); if (this.buttons.undo) this.buttons.undo.removeEventListener('click', this._handleUndo); if (this.buttons.redo) this.buttons.redo.removeEventListener('click', this._handleRedo); if (this.buttons.addCubeOld) this.buttons.addCubeOld.removeEventListener('click', this._handleAddCubeOld); if (this.buttons.addSphereOld) this.buttons.addSphereOld.removeEventListener('click', this._handleAddSphereOld); if (this.buttons.startCreateCube) this.buttons.startCreateCube.removeEventListener('click', this._handleStartCreateCube); if (this.buttons.addModel) this.buttons.addModel.removeEventListener('click', this._handleAddModel); if (this.buttons.delete) this.buttons.delete.removeEventListener('click', this._handleDeleteSelected); if (this.buttons.save) this.buttons.save.removeEventListener('click', this._handleSave); if (this.buttons.load) this.buttons.load.removeEventListener('click', this._handleLoadClick); const emitter = this.editor?.eventEmitter; const cmdManager = this.editor?.commandManager; if (emitter) { emitter.off('entitySelected', this._updateButtonsState); emitter.off('gameModeEntered', this._handleModeChange); emitter.off('editorModeEntered', this._handleModeChange); } if (cmdManager) { cmdManager.off('change', this._updateButtonsState); } if (this.fileInput) { this.fileInput.removeEventListener('change', this._handleFileInputChange); this.fileInput = null; } this.buttons = {}; super.destroy(); }
+    destroy() { /* ... (Unchanged - includes listener removal) ... */ if (this.buttons.play) this.buttons.play.removeEventListener('click', this._handlePlay); if (this.buttons.stop) this.buttons.stop.removeEventListener('click', this._handleStop); if (this.buttons.undo) this.buttons.undo.removeEventListener('click', this._handleUndo); if (this.buttons.redo) this.buttons.redo.removeEventListener('click', this._handleRedo); if (this.buttons.stats) this.buttons.stats.removeEventListener('click', this._handleToggleStats); if (this.buttons.addCubeOld) this.buttons.addCubeOld.removeEventListener('click', this._handleAddCubeOld); if (this.buttons.addSphereOld) this.buttons.addSphereOld.removeEventListener('click', this._handleAddSphereOld); if (this.buttons.startCreateCube) this.buttons.startCreateCube.removeEventListener('click', this._handleStartCreateCube); if (this.buttons.addModel) this.buttons.addModel.removeEventListener('click', this._handleAddModel); if (this.buttons.delete) this.buttons.delete.removeEventListener('click', this._handleDeleteSelected); if (this.buttons.save) this.buttons.save.removeEventListener('click', this._handleSave); if (this.buttons.load) this.buttons.load.removeEventListener('click', this._handleLoadClick); if (this.buttons.addScene) this.buttons.addScene.removeEventListener('click', this._handleAddSceneClick); if (this.addSceneInput) { this.addSceneInput.removeEventListener('change', this._handleAddSceneFile); this.addSceneInput = null; } const emitter = this.editor?.eventEmitter; const cmdManager = this.editor?.commandManager; if (emitter) { emitter.off('entitySelected', this._updateButtonsState); emitter.off('gameModeEntered', this._handleModeChange); emitter.off('editorModeEntered', this._handleModeChange); } if (cmdManager) { cmdManager.off('change', this._updateButtonsState); } if (this.fileInput) { this.fileInput.removeEventListener('change', this._handleFileInputChange); this.fileInput = null; } this.buttons = {}; super.destroy(); }
 }
 
 
@@ -118,18 +193,260 @@ class Toolbar extends UIComponent {
 // ==================================
 class Inspector extends UIComponent {
     /* ... (Implementation unchanged from v1.5.12) ... */
-    constructor(editor) { super(editor); this.selectedId = null; this.entityLabel = null; this.fieldsContainer = null; this._isUpdatingInternally = false; this._transformUpdateIgnoreSources = ['physicsSystem', 'spinSystem']; this._onEntitySelected = this._onEntitySelected.bind(this); this._onEntityUpdated = this._onEntityUpdated.bind(this); this._handleModeChange = this._handleModeChange.bind(this); }
+    constructor(editor) { super(editor); this.selectedId = null; this.entityLabel = null; this.fieldsContainer = null; this._isUpdatingInternally = false; this._transformUpdateIgnoreSources = ['physicsSystem', 'spinSystem']; this._onEntitySelected = this._onEntitySelected.bind(this); this._onEntityUpdated = this._onEntityUpdated.bind(this); this._handleModeChange = this._handleModeChange.bind(this); this._onActivationChanged = this._onActivationChanged.bind(this); }
     _createElement() { const inspectorDiv = document.createElement('div'); inspectorDiv.className = 'editor-inspector editor-ui-panel'; const header = document.createElement('h3'); header.textContent = 'Inspector'; header.style.cssText = 'margin:0 0 10px 0; padding-bottom:5px; border-bottom:1px solid #555; font-size:1em;'; this.entityLabel = document.createElement('div'); this.entityLabel.className = 'inspector-entity-label'; this.entityLabel.style.cssText = 'margin-bottom:10px; font-style:italic; color:#aaa; min-height: 1.2em;'; this.entityLabel.textContent = 'No entity selected'; this.fieldsContainer = document.createElement('div'); this.fieldsContainer.className = 'inspector-fields'; inspectorDiv.append(header, this.entityLabel, this.fieldsContainer); return inspectorDiv; }
-    _setupEventListeners() { if (!this.editor?.eventEmitter) { logger.error("Inspector: Cannot setup listeners."); return; } const emitter = this.editor.eventEmitter; emitter.on('entitySelected', this._onEntitySelected); emitter.on('entityUpdated', this._onEntityUpdated); logger.log("[Inspector] 'entityUpdated' listener enabled with internal flag & source filtering."); emitter.on('gameModeEntered', this._handleModeChange); emitter.on('editorModeEntered', this._handleModeChange); this._onEntitySelected({ id: this.editor.getSelectedEntity() }); this._handleModeChange(); }
+    _setupEventListeners() { if (!this.editor?.eventEmitter) { logger.error("Inspector: Cannot setup listeners."); return; } const emitter = this.editor.eventEmitter; emitter.on('entitySelected', this._onEntitySelected); emitter.on('entityUpdated', this._onEntityUpdated); emitter.on('entityActiveChanged', this._onActivationChanged); emitter.on('componentEnabledChanged', this._onActivationChanged); logger.log("[Inspector] 'entityUpdated' listener enabled with internal flag & source filtering."); emitter.on('gameModeEntered', this._handleModeChange); emitter.on('editorModeEntered', this._handleModeChange); this._onEntitySelected({ id: this.editor.getSelectedEntity() }); this._handleModeChange(); }
     _handleModeChange() { const isEditorMode = this.editor?.getMode() === 'editor'; this.element?.querySelectorAll('input, select, button').forEach(el => { if (el instanceof HTMLInputElement || el instanceof HTMLSelectElement || el instanceof HTMLButtonElement) { el.disabled = !isEditorMode; } }); }
     _onEntitySelected({ id }) { /* logger.log(`[Inspector] Received selection event: id=${id}`); */ if (this.selectedId !== id) { this.selectedId = id; this._renderFields(); } } // Reduced logging noise
-    _onEntityUpdated(eventData) { if (!eventData || eventData.id !== this.selectedId || this._isUpdatingInternally) { return; } const isIgnoredTransformUpdate = eventData.componentType === 'transform' && this._transformUpdateIgnoreSources.includes(eventData.source); if (!isIgnoredTransformUpdate) { this._renderFields(); } }
-    _renderFields() { if (!this.fieldsContainer || !this.entityLabel || !this.editor?.entityManager || !this.editor?.componentRegistry) return; const em = this.editor.entityManager; const registry = this.editor.componentRegistry; this.fieldsContainer.innerHTML = ''; if (this.selectedId === null) { this.entityLabel.textContent = 'No entity selected'; return; } if (!em.hasEntity(this.selectedId)) { this.entityLabel.textContent = `Entity ${this.selectedId} (Not Found)`; this.selectedId = null; return; } this.entityLabel.textContent = `Entity ID: ${this.selectedId}`; const components = em.getComponents(this.selectedId); if (components.length === 0) { this.fieldsContainer.innerHTML = '<div style="font-style: italic; color: #aaa;">No components attached.</div>'; return; } components.sort((a, b) => a.constructor.name.localeCompare(b.constructor.name)); components.forEach(componentInstance => { let componentType = null; for (const [name, constructor] of registry.componentTypes.entries()) { if (componentInstance instanceof constructor) { componentType = name; break; } } if (componentType) { this._createComponentSection(componentType, componentInstance); } else { logger.warn(`Inspector: Could not find registered name for component instance on entity ${this.selectedId}:`, componentInstance); this._createGenericComponentSection(componentInstance); } }); this._handleModeChange(); }
-    _createComponentSection(type, componentInstance) { if (!this.fieldsContainer) return; const section = document.createElement('details'); section.className = 'component-section'; section.open = true; const summary = document.createElement('summary'); summary.textContent = type; section.append(summary); const contentDiv = document.createElement('div'); const table = document.createElement('table'); let properties; try { properties = componentInstance.serialize ? componentInstance.serialize() : {}; if (typeof componentInstance.serialize !== 'function') { logger.warn(`Inspector: Component type "${type}" missing .serialize().`); properties = Object.fromEntries(Object.entries(componentInstance).filter(([k, v]) => !k.startsWith('_') && typeof v !== 'function')); } } catch (e) { logger.error(`Inspector: Error calling .serialize() on ${type}:`, e); contentDiv.innerHTML = `<span style="color: red;">Error displaying properties.</span>`; section.append(contentDiv); this.fieldsContainer.append(section); return; } const editableKeys = Object.keys(properties).filter(key => !key.startsWith('_') && !['parent', 'children'].includes(key)).sort(); if (editableKeys.length === 0) { contentDiv.innerHTML = `<div style="font-style: italic; color: #aaa; font-size: 0.9em;">No editable properties.</div>`; } else { editableKeys.forEach(key => { const row = this._createPropertyRow(type, componentInstance, key, properties[key]); if (row) table.append(row); }); contentDiv.append(table); } section.append(contentDiv); this.fieldsContainer.append(section); }
+    _onEntityUpdated(eventData) { if (!eventData || eventData.id !== this.selectedId || (this._isUpdatingInternally && eventData.componentType !== 'prefabInstance')) { return; } const isIgnoredTransformUpdate = eventData.componentType === 'transform' && this._transformUpdateIgnoreSources.includes(eventData.source); if (!isIgnoredTransformUpdate) { this._renderFields(); } }
+    _renderFields() { if (!this.fieldsContainer || !this.entityLabel || !this.editor?.entityManager || !this.editor?.componentRegistry) return; const em = this.editor.entityManager; const registry = this.editor.componentRegistry; this.fieldsContainer.innerHTML = ''; if (this.selectedId === null) { this.entityLabel.textContent = 'No entity selected'; return; } if (!em.hasEntity(this.selectedId)) { this.entityLabel.textContent = `Entity ${this.selectedId} (Not Found)`; this.selectedId = null; return; } this.entityLabel.textContent = `Entity ID: ${this.selectedId}`; this._createActiveToggle(); this._createPrefabBar(); const components = em.getComponents(this.selectedId); if (components.length === 0) { this.fieldsContainer.innerHTML = '<div style="font-style: italic; color: #aaa;">No components attached.</div>'; return; } components.sort((a, b) => a.constructor.name.localeCompare(b.constructor.name)); components.forEach(componentInstance => { let componentType = null; for (const [name, constructor] of registry.componentTypes.entries()) { if (componentInstance instanceof constructor) { componentType = name; break; } } if (componentType) { this._createComponentSection(componentType, componentInstance); } else { logger.warn(`Inspector: Could not find registered name for component instance on entity ${this.selectedId}:`, componentInstance); this._createGenericComponentSection(componentInstance); } }); this._handleModeChange(); }
     _createGenericComponentSection(componentInstance) { if (!this.fieldsContainer) return; const section = document.createElement('details'); section.className = 'component-section generic-component'; section.open = true; const summary = document.createElement('summary'); summary.textContent = `${componentInstance.constructor.name} (Unregistered?)`; section.append(summary); const contentDiv = document.createElement('div'); contentDiv.style.fontSize = '0.9em'; contentDiv.style.color = '#bbb'; try { contentDiv.textContent = JSON.stringify(componentInstance, null, 2); } catch { contentDiv.textContent = 'Cannot display component state.'; } section.append(contentDiv); this.fieldsContainer.append(section); }
-    _createPropertyRow(componentType, componentInstance, key, currentValue) { const row = document.createElement('tr'); const keyCell = document.createElement('td'); keyCell.textContent = key; keyCell.title = key; const valueCell = document.createElement('td'); let inputElement = null; let changeHandler = null; const valueType = typeof currentValue; const isColor = key.toLowerCase() === 'color' && valueType === 'number'; const isArray = Array.isArray(currentValue); const isNumericArray = isArray && currentValue.every(v => typeof v === 'number'); const isVector = isNumericArray && currentValue.length >= 2 && currentValue.length <= 4; const isPhysicsSize = componentType === 'physics' && key === 'colliderSize' && isNumericArray; const dropdownOptions = { 'light.type': ['directional', 'point', 'ambient'], 'camera.type': ['perspective', 'orthographic'], 'renderable.type': ['Cube', 'Sphere', 'Ground', 'Model'], 'physics.bodyType': ['static', 'dynamic', 'kinematicPositionBased'], 'physics.colliderType': ['cuboid', 'ball', 'capsule'], }; const dropdownKey = `${componentType}.${key}`; if (dropdownOptions[dropdownKey]) { inputElement = document.createElement('select'); dropdownOptions[dropdownKey].forEach(opt => { const o = document.createElement('option'); o.value = opt; o.textContent = opt; o.selected = (currentValue === opt); inputElement.appendChild(o); }); inputElement.style.width = '95%'; changeHandler = (e) => e.target.value; } else if (isColor) { inputElement = document.createElement('input'); inputElement.type = 'color'; try { inputElement.value = `#${(currentValue ?? 0).toString(16).padStart(6, '0')}`; } catch { inputElement.value = '#ffffff'; } inputElement.style.cssText = 'width: 60px; height: 24px; padding: 1px 2px;'; changeHandler = (e) => parseInt(e.target.value.substring(1), 16); } else if (valueType === 'number') { inputElement = document.createElement('input'); inputElement.type = 'number'; const lowerKey = key.toLowerCase(); if (lowerKey.includes('angle') || lowerKey.includes('rotation') || lowerKey.includes('fov')) inputElement.step = '1'; else if (lowerKey.includes('intensity') || lowerKey.includes('roughness') || lowerKey.includes('metalness') || lowerKey.includes('damping') || lowerKey.includes('restitution') || lowerKey.includes('friction') || lowerKey.includes('density') || lowerKey === 'near' || lowerKey === 'far') inputElement.step = '0.01'; else inputElement.step = '0.1'; inputElement.value = currentValue; inputElement.style.width = '95%'; changeHandler = (e) => parseFloat(e.target.value) ?? 0; } else if (key === 'assetPath' && componentType === 'renderable') { inputElement = document.createElement('input'); inputElement.type = 'text'; inputElement.value = currentValue ?? ''; inputElement.placeholder = 'e.g., models/car.glb'; inputElement.style.width = '95%'; changeHandler = (e) => e.target.value.trim() || null; } else if (valueType === 'string') { inputElement = document.createElement('input'); inputElement.type = 'text'; inputElement.value = currentValue; inputElement.style.width = '95%'; changeHandler = (e) => e.target.value; } else if (valueType === 'boolean') { inputElement = document.createElement('input'); inputElement.type = 'checkbox'; inputElement.checked = currentValue; inputElement.style.width = 'auto'; changeHandler = (e) => e.target.checked; } else if (isVector || isPhysicsSize) { inputElement = this._createVectorInput(currentValue, componentType, componentInstance, key); } else { const display = document.createElement('span'); try { if (componentType === 'tag' && key === 'tags' && currentValue instanceof Set) { display.textContent = `[${Array.from(currentValue).join(', ')}]`; } else { display.textContent = JSON.stringify(currentValue); } } catch { display.textContent = `[${isArray ? 'Array' : 'Object'}]`; } display.style.cssText = 'color:#aaa; font-size:0.9em; word-break:break-all;'; valueCell.append(display); } if (inputElement && changeHandler && !(inputElement instanceof HTMLElement && inputElement.classList.contains('vector-input-container'))) { let originalValueOnFocus = null; inputElement.onfocus = () => { const liveValue = componentInstance[key]; originalValueOnFocus = (typeof liveValue === 'object' && liveValue !== null && !isColor) ? JSON.parse(JSON.stringify(liveValue)) : liveValue; }; inputElement.onchange = (event) => { if (!this.editor?.commandManager || this.selectedId === null) return; const newValueFromInput = changeHandler(event); const oldValueString = (typeof originalValueOnFocus === 'object' && originalValueOnFocus !== null && !isColor) ? JSON.stringify(originalValueOnFocus) : originalValueOnFocus; const newValueString = (typeof newValueFromInput === 'object' && newValueFromInput !== null && !isColor) ? JSON.stringify(newValueFromInput) : newValueFromInput; if (oldValueString !== newValueString) { const properties = { [key]: { oldValue: originalValueOnFocus, newValue: newValueFromInput } }; const cmd = new UpdateComponentCommand(this.editor, this.selectedId, componentType, properties); this._isUpdatingInternally = true; try { this.editor.commandManager.execute(cmd); } finally { setTimeout(() => { this._isUpdatingInternally = false; }, 0); } } else { const currentCompValue = componentInstance[key]; if (inputElement.type === 'checkbox') inputElement.checked = currentCompValue; else if (inputElement.type === 'color') inputElement.value = `#${(currentValue ?? 0).toString(16).padStart(6, '0')}`; else inputElement.value = currentCompValue ?? ''; } originalValueOnFocus = null; }; valueCell.append(inputElement); } else if (inputElement instanceof HTMLElement && inputElement.classList.contains('vector-input-container')) { valueCell.append(inputElement); } row.append(keyCell, valueCell); return row; }
-    _createVectorInput(currentValues, componentType, componentInstance, key) { const container = document.createElement('div'); container.className = 'vector-input-container'; container.style.display = 'flex'; container.style.gap = '4px'; let expectedSize = 3; if (componentType === 'physics' && key === 'colliderSize') { expectedSize = Math.max(1, currentValues.length); } else if (currentValues.length === 2) { expectedSize = 2; } else if (currentValues.length === 4) { expectedSize = 4; } const inputs = []; for (let i = 0; i < expectedSize; i++) { const val = currentValues[i]; const input = document.createElement('input'); input.type = 'number'; const lowerKey = key.toLowerCase(); if (lowerKey.includes('angle') || lowerKey.includes('rotation')) input.step = '1'; else input.step = '0.1'; input.value = (typeof val === 'number' && isFinite(val)) ? val : 0; input.style.flex = '1'; input.style.minWidth = '30px'; inputs.push(input); container.appendChild(input); } let originalValueOnFocus = null; const handleVectorChange = () => { if (!this.editor?.commandManager || this.selectedId === null) return; const newValueFromInput = inputs.map(input => parseFloat(input.value || 0)); if (JSON.stringify(originalValueOnFocus) !== JSON.stringify(newValueFromInput)) { const properties = { [key]: { oldValue: originalValueOnFocus, newValue: newValueFromInput } }; const cmd = new UpdateComponentCommand(this.editor, this.selectedId, componentType, properties); this._isUpdatingInternally = true; try { this.editor.commandManager.execute(cmd); } finally { setTimeout(() => { this._isUpdatingInternally = false; }, 0); } } else { const currentCompValue = componentInstance[key]; if(Array.isArray(currentCompValue)){ inputs.forEach((input, index) => { input.value = (typeof currentCompValue[index] === 'number' && isFinite(currentCompValue[index])) ? currentCompValue[index] : 0; }); } } originalValueOnFocus = null; }; inputs.forEach(input => { input.onfocus = () => { const liveValue = componentInstance[key]; originalValueOnFocus = Array.isArray(liveValue) ? JSON.parse(JSON.stringify(liveValue)) : []; }; input.onchange = handleVectorChange; }); return container; }
-    destroy() { /* ... (unchanged) ... */ if (this.editor?.eventEmitter) { const emitter = this.editor.eventEmitter; emitter.off('entitySelected', this._onEntitySelected); emitter.off('entityUpdated', this._onEntityUpdated); emitter.off('gameModeEntered', this._handleModeChange); emitter.off('editorModeEntered', this._handleModeChange); } this.entityLabel = null; this.fieldsContainer = null; super.destroy(); }
+    /**
+     * Adds the "Active" checkbox of the selected entity to the entity label.
+     * @private
+     */
+    _createActiveToggle() {
+        const em = this.editor.entityManager;
+        const label = document.createElement('label');
+        label.style.cssText = 'margin-left:10px; font-style:normal; color:#ddd;';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'inspector-active-toggle';
+        checkbox.checked = em.isActiveSelf(this.selectedId);
+        checkbox.addEventListener('change', () => {
+            this.editor.getCommandManager()?.execute(new SetEntityActiveCommand(this.editor, this.selectedId, checkbox.checked));
+        });
+        label.append(checkbox, ' Active');
+        if (checkbox.checked && !em.isActive(this.selectedId)) {
+            label.title = 'Inactive because a parent is inactive';
+            label.append(' (parent inactive)');
+        }
+        this.entityLabel.append(label);
+    }
+
+    /**
+     * Shows the prefab the selected entity is linked to, with buttons that revert or apply all
+     * of its overrides.
+     * @private
+     */
+    _createPrefabBar() {
+        const info = this.editor.prefabManager?.getInstanceInfo(this.selectedId);
+        if (!info) return;
+        const bar = document.createElement('div');
+        bar.className = 'inspector-prefab-bar';
+        bar.style.cssText = 'display:flex; gap:6px; align-items:center; margin-bottom:6px; color:#8cf;';
+        const label = document.createElement('span');
+        label.textContent = `Prefab: ${info.prefab}`;
+        label.style.flex = '1';
+        bar.append(label);
+        if (Object.keys(info.overrides).length > 0) bar.append(...this._createOverrideButtons(null, 'all'));
+        this.fieldsContainer.append(bar);
+    }
+
+    /**
+     * Creates "Revert" and "Apply" buttons for the overrides of the selected prefab instance entity.
+     * @param {string|null} type - The component type, or `null` for all components.
+     * @param {string} [suffix=''] - Appended to the button labels.
+     * @returns {HTMLButtonElement[]}
+     * @private
+     */
+    _createOverrideButtons(type, suffix = '') {
+        const commandManager = this.editor.getCommandManager();
+        const actions = [
+            ['Revert', 'Reset the overridden fields to the prefab values', () => commandManager.execute(new RevertOverridesCommand(this.editor, this.selectedId, type))],
+            ['Apply', 'Write the overridden fields into the prefab and update its instances', () => {
+                commandManager.execute(new ApplyOverridesCommand(this.editor, this.selectedId, type));
+                this._reportPrefabStorageFailures();
+            }]
+        ];
+        return actions.map(([text, title, action]) => {
+            const button = document.createElement('button');
+            button.textContent = suffix ? `${text} ${suffix}` : text;
+            button.title = title;
+            button.style.cssText = 'font-size:0.8em; padding:0 4px; margin-left:4px;';
+            button.addEventListener('click', event => {
+                event.preventDefault(); // Don't fold the section
+                event.stopPropagation();
+                action();
+                this._renderFields();
+            });
+            return button;
+        });
+    }
+
+    /**
+     * Waits for the prefab storage to finish writing and alerts about prefabs it failed to write.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _reportPrefabStorageFailures() {
+        const prefabManager = this.editor.prefabManager;
+        const failed = await prefabManager.flushStorage();
+        if (failed.length > 0) alert(`Prefab storage "${prefabManager.storage.name}" failed to store: ${failed.join(', ')}. Changes are kept until the page is reloaded. Check console.`);
+    }
+
+    /**
+     * Creates the checkbox shown in a component section header that enables/disables the component.
+     * @param {string} type - The component type.
+     * @param {import('./ecs/component.js').Component} componentInstance - The component.
+     * @returns {HTMLInputElement}
+     * @private
+     */
+    _createEnabledCheckbox(type, componentInstance) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'component-enabled-toggle';
+        checkbox.title = 'Enabled';
+        checkbox.checked = componentInstance.enabled;
+        checkbox.style.marginRight = '6px';
+        checkbox.addEventListener('click', event => event.stopPropagation()); // Don't fold the section
+        checkbox.addEventListener('change', () => {
+            this.editor.getCommandManager()?.execute(new SetComponentEnabledCommand(this.editor, this.selectedId, type, checkbox.checked));
+        });
+        return checkbox;
+    }
+
+    /**
+     * Re-renders when the selected entity (or one of its components) was activated or deactivated.
+     * Deactivating an ancestor affects the selection too.
+     * @param {{id?: number, entityId?: number}} event - `entityActiveChanged` or `componentEnabledChanged`.
+     * @private
+     */
+    _onActivationChanged({ id, entityId }) {
+        if ((id ?? entityId) === this.selectedId) this._renderFields();
+    }
+
+    _createComponentSection(type, componentInstance) {
+        if (!this.fieldsContainer) return;
+        const section = document.createElement('details'); section.className = 'component-section'; section.open = true;
+        const summary = document.createElement('summary'); summary.textContent = type; section.append(summary);
+        summary.prepend(this._createEnabledCheckbox(type, componentInstance));
+        if (!componentInstance.enabled) section.style.opacity = '0.6';
+        const overridden = this.editor.prefabManager?.getInstanceInfo(this.selectedId)?.overrides[type] ?? [];
+        if (overridden.length > 0) summary.append(...this._createOverrideButtons(type));
+        const contentDiv = document.createElement('div'); const table = document.createElement('table');
+
+        // Schema components list their editable fields in declaration order; others fall back to serialize().
+        const schema = this.editor.componentRegistry.getSchema?.(type) ?? null;
+        let properties;
+        let editableKeys;
+        try {
+            if (schema) {
+                editableKeys = Object.keys(schema).filter(key => !schema[key].transient && schema[key].inspector !== false);
+                properties = Object.fromEntries(editableKeys.map(key => [key, componentInstance[key]]));
+            } else {
+                properties = componentInstance.serialize ? componentInstance.serialize() : {};
+                if (typeof componentInstance.serialize !== 'function') { logger.warn(`Inspector: Component type "${type}" missing .serialize().`); properties = Object.fromEntries(Object.entries(componentInstance).filter(([k, v]) => !k.startsWith('_') && typeof v !== 'function')); }
+                editableKeys = Object.keys(properties).filter(key => !key.startsWith('_') && !['parent', 'children'].includes(key)).sort();
+            }
+        } catch (e) { logger.error(`Inspector: Error calling .serialize() on ${type}:`, e); contentDiv.innerHTML = `<span style="color: red;">Error displaying properties.</span>`; section.append(contentDiv); this.fieldsContainer.append(section); return; }
+
+        if (editableKeys.length === 0) { contentDiv.innerHTML = `<div style="font-style: italic; color: #aaa; font-size: 0.9em;">No editable properties.</div>`; }
+        else {
+            editableKeys.forEach(key => {
+                const field = schema ? schema[key] : this._guessFieldType(key, properties[key]);
+                const row = this._createPropertyRow(type, componentInstance, key, properties[key], field);
+                if (row && overridden.includes(key)) {
+                    const keyCell = row.firstElementChild;
+                    keyCell.style.cssText = 'font-weight:bold; color:#8cf; border-left:2px solid #8cf; padding-left:4px;';
+                    keyCell.title = `${key} (overrides the prefab value)`;
+                }
+                if (row) table.append(row);
+            });
+            contentDiv.append(table);
+        }
+        section.append(contentDiv); this.fieldsContainer.append(section);
+    }
+
+    /**
+     * Infers a schema-like field description for components that declare no schema.
+     * @param {string} key - The property name.
+     * @param {*} value - The current value.
+     * @returns {import('./ecs/component-schema.js').SchemaField} The guessed field.
+     * @private
+     */
+    _guessFieldType(key, value) {
+        if (typeof value === 'number') return { type: key.toLowerCase() === 'color' ? 'color' : 'number', step: 0.1 };
+        if (typeof value === 'string') return { type: 'string' };
+        if (typeof value === 'boolean') return { type: 'boolean' };
+        if (Array.isArray(value) && value.length >= 2 && value.length <= 4 && value.every(v => typeof v === 'number')) return { type: `vec${value.length}`, step: 0.1 };
+        return { type: 'object' };
+    }
+
+    /**
+     * Creates an inspector table row with an input matching the field type.
+     * @param {string} componentType - The component type name.
+     * @param {object} componentInstance - The live component.
+     * @param {string} key - The property name.
+     * @param {*} currentValue - The current property value.
+     * @param {import('./ecs/component-schema.js').SchemaField} field - Schema field (or a guessed one).
+     * @returns {HTMLTableRowElement}
+     * @private
+     */
+    _createPropertyRow(componentType, componentInstance, key, currentValue, field) {
+        const row = document.createElement('tr');
+        const keyCell = document.createElement('td'); keyCell.textContent = field.label ?? key; keyCell.title = key;
+        const valueCell = document.createElement('td');
+        let inputElement = null; let changeHandler = null;
+        const isColor = field.type === 'color';
+        const isNumericArray = Array.isArray(currentValue) && currentValue.every(v => typeof v === 'number');
+
+        switch (field.type) {
+            case 'enum':
+                inputElement = document.createElement('select');
+                field.options.forEach(opt => { const o = document.createElement('option'); o.value = opt; o.textContent = opt; o.selected = (currentValue === opt); inputElement.appendChild(o); });
+                inputElement.style.width = '95%'; changeHandler = (e) => e.target.value;
+                break;
+            case 'color':
+                inputElement = document.createElement('input'); inputElement.type = 'color';
+                try { inputElement.value = `#${(currentValue ?? 0).toString(16).padStart(6, '0')}`; } catch { inputElement.value = '#ffffff'; }
+                inputElement.style.cssText = 'width: 60px; height: 24px; padding: 1px 2px;'; changeHandler = (e) => parseInt(e.target.value.substring(1), 16);
+                break;
+            case 'number':
+            case 'integer':
+            case 'entity': {
+                const isInteger = field.type !== 'number';
+                inputElement = document.createElement('input'); inputElement.type = 'number';
+                inputElement.step = String(field.step ?? (isInteger ? 1 : 0.1));
+                if (typeof field.min === 'number') inputElement.min = String(field.min); else if (field.type === 'entity') inputElement.min = '0';
+                if (typeof field.max === 'number') inputElement.max = String(field.max);
+                inputElement.value = currentValue ?? ''; inputElement.style.width = '95%';
+                changeHandler = field.type === 'entity'
+                    ? (e) => (e.target.value === '' ? null : parseInt(e.target.value, 10))
+                    : (e) => (isInteger ? parseInt(e.target.value, 10) : parseFloat(e.target.value)) || 0;
+                break;
+            }
+            case 'asset':
+                inputElement = document.createElement('input'); inputElement.type = 'text'; inputElement.value = currentValue ?? '';
+                inputElement.placeholder = field.extensions ? `e.g., models/asset${field.extensions[0]}` : 'asset path';
+                inputElement.style.width = '95%'; changeHandler = (e) => e.target.value.trim() || null;
+                break;
+            case 'string':
+                inputElement = document.createElement('input'); inputElement.type = 'text'; inputElement.value = currentValue ?? ''; inputElement.style.width = '95%'; changeHandler = (e) => e.target.value;
+                break;
+            case 'boolean':
+                inputElement = document.createElement('input'); inputElement.type = 'checkbox'; inputElement.checked = !!currentValue; inputElement.style.width = 'auto'; changeHandler = (e) => e.target.checked;
+                break;
+            case 'vec2':
+            case 'vec3':
+            case 'vec4':
+                inputElement = this._createVectorInput(currentValue, componentType, componentInstance, key, field);
+                break;
+            case 'array':
+                if (field.items === 'number' && isNumericArray) { inputElement = this._createVectorInput(currentValue, componentType, componentInstance, key, field); break; }
+            // falls through
+            default: {
+                const display = document.createElement('span');
+                try { display.textContent = JSON.stringify(currentValue instanceof Set ? Array.from(currentValue) : currentValue); } catch { display.textContent = `[${Array.isArray(currentValue) ? 'Array' : 'Object'}]`; }
+                display.style.cssText = 'color:#aaa; font-size:0.9em; word-break:break-all;'; valueCell.append(display);
+            }
+        }
+
+        if (inputElement && changeHandler && !(inputElement instanceof HTMLElement && inputElement.classList.contains('vector-input-container'))) { let originalValueOnFocus = null; inputElement.onfocus = () => { const liveValue = componentInstance[key]; originalValueOnFocus = (typeof liveValue === 'object' && liveValue !== null && !isColor) ? JSON.parse(JSON.stringify(liveValue)) : liveValue; }; inputElement.onchange = (event) => { if (!this.editor?.commandManager || this.selectedId === null) return; const newValueFromInput = changeHandler(event); const oldValueString = (typeof originalValueOnFocus === 'object' && originalValueOnFocus !== null && !isColor) ? JSON.stringify(originalValueOnFocus) : originalValueOnFocus; const newValueString = (typeof newValueFromInput === 'object' && newValueFromInput !== null && !isColor) ? JSON.stringify(newValueFromInput) : newValueFromInput; if (oldValueString !== newValueString) { const properties = { [key]: { oldValue: originalValueOnFocus, newValue: newValueFromInput } }; const cmd = new UpdateComponentCommand(this.editor, this.selectedId, componentType, properties); this._isUpdatingInternally = true; try { this.editor.commandManager.execute(cmd); } finally { setTimeout(() => { this._isUpdatingInternally = false; }, 0); } } else { const currentCompValue = componentInstance[key]; if (inputElement.type === 'checkbox') inputElement.checked = currentCompValue; else if (inputElement.type === 'color') inputElement.value = `#${(currentValue ?? 0).toString(16).padStart(6, '0')}`; else inputElement.value = currentCompValue ?? ''; } originalValueOnFocus = null; }; valueCell.append(inputElement); } else if (inputElement instanceof HTMLElement && inputElement.classList.contains('vector-input-container')) { valueCell.append(inputElement); }
+        row.append(keyCell, valueCell); return row;
+    }
+    _createVectorInput(currentValues, componentType, componentInstance, key, field = null) { const container = document.createElement('div'); container.className = 'vector-input-container'; container.style.display = 'flex'; container.style.gap = '4px'; const expectedSize = { vec2: 2, vec3: 3, vec4: 4 }[field?.type] ?? Math.max(1, currentValues.length); const inputs = []; for (let i = 0; i < expectedSize; i++) { const val = currentValues[i]; const input = document.createElement('input'); input.type = 'number'; input.step = String(field?.step ?? 0.1); input.value = (typeof val === 'number' && isFinite(val)) ? val : 0; input.style.flex = '1'; input.style.minWidth = '30px'; inputs.push(input); container.appendChild(input); } let originalValueOnFocus = null; const handleVectorChange = () => { if (!this.editor?.commandManager || this.selectedId === null) return; const newValueFromInput = inputs.map(input => parseFloat(input.value || 0)); if (JSON.stringify(originalValueOnFocus) !== JSON.stringify(newValueFromInput)) { const properties = { [key]: { oldValue: originalValueOnFocus, newValue: newValueFromInput } }; const cmd = new UpdateComponentCommand(this.editor, this.selectedId, componentType, properties); this._isUpdatingInternally = true; try { this.editor.commandManager.execute(cmd); } finally { setTimeout(() => { this._isUpdatingInternally = false; }, 0); } } else { const currentCompValue = componentInstance[key]; if(Array.isArray(currentCompValue)){ inputs.forEach((input, index) => { input.value = (typeof currentCompValue[index] === 'number' && isFinite(currentCompValue[index])) ? currentCompValue[index] : 0; }); } } originalValueOnFocus = null; }; inputs.forEach(input => { input.onfocus = () => { const liveValue = componentInstance[key]; originalValueOnFocus = Array.isArray(liveValue) ? JSON.parse(JSON.stringify(liveValue)) : []; }; input.onchange = handleVectorChange; }); return container; }
+    destroy() { /* ... (unchanged) ... */ if (this.editor?.eventEmitter) { const emitter = this.editor.eventEmitter; emitter.off('entitySelected', this._onEntitySelected); emitter.off('entityUpdated', this._onEntityUpdated); emitter.off('entityActiveChanged', this._onActivationChanged); emitter.off('componentEnabledChanged', this._onActivationChanged); emitter.off('gameModeEntered', this._handleModeChange); emitter.off('editorModeEntered', this._handleModeChange); } this.entityLabel = null; this.fieldsContainer = null; super.destroy(); }
 }
 
 
@@ -0,0 +1,183 @@
+// src/ui/error-overlay.js
+// @version 1.0.1 - Dismiss sticks until an error changes; repeated errors update their ×count in place.
+// @previous 1.0.0 - Initial implementation (lists system errors, Resume/Dismiss actions).
+
+import * as logger from '../utils/logger.js';
+import { UIComponent } from './ui-component.js';
+
+/** What the user sees for each error policy. */
+const POLICY_LABELS = {
+    stop: 'engine stopped',
+    disable: 'system disabled',
+    skip: 'frames skipped'
+};
+
+/** Identifies an error for dismissal: the same system failing with the same message and policy. */
+const errorKey = (info) => `${info.policy}\n${info.message}`;
+
+/**
+ * On-screen overlay listing system errors reported through the engine's `systemError`
+ * event (system name, lifecycle stage, applied policy, message and stack).
+ * "Resume" calls `engine.resumeAfterError()`, which re-activates disabled systems and
+ * restarts a stopped loop; "Dismiss" hides the overlay until a system reports a new
+ * message or policy (a system failing every frame under 'skip' stays dismissed).
+ *
+ * @class ErrorOverlay
+ * @extends UIComponent
+ */
+export class ErrorOverlay extends UIComponent {
+    /**
+     * @param {import('../core.js').Engine} editor - Reference to the main Engine instance.
+     */
+    constructor(editor) {
+        super(editor);
+        /** @private @type {Map<string, import('../ecs/system-manager.js').SystemErrorInfo>} Latest error per system */
+        this._errors = new Map();
+        /** @private @type {Map<string, string>} System -> key of its dismissed error */
+        this._dismissed = new Map();
+        /** @private @type {Map<string, HTMLElement>} System -> title element, updated for repeated errors */
+        this._titles = new Map();
+        this.listEl = null;
+        this.resumeButton = null;
+        this.dismissButton = null;
+
+        this._onSystemError = this._onSystemError.bind(this);
+        this._onErrorsCleared = this._onErrorsCleared.bind(this);
+        this._handleResume = this._handleResume.bind(this);
+        this._handleDismiss = this._handleDismiss.bind(this);
+    }
+
+    /**
+     * @returns {HTMLElement}
+     * @protected
+     * @override
+     */
+    _createElement() {
+        const panel = document.createElement('div');
+        panel.className = 'editor-error-overlay editor-ui-panel';
+        Object.assign(panel.style, {
+            top: '50px', left: '50%', transform: 'translateX(-50%)', width: '560px', maxHeight: '60%',
+            padding: '10px', overflowY: 'auto', zIndex: '400', display: 'none',
+            borderColor: 'rgba(200, 80, 80, 0.9)'
+        });
+
+        const header = document.createElement('h3');
+        header.textContent = 'System Error';
+        header.style.cssText = 'margin:0 0 10px 0; padding-bottom:5px; border-bottom:1px solid #555; font-size:1em; color:#ff9a9a;';
+        panel.appendChild(header);
+
+        this.listEl = document.createElement('div');
+        panel.appendChild(this.listEl);
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display:flex; justify-content:flex-end; gap:8px; margin-top:10px;';
+        this.dismissButton = document.createElement('button');
+        this.dismissButton.textContent = 'Dismiss';
+        this.resumeButton = document.createElement('button');
+        this.resumeButton.textContent = 'Resume';
+        this.resumeButton.title = 'Re-enable failed systems and restart the engine loop';
+        buttons.append(this.dismissButton, this.resumeButton);
+        panel.appendChild(buttons);
+        return panel;
+    }
+
+    /** @protected @override */
+    _setupEventListeners() {
+        if (!this.editor?.eventEmitter) { logger.error("ErrorOverlay: Cannot setup listeners."); return; }
+        this.editor.eventEmitter.on('systemError', this._onSystemError);
+        this.editor.eventEmitter.on('systemErrorsCleared', this._onErrorsCleared);
+        this.resumeButton.addEventListener('click', this._handleResume);
+        this.dismissButton.addEventListener('click', this._handleDismiss);
+        // Errors raised before the UI existed (e.g. during startup)
+        for (const info of this.editor.getSystemManager()?.getSystemErrors() ?? []) this._errors.set(info.system, info);
+        this._render();
+    }
+
+    /** @private */
+    _onSystemError(info) {
+        const known = this._errors.get(info.system);
+        this._errors.set(info.system, info);
+        // A system failing every frame ('skip') only needs one re-render per new message
+        if (known && errorKey(known) === errorKey(info)) {
+            const title = this._titles.get(info.system);
+            if (title) title.textContent = this._formatTitle(info);
+            return;
+        }
+        this._render();
+    }
+
+    /** @private */
+    _onErrorsCleared({ systems }) {
+        systems.forEach(name => { this._errors.delete(name); this._dismissed.delete(name); });
+        this._render();
+    }
+
+    /** @private */
+    _handleResume() {
+        this.editor?.resumeAfterError();
+        this._errors.clear();
+        this._dismissed.clear();
+        this._render();
+    }
+
+    /** @private */
+    _handleDismiss() {
+        this._errors.forEach((info, system) => this._dismissed.set(system, errorKey(info)));
+        if (this.element) this.element.style.display = 'none';
+    }
+
+    /** @private */
+    _formatTitle(info) {
+        const repeat = info.count > 1 ? ` ×${info.count}` : '';
+        return `${info.system}.${info.stage}() — ${POLICY_LABELS[info.policy] ?? info.policy}${repeat}`;
+    }
+
+    /**
+     * Rebuilds the error list and shows the overlay when there is an error that was not dismissed.
+     * @private
+     */
+    _render() {
+        if (!this.element || !this.listEl) return;
+        this.listEl.innerHTML = '';
+        this._titles.clear();
+        for (const info of this._errors.values()) {
+            const entry = document.createElement('div');
+            entry.style.cssText = 'margin-bottom:10px; font-size:0.9em;';
+
+            const title = document.createElement('div');
+            title.textContent = this._formatTitle(info);
+            title.style.fontWeight = 'bold';
+            this._titles.set(info.system, title);
+
+            const message = document.createElement('div');
+            message.textContent = info.message;
+            message.style.color = '#ffbbbb';
+
+            entry.append(title, message);
+            if (info.stack) {
+                const stack = document.createElement('pre');
+                stack.textContent = info.stack;
+                stack.style.cssText = 'margin:4px 0 0 0; max-height:120px; overflow:auto; font-size:0.8em; color:#aaa; white-space:pre-wrap;';
+                entry.appendChild(stack);
+            }
+            this.listEl.appendChild(entry);
+        }
+        const undismissed = [...this._errors.values()].some(info => this._dismissed.get(info.system) !== errorKey(info));
+        this.element.style.display = undismissed ? 'block' : 'none';
+    }
+
+    /** @public @override */
+    destroy() {
+        if (this.editor?.eventEmitter) {
+            this.editor.eventEmitter.off('systemError', this._onSystemError);
+            this.editor.eventEmitter.off('systemErrorsCleared', this._onErrorsCleared);
+        }
+        this.resumeButton?.removeEventListener('click', this._handleResume);
+        this.dismissButton?.removeEventListener('click', this._handleDismiss);
+        this._errors.clear();
+        this._dismissed.clear();
+        this._titles.clear();
+        this.listEl = null; this.resumeButton = null; this.dismissButton = null;
+        super.destroy();
+    }
+}
@@ -1,11 +1,14 @@
 // src/ui/hierarchy-panel.js
-// @version 1.3.0 - Added drag-and-drop reparenting.
-// @previous 1.2.0 - Refactored, added JSDoc comments, kept diagnostic logs
+// @version 1.9.1 - "Create Variant" is undoable (CreateVariantCommand).
+// @previous 1.9.0 - Prefab saves, deletions and imports report storage failures after the write finishes.
+// @previous 1.8.0 - Game mode: per-entity toggle to keep play-mode changes when stopping.
+// @previous 1.7.0 - Creating, instantiating and deleting prefabs go through undoable commands; added "Delete Prefab".
+// @previous 1.6.0 - Export and import prefab libraries (.prefab.json files).
 
 import * as logger from '../utils/logger.js';
 import { UIComponent } from './ui-component.js';
 // --- MODIFICATION: Import the new command ---
-import { ReparentEntityCommand } from '../editor/command-manager.js';
+import { ReparentEntityCommand, InstantiatePrefabCommand, SavePrefabCommand, DeletePrefabCommand, CreateVariantCommand } from '../editor/command-manager.js';
 // --- END MODIFICATION ---
 
 /**
@@ -28,6 +31,11 @@ export class HierarchyPanel extends UIComponent {
         this.buttonContainer = null;
         this.createPrefabButton = null;
         this.instantiatePrefabButton = null;
+        this.createVariantButton = null;
+        this.deletePrefabButton = null;
+        this.exportPrefabsButton = null;
+        this.importPrefabsButton = null;
+        this.prefabFileInput = null;
         this._tempWindowClickListener = null;
 
         // --- MODIFICATION: Add properties for drag state ---
@@ -43,6 +51,10 @@ export class HierarchyPanel extends UIComponent {
         this._onEntitySelected = this._onEntitySelected.bind(this);
         this._handleCreatePrefab = this._handleCreatePrefab.bind(this);
         this._handleInstantiatePrefab = this._handleInstantiatePrefab.bind(this);
+        this._handleCreateVariant = this._handleCreateVariant.bind(this);
+        this._handleDeletePrefab = this._handleDeletePrefab.bind(this);
+        this._handleExportPrefabs = this._handleExportPrefabs.bind(this);
+        this._handleImportPrefabsFile = this._handleImportPrefabsFile.bind(this);
         this._handleListContainerClick = this._handleListContainerClick.bind(this);
 
         // --- MODIFICATION: Bind new drag handlers ---
@@ -82,10 +94,15 @@ export class HierarchyPanel extends UIComponent {
         this.buttonContainer = document.createElement('div');
         /* ... (Button setup unchanged) ... */
         this.buttonContainer.className = 'hierarchy-buttons';
-        this.buttonContainer.style.cssText = 'display: flex; justify-content: space-around; padding-top: 5px; border-top: 1px solid #555;';
+        this.buttonContainer.style.cssText = 'display: flex; flex-wrap: wrap; gap: 4px; justify-content: space-around; padding-top: 5px; border-top: 1px solid #555;';
         this.createPrefabButton = document.createElement('button'); this.createPrefabButton.textContent = 'Create Prefab'; this.createPrefabButton.title = 'Save selected entity as a prefab'; this.createPrefabButton.onclick = this._handleCreatePrefab; this.createPrefabButton.style.fontSize = '0.9em'; this.createPrefabButton.disabled = true;
         this.instantiatePrefabButton = document.createElement('button'); this.instantiatePrefabButton.textContent = 'Instantiate'; this.instantiatePrefabButton.title = 'Create new entity from saved prefab'; this.instantiatePrefabButton.onclick = this._handleInstantiatePrefab; this.instantiatePrefabButton.style.fontSize = '0.9em';
-        this.buttonContainer.append(this.createPrefabButton, this.instantiatePrefabButton);
+        this.createVariantButton = document.createElement('button'); this.createVariantButton.textContent = 'Create Variant'; this.createVariantButton.title = 'Save the selected prefab instance as a variant of its prefab'; this.createVariantButton.onclick = this._handleCreateVariant; this.createVariantButton.style.fontSize = '0.9em'; this.createVariantButton.disabled = true;
+        this.deletePrefabButton = document.createElement('button'); this.deletePrefabButton.textContent = 'Delete Prefab'; this.deletePrefabButton.title = 'Delete a saved prefab (undoable)'; this.deletePrefabButton.onclick = this._handleDeletePrefab; this.deletePrefabButton.style.fontSize = '0.9em';
+        this.exportPrefabsButton = document.createElement('button'); this.exportPrefabsButton.textContent = 'Export Prefabs'; this.exportPrefabsButton.title = 'Download prefabs as a .prefab.json library'; this.exportPrefabsButton.onclick = this._handleExportPrefabs; this.exportPrefabsButton.style.fontSize = '0.9em';
+        this.importPrefabsButton = document.createElement('button'); this.importPrefabsButton.textContent = 'Import Prefabs'; this.importPrefabsButton.title = 'Save the prefabs of a .prefab.json library'; this.importPrefabsButton.onclick = () => { this.prefabFileInput.value = ''; this.prefabFileInput.click(); }; this.importPrefabsButton.style.fontSize = '0.9em';
+        this.prefabFileInput = document.createElement('input'); this.prefabFileInput.type = 'file'; this.prefabFileInput.accept = '.prefab.json,.json,application/json'; this.prefabFileInput.style.display = 'none'; this.prefabFileInput.onchange = this._handleImportPrefabsFile;
+        this.buttonContainer.append(this.createPrefabButton, this.instantiatePrefabButton, this.createVariantButton, this.deletePrefabButton, this.exportPrefabsButton, this.importPrefabsButton, this.prefabFileInput);
 
         panelDiv.append(header, this.listContainer, this.buttonContainer);
         return panelDiv;
@@ -112,7 +129,11 @@ export class HierarchyPanel extends UIComponent {
         emitter.on('componentRemoved', this._handleComponentChange);
         emitter.on('entityUpdated', this._handleEntityUpdate); // More specific update
         emitter.on('sceneImported', this._renderHierarchy);
+        emitter.on('entitiesImported', this._renderHierarchy);
+        emitter.on('entityActiveChanged', this._renderHierarchy);
         emitter.on('entitySelected', this._onEntitySelected);
+        emitter.on('gameModeEntered', this._renderHierarchy);
+        emitter.on('editorModeEntered', this._renderHierarchy);
 
         // Delegated listeners on the list container
         if (this.listContainer) {
@@ -157,10 +178,20 @@ export class HierarchyPanel extends UIComponent {
     }
     // --- END NEW HANDLERS ---
 
-    _handleListContainerClick(event) { /* ... (unchanged) ... */ const itemElement = event.target.closest('.hierarchy-item'); if (!itemElement) return; const toggleElement = event.target.closest('.hierarchy-toggle'); if (toggleElement) { this._handleToggleClick(itemElement, toggleElement); } else { if (itemElement.dataset.entityId) { const entityIdStr = itemElement.dataset.entityId; const entityId = parseInt(entityIdStr, 10); if (!isNaN(entityId)) { this.editor.selectEntity(entityId); } else { logger.warn(`[HierarchyPanel._handleListContainerClick] Invalid entity ID found: ${entityIdStr}`); } } else { logger.warn("[HierarchyPanel._handleListContainerClick] Clicked item missing valid data-entity-id."); } } }
+    _handleListContainerClick(event) { /* ... (unchanged) ... */ const itemElement = event.target.closest('.hierarchy-item'); if (!itemElement) return; if (event.target.closest('.hierarchy-keep')) { this._handleKeepToggleClick(itemElement); return; } const toggleElement = event.target.closest('.hierarchy-toggle'); if (toggleElement) { this._handleToggleClick(itemElement, toggleElement); } else { if (itemElement.dataset.entityId) { const entityIdStr = itemElement.dataset.entityId; const entityId = parseInt(entityIdStr, 10); if (!isNaN(entityId)) { this.editor.selectEntity(entityId); } else { logger.warn(`[HierarchyPanel._handleListContainerClick] Invalid entity ID found: ${entityIdStr}`); } } else { logger.warn("[HierarchyPanel._handleListContainerClick] Clicked item missing valid data-entity-id."); } } }
     _handleToggleClick(itemElement, toggleElement) { /* ... (unchanged) ... */ const sublist = itemElement.querySelector(':scope > ul.hierarchy-subtree'); if (sublist) { const isExpanded = itemElement.classList.toggle('expanded'); sublist.style.display = isExpanded ? 'block' : 'none'; toggleElement.textContent = isExpanded ? '▼' : '▶'; } }
+    /**
+     * Game mode: toggles whether the entity's play-mode changes survive Stop (see `Engine.keepPlayModeChanges`).
+     * @private
+     */
+    _handleKeepToggleClick(itemElement) {
+        const entityId = parseInt(itemElement.dataset.entityId, 10);
+        if (isNaN(entityId) || this.editor?.mode !== 'game') return;
+        const keep = !this.editor.isKeepingPlayModeChanges(entityId);
+        if (this.editor.keepPlayModeChanges(entityId, keep)) itemElement.classList.toggle('keeping', keep);
+    }
     _onEntitySelected({ id }) { /* ... (unchanged) ... */ if (!this.listContainer) return; this.listContainer.querySelectorAll('.hierarchy-item.selected').forEach(el => { el.classList.remove('selected'); }); if (id !== null) { const selectedItem = this.listContainer.querySelector(`.hierarchy-item[data-entity-id="${id}"]`); if (selectedItem) selectedItem.classList.add('selected'); } this._updateButtonStates(id); }
-    _updateButtonStates(selectedId) { /* ... (unchanged) ... */ if (this.createPrefabButton) { this.createPrefabButton.disabled = (selectedId === null); } if(this.instantiatePrefabButton) { this.instantiatePrefabButton.disabled = false; } }
+    _updateButtonStates(selectedId) { /* ... (unchanged) ... */ if (this.createPrefabButton) { this.createPrefabButton.disabled = (selectedId === null); } if(this.instantiatePrefabButton) { this.instantiatePrefabButton.disabled = false; } if (this.createVariantButton) { this.createVariantButton.disabled = (selectedId === null || this.editor?.prefabManager?.getInstanceInfo(selectedId)?.root !== selectedId); } }
 
     _renderHierarchy() {
         // logger.log("[HierarchyPanel] Rendering hierarchy..."); // Reduce logging noise
@@ -231,6 +262,18 @@ export class HierarchyPanel extends UIComponent {
         labelSpan.style.cssText = 'white-space:nowrap; overflow:hidden; text-overflow:ellipsis; cursor:pointer; flex-grow:1;';
         itemContent.appendChild(labelSpan);
 
+        if (this.editor.mode === 'game') {
+            const keepToggle = document.createElement('span');
+            keepToggle.className = 'hierarchy-keep';
+            keepToggle.textContent = '📌';
+            keepToggle.title = 'Keep this entity\'s play-mode changes when stopping';
+            keepToggle.style.cssText = 'cursor:pointer; margin-left:4px; flex-shrink:0;';
+            if (this.editor.isKeepingPlayModeChanges(entityId)) item.classList.add('keeping');
+            itemContent.appendChild(keepToggle);
+        }
+
+        if (!em.isActive(entityId)) item.classList.add('inactive');
+
         item.appendChild(itemContent);
         parentListElement.appendChild(item);
 
@@ -267,9 +310,139 @@ export class HierarchyPanel extends UIComponent {
 
 
     _getEntityDisplayInfo(entityId) { /* ... unchanged ... */ let entityType = 'Entity'; let entityIcon = '❔'; if (!this.editor) return { entityType, entityIcon }; const rend = this.editor.getComponent(entityId, 'renderable'); const light = this.editor.getComponent(entityId, 'light'); const cam = this.editor.getComponent(entityId, 'camera'); if (rend) { entityType = rend.type || 'Mesh'; if(rend.type === 'Model') entityIcon = '📦'; else if (rend.type === 'Cube') entityIcon = '🧊'; else if (rend.type === 'Sphere') entityIcon = '⚪'; else if (rend.type === 'Ground') entityIcon = '➖'; else entityIcon = '🧊'; } else if (light) { entityType = light.type ? `${light.type} Light` : 'Light'; entityIcon = '💡'; } else if (cam) { entityType = cam.type ? `${cam.type} Camera` : 'Camera'; entityIcon = '📷'; } return { entityType, entityIcon }; }
-    _handleCreatePrefab() { /* ... unchanged ... */ const selectedId = this.editor?.getSelectedEntity(); if (selectedId === null || !this.editor?.prefabManager) { alert("Please select an entity in the hierarchy first."); return; } const prefabName = prompt("Enter a name for the prefab:", `Prefab_${selectedId}`); if (prefabName && prefabName.trim() !== "") { try { this.editor.prefabManager.savePrefab(selectedId, prefabName.trim()); alert(`Prefab "${prefabName.trim()}" saved successfully!`); } catch (error) { logger.error("Error saving prefab:", error); alert(`Failed to save prefab: ${error.message}`); } } else if (prefabName !== null) { alert("Prefab name cannot be empty."); } }
-    _handleInstantiatePrefab() { /* ... unchanged ... */ if (!this.editor?.prefabManager) return; const savedPrefabs = this.editor.prefabManager.listPrefabs(); let promptMessage = "Enter the name of the prefab to instantiate:"; if (savedPrefabs && savedPrefabs.length > 0) { promptMessage += `\nAvailable: ${savedPrefabs.join(', ')}`; } else { alert("No saved prefabs found."); return; } const prefabName = prompt(promptMessage); if (prefabName && prefabName.trim() !== "") { try { const newEntityId = this.editor.prefabManager.createEntityFromPrefab(prefabName.trim()); if (newEntityId !== null) { this.editor.selectEntity(newEntityId); } else { alert(`Could not instantiate prefab "${prefabName.trim()}". Check console.`); } } catch (error) { logger.error("Error instantiating prefab:", error); alert(`Failed to instantiate prefab: ${error.message}`); } } else if (prefabName !== null) { alert("Prefab name cannot be empty."); } }
+    /**
+     * Saves the selected entity and its descendants as a prefab (undoable; undo restores a
+     * prefab that was overwritten).
+     * @private
+     */
+    async _handleCreatePrefab() {
+        const selectedId = this.editor?.getSelectedEntity();
+        if (selectedId === null || !this.editor?.prefabManager) { alert("Please select an entity in the hierarchy first."); return; }
+        const prefabName = prompt("Enter a name for the prefab:", `Prefab_${selectedId}`);
+        if (prefabName === null) return;
+        if (prefabName.trim() === "") { alert("Prefab name cannot be empty."); return; }
+        const command = new SavePrefabCommand(this.editor, selectedId, prefabName.trim());
+        this.editor.commandManager.execute(command);
+        if (!command.saved) alert(`Failed to save prefab "${prefabName.trim()}". Check console.`);
+        else if (await this._checkPrefabStorage()) alert(`Prefab "${prefabName.trim()}" saved successfully!`);
+    }
 
+    /**
+     * Asks for a prefab name and instantiates it (undoable; undo removes the whole instance).
+     * @private
+     */
+    _handleInstantiatePrefab() {
+        const prefabName = this._promptPrefabName("Enter the name of the prefab to instantiate:");
+        if (prefabName === null) return;
+        const command = new InstantiatePrefabCommand(this.editor, prefabName);
+        this.editor.commandManager.execute(command);
+        if (command.rootId === null) alert(`Could not instantiate prefab "${prefabName}". Check console.`);
+    }
+
+    /**
+     * Asks for a prefab name and deletes the prefab (undoable).
+     * @private
+     */
+    async _handleDeletePrefab() {
+        const prefabName = this._promptPrefabName("Enter the name of the prefab to delete:");
+        if (prefabName === null) return;
+        const command = new DeletePrefabCommand(this.editor, prefabName);
+        this.editor.commandManager.execute(command);
+        if (!command.deletedData) alert(`Could not delete prefab "${prefabName}". Check console.`);
+        else await this._checkPrefabStorage();
+    }
+
+    /**
+     * Waits for the prefab storage to finish writing and alerts about prefabs it failed to
+     * write or delete (they changed in memory only).
+     * @returns {Promise<boolean>} Whether everything was stored.
+     * @private
+     */
+    async _checkPrefabStorage() {
+        const prefabManager = this.editor.prefabManager;
+        const failed = await prefabManager.flushStorage();
+        if (failed.length === 0) return true;
+        alert(`Prefab storage "${prefabManager.storage.name}" failed to store: ${failed.join(', ')}. Changes are kept until the page is reloaded. Check console.`);
+        return false;
+    }
+
+    /**
+     * Prompts for one of the saved prefabs.
+     * @param {string} message - The prompt text; the available prefabs are appended.
+     * @returns {string|null} The trimmed name, or `null` if cancelled or there are no prefabs.
+     * @private
+     */
+    _promptPrefabName(message) {
+        if (!this.editor?.prefabManager) return null;
+        const savedPrefabs = this.editor.prefabManager.listPrefabs();
+        if (savedPrefabs.length === 0) { alert("No saved prefabs found."); return null; }
+        const prefabName = prompt(`${message}\nAvailable: ${savedPrefabs.join(', ')}`);
+        if (prefabName === null) return null;
+        if (prefabName.trim() === "") { alert("Prefab name cannot be empty."); return null; }
+        return prefabName.trim();
+    }
+
+
+    /**
+     * Saves the selected instance root as a variant of its prefab: the variant stores the
+     * instance's differences from the prefab, and the instance is linked to the variant
+     * (undoable; undo restores a prefab the variant replaced).
+     * @private
+     */
+    async _handleCreateVariant() {
+        const selectedId = this.editor?.getSelectedEntity();
+        const info = selectedId === null ? null : this.editor?.prefabManager?.getInstanceInfo(selectedId);
+        if (!info || info.root !== selectedId) { alert("Please select the root of a prefab instance first."); return; }
+        const variantName = prompt(`Enter a name for the variant of "${info.prefab}":`, `${info.prefab}_Variant`);
+        if (variantName === null) return;
+        if (variantName.trim() === '') { alert("Prefab name cannot be empty."); return; }
+        const command = new CreateVariantCommand(this.editor, info.prefab, variantName.trim(), selectedId);
+        this.editor.commandManager.execute(command);
+        if (!command.saved) {
+            alert(`Failed to save variant "${variantName.trim()}". Check console.`);
+        } else if (await this._checkPrefabStorage()) {
+            alert(`Variant "${variantName.trim()}" of "${info.prefab}" saved successfully!`);
+        }
+    }
+
+    /**
+     * Downloads saved prefabs as a library file that can be committed next to the scenes and
+     * loaded with `PrefabManager.loadLibrary()`. Asks which prefabs to include.
+     * @private
+     */
+    _handleExportPrefabs() {
+        const prefabManager = this.editor?.prefabManager;
+        if (!prefabManager) return;
+        const savedPrefabs = prefabManager.listPrefabs();
+        if (savedPrefabs.length === 0) { alert("No saved prefabs found."); return; }
+        const answer = prompt(`Prefabs to export (comma-separated, empty for all):\nAvailable: ${savedPrefabs.join(', ')}`, '');
+        if (answer === null) return;
+        const names = answer.split(',').map(name => name.trim()).filter(Boolean);
+        const fileName = prompt("File name:", 'prefabs.prefab.json');
+        if (!fileName) return;
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([prefabManager.exportLibrary(names.length > 0 ? names : savedPrefabs)], { type: 'application/json' }));
+        link.download = fileName.trim().endsWith('.json') ? fileName.trim() : `${fileName.trim()}.prefab.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Saves the prefabs of the chosen library file, replacing prefabs of the same name.
+     * @private
+     */
+    _handleImportPrefabsFile(event) {
+        const file = event.target.files?.[0];
+        if (!file || !this.editor?.prefabManager) return;
+        const reader = new FileReader();
+        reader.onload = async () => {
+            const imported = this.editor.prefabManager.importLibrary(reader.result);
+            if (!imported) alert(`Error importing prefabs from "${file.name}". Check console.`);
+            else if (await this._checkPrefabStorage()) alert(`Imported ${imported.length} prefab(s) from "${file.name}": ${imported.join(', ')}`);
+        };
+        reader.onerror = (e) => { logger.error(`HierarchyPanel: Error reading file "${file.name}":`, e); alert(`Error reading file "${file.name}".`); };
+        reader.readAsText(file);
+    }
 
     // --- NEW: Drag and Drop Handlers ---
     _handleDragStart(event) {
@@ -392,14 +565,24 @@ export class HierarchyPanel extends UIComponent {
              emitter.off('componentRemoved', this._handleComponentChange);
              emitter.off('entityUpdated', this._handleEntityUpdate);
              emitter.off('sceneImported', this._renderHierarchy);
+             emitter.off('entitiesImported', this._renderHierarchy);
+             emitter.off('entityActiveChanged', this._renderHierarchy);
              emitter.off('entitySelected', this._onEntitySelected);
+             emitter.off('gameModeEntered', this._renderHierarchy);
+             emitter.off('editorModeEntered', this._renderHierarchy);
         }
         // Clean up button handlers
         if (this.createPrefabButton) this.createPrefabButton.onclick = null;
         if (this.instantiatePrefabButton) this.instantiatePrefabButton.onclick = null;
+        if (this.createVariantButton) this.createVariantButton.onclick = null;
+        if (this.deletePrefabButton) this.deletePrefabButton.onclick = null;
+        if (this.exportPrefabsButton) this.exportPrefabsButton.onclick = null;
+        if (this.importPrefabsButton) this.importPrefabsButton.onclick = null;
+        if (this.prefabFileInput) this.prefabFileInput.onchange = null;
         // Clear references
         this.listContainer = null; this.buttonContainer = null;
-        this.createPrefabButton = null; this.instantiatePrefabButton = null;
+        this.createPrefabButton = null; this.instantiatePrefabButton = null; this.createVariantButton = null;
+        this.deletePrefabButton = null; this.exportPrefabsButton = null; this.importPrefabsButton = null; this.prefabFileInput = null;
         this.draggedEntityId = null; this.dragOverElement = null; // Clear drag state
         super.destroy();
     }
@@ -411,6 +594,15 @@ if (!document.getElementById(styleId)) {
     const style = document.createElement('style');
     style.id = styleId;
     style.textContent = `
+        .hierarchy-item.inactive > div {
+            opacity: 0.45;
+        }
+        .hierarchy-keep {
+            opacity: 0.25;
+        }
+        .hierarchy-item.keeping > div > .hierarchy-keep {
+            opacity: 1;
+        }
         .hierarchy-item.dragging {
             opacity: 0.5;
             border: 1px dashed #aaa;
@@ -0,0 +1,141 @@
+// src/ui/stats-overlay.js
+// @version 1.0.0 - Initial implementation (per-system timings, fixed steps, entity/component counts, draw stats).
+
+import * as logger from '../utils/logger.js';
+import { UIComponent } from './ui-component.js';
+import { engineConfig } from '../engine-config.js';
+
+/** Lifecycle stages shown in a system's tooltip, in execution order. */
+const STAGES = ['fixedUpdate', 'preUpdate', 'update', 'postUpdate'];
+
+const formatMs = (ms) => ms.toFixed(2);
+
+/**
+ * Toggleable panel showing `engine.getProfile()`: frame time, fixed steps per frame,
+ * entity/component counts, renderer draw calls and triangles, and a table of systems
+ * sorted by average time per frame. Refreshes every `engineConfig.profiler.overlayRefreshMs`
+ * while visible. Toggled by the toolbar's "Stats" button (`statsOverlayToggleRequested` event)
+ * or `toggle()`.
+ *
+ * @class StatsOverlay
+ * @extends UIComponent
+ */
+export class StatsOverlay extends UIComponent {
+    /**
+     * @param {import('../core.js').Engine} editor - Reference to the main Engine instance.
+     */
+    constructor(editor) {
+        super(editor);
+        this.summaryEl = null;
+        this.tableBody = null;
+        this._refreshTimer = null;
+
+        this.toggle = this.toggle.bind(this);
+        this._refresh = this._refresh.bind(this);
+    }
+
+    /** Whether the panel is shown. */
+    get isVisible() { return this.element?.style.display === 'block'; }
+
+    /**
+     * @returns {HTMLElement}
+     * @protected
+     * @override
+     */
+    _createElement() {
+        const panel = document.createElement('div');
+        panel.className = 'editor-stats-overlay editor-ui-panel';
+        Object.assign(panel.style, {
+            top: '10px', right: '300px', width: '320px', maxHeight: 'calc(100% - 60px)',
+            padding: '10px', overflowY: 'auto', fontSize: '0.8em', zIndex: '250', display: 'none'
+        });
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display:flex; justify-content:space-between; align-items:center; margin-bottom:6px; padding-bottom:5px; border-bottom:1px solid #555;';
+        const title = document.createElement('strong');
+        title.textContent = 'Stats';
+        const close = document.createElement('button');
+        close.textContent = '×';
+        close.title = 'Hide stats';
+        close.addEventListener('click', this.toggle);
+        header.append(title, close);
+        panel.appendChild(header);
+
+        this.summaryEl = document.createElement('div');
+        this.summaryEl.style.cssText = 'white-space:pre; font-family:monospace; margin-bottom:6px;';
+        panel.appendChild(this.summaryEl);
+
+        const table = document.createElement('table');
+        table.style.cssText = 'width:100%; border-collapse:collapse; font-family:monospace;';
+        const head = document.createElement('thead');
+        head.innerHTML = '<tr><th style="text-align:left">System</th><th style="text-align:right">avg ms</th><th style="text-align:right">max ms</th></tr>';
+        this.tableBody = document.createElement('tbody');
+        table.append(head, this.tableBody);
+        panel.appendChild(table);
+        return panel;
+    }
+
+    /** @protected @override */
+    _setupEventListeners() {
+        if (!this.editor?.eventEmitter) { logger.error("StatsOverlay: Cannot setup listeners."); return; }
+        this.editor.eventEmitter.on('statsOverlayToggleRequested', this.toggle);
+    }
+
+    /**
+     * Shows or hides the panel.
+     * @param {boolean} [visible] - Forces a state; toggles when omitted (or given an event).
+     */
+    toggle(visible) {
+        if (!this.element) return;
+        const show = typeof visible === 'boolean' ? visible : !this.isVisible;
+        this.element.style.display = show ? 'block' : 'none';
+        clearInterval(this._refreshTimer);
+        this._refreshTimer = null;
+        if (show) {
+            this._refresh();
+            this._refreshTimer = setInterval(this._refresh, engineConfig.profiler?.overlayRefreshMs ?? 500);
+        }
+    }
+
+    /** @private */
+    _refresh() {
+        if (!this.editor || !this.summaryEl || !this.tableBody) return;
+        const profile = this.editor.getProfile();
+        const componentTotal = Object.values(profile.components).reduce((sum, n) => sum + n, 0);
+        const lines = [
+            `Frame   ${formatMs(profile.frameTime.avg)} ms avg  ${formatMs(profile.frameTime.max)} max`,
+            `Fixed   ${profile.fixedSteps.last} steps  ${profile.fixedSteps.avg.toFixed(2)} avg  ${profile.fixedSteps.max} max`,
+            `World   ${profile.entities} entities  ${componentTotal} components`
+        ];
+        if (profile.renderer) {
+            lines.push(`Render  ${profile.renderer.drawCalls} calls  ${profile.renderer.triangles} tris`);
+        }
+        this.summaryEl.textContent = lines.join('\n');
+        this.summaryEl.title = Object.entries(profile.components).map(([type, n]) => `${type}: ${n}`).join('\n');
+
+        const rows = Object.entries(profile.systems).sort(([, a], [, b]) => b.total.avg - a.total.avg);
+        this.tableBody.innerHTML = '';
+        for (const [name, series] of rows) {
+            const row = document.createElement('tr');
+            row.title = STAGES.filter(stage => series[stage])
+                .map(stage => `${stage}: ${formatMs(series[stage].avg)} avg / ${formatMs(series[stage].max)} max`)
+                .join('\n');
+            for (const [text, align] of [[name, 'left'], [formatMs(series.total.avg), 'right'], [formatMs(series.total.max), 'right']]) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                cell.style.textAlign = align;
+                row.appendChild(cell);
+            }
+            this.tableBody.appendChild(row);
+        }
+    }
+
+    /** @public @override */
+    destroy() {
+        clearInterval(this._refreshTimer);
+        this._refreshTimer = null;
+        this.editor?.eventEmitter?.off('statsOverlayToggleRequested', this.toggle);
+        this.summaryEl = null; this.tableBody = null;
+        super.destroy();
+    }
+}
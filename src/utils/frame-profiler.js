@@ -0,0 +1,201 @@
+// src/utils/frame-profiler.js - Per-system frame timing
+// @version 1.0.0 - Initial implementation (per-system/stage timings and fixed step counts over a rolling window).
+
+/**
+ * Rolling statistics of one value per frame.
+ * @typedef {object} ProfileSeries
+ * @property {number} last - Value of the most recent frame.
+ * @property {number} avg - Average over the window.
+ * @property {number} max - Maximum over the window.
+ * @property {number[]} history - Values in the window, oldest first.
+ */
+
+/**
+ * Snapshot returned by `FrameProfiler.getSnapshot()` (and, extended, by `engine.getProfile()`).
+ * Times are in milliseconds.
+ * @typedef {object} FrameProfile
+ * @property {number} frames - Frames recorded since the last reset.
+ * @property {number} historySize - Window length in frames.
+ * @property {ProfileSeries} frameTime - Time spent in the engine tick.
+ * @property {ProfileSeries} fixedSteps - Fixed steps run per frame.
+ * @property {Object<string, Object<string, ProfileSeries>>} systems - Per system: one series per lifecycle
+ *   stage it ran ('fixedUpdate', 'preUpdate', 'update', 'postUpdate'; summed over the frame) and `total`.
+ */
+
+/** @private Current time in milliseconds. */
+const now = () => (typeof performance !== 'undefined' && typeof performance.now === 'function' ? performance.now() : Date.now());
+
+/** @private Fixed-size ring buffer of per-frame values. */
+class RollingSeries {
+    constructor(size) {
+        this.values = new Float64Array(size);
+        this.index = 0;
+        this.count = 0;
+    }
+
+    push(value) {
+        this.values[this.index] = value;
+        this.index = (this.index + 1) % this.values.length;
+        if (this.count < this.values.length) this.count++;
+    }
+
+    /** @returns {ProfileSeries} */
+    summarize() {
+        const size = this.values.length;
+        const start = (this.index - this.count + size) % size;
+        const history = new Array(this.count);
+        let sum = 0;
+        let max = 0;
+        for (let i = 0; i < this.count; i++) {
+            const value = this.values[(start + i) % size];
+            history[i] = value;
+            sum += value;
+            if (value > max) max = value;
+        }
+        return {
+            last: this.count > 0 ? history[this.count - 1] : 0,
+            avg: this.count > 0 ? sum / this.count : 0,
+            max,
+            history
+        };
+    }
+}
+
+/**
+ * Collects per-system timings for each frame and keeps the last `historySize` frames.
+ *
+ * The engine calls `beginFrame()`/`endFrame()` around each tick, and the SystemManager
+ * calls `record()` for every lifecycle method it runs. Systems that did not run in a frame
+ * record 0 for that frame, so averages are per frame, not per call.
+ *
+ * @class FrameProfiler
+ */
+export class FrameProfiler {
+    /**
+     * @param {object} [options={}]
+     * @param {boolean} [options.enabled=true] - Whether timings are collected.
+     * @param {number} [options.historySize=120] - Number of frames kept.
+     */
+    constructor({ enabled = true, historySize = 120 } = {}) {
+        /** @type {boolean} */
+        this.enabled = enabled;
+        /** @type {number} */
+        this.historySize = Math.max(1, Math.floor(historySize) || 120);
+        this.reset();
+    }
+
+    /**
+     * Current time in milliseconds (performance.now() when available).
+     * @returns {number}
+     */
+    now() {
+        return now();
+    }
+
+    /**
+     * Clears all recorded data.
+     * @returns {void}
+     */
+    reset() {
+        /** @private @type {Map<string, Map<string, RollingSeries>>} System -> stage -> series */
+        this._series = new Map();
+        /** @private @type {Map<string, Map<string, number>>} Times recorded during the current frame */
+        this._current = new Map();
+        this._frameTime = new RollingSeries(this.historySize);
+        this._fixedSteps = new RollingSeries(this.historySize);
+        this._frameStart = null;
+        this.frames = 0;
+    }
+
+    /**
+     * Starts a frame.
+     * @returns {void}
+     */
+    beginFrame() {
+        if (!this.enabled) return;
+        this._current.clear();
+        this._frameStart = now();
+    }
+
+    /**
+     * Adds time spent in a system's lifecycle method to the current frame.
+     * @param {string} system - System name.
+     * @param {string} stage - Lifecycle method ('fixedUpdate', 'preUpdate', 'update', 'postUpdate').
+     * @param {number} ms - Elapsed milliseconds.
+     * @returns {void}
+     */
+    record(system, stage, ms) {
+        if (!this.enabled) return;
+        let stages = this._current.get(system);
+        if (!stages) {
+            stages = new Map();
+            this._current.set(system, stages);
+        }
+        stages.set(stage, (stages.get(stage) ?? 0) + ms);
+    }
+
+    /**
+     * Ends the frame started by `beginFrame()` and pushes its values into the history.
+     * @param {object} [frameInfo={}]
+     * @param {number} [frameInfo.fixedSteps=0] - Fixed steps run during the frame.
+     * @returns {void}
+     */
+    endFrame({ fixedSteps = 0 } = {}) {
+        if (!this.enabled || this._frameStart === null) return;
+        this._frameTime.push(now() - this._frameStart);
+        this._fixedSteps.push(fixedSteps);
+        this._frameStart = null;
+
+        for (const [system, stages] of this._current) {
+            let series = this._series.get(system);
+            if (!series) {
+                series = new Map([['total', new RollingSeries(this.historySize)]]);
+                this._series.set(system, series);
+            }
+            for (const stage of stages.keys()) {
+                if (!series.has(stage)) series.set(stage, new RollingSeries(this.historySize));
+            }
+        }
+        for (const [system, series] of this._series) {
+            const stages = this._current.get(system);
+            let total = 0;
+            for (const [stage, rolling] of series) {
+                if (stage === 'total') continue;
+                const value = stages?.get(stage) ?? 0;
+                rolling.push(value);
+                total += value;
+            }
+            series.get('total').push(total);
+        }
+        this.frames++;
+    }
+
+    /**
+     * Forgets the history of a system (e.g. after it was unregistered).
+     * @param {string} system - System name.
+     * @returns {void}
+     */
+    forget(system) {
+        this._series.delete(system);
+        this._current.delete(system);
+    }
+
+    /**
+     * Summarizes the recorded window.
+     * @returns {FrameProfile}
+     */
+    getSnapshot() {
+        const systems = {};
+        for (const [system, series] of this._series) {
+            systems[system] = {};
+            for (const [stage, rolling] of series) systems[system][stage] = rolling.summarize();
+        }
+        return {
+            frames: this.frames,
+            historySize: this.historySize,
+            frameTime: this._frameTime.summarize(),
+            fixedSteps: this._fixedSteps.summarize(),
+            systems
+        };
+    }
+}
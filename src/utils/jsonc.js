@@ -0,0 +1,148 @@
+// src/utils/jsonc.js - Tolerant JSON parser for hand-edited files
+// @version 1.0.0 - Initial implementation (comments, trailing commas, line/column errors).
+
+/**
+ * Error thrown by `parseJSONC` with the 1-based line and column of the problem.
+ * @class JSONCParseError
+ * @extends SyntaxError
+ */
+export class JSONCParseError extends SyntaxError {
+    /**
+     * @param {string} reason - What went wrong.
+     * @param {number} line - 1-based line number.
+     * @param {number} column - 1-based column number.
+     * @param {number} offset - 0-based character offset.
+     */
+    constructor(reason, line, column, offset) {
+        super(`${reason} at line ${line}, column ${column}`);
+        this.name = 'JSONCParseError';
+        /** @type {string} */
+        this.reason = reason;
+        /** @type {number} */
+        this.line = line;
+        /** @type {number} */
+        this.column = column;
+        /** @type {number} */
+        this.offset = offset;
+    }
+}
+
+/**
+ * Parses JSON that may contain `//` line comments, `/* *\/` block comments and
+ * trailing commas in objects and arrays (the JSONC dialect used by our level files).
+ * Strict JSON parses to the same result as `JSON.parse`.
+ *
+ * @param {string} text - The source text.
+ * @returns {*} The parsed value.
+ * @throws {JSONCParseError} If the text is not valid JSONC.
+ */
+export function parseJSONC(text) {
+    if (typeof text !== 'string') throw new TypeError('parseJSONC expects a string.');
+    let pos = text.charCodeAt(0) === 0xFEFF ? 1 : 0; // Skip BOM
+
+    const fail = (reason, at = pos) => {
+        const before = text.slice(0, at);
+        const line = before.split('\n').length;
+        const column = at - before.lastIndexOf('\n');
+        throw new JSONCParseError(reason, line, column, at);
+    };
+    const describe = (at = pos) => (at >= text.length ? 'end of input' : `'${text[at]}'`);
+
+    const skipWhitespaceAndComments = () => {
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') { pos++; continue; }
+            if (ch === '/' && text[pos + 1] === '/') {
+                while (pos < text.length && text[pos] !== '\n') pos++;
+                continue;
+            }
+            if (ch === '/' && text[pos + 1] === '*') {
+                const end = text.indexOf('*/', pos + 2);
+                if (end === -1) fail('Unterminated block comment');
+                pos = end + 2;
+                continue;
+            }
+            break;
+        }
+    };
+
+    const parseString = () => {
+        const start = pos;
+        pos++; // Opening quote
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (ch === '"') {
+                pos++;
+                try { return JSON.parse(text.slice(start, pos)); } catch { fail('Invalid escape sequence in string', start); }
+            }
+            if (ch === '\\') { pos += 2; continue; }
+            if (ch === '\n' || ch === '\r') fail('Unterminated string');
+            pos++;
+        }
+        return fail('Unterminated string', start);
+    };
+
+    const parseNumber = () => {
+        const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(pos, pos + 64));
+        if (!match) fail(`Unexpected ${describe()}`);
+        pos += match[0].length;
+        return Number(match[0]);
+    };
+
+    const parseLiteral = () => {
+        for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+            if (text.startsWith(word, pos)) { pos += word.length; return value; }
+        }
+        return fail(`Unexpected ${describe()}`);
+    };
+
+    const parseContainer = (open, close, parseEntry) => {
+        pos++; // Opening bracket
+        skipWhitespaceAndComments();
+        if (text[pos] === close) { pos++; return; }
+        while (true) {
+            parseEntry();
+            skipWhitespaceAndComments();
+            if (text[pos] === ',') {
+                pos++;
+                skipWhitespaceAndComments();
+                if (text[pos] === close) { pos++; return; } // Trailing comma
+                continue;
+            }
+            if (text[pos] === close) { pos++; return; }
+            fail(`Expected ',' or '${close}' but found ${describe()}`);
+        }
+    };
+
+    const parseValue = () => {
+        skipWhitespaceAndComments();
+        const ch = text[pos];
+        if (ch === '{') {
+            const obj = {};
+            parseContainer('{', '}', () => {
+                if (text[pos] !== '"') fail(`Expected property name but found ${describe()}`);
+                const key = parseString();
+                skipWhitespaceAndComments();
+                if (text[pos] !== ':') fail(`Expected ':' but found ${describe()}`);
+                pos++;
+                // defineProperty keeps '__proto__' an own key, matching JSON.parse
+                Object.defineProperty(obj, key, { value: parseValue(), writable: true, enumerable: true, configurable: true });
+            });
+            return obj;
+        }
+        if (ch === '[') {
+            const arr = [];
+            parseContainer('[', ']', () => { arr.push(parseValue()); });
+            return arr;
+        }
+        if (ch === '"') return parseString();
+        if (ch === '-' || (ch >= '0' && ch <= '9')) return parseNumber();
+        if (pos >= text.length) return fail('Unexpected end of input');
+        return parseLiteral();
+    };
+
+    const result = parseValue();
+    skipWhitespaceAndComments();
+    if (pos < text.length) fail(`Unexpected ${describe()} after end of data`);
+    return result;
+}
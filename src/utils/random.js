@@ -0,0 +1,81 @@
+// src/utils/random.js - Seeded pseudo-random number generator
+// @version 1.0.0 - Initial implementation (mulberry32, state save/restore for session replay).
+
+/**
+ * Deterministic random number generator (mulberry32). The same seed always yields the
+ * same sequence, so gameplay code that draws from `engine.random` instead of `Math.random()`
+ * behaves identically when a recorded session is replayed.
+ *
+ * @class SeededRandom
+ */
+export class SeededRandom {
+    /**
+     * @param {number} [seed] - 32-bit seed. Derived from the clock when omitted.
+     */
+    constructor(seed) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restarts the sequence from a seed.
+     * @param {number} [seed] - 32-bit seed. Derived from the clock when omitted (or not a finite number).
+     * @returns {number} The seed used.
+     */
+    setSeed(seed) {
+        const value = typeof seed === 'number' && isFinite(seed) ? seed : Date.now() ^ Math.floor(Math.random() * 0x100000000);
+        /** @type {number} The seed the current sequence started from. */
+        this.seed = value >>> 0;
+        /** @private */
+        this._state = this.seed;
+        return this.seed;
+    }
+
+    /**
+     * Returns the generator's internal state, to be handed back to `setState` later.
+     * @returns {number}
+     */
+    getState() {
+        return this._state;
+    }
+
+    /**
+     * Continues the sequence from a state returned by `getState`.
+     * @param {number} state
+     * @returns {void}
+     */
+    setState(state) {
+        this._state = state >>> 0;
+    }
+
+    /**
+     * Next number in [0, 1), like `Math.random()`.
+     * @returns {number}
+     */
+    next() {
+        this._state = (this._state + 0x6D2B79F5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next number in [min, max).
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+
+    /**
+     * Next integer in [min, max] (both inclusive).
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    int(min, max) {
+        return Math.floor(this.range(Math.ceil(min), Math.floor(max) + 1));
+    }
+}